@@ -0,0 +1,137 @@
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import helmet from 'helmet';
+import compression from 'compression';
+import listingsRoutes from './routes/listings.js';
+import favoritesRoutes from './routes/favorites.js';
+import savedSearchesRoutes from './routes/savedSearches.js';
+import viewingSlotsRoutes from './routes/viewingSlots.js';
+import viewingsRoutes from './routes/viewings.js';
+import inquiriesRoutes from './routes/inquiries.js';
+import applicationsRoutes from './routes/applications.js';
+import listingReportsRoutes from './routes/listingReports.js';
+import listingImportsRoutes from './routes/listingImports.js';
+import listingAnalyticsRoutes from './routes/listingAnalytics.js';
+import moderationRoutes from './routes/moderation.js';
+import delegationsRoutes from './routes/delegations.js';
+import listingPricesRoutes from './routes/listingPrices.js';
+import listingAuditRoutes from './routes/listingAudit.js';
+import marketRoutes from './routes/market.js';
+import webhooksRoutes from './routes/webhooks.js';
+import paymentsRoutes from './routes/payments.js';
+import listingSimilarRoutes from './routes/listingSimilar.js';
+import recommendationsRoutes from './routes/recommendations.js';
+import docsRoutes from './routes/docs.js';
+import healthRoutes from './routes/health.js';
+import { rateLimiter } from './middleware/rateLimit.js';
+import { requestContext, accessLog } from './middleware/requestContext.js';
+import { createContractValidator } from './middleware/openapi.js';
+import { spec } from './openapi/index.js';
+import { logger } from './services/logger.js';
+
+dotenv.config();
+
+const app = express();
+
+// Render terminates TLS in front of the app; req.ip is the client address
+// from X-Forwarded-For only for the trusted hops
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+// Global rate limiter, per user or per IP (see middleware/rateLimit.js)
+const globalLimiter = rateLimiter('global');
+
+// Middleware. The request ID comes first so every response carries it
+app.use(requestContext);
+app.use(accessLog);
+app.use(helmet());
+app.use(compression());
+app.use(
+  cors({
+    origin: process.env.CLIENT_URL || 'http://localhost:5173',
+    credentials: true,
+  })
+);
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Check requests and responses against the OpenAPI document, before the rate
+// limiter so its 429s are checked too
+if (['development', 'test'].includes(process.env.NODE_ENV)) {
+  app.use(createContractValidator(spec));
+}
+
+app.use(globalLimiter);
+
+// Liveness and readiness probes
+app.use('/api/health', healthRoutes);
+
+// API Routes. Routes for sub-resources of a listing are mounted before
+// /api/listings so they aren't taken for listing ids. Every route here is
+// documented in openapi/ (see test/openapi.test.js).
+export const apiRouters = [
+  ['/api/listings/:listingId/viewing-slots', viewingSlotsRoutes],
+  ['/api/listings/:listingId/reports', listingReportsRoutes],
+  ['/api/listings/:listingId/analytics', listingAnalyticsRoutes],
+  ['/api/listings/:listingId/price-history', listingPricesRoutes],
+  ['/api/listings/:listingId/audit', listingAuditRoutes],
+  ['/api/listings/:listingId/similar', listingSimilarRoutes],
+  ['/api/listings/imports', listingImportsRoutes],
+  ['/api/listings', listingsRoutes],
+  ['/api/favorites', favoritesRoutes],
+  ['/api/saved-searches', savedSearchesRoutes],
+  ['/api/recommendations', recommendationsRoutes],
+  ['/api/viewings', viewingsRoutes],
+  ['/api/inquiries', inquiriesRoutes],
+  ['/api/applications', applicationsRoutes],
+  ['/api/moderation', moderationRoutes],
+  ['/api/delegations', delegationsRoutes],
+  ['/api/market', marketRoutes],
+  ['/api/webhooks', webhooksRoutes],
+  ['/api/payments', paymentsRoutes],
+];
+apiRouters.forEach(([path, router]) => app.use(path, router));
+
+// API documentation
+app.use('/api/docs', docsRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Handle specific error types
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({
+      error: 'Validation error',
+      code: 'VALIDATION_ERROR',
+      message: err.message,
+      errors: err.errors || [],
+      timestamp: new Date().toISOString(),
+    });
+  }
+  if (err.name === 'UnauthorizedError') {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing authentication token',
+      timestamp: new Date().toISOString(),
+    });
+  }
+  if (err.name === 'AuthSessionMissingError') {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Auth session missing',
+      timestamp: new Date().toISOString(),
+    });
+  }
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Route not found', code: 'NOT_FOUND', timestamp: new Date().toISOString() });
+});
+
+export default app;
@@ -0,0 +1,148 @@
+// Approximate coordinates for Kenya's 47 counties (county headquarters) and
+// common estates, used to place listings on the map when the landlord does
+// not supply exact coordinates. Coordinates are [latitude, longitude].
+
+export const COUNTIES = {
+  Mombasa: [-4.0435, 39.6682],
+  Kwale: [-4.1816, 39.4606],
+  Kilifi: [-3.6305, 39.8499],
+  'Tana River': [-1.497, 40.03],
+  Lamu: [-2.2717, 40.902],
+  'Taita-Taveta': [-3.3961, 38.5561],
+  Garissa: [-0.4532, 39.6461],
+  Wajir: [1.7471, 40.0573],
+  Mandera: [3.9366, 41.867],
+  Marsabit: [2.3346, 37.99],
+  Isiolo: [0.3546, 37.5822],
+  Meru: [0.0463, 37.6559],
+  'Tharaka-Nithi': [-0.3333, 37.65],
+  Embu: [-0.531, 37.45],
+  Kitui: [-1.3667, 38.0167],
+  Machakos: [-1.5177, 37.2634],
+  Makueni: [-1.7833, 37.6333],
+  Nyandarua: [-0.27, 36.38],
+  Nyeri: [-0.4201, 36.9476],
+  Kirinyaga: [-0.4989, 37.2803],
+  "Murang'a": [-0.721, 37.1526],
+  Kiambu: [-1.1714, 36.8356],
+  Turkana: [3.1191, 35.5973],
+  'West Pokot': [1.2389, 35.1119],
+  Samburu: [1.0968, 36.698],
+  'Trans Nzoia': [1.0157, 35.0062],
+  'Uasin Gishu': [0.5143, 35.2698],
+  'Elgeyo-Marakwet': [0.6703, 35.5081],
+  Nandi: [0.2034, 35.105],
+  Baringo: [0.4919, 35.743],
+  Laikipia: [0.0167, 37.0667],
+  Nakuru: [-0.3031, 36.08],
+  Narok: [-1.0783, 35.8601],
+  Kajiado: [-1.8524, 36.7768],
+  Kericho: [-0.3692, 35.2863],
+  Bomet: [-0.7813, 35.3416],
+  Kakamega: [0.2827, 34.7519],
+  Vihiga: [0.0833, 34.7167],
+  Bungoma: [0.5635, 34.5606],
+  Busia: [0.4608, 34.1115],
+  Siaya: [0.0607, 34.2881],
+  Kisumu: [-0.0917, 34.768],
+  'Homa Bay': [-0.5273, 34.4571],
+  Migori: [-1.0634, 34.4731],
+  Kisii: [-0.6817, 34.7667],
+  Nyamira: [-0.5633, 34.9358],
+  Nairobi: [-1.2864, 36.8172],
+};
+
+// Estates keyed by county
+export const ESTATES = {
+  Nairobi: {
+    Kilimani: [-1.2921, 36.7856],
+    Kileleshwa: [-1.28, 36.783],
+    Lavington: [-1.278, 36.768],
+    Westlands: [-1.2676, 36.8108],
+    Parklands: [-1.263, 36.819],
+    'Upper Hill': [-1.298, 36.815],
+    Hurlingham: [-1.295, 36.795],
+    Ngara: [-1.274, 36.824],
+    'South B': [-1.31, 36.84],
+    'South C': [-1.319, 36.826],
+    Madaraka: [-1.308, 36.82],
+    Langata: [-1.36, 36.75],
+    Karen: [-1.3197, 36.7073],
+    Runda: [-1.217, 36.813],
+    Muthaiga: [-1.25, 36.83],
+    Gigiri: [-1.233, 36.803],
+    Kangemi: [-1.265, 36.749],
+    Kasarani: [-1.22, 36.9],
+    Roysambu: [-1.218, 36.887],
+    Zimmerman: [-1.212, 36.893],
+    Githurai: [-1.2, 36.915],
+    'Kahawa West': [-1.185, 36.9],
+    'Kahawa Sukari': [-1.195, 36.93],
+    Embakasi: [-1.32, 36.9],
+    Pipeline: [-1.316, 36.896],
+    Donholm: [-1.296, 36.89],
+    Umoja: [-1.283, 36.896],
+    Buruburu: [-1.287, 36.877],
+  },
+  Kiambu: {
+    Ruaka: [-1.205, 36.78],
+    Thika: [-1.0333, 37.0693],
+    Ruiru: [-1.1456, 36.961],
+    Juja: [-1.1, 37.0167],
+    Kikuyu: [-1.246, 36.663],
+  },
+  Kajiado: {
+    Rongai: [-1.396, 36.753],
+    Kitengela: [-1.476, 36.957],
+    Ngong: [-1.352, 36.667],
+  },
+  Machakos: {
+    Syokimau: [-1.365, 36.94],
+    'Athi River': [-1.456, 36.978],
+  },
+  Mombasa: {
+    Nyali: [-4.02, 39.71],
+    Bamburi: [-3.99, 39.72],
+    Kizingo: [-4.07, 39.67],
+  },
+  Kisumu: {
+    Milimani: [-0.09, 34.76],
+  },
+  Nakuru: {
+    Milimani: [-0.28, 36.07],
+  },
+};
+
+export const normalizePlace = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const index = (entries) => new Map(Object.entries(entries).map(([name, coords]) => [normalizePlace(name), { name, coords }]));
+
+const countyIndex = index(COUNTIES);
+const estateIndex = new Map(Object.entries(ESTATES).map(([county, estates]) => [normalizePlace(county), index(estates)]));
+
+// Resolve a county/estate pair to coordinates. Prefers the estate within the
+// given county, then an estate name that is unique across counties, then the
+// county itself. Returns { latitude, longitude, source } or null.
+export const geocode = ({ county, estate } = {}) => {
+  const countyKey = normalizePlace(county);
+  const estateKey = normalizePlace(estate);
+
+  if (estateKey) {
+    const inCounty = estateIndex.get(countyKey)?.get(estateKey);
+    const candidates = inCounty ? [inCounty] : [...estateIndex.values()].map((e) => e.get(estateKey)).filter(Boolean);
+    if (candidates.length === 1) {
+      const [latitude, longitude] = candidates[0].coords;
+      return { latitude, longitude, source: 'estate' };
+    }
+  }
+
+  const match = countyIndex.get(countyKey);
+  if (match) {
+    const [latitude, longitude] = match.coords;
+    return { latitude, longitude, source: 'county' };
+  }
+  return null;
+};
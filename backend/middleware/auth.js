@@ -0,0 +1,58 @@
+import { auth, profiles } from '../repositories/index.js';
+import { logger } from '../services/logger.js';
+
+// Helper function to get user from authorization header
+export const getUserFromAuth = async (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+
+  try {
+    return await auth.getUser(token);
+  } catch (error) {
+    logger.error('Auth error', { error });
+    return null;
+  }
+};
+
+// The request's user (or null), looked up once per request however many
+// middlewares ask
+export const identify = (req) => {
+  req.identity ??= getUserFromAuth(req.headers.authorization);
+  return req.identity;
+};
+
+// Middleware to require authentication
+export const requireAuth = async (req, res, next) => {
+  const user = await identify(req);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Middleware to optionally get user
+export const optionalAuth = async (req, res, next) => {
+  const user = await identify(req);
+  req.user = user;
+  next();
+};
+
+// Whether the user's profile has one of the given user types
+export const hasUserType = async (userId, userTypes) => {
+  const profile = await profiles.findById(userId, { columns: ['user_type'] }).catch(() => null);
+  return userTypes.includes(profile?.user_type);
+};
+
+// Middleware to require an admin profile; use after requireAuth
+export const requireAdmin = async (req, res, next) => {
+  if (!(await hasUserType(req.user.id, ['admin']))) {
+    return res.status(403).json({ error: 'Admin access required', code: 'UNAUTHORIZED' });
+  }
+  next();
+};
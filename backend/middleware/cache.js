@@ -0,0 +1,65 @@
+import { createHash } from 'crypto';
+import { cache } from '../services/cache.js';
+import { logger } from '../services/logger.js';
+
+// Response caching for public reads. scope(req) describes the cache entry for
+// a request, or returns null to skip the cache:
+//   { name, generations: [counter names], key: anything JSON-serializable }
+// key is normalized (sorted keys, trimmed strings, blanks dropped) so
+// equivalent queries share an entry. Only 200 JSON responses are stored.
+//
+// Every response carries ETag and Last-Modified; Express answers matching
+// If-None-Match / If-Modified-Since requests with 304. X-Cache says whether
+// the body came from the cache.
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+export const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((key) => !isBlank(value[key]))
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+const digest = (value) => createHash('sha256').update(JSON.stringify(value)).digest('base64url');
+
+const send = (res, json, entry, status) => {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': entry.lastModified,
+    'Cache-Control': 'public, no-cache',
+    'X-Cache': status,
+  });
+  return json(entry.body);
+};
+
+export const cacheResponse = (scope) => async (req, res, next) => {
+  const json = res.json.bind(res);
+  let key;
+  try {
+    const spec = scope(req);
+    if (!spec) return next();
+
+    const generations = await cache.generations(spec.generations);
+    key = `${spec.name}:${generations.join('.')}:${digest(normalize(spec.key))}`;
+    const hit = await cache.get(key);
+    if (hit) return send(res, json, hit, 'HIT');
+  } catch (error) {
+    logger.error('Cache read error', { error });
+    return next();
+  }
+
+  res.json = (body) => {
+    if (res.statusCode !== 200) return json(body);
+    const entry = { body, etag: `W/"${digest(body)}"`, lastModified: new Date().toUTCString() };
+    cache.set(key, entry).catch((error) => logger.error('Cache write error', { error }));
+    return send(res, json, entry, 'MISS');
+  };
+  next();
+};
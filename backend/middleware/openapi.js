@@ -0,0 +1,209 @@
+import Ajv from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { logger } from '../services/logger.js';
+
+// Contract checks against the OpenAPI document, for development and test.
+// When a route answers with JSON, the response is validated against the
+// documented response for its status and, for successful responses, the
+// request it answered against the operation's parameters and body. A
+// mismatch is logged and turned into a 500 SPEC_MISMATCH, so drift between
+// the spec and the code fails tests instead of reaching the frontend.
+//
+// Requests are checked when the response is sent rather than on the way in:
+// multipart bodies are only parsed by the route (multer), and rejections by
+// the routes themselves (422s, 404s) are their own documented responses.
+// Paths the spec doesn't know, and non-JSON responses, are let through.
+
+const SCHEMA_REF = '#/components/schemas/';
+
+// Schemas are registered under their component names; $refs point at those
+const withLocalRefs = (value) => JSON.parse(JSON.stringify(value).replaceAll(SCHEMA_REF, ''));
+
+const createAjv = (schemas, options = {}) => {
+  const ajv = new Ajv({ strict: false, allErrors: true, formats: { binary: true }, ...options });
+  addFormats(ajv);
+  Object.entries(schemas).forEach(([name, schema]) => ajv.addSchema(schema, name));
+  return ajv;
+};
+
+// /api/listings/{id} -> /^\/api\/listings\/([^/]+)$/ with its parameter names
+const compilePath = (template) => {
+  const names = [];
+  const source = template
+    .split('/')
+    .map((segment) => {
+      const match = segment.match(/^\{(.+)\}$/);
+      if (!match) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    })
+    .join('/');
+  // Literal segments win over parameters (/api/listings/search over /api/listings/{id})
+  const rank = template.split('/').map((segment) => (segment.startsWith('{') ? 1 : 0));
+  return { template, regex: new RegExp(`^${source}/?$`), names, rank };
+};
+
+const byLiteralSegments = (a, b) => {
+  for (let index = 0; index < Math.min(a.rank.length, b.rank.length); index += 1) {
+    if (a.rank[index] !== b.rank[index]) return a.rank[index] - b.rank[index];
+  }
+  return a.rank.length - b.rank.length;
+};
+
+// instancePath /listings/0/title -> listings[0].title
+const fieldName = (where, error) => {
+  const path = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((part) => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('');
+  const missing = error.keyword === 'required' ? `.${error.params.missingProperty}` : '';
+  return `${where}${path}${missing}`;
+};
+
+const toFieldErrors = (where, errors) =>
+  errors.map((error) => ({ field: fieldName(where, error), code: error.keyword, message: error.message }));
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const mismatch = (field, code, message) => [{ field, code, message }];
+
+export const createContractValidator = (spec) => {
+  const resolved = withLocalRefs(spec);
+  const responses = createAjv(resolved.components.schemas);
+  // Query and path values arrive as strings, and validate() coerces body
+  // values the same way, so requests are checked with coercion
+  const requests = createAjv(resolved.components.schemas, { coerceTypes: 'array' });
+  const compiled = new WeakMap();
+  const compile = (ajv, schema) => {
+    if (!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+    return compiled.get(schema);
+  };
+  // One object schema per operation and location, built on first use
+  const parameterSchemas = new WeakMap();
+
+  const routes = Object.keys(resolved.paths).map(compilePath).sort(byLiteralSegments);
+
+  const resolveResponse = (response) =>
+    response?.$ref ? resolved.components.responses[response.$ref.split('/').pop()] : response;
+
+  const findRoute = (path) => {
+    for (const route of routes) {
+      const match = path.match(route.regex);
+      if (match) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decode(match[index + 1])]));
+        return { item: resolved.paths[route.template], template: route.template, params };
+      }
+    }
+    return null;
+  };
+
+  const checkParameters = (operation, location, values) => {
+    if (!parameterSchemas.has(operation)) parameterSchemas.set(operation, {});
+    const schemas = parameterSchemas.get(operation);
+    if (!schemas[location]) {
+      const list = (operation.parameters ?? []).filter((parameter) => parameter.in === location);
+      schemas[location] = {
+        type: 'object',
+        required: list.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+        properties: Object.fromEntries(list.map((parameter) => [parameter.name, parameter.schema])),
+      };
+    }
+    const validate = compile(requests, schemas[location]);
+    return validate(structuredClone(values)) ? [] : toFieldErrors(location, validate.errors);
+  };
+
+  const isFile = (property) => property?.format === 'binary' || property?.items?.format === 'binary';
+
+  // multer leaves text fields in req.body and files in req.files (an array,
+  // or arrays by field name); files are validated by their names, and text
+  // sent under a file field is ignored like the routes ignore it
+  const multipartValues = (req, schema) => {
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files ?? {}).flat();
+    if (req.file) files.push(req.file);
+    const values = Object.fromEntries(
+      Object.entries(req.body ?? {}).filter(([field]) => !isFile(schema.properties?.[field]))
+    );
+    files.forEach((file) => {
+      const property = schema.properties?.[file.fieldname];
+      if (property?.type === 'array') values[file.fieldname] = [...(values[file.fieldname] ?? []), file.originalname];
+      else values[file.fieldname] ??= file.originalname;
+    });
+    return values;
+  };
+
+  // validate() also takes arrays and objects JSON-encoded in JSON bodies
+  const jsonValues = (body, schema) =>
+    Object.fromEntries(
+      Object.entries(structuredClone(body ?? {})).map(([field, value]) => {
+        const { type } = schema.properties?.[field] ?? {};
+        if (typeof value !== 'string' || (type !== 'array' && type !== 'object')) return [field, value];
+        try {
+          return [field, JSON.parse(value)];
+        } catch {
+          return [field, value];
+        }
+      })
+    );
+
+  const checkBody = (operation, req) => {
+    const { requestBody } = operation;
+    const type = req.is('multipart/form-data') ? 'multipart/form-data' : req.is('application/json') ? 'application/json' : null;
+    if (!requestBody) return [];
+    if (!type) {
+      return requestBody.required ? mismatch('body', 'required', 'a request body is required') : [];
+    }
+    const media = requestBody.content[type];
+    if (!media) return mismatch('body', 'content_type', `${type} bodies are not documented`);
+    const values = type === 'multipart/form-data' ? multipartValues(req, media.schema) : jsonValues(req.body, media.schema);
+    const validate = compile(requests, media.schema);
+    return validate(values) ? [] : toFieldErrors('body', validate.errors);
+  };
+
+  const checkRequest = (operation, req, route) => [
+    ...checkParameters(operation, 'path', route.params),
+    ...checkParameters(operation, 'query', req.query),
+    ...checkBody(operation, req),
+  ];
+
+  const checkResponse = (operation, status, body) => {
+    const response = resolveResponse(operation.responses[status] ?? operation.responses[`${String(status)[0]}XX`] ?? operation.responses.default);
+    if (!response) return mismatch('status', 'undocumented', `status ${status} is not documented`);
+    const schema = response.content?.['application/json']?.schema;
+    if (!schema) return mismatch('response', 'content_type', `a JSON body is not documented for status ${status}`);
+    const validate = compile(responses, schema);
+    return validate(body) ? [] : toFieldErrors('response', validate.errors);
+  };
+
+  return (req, res, next) => {
+    const route = findRoute(req.path);
+    if (!route) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const operation = route.item[req.method === 'HEAD' ? 'get' : req.method.toLowerCase()];
+      const success = res.statusCode < 300;
+      // A method the spec doesn't have is only a mismatch if a route answers it;
+      // otherwise it is the 404 handler's
+      if (!operation && !success) return json(body);
+
+      // Round-trip so dates and the like are checked as they are sent
+      const sent = body === undefined ? body : JSON.parse(JSON.stringify(body));
+      const errors = !operation
+        ? mismatch('method', 'undocumented', `${req.method} ${route.template} is not documented`)
+        : [...checkResponse(operation, res.statusCode, sent), ...(success ? checkRequest(operation, req, route) : [])];
+      if (errors.length === 0) return json(body);
+
+      logger.error('OpenAPI mismatch', { method: req.method, url: req.originalUrl, status: res.statusCode, errors });
+      res.status(500);
+      return json({ error: 'Response does not match the API specification', code: 'SPEC_MISMATCH', errors });
+    };
+    next();
+  };
+};
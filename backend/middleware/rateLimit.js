@@ -0,0 +1,138 @@
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import { identify } from './auth.js';
+import { profiles } from '../repositories/index.js';
+import { redis, redisReady } from '../services/redis.js';
+import { logger } from '../services/logger.js';
+
+// Rate limiting shared by every instance through Redis (falling back to
+// per-process counters while Redis is unavailable). Signed-in requests are
+// counted per user and anonymous ones per IP, so one busy user does not throttle
+// everyone behind the same NAT.
+//
+// Each quota has a window and a limit per user_type: `anonymous` applies to
+// requests without a valid token and `default` to any user type not listed.
+// Override individual values with RATE_LIMITS, e.g.
+//   RATE_LIMITS='{"listing-create":{"landlord":50}}'
+
+const PREFIX = 'rentals:ratelimit:';
+const MINUTE = 60 * 1000;
+
+export const QUOTAS = {
+  // Every API request; reads are only limited by this one
+  global: { windowMs: 15 * MINUTE, anonymous: 1000, default: 2000, admin: 10000 },
+  'listing-create': { windowMs: 60 * MINUTE, default: 10, landlord: 30, caretaker: 30, admin: 100 },
+  // Listing creates and updates that carry photos
+  'image-upload': { windowMs: 60 * MINUTE, default: 20, landlord: 60, caretaker: 60, admin: 200 },
+  'listing-import': { windowMs: 60 * MINUTE, default: 5, landlord: 20, caretaker: 20, admin: 50 },
+  'listing-write': { windowMs: 15 * MINUTE, default: 50, admin: 500 },
+  // Invitations email the caretaker
+  delegations: { windowMs: 60 * MINUTE, default: 30, landlord: 60 },
+  // Applications carry uploaded documents
+  applications: { windowMs: 60 * MINUTE, default: 30, landlord: 200, caretaker: 200 },
+  favorites: { windowMs: 15 * MINUTE, default: 100 },
+  inquiries: { windowMs: 15 * MINUTE, default: 100 },
+  reports: { windowMs: 15 * MINUTE, default: 20, admin: 200 },
+  'saved-searches': { windowMs: 15 * MINUTE, default: 100 },
+  recommendations: { windowMs: 15 * MINUTE, default: 100 },
+  viewings: { windowMs: 15 * MINUTE, default: 100 },
+  'viewing-slots': { windowMs: 15 * MINUTE, default: 100 },
+  webhooks: { windowMs: 15 * MINUTE, default: 50, admin: 200 },
+  // Each payment prompts a phone
+  payments: { windowMs: 15 * MINUTE, default: 20, admin: 200 },
+};
+
+const overrides = (() => {
+  try {
+    return JSON.parse(process.env.RATE_LIMITS || '{}');
+  } catch (error) {
+    logger.warn('Ignoring invalid RATE_LIMITS', { error });
+    return {};
+  }
+})();
+
+// Fixed-window counter: the first hit in a window starts its expiry
+const INCREMENT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+// express-rate-limit store that counts in Redis while it is connected and in
+// a local MemoryStore otherwise
+class SharedStore {
+  constructor(name) {
+    this.prefix = `${PREFIX}${name}:`;
+    this.local = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.local.init(options);
+  }
+
+  async shared(op, fallback) {
+    if (redisReady()) {
+      try {
+        return await op();
+      } catch (error) {
+        logger.warn('Redis rate limit error, counting locally', { error });
+      }
+    }
+    return fallback();
+  }
+
+  increment(key) {
+    return this.shared(
+      async () => {
+        const [totalHits, ttl] = await redis.eval(INCREMENT, { keys: [this.prefix + key], arguments: [String(this.windowMs)] });
+        return { totalHits, resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+      },
+      () => this.local.increment(key)
+    );
+  }
+
+  decrement(key) {
+    return this.shared(() => redis.decr(this.prefix + key), () => this.local.decrement(key));
+  }
+
+  resetKey(key) {
+    return this.shared(() => redis.del(this.prefix + key), () => this.local.resetKey(key));
+  }
+}
+
+// user_type of the request's user, or 'anonymous'; looked up once per request
+const userType = async (req) => {
+  const user = await identify(req);
+  if (!user) return 'anonymous';
+  req.userType ??= profiles
+    .findById(user.id, { columns: ['user_type'] })
+    .then((profile) => profile?.user_type ?? 'default')
+    .catch(() => 'default');
+  return req.userType;
+};
+
+// Limiter for a named quota. Options: quota (defaults to QUOTAS[name]) and
+// skip(req) for requests the quota does not cover.
+export const rateLimiter = (name, { quota = QUOTAS[name], skip } = {}) => {
+  const limits = { ...quota, ...overrides[name] };
+
+  return rateLimit({
+    windowMs: limits.windowMs,
+    limit: async (req) => limits[await userType(req)] ?? limits.default,
+    keyGenerator: async (req) => {
+      const user = await identify(req);
+      return user ? `user:${user.id}` : `ip:${req.ip}`;
+    },
+    skip,
+    store: new SharedStore(name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res.status(429).json({
+        error: 'Too many requests, please try again later',
+        code: 'RATE_LIMITED',
+        retry_after: Number(res.get('Retry-After')),
+      });
+    },
+  });
+};
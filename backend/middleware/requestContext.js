@@ -0,0 +1,69 @@
+import { randomUUID } from 'crypto';
+import { AsyncResource } from 'async_hooks';
+import morgan from 'morgan';
+import { logger, runWithContext } from '../services/logger.js';
+
+// Request IDs. A well-formed X-Request-Id from the caller (or the proxy in
+// front of us) is kept, otherwise one is generated. It is sent back in the
+// X-Request-Id header and as request_id in error responses, and attached to
+// every log entry written while the request is served.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const isErrorBody = (body) => body !== null && typeof body === 'object' && !Array.isArray(body) && 'error' in body;
+
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  req.timings = {};
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && isErrorBody(body) ? { ...body, request_id: req.id } : body);
+
+  runWithContext({ requestId: req.id, timings: req.timings }, () => {
+    // Body parsers and multer continue the chain from stream events, which
+    // run in the socket's context; binding emit keeps them in this one
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    res.emit = AsyncResource.bind(res.emit, 'RequestContext', res);
+    next();
+  });
+};
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// Path segments that are secrets: the M-Pesa callback secret and the share
+// token of a favorites collection
+const SECRET_PATHS = /^(\/api\/(?:payments\/mpesa\/[\w-]+|favorites\/shared)\/)[^/?]+/i;
+
+// Secret path segments and query values with sensitive names are not logged
+const loggedUrl = (url) =>
+  url
+    .replace(SECRET_PATHS, '$1[REDACTED]')
+    .replace(/([?&][^=&]*(?:token|key|secret|signature)[^=&]*=)[^&]*/gi, '$1[REDACTED]');
+
+// One entry per request once the response is sent: status, timing, and the
+// time spent in outside services (Supabase) among it
+export const accessLog = morgan(
+  (tokens, req, res) => {
+    const status = res.statusCode;
+    // Probes arrive every few seconds; only their failures are worth seeing
+    const probe = req.originalUrl.startsWith('/api/health');
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : probe ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      request_id: req.id,
+      method: req.method,
+      url: loggedUrl(req.originalUrl),
+      status,
+      duration_ms: Number(tokens['total-time'](req, res, 1)),
+      content_length: Number(res.get('Content-Length')) || undefined,
+      user_id: req.user?.id,
+      timings: Object.fromEntries(
+        Object.entries(req.timings ?? {}).map(([service, { calls, ms }]) => [service, { calls, ms: round(ms) }])
+      ),
+      ip: req.ip,
+      user_agent: req.get('User-Agent'),
+    });
+    // The entry is written by the logger, not by morgan
+    return null;
+  }
+);
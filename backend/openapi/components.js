@@ -0,0 +1,819 @@
+import { PROPERTY_TYPES, FURNISHING_STATUSES, AMENITIES } from '../validation/listingSchema.js';
+import { LISTING_STATUSES, REPORT_REASONS } from '../services/listingStatus.js';
+import { PERMISSIONS, DELEGATION_STATUSES } from '../services/delegations.js';
+import { VIEWING_STATUSES } from '../services/viewings.js';
+import { ALERT_FREQUENCIES } from '../services/savedSearchAlerts.js';
+import { CHANNELS } from '../services/notifier.js';
+import { AUDIT_ACTIONS } from '../services/listingAudit.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from '../services/webhooks.js';
+import { IMAGE_SIZES } from '../services/listingImages.js';
+import { APPLICATION_STATUSES, EMPLOYMENT_STATUSES, DOCUMENT_KINDS } from '../services/applications.js';
+import { PAYMENT_PURPOSES, PAYMENT_STATUSES, LEDGER_ENTRIES } from '../services/payments.js';
+import { FEATURE_PLANS } from '../services/featuredListings.js';
+import { MATCH_REASONS } from '../utils/recommendations.js';
+import { ref, nullable, json } from './helpers.js';
+
+// Schemas, responses and security schemes shared by the path modules. Columns
+// the database allows to be null are nullable here too.
+
+const id = { type: 'string', format: 'uuid' };
+const timestamp = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+const text = { type: 'string' };
+const requestId = { type: 'string', description: 'Also in the X-Request-Id header; quote it when reporting a problem' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+
+const imageSize = object({
+  width: nullable(integer),
+  height: nullable(integer),
+  webp: nullable(text),
+  jpeg: nullable(text),
+});
+
+// Every listing column a response can carry; each listing schema picks some
+const LISTING_FIELDS = {
+  id,
+  title: text,
+  description: nullable(text),
+  price: integer,
+  previous_price: nullable(integer),
+  price_changed_at: nullable(timestamp),
+  price_dropped: nullable(boolean),
+  property_type: { type: 'string', enum: PROPERTY_TYPES },
+  bedrooms: nullable(integer),
+  bathrooms: nullable(integer),
+  location: text,
+  county: nullable(text),
+  estate: nullable(text),
+  landlord_id: id,
+  landlord_name: nullable(text),
+  amenities: nullable({ type: 'array', items: { type: 'string', enum: AMENITIES } }),
+  furnishing_status: nullable({ type: 'string', enum: FURNISHING_STATUSES }),
+  parking: nullable(boolean),
+  garden: nullable(boolean),
+  balcony: nullable(boolean),
+  own_compound: nullable(boolean),
+  electricity: nullable(boolean),
+  internet: nullable(boolean),
+  hide_contact: nullable(boolean),
+  status: { type: 'string', enum: LISTING_STATUSES },
+  rejection_reason: nullable(text),
+  submitted_at: nullable(timestamp),
+  reviewed_at: nullable(timestamp),
+  reviewed_by: nullable(id),
+  images: { type: 'array', items: ref('Image') },
+  latitude: nullable(number),
+  longitude: nullable(number),
+  coordinates_source: nullable(text),
+  featured: { type: 'boolean', description: 'Paid placement; featured listings come first in browse and search' },
+  featured_until: nullable(timestamp),
+  deleted_at: nullable(timestamp),
+  created_at: timestamp,
+  updated_at: timestamp,
+};
+
+const listing = (columns, { required = columns, properties = {}, description } = {}) => ({
+  type: 'object',
+  ...(description ? { description } : {}),
+  required,
+  properties: { ...Object.fromEntries(columns.map((column) => [column, LISTING_FIELDS[column]])), ...properties },
+});
+
+const SUMMARY_COLUMNS = [
+  'id', 'title', 'price', 'previous_price', 'price_dropped', 'location', 'property_type', 'bedrooms', 'bathrooms',
+  'status', 'images', 'latitude', 'longitude', 'featured', 'featured_until', 'created_at', 'updated_at',
+];
+const OWNER_COLUMNS = [
+  'id', 'title', 'price', 'location', 'status', 'rejection_reason', 'submitted_at', 'images', 'created_at', 'updated_at',
+];
+const DETAIL_COLUMNS = [
+  'id', 'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate',
+  'amenities', 'furnishing_status', 'parking', 'garden', 'balcony', 'own_compound', 'electricity', 'internet',
+  'status', 'rejection_reason', 'images', 'landlord_id', 'latitude', 'longitude', 'coordinates_source', 'hide_contact',
+  'previous_price', 'price_changed_at', 'price_dropped', 'featured', 'featured_until',
+];
+const QUEUE_COLUMNS = [
+  'id', 'title', 'description', 'price', 'location', 'county', 'property_type', 'images', 'landlord_id', 'landlord_name',
+  'status', 'submitted_at', 'reviewed_at', 'reviewed_by', 'rejection_reason', 'created_at', 'updated_at',
+];
+
+const metrics = (type) => object({
+  views: type,
+  impressions: type,
+  favorites_added: type,
+  favorites_removed: type,
+  contacts: type,
+});
+
+const withRates = (schema) => ({
+  ...schema,
+  required: [...schema.required, 'view_rate', 'contact_rate'],
+  properties: { ...schema.properties, view_rate: nullable(number), contact_rate: nullable(number) },
+});
+
+const rentFigures = {
+  listings: integer,
+  p25: nullable(integer),
+  median: nullable(integer),
+  p75: nullable(integer),
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: text,
+      code: text,
+      message: text,
+      details: text,
+      timestamp,
+      request_id: requestId,
+    },
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'code', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Path of the field, e.g. `slots[2].starts_at` or `filters.near`' },
+      code: text,
+      message: text,
+      row: { type: 'integer', description: 'Spreadsheet row, for imports' },
+    },
+  },
+  ValidationError: object(
+    {
+      error: { const: 'Validation error' },
+      code: { const: 'VALIDATION_ERROR' },
+      message: text,
+      errors: { type: 'array', items: ref('FieldError') },
+      timestamp,
+      request_id: requestId,
+    },
+    ['error', 'code', 'message', 'errors', 'timestamp']
+  ),
+  Message: object({ message: text }),
+  PageMeta: {
+    type: 'object',
+    description:
+      'Pagination fields of every list. Follow `next_cursor` (or `links.next`) for the next page; offset is only ' +
+      'returned for offset-based pages. total is null when `?total=none`.',
+    required: ['total', 'total_type', 'limit', 'next_cursor', 'prev_cursor', 'links'],
+    properties: {
+      total: nullable(integer),
+      total_type: nullable({ type: 'string', enum: ['exact', 'estimated'] }),
+      limit: integer,
+      offset: integer,
+      next_cursor: nullable(text),
+      prev_cursor: nullable(text),
+      links: object({ next: nullable(text), prev: nullable(text) }),
+    },
+  },
+
+  Image: {
+    type: 'object',
+    description: 'A processed photo. hash is null for photos uploaded before processing, whose sizes all point at the original.',
+    required: ['hash', 'width', 'height', 'placeholder', 'sizes'],
+    properties: {
+      hash: nullable(text),
+      width: nullable(integer),
+      height: nullable(integer),
+      placeholder: nullable({ type: 'string', description: 'Tiny base64 data URL to show while loading' }),
+      sizes: object(Object.fromEntries(Object.keys(IMAGE_SIZES).map((size) => [size, imageSize]))),
+    },
+  },
+  ListingSummary: listing(SUMMARY_COLUMNS, {
+    required: SUMMARY_COLUMNS,
+    properties: { distance_km: { ...nullable(number), description: 'Only for radius searches' } },
+    description: 'A listing as lists and search results show it',
+  }),
+  SearchResult: listing(SUMMARY_COLUMNS, {
+    required: [...SUMMARY_COLUMNS, 'highlights'],
+    properties: {
+      highlights: {
+        type: 'object',
+        description: 'Snippets of the fields the query matched, with matches in `<mark>`',
+        properties: { title: text, location: text, description: text },
+      },
+      relevance: { type: 'number', description: 'Only when there is a query' },
+      distance_km: { ...nullable(number), description: 'Only for radius searches' },
+    },
+  }),
+  Recommendation: listing([...SUMMARY_COLUMNS, 'county', 'estate', 'amenities'], {
+    required: [...SUMMARY_COLUMNS, 'score', 'match_reasons'],
+    properties: {
+      score: { type: 'number', description: 'Higher is a closer match; only comparable within one list' },
+      match_reasons: {
+        type: 'array',
+        items: { type: 'string', enum: MATCH_REASONS },
+        description: 'What it matches well: the same estate or county, the price band, bedrooms, property type or amenities',
+      },
+    },
+    description: 'A similar or recommended listing',
+  }),
+  OwnerListing: listing(OWNER_COLUMNS, { description: 'A listing as its landlord sees it in their lists' }),
+  ManagedListing: listing([...OWNER_COLUMNS, 'landlord_id', 'deleted_at'], {
+    properties: { access: ref('ListingAccess') },
+    required: [...OWNER_COLUMNS, 'landlord_id', 'deleted_at', 'access'],
+  }),
+  ListingAccess: object({
+    role: { type: 'string', enum: ['owner', 'caretaker'] },
+    permissions: { type: 'array', items: { type: 'string', enum: [...PERMISSIONS, 'delete'] } },
+  }),
+  ListingDetail: listing(DETAIL_COLUMNS, {
+    required: DETAIL_COLUMNS,
+    properties: {
+      profiles: nullable({
+        type: 'object',
+        description: 'The landlord. phone and email are null while contact_hidden.',
+        required: ['id', 'full_name', 'phone', 'user_type', 'email'],
+        properties: { id, full_name: nullable(text), phone: nullable(text), user_type: nullable(text), email: nullable(text) },
+      }),
+      contact_hidden: {
+        type: 'boolean',
+        description: 'Present when the landlord hides their contact details until they reply to an inquiry',
+      },
+    },
+  }),
+  ModerationListing: listing(QUEUE_COLUMNS, {
+    properties: { open_reports: { ...integer, description: 'Reports still open; in the review queue only' } },
+  }),
+  ListingRef: {
+    type: 'object',
+    description: 'The few listing fields attached to viewings, inquiries and other records',
+    required: ['id'],
+    properties: LISTING_FIELDS,
+  },
+  Pin: {
+    oneOf: [
+      object({ type: { const: 'listing' }, id, price: integer, latitude: number, longitude: number }),
+      object({
+        type: { const: 'cluster' },
+        count: integer,
+        latitude: number,
+        longitude: number,
+        bbox: { type: 'array', items: number, minItems: 4, maxItems: 4, description: 'minLng, minLat, maxLng, maxLat' },
+        min_price: nullable(integer),
+        max_price: nullable(integer),
+      }),
+    ],
+  },
+  FacetCount: object({ value: { type: ['string', 'integer'] }, count: integer }),
+  Facets: {
+    type: 'object',
+    description: 'Result counts per option, each counted with every other facet filter applied',
+    required: ['property_type', 'bedrooms', 'county', 'furnishing_status', 'amenities', 'price'],
+    properties: {
+      property_type: { type: 'array', items: ref('FacetCount') },
+      bedrooms: { type: 'array', items: ref('FacetCount') },
+      county: { type: 'array', items: ref('FacetCount') },
+      furnishing_status: { type: 'array', items: ref('FacetCount') },
+      amenities: { type: 'array', items: ref('FacetCount') },
+      price: {
+        type: 'array',
+        items: object({ min: integer, max: { ...nullable(integer), description: 'Exclusive; null for the top band' }, count: integer }),
+      },
+    },
+  },
+  SearchFilters: {
+    type: 'object',
+    description:
+      'Filters for POST /api/listings/search, also stored on saved searches. property_type, bedrooms, county, ' +
+      'furnishing_status, price and amenities are facets: arrays select any of the options (all of them for amenities).',
+    properties: {
+      location: { type: 'string', description: 'Substring of the location' },
+      estate: { type: 'string', description: 'Substring of the estate' },
+      county: { anyOf: [{ type: 'string', description: 'Substring of the county' }, { type: 'array', items: text }] },
+      property_type: {
+        anyOf: [{ type: 'string', enum: PROPERTY_TYPES }, { type: 'array', items: { type: 'string', enum: PROPERTY_TYPES } }],
+      },
+      bedrooms: { anyOf: [integer, { type: 'array', items: integer }] },
+      bathrooms: integer,
+      furnishing_status: {
+        anyOf: [
+          { type: 'string', enum: FURNISHING_STATUSES },
+          { type: 'array', items: { type: 'string', enum: FURNISHING_STATUSES } },
+        ],
+      },
+      min_price: integer,
+      max_price: integer,
+      amenities: { type: 'array', items: { type: 'string', enum: AMENITIES } },
+      ...Object.fromEntries(
+        ['parking', 'garden', 'balcony', 'own_compound', 'electricity', 'internet'].map((field) => [
+          field,
+          { anyOf: [boolean, { type: 'string', enum: ['true', 'false'] }] },
+        ])
+      ),
+      near: {
+        anyOf: [
+          { type: 'string', description: '"latitude,longitude"' },
+          { type: 'array', items: number, minItems: 2, maxItems: 2 },
+        ],
+      },
+      radius_km: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: 10 },
+      bbox: {
+        anyOf: [
+          { type: 'string', description: '"minLng,minLat,maxLng,maxLat"' },
+          { type: 'array', items: number, minItems: 4, maxItems: 4 },
+        ],
+      },
+    },
+  },
+
+  Favorite: object({ id, listing_id: id, note: nullable(text), collection_id: nullable(id), created_at: timestamp }),
+  FavoriteEntry: object({
+    id,
+    created_at: timestamp,
+    listing_id: id,
+    note: nullable(text),
+    collection_id: nullable(id),
+    available: { ...boolean, description: 'False once the listing is rented, archived or otherwise no longer published' },
+    listings: nullable(ref('ListingRef')),
+  }),
+  FavoriteCollection: object({
+    id,
+    name: text,
+    description: nullable(text),
+    favorite_count: integer,
+    share_url: nullable({ ...text, description: 'The read-only link, while the collection is shared' }),
+    shared_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }),
+  SharedFavorite: object(
+    {
+      listing_id: id,
+      created_at: timestamp,
+      available: boolean,
+      listings: { ...nullable(ref('ListingRef')), description: 'Left out, with created_at, when the listing is not available' },
+    },
+    ['listing_id', 'available']
+  ),
+  FavoriteComparison: object({
+    listings: {
+      type: 'array',
+      items: object({
+        listing_id: id,
+        available: boolean,
+        note: nullable(text),
+        listing: ref('ListingRef'),
+      }),
+    },
+    attributes: {
+      type: 'array',
+      description: 'One row per attribute, with a value per listing in the order requested',
+      items: object({
+        group: { type: 'string', enum: ['basics', 'utilities', 'features', 'amenities'] },
+        key: text,
+        values: { type: 'array', items: {} },
+        same: { ...boolean, description: 'Whether every listing has the same value' },
+      }),
+    },
+  }),
+
+  SavedSearch: object(
+    {
+      id,
+      name: text,
+      query: text,
+      filters: ref('SearchFilters'),
+      alerts: { type: 'string', enum: ALERT_FREQUENCIES },
+      channels: { type: 'array', items: { type: 'string', enum: CHANNELS } },
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    ['id', 'name', 'query', 'filters', 'alerts', 'channels']
+  ),
+  SearchHistoryEntry: object({
+    id,
+    query: nullable(text),
+    filters: { type: 'object', description: 'The filters used, as sent to browse or search' },
+    created_at: timestamp,
+  }),
+  Dismissal: object(
+    {
+      id,
+      listing_id: id,
+      created_at: timestamp,
+      listing: {
+        ...nullable(listing(['id', 'title', 'price', 'location', 'status', 'images'])),
+        description: 'Only in lists; null once the listing is gone',
+      },
+    },
+    ['id', 'listing_id', 'created_at']
+  ),
+  DigestGroup: object({
+    saved_search: object({ id, name: text }),
+    matches: {
+      type: 'array',
+      items: object({
+        id,
+        reason: { type: 'string', enum: ['new', 'price_drop'] },
+        price: nullable(integer),
+        previous_price: nullable(integer),
+        matched_at: timestamp,
+        listing: ref('ListingRef'),
+      }),
+    },
+  }),
+
+  ViewingSlot: {
+    type: 'object',
+    required: ['id', 'listing_id', 'starts_at', 'ends_at', 'status', 'created_at'],
+    properties: {
+      id,
+      listing_id: id,
+      starts_at: timestamp,
+      ends_at: timestamp,
+      status: { type: 'string', enum: ['open', 'cancelled'] },
+      created_at: timestamp,
+      available: { type: 'boolean', description: 'Whether nobody has booked it; in slot lists' },
+    },
+  },
+  Viewing: {
+    type: 'object',
+    required: ['id', 'listing_id', 'tenant_id', 'landlord_id', 'starts_at', 'ends_at', 'status', 'proposed_by', 'listing'],
+    properties: {
+      id,
+      listing_id: id,
+      tenant_id: id,
+      landlord_id: id,
+      slot_id: nullable(id),
+      starts_at: timestamp,
+      ends_at: timestamp,
+      status: { type: 'string', enum: VIEWING_STATUSES },
+      proposed_by: id,
+      note: nullable(text),
+      sequence: integer,
+      cancelled_by: nullable(id),
+      cancel_reason: nullable(text),
+      role: { type: 'string', enum: ['tenant', 'landlord'], description: "The caller's side" },
+      listing: nullable(ref('ListingRef')),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+
+  InquiryThread: object(
+    {
+      id,
+      listing_id: id,
+      listing: nullable(ref('ListingRef')),
+      role: { type: 'string', enum: ['tenant', 'landlord'], description: "The caller's side" },
+      counterpart_id: id,
+      last_message_at: nullable(timestamp),
+      last_message_preview: nullable(text),
+      unread_count: integer,
+      archived: boolean,
+      landlord_replied: boolean,
+      created_at: timestamp,
+    },
+    ['id', 'listing_id', 'listing', 'role', 'counterpart_id', 'unread_count', 'archived', 'landlord_replied']
+  ),
+  InquiryMessage: {
+    type: 'object',
+    required: ['id', 'thread_id', 'sender_id', 'body', 'attachments', 'created_at'],
+    properties: {
+      id,
+      thread_id: id,
+      sender_id: id,
+      body: text,
+      attachments: {
+        type: 'array',
+        items: object({
+          id,
+          name: text,
+          content_type: text,
+          size: integer,
+          url: { type: 'string', description: 'Signed URL, valid for an hour' },
+        }),
+      },
+      created_at: timestamp,
+      read: { type: 'boolean', description: "On the caller's own messages: whether the other side has read it" },
+    },
+  },
+
+  RentalApplication: {
+    type: 'object',
+    required: [
+      'id', 'listing_id', 'listing', 'tenant_id', 'landlord_id', 'role', 'status', 'move_in_date', 'occupants',
+      'employment_status', 'employer', 'job_title', 'monthly_income', 'message', 'documents', 'decision_reason',
+      'decided_at', 'created_at', 'updated_at',
+    ],
+    properties: {
+      id,
+      listing_id: id,
+      listing: nullable(ref('ListingRef')),
+      tenant_id: id,
+      landlord_id: id,
+      role: { type: 'string', enum: ['tenant', 'landlord'], description: "The caller's side" },
+      status: { type: 'string', enum: APPLICATION_STATUSES },
+      move_in_date: date,
+      occupants: integer,
+      employment_status: { type: 'string', enum: EMPLOYMENT_STATUSES },
+      employer: nullable(text),
+      job_title: nullable(text),
+      monthly_income: nullable(integer),
+      message: nullable(text),
+      documents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'kind', 'name', 'content_type', 'size'],
+          properties: {
+            id,
+            kind: { type: 'string', enum: DOCUMENT_KINDS },
+            name: text,
+            content_type: text,
+            size: integer,
+            url: { type: 'string', description: 'Signed URL, valid for 15 minutes; on single applications only' },
+          },
+        },
+      },
+      decision_reason: nullable(text),
+      decided_at: nullable(timestamp),
+      applicant: nullable({
+        ...object({ id, full_name: nullable(text), phone: nullable(text), email: nullable(text) }),
+        description: "The tenant's profile; on the landlord's side only",
+      }),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+
+  Report: {
+    type: 'object',
+    required: ['id', 'listing_id', 'reason', 'details', 'status', 'created_at'],
+    properties: {
+      id,
+      listing_id: id,
+      reporter_id: id,
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: nullable(text),
+      status: { type: 'string', enum: ['open', 'dismissed', 'upheld'] },
+      resolution_note: nullable(text),
+      resolved_by: nullable(id),
+      resolved_at: nullable(timestamp),
+      created_at: timestamp,
+      updated_at: timestamp,
+      listing: { ...nullable(ref('ListingRef')), description: 'In the moderation queue' },
+    },
+  },
+
+  Person: object({ id, full_name: nullable(text), email: nullable(text) }),
+  Delegation: {
+    type: 'object',
+    required: ['id', 'landlord_id', 'caretaker_id', 'listing_id', 'permissions', 'status', 'landlord', 'caretaker', 'listing'],
+    properties: {
+      id,
+      landlord_id: id,
+      caretaker_id: id,
+      listing_id: { ...nullable(id), description: 'null when it covers every listing of the landlord' },
+      permissions: { type: 'array', items: { type: 'string', enum: PERMISSIONS } },
+      status: { type: 'string', enum: DELEGATION_STATUSES },
+      responded_at: nullable(timestamp),
+      revoked_at: nullable(timestamp),
+      revoked_by: nullable(id),
+      created_at: timestamp,
+      updated_at: timestamp,
+      landlord: nullable(ref('Person')),
+      caretaker: nullable(ref('Person')),
+      listing: nullable(object({ id, title: text })),
+    },
+  },
+
+  ImportRowError: object({ row: integer, field: text, code: text, message: text }, ['row', 'code', 'message']),
+  ImportJob: {
+    type: 'object',
+    required: ['id', 'format', 'status', 'total_rows', 'processed_rows', 'progress', 'created_at'],
+    properties: {
+      id,
+      landlord_id: id,
+      format: { type: 'string', enum: ['csv', 'xlsx'] },
+      file_name: nullable(text),
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      total_rows: integer,
+      processed_rows: integer,
+      created_count: integer,
+      updated_count: integer,
+      failed_count: integer,
+      errors: { type: 'array', items: ref('ImportRowError') },
+      listing_ids: { type: 'array', items: id },
+      error: nullable(text),
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      started_at: nullable(timestamp),
+      finished_at: nullable(timestamp),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+  ImportCheck: object({
+    format: { type: 'string', enum: ['csv', 'xlsx'] },
+    total_rows: integer,
+    valid_rows: integer,
+    creates: integer,
+    updates: integer,
+    errors: { type: 'array', items: ref('ImportRowError') },
+  }),
+
+  ListingAnalytics: object({
+    listing_id: id,
+    from: date,
+    to: date,
+    days: integer,
+    totals: withRates(metrics(integer)),
+    daily: { type: 'array', items: { ...metrics(integer), required: ['date', ...metrics(integer).required], properties: { date, ...metrics(integer).properties } } },
+    comparison: {
+      type: 'object',
+      description: 'Against the average of similar published listings in the same estate (or county)',
+      required: ['property_type', 'similar_listings', 'average', 'relative', 'average_price'],
+      properties: {
+        estate: text,
+        county: text,
+        property_type: text,
+        similar_listings: integer,
+        average: nullable(withRates(metrics(number))),
+        relative: nullable({ ...metrics(nullable(number)), description: "This listing's figures as multiples of the average" }),
+        average_price: nullable(integer),
+      },
+    },
+  }),
+  PriceComparison: object({
+    estate: text,
+    county: text,
+    property_type: text,
+    bedrooms: nullable(integer),
+    ...rentFigures,
+    position: { type: 'string', enum: ['below', 'typical', 'above'] },
+    difference_pct: nullable(number),
+  }, ['property_type', 'bedrooms', 'listings', 'p25', 'median', 'p75', 'position', 'difference_pct']),
+  PriceHistory: object({
+    listing_id: id,
+    price: integer,
+    previous_price: nullable(integer),
+    price_changed_at: nullable(timestamp),
+    price_dropped: nullable(boolean),
+    history: { type: 'array', items: object({ price: integer, previous_price: nullable(integer), recorded_at: timestamp }) },
+    market: nullable(ref('PriceComparison')),
+  }),
+  RentPoint: object({
+    period_start: date,
+    ...rentFigures,
+    average: nullable(integer),
+    change_pct: nullable(number),
+  }),
+  MarketRents: object({
+    filters: object(
+      { county: text, estate: text, property_type: text, bedrooms: integer },
+      []
+    ),
+    period: { type: 'string', enum: ['week', 'month'] },
+    periods: integer,
+    current: nullable(ref('RentPoint')),
+    trend: object({
+      from: nullable(date),
+      to: nullable(date),
+      change_pct: nullable(number),
+      direction: nullable({ type: 'string', enum: ['rising', 'falling', 'flat'] }),
+    }),
+    series: { type: 'array', items: ref('RentPoint') },
+  }),
+
+  AuditEntry: object({
+    id,
+    listing_id: id,
+    landlord_id: id,
+    actor_id: { ...nullable(id), description: 'null for the system (purges)' },
+    action: { type: 'string', enum: AUDIT_ACTIONS },
+    changes: {
+      type: 'object',
+      description: 'The fields that changed',
+      additionalProperties: object({ from: {}, to: {} }),
+    },
+    created_at: timestamp,
+  }),
+
+  WebhookEndpoint: object({
+    id,
+    owner_id: id,
+    url: text,
+    description: nullable(text),
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    all_listings: { type: 'boolean', description: "Admin endpoints receive every landlord's events" },
+    active: boolean,
+    created_at: timestamp,
+    updated_at: timestamp,
+  }),
+  WebhookEndpointWithSecret: {
+    allOf: [
+      ref('WebhookEndpoint'),
+      object({ secret: { type: 'string', description: 'Signs X-Webhook-Signature; only shown when created or rotated' } }),
+    ],
+  },
+  WebhookDelivery: object(
+    {
+      id,
+      endpoint_id: id,
+      event_id: id,
+      event_type: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: { type: 'object' },
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attempts: integer,
+      next_attempt_at: nullable(timestamp),
+      last_attempt_at: nullable(timestamp),
+      delivered_at: nullable(timestamp),
+      response_status: nullable(integer),
+      error: nullable(text),
+      replay_of: nullable(id),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    ['id', 'endpoint_id', 'event_id', 'event_type', 'payload', 'status', 'attempts', 'created_at']
+  ),
+
+  FeaturePlan: object({
+    id: { type: 'string', enum: Object.keys(FEATURE_PLANS) },
+    label: text,
+    days: integer,
+    amount: { type: 'integer', description: 'Kenya shillings' },
+    currency: { const: 'KES' },
+  }),
+  Payment: object(
+    {
+      id,
+      user_id: { ...id, description: 'Who paid' },
+      purpose: { type: 'string', enum: PAYMENT_PURPOSES },
+      listing_id: nullable(id),
+      viewing_id: nullable(id),
+      landlord_id: nullable(id),
+      plan: nullable({ type: 'string', enum: Object.keys(FEATURE_PLANS) }),
+      featured_until: { ...nullable(timestamp), description: 'Featured listings: how long the payment featured it for' },
+      amount: { type: 'integer', description: 'Kenya shillings' },
+      currency: text,
+      phone: { type: 'string', description: 'The M-Pesa number, as 2547XXXXXXXX' },
+      status: {
+        type: 'string',
+        enum: PAYMENT_STATUSES,
+        description: 'pending until the payer answers the prompt on their phone; deposits then move on to refunded or forfeited',
+      },
+      idempotency_key: text,
+      merchant_request_id: nullable(text),
+      checkout_request_id: nullable(text),
+      mpesa_receipt: nullable(text),
+      result_code: nullable(integer),
+      result_desc: nullable(text),
+      paid_at: nullable(timestamp),
+      refund_due_at: { ...nullable(timestamp), description: 'Deposits: when the refund goes out unless forfeited first' },
+      refund_receipt: nullable(text),
+      refund_desc: nullable(text),
+      refunded_at: nullable(timestamp),
+      forfeited_by: nullable(id),
+      forfeited_at: nullable(timestamp),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    ['id', 'user_id', 'purpose', 'amount', 'currency', 'phone', 'status', 'created_at']
+  ),
+  PaymentLedgerEntry: object(
+    {
+      id,
+      payment_id: id,
+      user_id: id,
+      purpose: { type: 'string', enum: PAYMENT_PURPOSES },
+      entry: { type: 'string', enum: LEDGER_ENTRIES, description: 'charge is money in, refund money out' },
+      amount: integer,
+      currency: text,
+      mpesa_receipt: nullable(text),
+      created_at: timestamp,
+    },
+    ['id', 'payment_id', 'user_id', 'purpose', 'entry', 'amount', 'currency', 'created_at']
+  ),
+};
+
+const errorResponse = (description) => json(description, ref('Error'));
+
+export const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'A Supabase access token' },
+  },
+  schemas,
+  responses: {
+    BadRequest: errorResponse('The request cannot be carried out'),
+    Unauthorized: errorResponse('Sign in first'),
+    Forbidden: errorResponse('Not allowed for this user'),
+    NotFound: errorResponse('Not found, or not visible to this user'),
+    Conflict: errorResponse('Conflicts with the current state'),
+    ValidationFailed: json('The request failed validation', ref('ValidationError')),
+    RateLimited: json(
+      'Too many requests; retry after the Retry-After header',
+      { allOf: [ref('Error'), object({ retry_after: integer })] }
+    ),
+    BadGateway: errorResponse('An upstream service refused the request'),
+    ServiceUnavailable: errorResponse('Not available right now'),
+    ServerError: errorResponse('Unexpected error'),
+  },
+};
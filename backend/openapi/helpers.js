@@ -0,0 +1,153 @@
+import { paginationSchema } from '../utils/pagination.js';
+
+// Building blocks for the path modules. Request schemas are derived from the
+// same validation schemas the routes use (validation/index.js), so limits and
+// enums are written down once.
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A schema that also allows null
+export const nullable = (schema) => {
+  if (schema.$ref || schema.anyOf || schema.allOf) return { anyOf: [schema, { type: 'null' }] };
+  return {
+    ...schema,
+    type: [schema.type, 'null'],
+    ...(schema.enum ? { enum: [...schema.enum, null] } : {}),
+  };
+};
+
+const JSON_SCHEMA_TYPES = {
+  string: () => ({ type: 'string' }),
+  integer: () => ({ type: 'integer' }),
+  number: () => ({ type: 'number' }),
+  boolean: () => ({ type: 'boolean' }),
+  array: (rule) => ({ type: 'array', items: rule.items ? { type: 'string', enum: rule.items } : {} }),
+  object: () => ({ type: 'object' }),
+  datetime: () => ({ type: 'string', format: 'date-time' }),
+  date: () => ({ type: 'string', format: 'date' }),
+};
+
+// Multipart forms carry every value as a string: numbers and booleans as
+// text, arrays and objects JSON-encoded
+const MULTIPART_TYPES = {
+  integer: () => ({ type: 'string', pattern: '^\\s*-?\\d+\\s*$', description: 'An integer, as text' }),
+  number: () => ({ type: 'string', pattern: '^\\s*-?\\d+(\\.\\d+)?\\s*$', description: 'A number, as text' }),
+  boolean: () => ({ type: 'string', enum: ['true', 'false'] }),
+  array: (rule) => ({
+    type: 'string',
+    contentMediaType: 'application/json',
+    description: rule.items ? `A JSON-encoded array of: ${rule.items.join(', ')}` : 'A JSON-encoded array',
+  }),
+  object: () => ({ type: 'string', contentMediaType: 'application/json', description: 'A JSON-encoded object' }),
+};
+
+// JSON Schema for one validation rule
+export const fromRule = (rule, { multipart = false } = {}) => {
+  const schema = ((multipart && MULTIPART_TYPES[rule.type]) || JSON_SCHEMA_TYPES[rule.type])(rule);
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.default !== undefined) schema.default = multipart && typeof rule.default !== 'string' ? JSON.stringify(rule.default) : rule.default;
+  return schema;
+};
+
+// Object schema for a validation schema. partial mirrors validate()'s option:
+// nothing is required (PATCH). properties adds or replaces fields.
+export const fromRules = (rules, { partial = false, multipart = false, properties = {}, required = [] } = {}) => {
+  const fields = Object.entries(rules);
+  const requiredFields = partial ? [] : fields.filter(([, rule]) => rule.required).map(([field]) => field);
+  return {
+    type: 'object',
+    ...([...requiredFields, ...required].length > 0 ? { required: [...requiredFields, ...required] } : {}),
+    properties: {
+      ...Object.fromEntries(fields.map(([field, rule]) => [field, fromRule(rule, { multipart })])),
+      ...properties,
+    },
+  };
+};
+
+// Query or path parameters for a validation schema
+export const parametersFrom = (rules, where = 'query') =>
+  Object.entries(rules).map(([name, rule]) => ({
+    name,
+    in: where,
+    ...(where === 'path' || rule.required ? { required: true } : {}),
+    schema: fromRule(rule),
+  }));
+
+export const pathParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' },
+});
+
+export const queryParameter = (name, schema, description) => ({
+  name,
+  in: 'query',
+  ...(description ? { description } : {}),
+  schema,
+});
+
+// limit, offset, cursor, sort, order and total for a paginated list
+export const pageParameters = (sortable, defaultSort = sortable[0], defaultOrder = 'desc') =>
+  parametersFrom(paginationSchema(sortable, defaultSort, defaultOrder));
+
+export const jsonBody = (schema, { required = true } = {}) => ({
+  required,
+  content: { 'application/json': { schema } },
+});
+
+export const multipartBody = (schema) => ({
+  required: true,
+  content: { 'multipart/form-data': { schema } },
+});
+
+export const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+// A page of items under key, with the pagination fields
+export const page = (key, items, properties = {}) => ({
+  allOf: [
+    {
+      type: 'object',
+      required: [key, ...Object.keys(properties)],
+      properties: { [key]: { type: 'array', items }, ...properties },
+    },
+    ref('PageMeta'),
+  ],
+});
+
+// Shared error responses (components.responses), by status
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  422: 'ValidationFailed',
+  429: 'RateLimited',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable',
+};
+
+export const errors = (...statuses) =>
+  Object.fromEntries(statuses.map((status) => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]));
+
+const SIGNED_IN = [{ bearerAuth: [] }];
+const SIGNED_IN_OR_NOT = [{}, { bearerAuth: [] }];
+
+// An operation. auth is 'required', 'optional' or 'none'; responses for 401
+// (required auth) and unexpected errors are added.
+export const operation = ({ auth = 'none', responses, ...rest }) => ({
+  ...rest,
+  ...(auth === 'required' ? { security: SIGNED_IN } : {}),
+  ...(auth === 'optional' ? { security: SIGNED_IN_OR_NOT } : {}),
+  responses: {
+    ...responses,
+    ...(auth === 'required' ? errors(401) : {}),
+    default: { $ref: '#/components/responses/ServerError' },
+  },
+});
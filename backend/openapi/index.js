@@ -0,0 +1,75 @@
+import { components } from './components.js';
+import health from './paths/health.js';
+import listings from './paths/listings.js';
+import listingImports from './paths/listingImports.js';
+import viewingSlots from './paths/viewingSlots.js';
+import listingReports from './paths/listingReports.js';
+import listingAnalytics from './paths/listingAnalytics.js';
+import listingPrices from './paths/listingPrices.js';
+import listingAudit from './paths/listingAudit.js';
+import favorites from './paths/favorites.js';
+import savedSearches from './paths/savedSearches.js';
+import viewings from './paths/viewings.js';
+import inquiries from './paths/inquiries.js';
+import applications from './paths/applications.js';
+import moderation from './paths/moderation.js';
+import delegations from './paths/delegations.js';
+import market from './paths/market.js';
+import webhooks from './paths/webhooks.js';
+import payments from './paths/payments.js';
+import recommendations from './paths/recommendations.js';
+
+// The OpenAPI document for the API, served at /api/docs and checked against
+// requests and responses in development and test (middleware/openapi.js).
+// Every route in app.js must have an operation here; test/openapi.test.js
+// checks both ways.
+export const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Rental Listings API',
+    version: '1.0.0',
+    description:
+      'Listings, search, viewings, inquiries and moderation for the rental listings app. Send the Supabase access ' +
+      'token as a bearer token. Errors have an `error` message, for most a machine-readable `code`, and the ' +
+      '`request_id` also sent in the X-Request-Id header.',
+  },
+  tags: [
+    { name: 'Listings' },
+    { name: 'Imports', description: 'Bulk creation and update of listings from a spreadsheet' },
+    { name: 'Viewings', description: 'Viewing slots offered by landlords and bookings by tenants' },
+    { name: 'Inquiries', description: 'Messages between tenants and landlords about a listing' },
+    { name: 'Applications', description: 'Rental applications from tenants, and landlord decisions on them' },
+    { name: 'Favorites' },
+    { name: 'Saved searches', description: 'Searches with new-listing alerts' },
+    { name: 'Recommendations', description: 'Similar listings and a personalized feed' },
+    { name: 'Analytics' },
+    { name: 'Market', description: 'Price history and asking rent statistics' },
+    { name: 'Delegations', description: 'Caretakers managing listings on behalf of landlords' },
+    { name: 'Moderation', description: 'Review of listings and reports, by admins' },
+    { name: 'Webhooks', description: 'Signed notifications of listing and favorite events' },
+    { name: 'Payments', description: 'M-Pesa payments for featured listings and viewing deposits' },
+    { name: 'System' },
+  ],
+  paths: {
+    ...health,
+    ...listings,
+    ...listingImports,
+    ...viewingSlots,
+    ...listingReports,
+    ...listingAnalytics,
+    ...listingPrices,
+    ...listingAudit,
+    ...favorites,
+    ...savedSearches,
+    ...viewings,
+    ...inquiries,
+    ...applications,
+    ...moderation,
+    ...delegations,
+    ...market,
+    ...webhooks,
+    ...payments,
+    ...recommendations,
+  },
+  components,
+};
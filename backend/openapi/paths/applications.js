@@ -0,0 +1,117 @@
+import { applicationSchema, listSchema, actionSchemas } from '../../routes/applications.js';
+import { APPLICATION_ACTIONS, DOCUMENT_KINDS, MAX_DOCUMENTS } from '../../services/applications.js';
+import { ref, fromRules, parametersFrom, pathParameter, jsonBody, pageParameters, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Applications'];
+
+const id = pathParameter('id', 'Application id');
+
+const documentKinds = {
+  type: 'array',
+  items: { type: 'string', enum: DOCUMENT_KINDS },
+  description: "The kind of each document, in upload order; 'other' where not given",
+};
+
+// Documents need multipart; without them JSON will do
+const applicationBody = {
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: fromRules(applicationSchema, {
+        multipart: true,
+        properties: {
+          document_kinds: {
+            type: 'string',
+            contentMediaType: 'application/json',
+            description: `A JSON-encoded array of: ${DOCUMENT_KINDS.join(', ')}`,
+          },
+          documents: {
+            type: 'array',
+            maxItems: MAX_DOCUMENTS,
+            description: 'ID, payslips and the like: JPEG, PNG, WebP or PDF files, 10MB each. Stored privately.',
+            items: { type: 'string', format: 'binary' },
+          },
+        },
+      }),
+    },
+    'application/json': { schema: fromRules(applicationSchema, { properties: { document_kinds: documentKinds } }) },
+  },
+};
+
+const SUMMARIES = {
+  shortlist: 'Shortlist an application',
+  accept: 'Accept an application',
+  decline: 'Decline an application',
+  withdraw: 'Withdraw my application',
+};
+
+const DESCRIPTIONS = {
+  accept: 'With mark_rented, the listing is also marked rented and its other open applications are declined, their applicants notified.',
+};
+
+const actionPaths = Object.fromEntries(
+  Object.entries(APPLICATION_ACTIONS).map(([action, rule]) => [
+    `/api/applications/{id}/${action}`,
+    {
+      post: operation({
+        tags,
+        auth: 'required',
+        summary: SUMMARIES[action],
+        description: [`For the ${rule.by}'s side, while the application is ${rule.from.join(' or ')}.`, DESCRIPTIONS[action]]
+          .filter(Boolean)
+          .join(' '),
+        parameters: [id],
+        ...(Object.keys(actionSchemas[action]).length > 0
+          ? { requestBody: jsonBody(fromRules(actionSchemas[action]), { required: false }) }
+          : {}),
+        responses: {
+          200: json('The application', ref('RentalApplication')),
+          ...errors(403, 404, 409, 422, 429),
+        },
+      }),
+    },
+  ])
+);
+
+export default {
+  '/api/applications': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Apply for a listing',
+      description: 'One open application per listing. The landlord is notified.',
+      requestBody: applicationBody,
+      responses: {
+        201: json('The application', ref('RentalApplication')),
+        ...errors(400, 404, 409, 422, 429),
+      },
+    }),
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My applications',
+      description: 'Newest first. Without a role, by my user type: landlords and caretakers see applications for their listings.',
+      parameters: [...parametersFrom(listSchema), ...pageParameters(['created_at', 'move_in_date'])],
+      responses: {
+        200: json(
+          'A page of applications',
+          page('applications', ref('RentalApplication'), { role: { type: 'string', enum: ['tenant', 'landlord'] } })
+        ),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/applications/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'An application, with links to its documents',
+      parameters: [id],
+      responses: {
+        200: json('The application', ref('RentalApplication')),
+        ...errors(404),
+      },
+    }),
+  },
+  ...actionPaths,
+};
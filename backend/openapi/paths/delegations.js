@@ -0,0 +1,65 @@
+import { DELEGATION_ACTIONS } from '../../services/delegations.js';
+import { inviteSchema, listSchema } from '../../routes/delegations.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Delegations'];
+
+const id = pathParameter('id', 'Delegation id');
+
+const delegationAction = (action) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary: `${action} a delegation`,
+    description: `By the ${DELEGATION_ACTIONS[action].by.join(' or ')}, from ${DELEGATION_ACTIONS[action].from.join(' or ')}.`,
+    parameters: [id],
+    responses: {
+      200: json('The delegation', ref('Delegation')),
+      ...errors(403, 404, 409, 429),
+    },
+  });
+
+export default {
+  '/api/delegations': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Invite a caretaker',
+      description: 'By the email on their caretaker account. Omit listing_id for every listing, now and later.',
+      requestBody: jsonBody(fromRules(inviteSchema)),
+      responses: {
+        201: json('The invitation', ref('Delegation')),
+        ...errors(400, 403, 404, 409, 422, 429),
+      },
+    }),
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delegations I gave or received',
+      description: 'role=landlord for those I gave, caretaker for those I received; by default, by my user type.',
+      parameters: [...parametersFrom(listSchema), ...pageParameters(['created_at'])],
+      responses: {
+        200: json(
+          'A page of delegations',
+          page('delegations', ref('Delegation'), { role: { type: 'string', enum: ['landlord', 'caretaker'] } })
+        ),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/delegations/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Get a delegation',
+      parameters: [id],
+      responses: {
+        200: json('The delegation', ref('Delegation')),
+        ...errors(404),
+      },
+    }),
+  },
+  ...Object.fromEntries(
+    Object.keys(DELEGATION_ACTIONS).map((action) => [`/api/delegations/{id}/${action}`, { post: delegationAction(action) }])
+  ),
+};
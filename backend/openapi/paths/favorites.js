@@ -0,0 +1,206 @@
+import { favoriteSchema, collectionSchema } from '../../routes/favorites.js';
+import { COMPARE_MIN, COMPARE_MAX } from '../../services/favorites.js';
+import {
+  ref,
+  nullable,
+  fromRules,
+  fromRule,
+  pathParameter,
+  queryParameter,
+  pageParameters,
+  jsonBody,
+  json,
+  page,
+  errors,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Favorites'];
+
+const listingId = pathParameter('listingId', 'Listing id');
+const collectionId = pathParameter('id', 'Collection id');
+
+// Fields a PATCH clears when sent as null
+const clearable = (rules, fields) =>
+  Object.fromEntries(fields.map((field) => [field, nullable(fromRule(rules[field]))]));
+
+const collection = (description) => json(description, ref('FavoriteCollection'));
+
+export default {
+  '/api/favorites': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My favorites',
+      description: 'Favorites whose listing is no longer published stay in the list with available: false.',
+      parameters: [
+        ...pageParameters(['created_at']),
+        queryParameter('collection_id', { type: 'string' }, 'Only this collection\'s favorites; "none" for those in no collection'),
+      ],
+      responses: {
+        200: json('A page of favorites with their listings', page('favorites', ref('FavoriteEntry'))),
+        ...errors(404, 422),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Add a listing to my favorites',
+      requestBody: jsonBody(fromRules(favoriteSchema, { required: ['listing_id'], properties: { listing_id: { type: 'string' } } })),
+      responses: {
+        201: json('The favorite', ref('Favorite')),
+        ...errors(400, 404, 422, 429),
+      },
+    }),
+  },
+  '/api/favorites/compare': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Compare favorited listings side by side',
+      parameters: [
+        {
+          ...queryParameter('listing_ids', { type: 'string' }, `${COMPARE_MIN} to ${COMPARE_MAX} favorited listing ids, comma-separated`),
+          required: true,
+        },
+      ],
+      responses: {
+        200: json('The listings and their attributes, aligned', ref('FavoriteComparison')),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  '/api/favorites/collections': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My favorite collections',
+      responses: {
+        200: json('Collections by name', {
+          type: 'object',
+          required: ['collections'],
+          properties: { collections: { type: 'array', items: ref('FavoriteCollection') } },
+        }),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Create a favorite collection',
+      description: 'Up to 20 per user, with different names.',
+      requestBody: jsonBody(fromRules(collectionSchema)),
+      responses: {
+        201: collection('The collection'),
+        ...errors(400, 409, 422, 429),
+      },
+    }),
+  },
+  '/api/favorites/collections/{id}': {
+    patch: operation({
+      tags,
+      auth: 'required',
+      summary: 'Rename or describe a collection',
+      parameters: [collectionId],
+      requestBody: jsonBody(fromRules(collectionSchema, { partial: true, properties: clearable(collectionSchema, ['description']) })),
+      responses: {
+        200: collection('The collection'),
+        ...errors(404, 409, 422, 429),
+      },
+    }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delete a collection',
+      description: 'Its favorites stay saved, in no collection.',
+      parameters: [collectionId],
+      responses: {
+        200: json('Deleted', ref('Message')),
+        ...errors(404, 429),
+      },
+    }),
+  },
+  '/api/favorites/collections/{id}/share': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Share a collection read-only',
+      description: 'Returns the collection with its share_url. Sharing again keeps the same link.',
+      parameters: [collectionId],
+      responses: {
+        200: collection('The shared collection'),
+        ...errors(404, 429),
+      },
+    }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Stop sharing a collection',
+      description: 'The link stops working; sharing again creates a new one.',
+      parameters: [collectionId],
+      responses: {
+        200: collection('The collection'),
+        ...errors(404, 429),
+      },
+    }),
+  },
+  '/api/favorites/shared/{token}': {
+    get: operation({
+      tags,
+      summary: 'A shared collection',
+      description: 'For anyone with the link. Notes are private and not included.',
+      parameters: [pathParameter('token', 'The token from share_url'), ...pageParameters(['created_at'])],
+      responses: {
+        200: json(
+          'The collection and a page of its favorites',
+          page('favorites', ref('SharedFavorite'), {
+            collection: {
+              type: 'object',
+              required: ['name', 'description', 'updated_at'],
+              properties: {
+                name: { type: 'string' },
+                description: nullable({ type: 'string' }),
+                updated_at: { type: 'string', format: 'date-time' },
+              },
+            },
+          })
+        ),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  '/api/favorites/{listingId}': {
+    patch: operation({
+      tags,
+      auth: 'required',
+      summary: "Change a favorite's note or collection",
+      description: 'Send note or collection_id as null to clear it.',
+      parameters: [listingId],
+      requestBody: jsonBody(fromRules(favoriteSchema, { partial: true, properties: clearable(favoriteSchema, ['note', 'collection_id']) })),
+      responses: {
+        200: json('The favorite', ref('Favorite')),
+        ...errors(404, 422, 429),
+      },
+    }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Remove a listing from my favorites',
+      parameters: [listingId],
+      responses: {
+        200: json('Removed', ref('Message')),
+        ...errors(429),
+      },
+    }),
+  },
+  '/api/favorites/check/{listingId}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Whether a listing is in my favorites',
+      parameters: [listingId],
+      responses: {
+        200: json('Favorite status', { type: 'object', required: ['isFavorited'], properties: { isFavorited: { type: 'boolean' } } }),
+      },
+    }),
+  },
+};
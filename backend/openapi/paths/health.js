@@ -0,0 +1,66 @@
+import { json, operation } from '../helpers.js';
+
+const tags = ['System'];
+
+const checkResult = {
+  type: 'object',
+  required: ['status', 'latency_ms'],
+  properties: {
+    status: { type: 'string', enum: ['ok', 'error', 'timeout'] },
+    latency_ms: { type: 'integer' },
+    error: { type: 'string' },
+  },
+};
+
+const readiness = {
+  type: 'object',
+  required: ['status', 'checks', 'timestamp'],
+  properties: {
+    status: {
+      type: 'string',
+      enum: ['ok', 'degraded', 'unavailable', 'shutting_down'],
+      description: 'degraded: an optional dependency (Redis) is down and in-process fallbacks are in use',
+    },
+    checks: {
+      type: 'object',
+      description: 'By dependency: auth, database, storage, and redis when configured',
+      additionalProperties: checkResult,
+    },
+    timestamp: { type: 'string', format: 'date-time' },
+  },
+};
+
+const liveness = operation({
+  tags,
+  summary: 'Liveness probe',
+  description: 'The process is up. Dependencies are not checked.',
+  responses: {
+    200: json('Up', {
+      type: 'object',
+      required: ['status', 'timestamp', 'uptime_seconds'],
+      properties: {
+        status: { type: 'string', const: 'OK' },
+        timestamp: { type: 'string', format: 'date-time' },
+        uptime_seconds: { type: 'integer' },
+      },
+    }),
+  },
+});
+
+export default {
+  '/api/health': { get: liveness },
+  '/api/health/live': { get: liveness },
+  '/api/health/ready': {
+    get: operation({
+      tags,
+      summary: 'Readiness probe',
+      description:
+        'Checks Supabase auth, the database and storage, and Redis when configured, each within ' +
+        'HEALTH_CHECK_TIMEOUT_MS.',
+      responses: {
+        200: json('Ready, possibly degraded', readiness),
+        503: json('A required dependency is down, or the instance is shutting down', readiness),
+      },
+    }),
+  },
+};
@@ -0,0 +1,147 @@
+import { messageSchema, inquirySchema, listSchema } from '../../routes/inquiries.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Inquiries'];
+
+const id = pathParameter('id', 'Thread id');
+
+// A body, attachments or both. Attachments need multipart.
+const messageBody = (rules) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: fromRules(rules, {
+        multipart: true,
+        properties: {
+          attachments: {
+            type: 'array',
+            maxItems: 5,
+            description: 'JPEG, PNG, WebP or PDF files, 10MB each',
+            items: { type: 'string', format: 'binary' },
+          },
+        },
+      }),
+    },
+    'application/json': { schema: fromRules(rules) },
+  },
+});
+
+const threadAction = (summary) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary,
+    parameters: [id],
+    responses: {
+      200: json('The thread', ref('InquiryThread')),
+      ...errors(404),
+    },
+  });
+
+const unreadCount = { type: 'integer' };
+
+export default {
+  '/api/inquiries': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Send an inquiry about a listing',
+      description: "Starts a thread, or adds to the tenant's existing thread on the listing.",
+      requestBody: messageBody(inquirySchema),
+      responses: {
+        201: json('The thread and the message', {
+          type: 'object',
+          required: ['thread', 'message'],
+          properties: { thread: ref('InquiryThread'), message: ref('InquiryMessage') },
+        }),
+        ...errors(400, 404, 422, 429),
+      },
+    }),
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My inquiry threads',
+      description: 'Most recent activity first. Without a role, by my user type.',
+      parameters: [...parametersFrom(listSchema), ...pageParameters(['last_message_at'])],
+      responses: {
+        200: json(
+          'A page of threads',
+          page('threads', ref('InquiryThread'), { role: { type: 'string', enum: ['tenant', 'landlord'] } })
+        ),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/inquiries/inbox': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Landlord inbox',
+      description: 'Open threads about my listings, grouped by listing, most recently active first.',
+      responses: {
+        200: json('The inbox', {
+          type: 'object',
+          required: ['listings', 'unread_count'],
+          properties: {
+            listings: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['listing', 'unread_count', 'last_message_at', 'threads'],
+                properties: {
+                  listing: { anyOf: [ref('ListingRef'), { type: 'null' }] },
+                  unread_count: unreadCount,
+                  last_message_at: { type: ['string', 'null'], format: 'date-time' },
+                  threads: { type: 'array', items: ref('InquiryThread') },
+                },
+              },
+            },
+            unread_count: unreadCount,
+          },
+        }),
+      },
+    }),
+  },
+  '/api/inquiries/unread-count': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Unread messages across my threads',
+      responses: {
+        200: json('The count', { type: 'object', required: ['unread_count'], properties: { unread_count: unreadCount } }),
+      },
+    }),
+  },
+  '/api/inquiries/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'A thread with a page of its messages',
+      description: 'Messages newest first.',
+      parameters: [id, ...pageParameters(['created_at'])],
+      responses: {
+        200: json(
+          'The thread and messages',
+          page('messages', ref('InquiryMessage'), { thread: ref('InquiryThread') })
+        ),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  '/api/inquiries/{id}/messages': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Reply in a thread',
+      parameters: [id],
+      requestBody: messageBody(messageSchema),
+      responses: {
+        201: json('The message', ref('InquiryMessage')),
+        ...errors(404, 422, 429),
+      },
+    }),
+  },
+  '/api/inquiries/{id}/read': { post: threadAction('Mark a thread as read') },
+  '/api/inquiries/{id}/archive': { post: threadAction('Archive a thread on my side') },
+  '/api/inquiries/{id}/unarchive': { post: threadAction('Unarchive a thread on my side') },
+};
@@ -0,0 +1,18 @@
+import { analyticsSchema } from '../../routes/listingAnalytics.js';
+import { ref, parametersFrom, pathParameter, json, errors, operation } from '../helpers.js';
+
+export default {
+  '/api/listings/{listingId}/analytics': {
+    get: operation({
+      tags: ['Analytics'],
+      auth: 'required',
+      summary: 'Views, impressions, favorites and contacts of a listing',
+      description: 'Day by day, against the average of similar listings. For the owner and admins.',
+      parameters: [pathParameter('listingId', 'Listing id'), ...parametersFrom(analyticsSchema)],
+      responses: {
+        200: json('Analytics', ref('ListingAnalytics')),
+        ...errors(403, 404, 422),
+      },
+    }),
+  },
+};
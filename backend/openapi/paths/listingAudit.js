@@ -0,0 +1,22 @@
+import { AUDIT_ACTIONS } from '../../services/listingAudit.js';
+import { ref, pathParameter, queryParameter, pageParameters, json, page, errors, operation } from '../helpers.js';
+
+export default {
+  '/api/listings/{listingId}/audit': {
+    get: operation({
+      tags: ['Listings'],
+      auth: 'required',
+      summary: 'Audit trail of a listing',
+      description: 'Newest first. For the owner, also once the listing has been purged, and admins.',
+      parameters: [
+        pathParameter('listingId', 'Listing id'),
+        queryParameter('action', { type: 'string', enum: AUDIT_ACTIONS }),
+        ...pageParameters(['created_at']),
+      ],
+      responses: {
+        200: json('A page of entries', page('entries', ref('AuditEntry'))),
+        ...errors(403, 404, 422),
+      },
+    }),
+  },
+};
@@ -0,0 +1,61 @@
+import { importQuerySchema } from '../../routes/listingImports.js';
+import { ref, parametersFrom, pathParameter, pageParameters, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Imports'];
+
+export default {
+  '/api/listings/imports': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Import listings from a spreadsheet',
+      description:
+        'A CSV or XLSX sheet in the format of GET /api/listings/landlord/my-listings/export, with an optional zip of ' +
+        'the photos it names. A dry run reports every row\'s errors and changes nothing; otherwise a valid file is ' +
+        'queued as a job and a file with invalid rows is refused.',
+      parameters: parametersFrom(importQuerySchema),
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'CSV or XLSX, at most 5MB' },
+                images: { type: 'string', format: 'binary', description: 'Zip of photos' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: json('Dry run result', ref('ImportCheck')),
+        202: json('The queued import', ref('ImportJob')),
+        ...errors(403, 422, 429),
+      },
+    }),
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My imports',
+      parameters: pageParameters(['created_at']),
+      responses: {
+        200: json('A page of imports, newest first', page('imports', ref('ImportJob'))),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/listings/imports/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'An import with its progress',
+      parameters: [pathParameter('id', 'Import id')],
+      responses: {
+        200: json('The import', ref('ImportJob')),
+        ...errors(404),
+      },
+    }),
+  },
+};
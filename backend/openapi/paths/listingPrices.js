@@ -0,0 +1,17 @@
+import { ref, pathParameter, json, errors, operation } from '../helpers.js';
+
+export default {
+  '/api/listings/{listingId}/price-history': {
+    get: operation({
+      tags: ['Market'],
+      auth: 'optional',
+      summary: 'Price history of a listing',
+      description: "Every price it has asked, oldest first, and how this month's price compares with similar listings.",
+      parameters: [pathParameter('listingId', 'Listing id')],
+      responses: {
+        200: json('Price history', ref('PriceHistory')),
+        ...errors(403, 404),
+      },
+    }),
+  },
+};
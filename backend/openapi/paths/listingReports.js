@@ -0,0 +1,19 @@
+import { reportSchema } from '../../routes/listingReports.js';
+import { ref, fromRules, pathParameter, jsonBody, json, errors, operation } from '../helpers.js';
+
+export default {
+  '/api/listings/{listingId}/reports': {
+    post: operation({
+      tags: ['Moderation'],
+      auth: 'required',
+      summary: 'Report a listing',
+      description: 'One open report per user and listing.',
+      parameters: [pathParameter('listingId', 'Listing id')],
+      requestBody: jsonBody(fromRules(reportSchema)),
+      responses: {
+        201: json('The report', ref('Report')),
+        ...errors(400, 404, 409, 422, 429),
+      },
+    }),
+  },
+};
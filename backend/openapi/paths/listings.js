@@ -0,0 +1,306 @@
+import { listingSchema, PROPERTY_TYPES } from '../../validation/listingSchema.js';
+import { LISTING_STATUSES, OWNER_ACTIONS } from '../../services/listingStatus.js';
+import { SPREADSHEET_FORMATS } from '../../services/listingSpreadsheet.js';
+import { MAX_RADIUS_KM, DEFAULT_RADIUS_KM } from '../../utils/geo.js';
+import { MAX_LIMIT } from '../../utils/pagination.js';
+import { imageFieldsSchema, createStatusSchema, contactSchema } from '../../routes/listings.js';
+import {
+  ref,
+  fromRules,
+  parametersFrom,
+  pathParameter,
+  queryParameter,
+  pageParameters,
+  jsonBody,
+  json,
+  page,
+  errors,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Listings'];
+
+const SORTABLE_COLUMNS = ['updated_at', 'created_at', 'price', 'bedrooms', 'bathrooms'];
+
+const id = pathParameter('id', 'Listing id');
+
+const browseParameters = [
+  queryParameter('location', { type: 'string' }, 'Substring of the location'),
+  queryParameter('property_type', { type: 'string', enum: PROPERTY_TYPES }),
+  queryParameter('min_price', { type: 'integer' }),
+  queryParameter('max_price', { type: 'integer' }),
+  queryParameter('bedrooms', { type: 'integer' }),
+  queryParameter('bathrooms', { type: 'integer' }),
+  queryParameter('county', { type: 'string' }, 'Substring of the county'),
+  queryParameter('estate', { type: 'string' }, 'Substring of the estate'),
+  queryParameter('landlord_name', { type: 'string' }, 'Substring of the landlord name'),
+  queryParameter('near', { type: 'string' }, 'Radius search centre, "latitude,longitude"'),
+  queryParameter(
+    'radius_km',
+    { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS_KM, default: DEFAULT_RADIUS_KM },
+    'Radius around near'
+  ),
+  queryParameter('bbox', { type: 'string' }, 'Visible map area, "minLng,minLat,maxLng,maxLat"'),
+];
+
+const images = {
+  type: 'array',
+  maxItems: 10,
+  description: 'JPEG, PNG or WebP photos, 5MB each; the first is the cover',
+  items: { type: 'string', format: 'binary' },
+};
+
+// Listing forms are multipart so they can carry photos; without photos they
+// can also be sent as JSON
+const listingForm = ({ properties = {}, jsonProperties = {}, ...options }) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: fromRules(listingSchema, { ...options, multipart: true, properties: { ...properties, images } }),
+    },
+    'application/json': {
+      schema: fromRules(listingSchema, { ...options, properties: jsonProperties }),
+    },
+  },
+});
+
+const updateOperation = ({ partial }) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary: partial ? 'Change some fields of a listing' : 'Replace a listing',
+    description:
+      (partial ? 'Only the fields sent are validated and changed. ' : 'Every required field must be sent. ') +
+      'New `images` are added after the kept ones; send `existing_images` to reorder or drop current photos. ' +
+      'Changing the title, description, price or photos of a published listing sends it back to `pending_review`.',
+    parameters: [id],
+    requestBody: listingForm({
+      partial,
+      properties: {
+        existing_images: {
+          ...fromRules(imageFieldsSchema, { multipart: true }).properties.existing_images,
+          description: 'JSON-encoded array of the hashes (or URLs) of current images to keep, in order',
+        },
+      },
+      jsonProperties: fromRules(imageFieldsSchema).properties,
+    }),
+    responses: {
+      200: json('The updated listing', ref('OwnerListing')),
+      ...errors(403, 409, 422, 429),
+    },
+  });
+
+const ownerAction = (action) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary: `${action} a listing`,
+    description: `Allowed from: ${OWNER_ACTIONS[action].from.join(', ')}. Moves it to ${OWNER_ACTIONS[action].to}.`,
+    parameters: [id],
+    responses: {
+      200: json('The updated listing', ref('OwnerListing')),
+      ...errors(403, 409, 429),
+    },
+  });
+
+export default {
+  '/api/listings': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Browse published listings',
+      description: 'Featured listings come first, each group in the requested order.',
+      parameters: [
+        ...browseParameters,
+        ...pageParameters([...SORTABLE_COLUMNS, 'distance_km']).map((parameter) =>
+          parameter.name === 'sort'
+            ? { ...parameter, description: 'distance_km only for radius searches, where it is the default' }
+            : parameter
+        ),
+      ],
+      responses: {
+        200: json('A page of listings', page('listings', ref('ListingSummary'))),
+        ...errors(422),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Create a listing',
+      description: 'For landlords and caretakers. Booleans are sent as "true"/"false" and amenities as a JSON-encoded array.',
+      requestBody: listingForm({
+        properties: fromRules(createStatusSchema, { multipart: true }).properties,
+        jsonProperties: fromRules(createStatusSchema).properties,
+      }),
+      responses: {
+        201: json('The new listing', ref('OwnerListing')),
+        ...errors(403, 422, 429),
+      },
+    }),
+  },
+  '/api/listings/search': {
+    post: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Search listings',
+      description:
+        'Full-text search over title, location and description with facet filters. Results are ranked by relevance ' +
+        'when there is a query. Featured listings come first. Cursors are sent back in the body.',
+      requestBody: jsonBody(
+        {
+          type: 'object',
+          properties: {
+            query: { type: 'string', default: '' },
+            filters: ref('SearchFilters'),
+            limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 20 },
+            offset: { type: 'integer', minimum: 0, default: 0 },
+            cursor: { type: 'string', maxLength: 512 },
+            sort: {
+              type: 'string',
+              enum: [...SORTABLE_COLUMNS, 'distance_km', 'relevance'],
+              description: 'Default relevance with a query, else updated_at. distance_km only for radius searches.',
+            },
+            order: { type: 'string', enum: ['asc', 'desc'] },
+            total: { type: 'string', enum: ['exact', 'estimated', 'none'], default: 'exact' },
+          },
+        },
+        { required: false }
+      ),
+      responses: {
+        200: json('A page of results with facet counts', page('listings', ref('SearchResult'), { facets: ref('Facets') })),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/listings/pins': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Map pins for an area',
+      description: 'Listings in the bbox, clustered by zoom level. Accepts the browse filters.',
+      parameters: [
+        ...browseParameters.filter((parameter) => parameter.name !== 'bbox'),
+        ...parametersFrom({ bbox: { type: 'string', required: true }, zoom: { type: 'integer', min: 0, max: 22, default: 12 } }),
+      ],
+      responses: {
+        200: json('Pins', {
+          type: 'object',
+          required: ['zoom', 'truncated', 'pins'],
+          properties: {
+            zoom: { type: 'integer' },
+            truncated: { type: 'boolean', description: 'Whether there were too many listings to show them all' },
+            pins: { type: 'array', items: ref('Pin') },
+          },
+        }),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/listings/{id}': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Get a listing',
+      description: 'Unpublished listings are only visible to those who manage them and to admins.',
+      parameters: [id],
+      responses: {
+        200: json('The listing with its landlord', ref('ListingDetail')),
+        ...errors(403, 404),
+      },
+    }),
+    put: updateOperation({ partial: false }),
+    patch: updateOperation({ partial: true }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delete a listing',
+      description: 'Owner only. The listing can be restored until restore_until, then it is purged.',
+      parameters: [id],
+      responses: {
+        200: json('Deleted', {
+          type: 'object',
+          required: ['message', 'restore_until'],
+          properties: { message: { type: 'string' }, restore_until: { type: 'string', format: 'date-time' } },
+        }),
+        ...errors(403, 409, 429),
+      },
+    }),
+  },
+  '/api/listings/{id}/contact': {
+    post: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Record a contact click',
+      description: "Record a tap on the landlord's phone number, WhatsApp or email link, for analytics.",
+      parameters: [id],
+      requestBody: jsonBody(fromRules(contactSchema)),
+      responses: {
+        200: json('Recorded', ref('Message')),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  ...Object.fromEntries(Object.keys(OWNER_ACTIONS).map((action) => [`/api/listings/{id}/${action}`, { post: ownerAction(action) }])),
+  '/api/listings/{id}/restore': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Restore a deleted listing',
+      description: 'Owner only, within the restore window. The listing gets back the status it had.',
+      parameters: [id],
+      responses: {
+        200: json('The restored listing', ref('OwnerListing')),
+        ...errors(403, 409, 429),
+      },
+    }),
+  },
+  '/api/listings/landlord/my-listings': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Listings I own or manage',
+      description: 'Deleted listings only show with ?status=deleted. Each carries my access to it.',
+      parameters: [
+        queryParameter('status', { type: 'string', enum: LISTING_STATUSES }),
+        ...pageParameters(SORTABLE_COLUMNS),
+      ],
+      responses: {
+        200: json('A page of listings', page('listings', ref('ManagedListing'))),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/listings/landlord/my-listings/export': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Export my listings',
+      description: 'A spreadsheet that can be edited and sent back to POST /api/listings/imports.',
+      parameters: parametersFrom({
+        format: { type: 'string', enum: Object.keys(SPREADSHEET_FORMATS), default: 'csv' },
+        status: { type: 'string', enum: LISTING_STATUSES },
+      }),
+      responses: {
+        200: {
+          description: 'The spreadsheet, as an attachment',
+          content: Object.fromEntries(
+            Object.values(SPREADSHEET_FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string', format: 'binary' } }])
+          ),
+        },
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/listings/landlord/{landlordId}': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: "A landlord's published listings",
+      parameters: [pathParameter('landlordId', 'Landlord user id'), ...pageParameters(SORTABLE_COLUMNS)],
+      responses: {
+        200: json('A page of listings', page('listings', ref('OwnerListing'))),
+        ...errors(422),
+      },
+    }),
+  },
+};
@@ -0,0 +1,19 @@
+import { rentsSchema } from '../../routes/market.js';
+import { ref, parametersFrom, json, errors, operation } from '../helpers.js';
+
+export default {
+  '/api/market/rents': {
+    get: operation({
+      tags: ['Market'],
+      summary: 'Asking rents of similar listings',
+      description:
+        'Quartiles and average per week or month of the listings published during each, with the trend of the median. ' +
+        'Periods with fewer than 3 listings only report their count.',
+      parameters: parametersFrom(rentsSchema),
+      responses: {
+        200: json('Rent statistics', ref('MarketRents')),
+        ...errors(422),
+      },
+    }),
+  },
+};
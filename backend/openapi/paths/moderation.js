@@ -0,0 +1,61 @@
+import { MODERATOR_ACTIONS } from '../../services/listingStatus.js';
+import { queueSchema, rejectSchema, reportListSchema, resolveSchema } from '../../routes/moderation.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Moderation'];
+
+// Every moderation route is for admins
+const adminOperation = ({ responses, ...rest }) =>
+  operation({ tags, auth: 'required', ...rest, responses: { ...responses, ...errors(403) } });
+
+const listingAction = (action) =>
+  adminOperation({
+    summary: `${action} a listing`,
+    description: `Allowed from: ${MODERATOR_ACTIONS[action].from.join(', ')}. The landlord is notified.`,
+    parameters: [pathParameter('id', 'Listing id')],
+    ...(action === 'reject' ? { requestBody: jsonBody(fromRules(rejectSchema)) } : {}),
+    responses: {
+      200: json('The listing', ref('ModerationListing')),
+      ...errors(404, 409, ...(action === 'reject' ? [422] : [])),
+    },
+  });
+
+export default {
+  '/api/moderation/listings': {
+    get: adminOperation({
+      summary: 'Review queue',
+      description: 'Listings waiting for review, oldest submission first; ?status= also shows published or rejected ones.',
+      parameters: [...parametersFrom(queueSchema), ...pageParameters(['submitted_at', 'updated_at'], 'submitted_at', 'asc')],
+      responses: {
+        200: json('A page of listings', page('listings', ref('ModerationListing'))),
+        ...errors(422),
+      },
+    }),
+  },
+  ...Object.fromEntries(
+    Object.keys(MODERATOR_ACTIONS).map((action) => [`/api/moderation/listings/{id}/${action}`, { post: listingAction(action) }])
+  ),
+  '/api/moderation/reports': {
+    get: adminOperation({
+      summary: 'Reports',
+      description: 'Oldest first, with the reported listing.',
+      parameters: [...parametersFrom(reportListSchema), ...pageParameters(['created_at'], 'created_at', 'asc')],
+      responses: {
+        200: json('A page of reports', page('reports', ref('Report'))),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/moderation/reports/{id}/resolve': {
+    post: adminOperation({
+      summary: 'Close a report',
+      description: 'Upholding a report does not change the listing; reject the listing to take it down.',
+      parameters: [pathParameter('id', 'Report id')],
+      requestBody: jsonBody(fromRules(resolveSchema)),
+      responses: {
+        200: json('The report', ref('Report')),
+        ...errors(404, 409, 422),
+      },
+    }),
+  },
+};
@@ -0,0 +1,170 @@
+import { featureSchema, depositSchema, listSchema, ledgerSchema } from '../../routes/payments.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Payments'];
+
+const id = pathParameter('id', 'Payment id');
+
+const idempotencyKey = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: true,
+  description:
+    'Unique to this payment, e.g. a UUID made when the user pressed Pay. Retrying with the same key returns the ' +
+    'same payment instead of prompting again; the same key with a different request is refused.',
+  schema: { type: 'string', maxLength: 255 },
+};
+
+const phone = { type: 'string', maxLength: 20, description: 'The M-Pesa number to prompt, e.g. 0712345678 or +254712345678' };
+
+const started = {
+  200: json('A repeat of an earlier request; Idempotent-Replayed is true', ref('Payment')),
+  202: json('The payment, pending until the payer answers the prompt on their phone', ref('Payment')),
+};
+
+const callback = (summary, description, parameters = []) => ({
+  post: operation({
+    tags,
+    summary,
+    description: `${description} Called by M-Pesa; the path carries MPESA_CALLBACK_SECRET.`,
+    parameters: [pathParameter('secret', 'MPESA_CALLBACK_SECRET'), ...parameters],
+    requestBody: jsonBody({ type: 'object' }),
+    responses: {
+      200: json('Accepted', { type: 'object', required: ['ResultCode', 'ResultDesc'], properties: { ResultCode: { const: 0 }, ResultDesc: { type: 'string' } } }),
+      ...errors(404),
+    },
+  }),
+});
+
+export default {
+  '/api/payments/plans': {
+    get: operation({
+      tags,
+      summary: 'Featured listing plans and the viewing deposit',
+      responses: {
+        200: json('Plans and amounts', {
+          type: 'object',
+          required: ['plans', 'viewing_deposit', 'available'],
+          properties: {
+            plans: { type: 'array', items: ref('FeaturePlan') },
+            viewing_deposit: {
+              type: 'object',
+              required: ['amount', 'currency', 'refund_hours'],
+              properties: {
+                amount: { type: 'integer' },
+                currency: { const: 'KES' },
+                refund_hours: { type: 'integer', description: 'Refunded this long after the viewing ends' },
+              },
+            },
+            available: { type: 'boolean', description: 'false when M-Pesa is not configured' },
+          },
+        }),
+      },
+    }),
+  },
+  '/api/payments/featured-listings': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Pay to feature a listing',
+      description:
+        'For the landlord and caretakers who can edit the listing, which must be published. The phone is prompted ' +
+        'to pay; once paid the listing is featured for the plan, from the end of any current spell.',
+      parameters: [idempotencyKey],
+      requestBody: jsonBody(fromRules(featureSchema, { properties: { phone } })),
+      responses: {
+        ...started,
+        ...errors(403, 404, 409, 422, 429, 502, 503),
+      },
+    }),
+  },
+  '/api/payments/viewing-deposits': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Pay a refundable deposit on a viewing',
+      description:
+        "For the tenant, before the viewing starts. Refunded when the viewing is cancelled, or a day after it ends " +
+        'unless the landlord reports a no-show.',
+      parameters: [idempotencyKey],
+      requestBody: jsonBody(fromRules(depositSchema, { properties: { phone } })),
+      responses: {
+        ...started,
+        ...errors(404, 409, 422, 429, 502, 503),
+      },
+    }),
+  },
+  '/api/payments': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My payments',
+      description: 'Newest first. With role=landlord, the deposits on viewings of listings I manage.',
+      parameters: [...parametersFrom(listSchema), ...pageParameters(['created_at'])],
+      responses: {
+        200: json('A page of payments', page('payments', ref('Payment'))),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/payments/ledger': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Payment ledger',
+      description: 'For admins. Every charge and refund, for reconciling against the paybill statement.',
+      parameters: [...parametersFrom(ledgerSchema), ...pageParameters(['created_at'])],
+      responses: {
+        200: json('A page of ledger entries', page('entries', ref('PaymentLedgerEntry'))),
+        ...errors(403, 422),
+      },
+    }),
+  },
+  '/api/payments/mpesa/stk/{secret}/{paymentId}': callback(
+    'STK push result',
+    'Completes or fails the pending payment the push was sent for.',
+    [pathParameter('paymentId', 'The payment the push was sent for')]
+  ),
+  '/api/payments/mpesa/stk/{secret}': callback('STK push result', 'For pushes sent without the payment in the URL.'),
+  '/api/payments/mpesa/b2c-result/{secret}': callback('Refund result', 'Settles a deposit refund.'),
+  '/api/payments/mpesa/b2c-timeout/{secret}': callback('Refund timeout', 'Fails a deposit refund, for an admin to retry.'),
+  '/api/payments/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Get a payment',
+      description: 'For the payer, the landlord side of a deposit and admins.',
+      parameters: [id],
+      responses: {
+        200: json('The payment', ref('Payment')),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/payments/{id}/forfeit': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Keep a deposit for a no-show',
+      description: 'For the landlord side, once the viewing has started and before the refund is due.',
+      parameters: [id],
+      responses: {
+        200: json('The forfeited deposit', ref('Payment')),
+        ...errors(403, 404, 409, 429),
+      },
+    }),
+  },
+  '/api/payments/{id}/refund': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Retry a failed refund',
+      description: 'For admins, after checking the paybill statement.',
+      parameters: [id],
+      responses: {
+        200: json('The deposit, refund_pending or refund_failed again', ref('Payment')),
+        ...errors(403, 404, 409, 429),
+      },
+    }),
+  },
+};
@@ -0,0 +1,109 @@
+import { similarSchema } from '../../routes/listingSimilar.js';
+import { dismissalSchema } from '../../routes/recommendations.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Recommendations'];
+
+export default {
+  '/api/listings/{listingId}/similar': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Listings similar to a published listing',
+      description:
+        'Best first: the same estate or county, a similar price, the same bedrooms and property type, and the ' +
+        'amenities it has.',
+      parameters: [pathParameter('listingId', 'Listing id'), ...parametersFrom(similarSchema)],
+      responses: {
+        200: json('Similar listings', {
+          type: 'object',
+          required: ['listing_id', 'listings'],
+          properties: { listing_id: { type: 'string' }, listings: { type: 'array', items: ref('Recommendation') } },
+        }),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  '/api/recommendations': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My recommended listings',
+      description:
+        'Learned from my favorites, recent searches and saved searches, without listings I have saved, dismissed ' +
+        'or own. Until there is something to learn from, personalized is false and the freshest listings come first.',
+      parameters: pageParameters(['score']),
+      responses: {
+        200: json(
+          'A page of recommendations',
+          page('listings', ref('Recommendation'), {
+            personalized: { type: 'boolean' },
+            based_on: {
+              type: 'object',
+              required: ['favorites', 'searches'],
+              properties: { favorites: { type: 'integer' }, searches: { type: 'integer' } },
+            },
+          })
+        ),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/recommendations/dismissals': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Listings I have dismissed',
+      parameters: pageParameters(['created_at']),
+      responses: {
+        200: json('A page of dismissals', page('dismissals', ref('Dismissal'))),
+        ...errors(422),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Hide a listing from my recommendations',
+      requestBody: jsonBody(fromRules(dismissalSchema)),
+      responses: {
+        200: json('Already dismissed', ref('Dismissal')),
+        201: json('Dismissed', ref('Dismissal')),
+        ...errors(404, 422, 429),
+      },
+    }),
+  },
+  '/api/recommendations/dismissals/{listingId}': {
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Let a dismissed listing back into my recommendations',
+      parameters: [pathParameter('listingId', 'Listing id')],
+      responses: {
+        200: json('Restored', ref('Message')),
+        ...errors(429),
+      },
+    }),
+  },
+  '/api/recommendations/search-history': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My recent searches',
+      description: 'Browse filters and searches made while signed in, kept for 90 days.',
+      parameters: pageParameters(['created_at']),
+      responses: {
+        200: json('A page of searches', page('searches', ref('SearchHistoryEntry'))),
+        ...errors(422),
+      },
+    }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Clear my search history',
+      responses: {
+        200: json('Cleared', ref('Message')),
+        ...errors(429),
+      },
+    }),
+  },
+};
@@ -0,0 +1,101 @@
+import { savedSearchSchema } from '../../routes/savedSearches.js';
+import { ref, fromRules, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Saved searches'];
+
+const id = pathParameter('id', 'Saved search id');
+
+const body = (options) => jsonBody(fromRules(savedSearchSchema, { ...options, properties: { filters: ref('SearchFilters') } }));
+
+const update = ({ partial }) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary: partial ? 'Change some fields of a saved search' : 'Replace a saved search',
+    parameters: [id],
+    requestBody: body({ partial }),
+    responses: {
+      200: json('The saved search', ref('SavedSearch')),
+      ...errors(404, 422, 429),
+    },
+  });
+
+export default {
+  '/api/saved-searches': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My saved searches',
+      parameters: pageParameters(['created_at', 'updated_at']),
+      responses: {
+        200: json('A page of saved searches', page('saved_searches', ref('SavedSearch'))),
+        ...errors(422),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Save a search',
+      description: 'Up to 25 per user. Alerts are sent for new and price-dropped listings matching it.',
+      requestBody: body(),
+      responses: {
+        201: json('The saved search', ref('SavedSearch')),
+        ...errors(400, 422, 429),
+      },
+    }),
+  },
+  '/api/saved-searches/digest': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Unseen matches of my saved searches',
+      responses: {
+        200: json('Matches grouped by saved search', {
+          type: 'object',
+          required: ['digest', 'total'],
+          properties: { digest: { type: 'array', items: ref('DigestGroup') }, total: { type: 'integer' } },
+        }),
+      },
+    }),
+  },
+  '/api/saved-searches/digest/seen': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Mark digest matches as seen',
+      description: 'All of them unless match_ids is given.',
+      requestBody: jsonBody(
+        { type: 'object', properties: { match_ids: { type: 'array', items: { type: 'string' } } } },
+        { required: false }
+      ),
+      responses: {
+        200: json('How many were marked', { type: 'object', required: ['updated'], properties: { updated: { type: 'integer' } } }),
+        ...errors(422, 429),
+      },
+    }),
+  },
+  '/api/saved-searches/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Get a saved search',
+      parameters: [id],
+      responses: {
+        200: json('The saved search', ref('SavedSearch')),
+        ...errors(404),
+      },
+    }),
+    put: update({ partial: false }),
+    patch: update({ partial: true }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delete a saved search',
+      parameters: [id],
+      responses: {
+        200: json('Deleted', ref('Message')),
+        ...errors(404, 429),
+      },
+    }),
+  },
+};
@@ -0,0 +1,53 @@
+import { slotSchema } from '../../routes/viewingSlots.js';
+import { ref, fromRules, pathParameter, jsonBody, json, errors, operation } from '../helpers.js';
+
+const tags = ['Viewings'];
+
+const listingId = pathParameter('listingId', 'Listing id');
+
+const slots = { type: 'object', required: ['slots'], properties: { slots: { type: 'array', items: ref('ViewingSlot') } } };
+
+export default {
+  '/api/listings/{listingId}/viewing-slots': {
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Upcoming viewing slots of a listing',
+      description: 'Open slots nobody has booked; whoever manages the listing\'s viewings also sees booked ones.',
+      parameters: [listingId],
+      responses: {
+        200: json('Slots, soonest first', slots),
+        ...errors(404),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Publish viewing slots',
+      description: '1 to 50 slots of 15 minutes to 4 hours, within 90 days. Slots may not overlap.',
+      parameters: [listingId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['slots'],
+        properties: { slots: { type: 'array', minItems: 1, maxItems: 50, items: fromRules(slotSchema) } },
+      }),
+      responses: {
+        201: json('The new slots', slots),
+        ...errors(403, 409, 422, 429),
+      },
+    }),
+  },
+  '/api/listings/{listingId}/viewing-slots/{slotId}': {
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Withdraw a slot',
+      description: 'Only slots nobody has booked.',
+      parameters: [listingId, pathParameter('slotId', 'Slot id')],
+      responses: {
+        200: json('Withdrawn', ref('Message')),
+        ...errors(404, 409, 429),
+      },
+    }),
+  },
+};
@@ -0,0 +1,110 @@
+import { timeSchema, bookingSchema, listSchema } from '../../routes/viewings.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Viewings'];
+
+const id = pathParameter('id', 'Viewing id');
+
+const listParameters = parametersFrom(listSchema);
+
+const calendar = {
+  description: 'An iCalendar file, as an attachment',
+  content: { 'text/calendar': { schema: { type: 'string' } } },
+};
+
+const action = ({ summary, description, requestBody }) =>
+  operation({
+    tags,
+    auth: 'required',
+    summary,
+    description,
+    parameters: [id],
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      200: json('The updated viewing', ref('Viewing')),
+      ...errors(404, 409, ...(requestBody ? [422] : []), 429),
+    },
+  });
+
+export default {
+  '/api/viewings': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My upcoming viewings',
+      description:
+        'Without a role, landlords and caretakers see viewings of the listings they manage and everyone else their own bookings.',
+      parameters: [...listParameters, ...pageParameters(['starts_at'], 'starts_at', 'asc')],
+      responses: {
+        200: json(
+          'A page of viewings, soonest first',
+          page('viewings', ref('Viewing'), { role: { type: 'string', enum: ['tenant', 'landlord'] } })
+        ),
+        ...errors(422),
+      },
+    }),
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Book a viewing',
+      description: 'Book a published slot (confirmed straight away) or request a time with starts_at and ends_at.',
+      requestBody: jsonBody(fromRules(bookingSchema)),
+      responses: {
+        201: json('The viewing', ref('Viewing')),
+        ...errors(400, 404, 409, 422, 429),
+      },
+    }),
+  },
+  '/api/viewings/calendar.ics': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My upcoming viewings as a calendar',
+      parameters: listParameters,
+      responses: {
+        200: calendar,
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/viewings/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Get a viewing',
+      parameters: [id],
+      responses: {
+        200: json('The viewing', ref('Viewing')),
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/viewings/{id}/calendar.ics': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'A viewing as a calendar event',
+      parameters: [id],
+      responses: {
+        200: calendar,
+        ...errors(404),
+      },
+    }),
+  },
+  '/api/viewings/{id}/confirm': {
+    post: action({ summary: 'Confirm a time proposed by the other side' }),
+  },
+  '/api/viewings/{id}/reschedule': {
+    post: action({
+      summary: 'Propose a new time',
+      description: 'A tenant moving to a published slot is confirmed straight away; anything else waits for the other side.',
+      requestBody: jsonBody(fromRules(timeSchema)),
+    }),
+  },
+  '/api/viewings/{id}/cancel': {
+    post: action({
+      summary: 'Cancel a viewing',
+      requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string', maxLength: 500 } } }, { required: false }),
+    }),
+  },
+};
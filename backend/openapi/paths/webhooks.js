@@ -0,0 +1,108 @@
+import { endpointSchema, deliveryListSchema } from '../../routes/webhooks.js';
+import { ref, fromRules, parametersFrom, pathParameter, pageParameters, jsonBody, json, page, errors, operation } from '../helpers.js';
+
+const tags = ['Webhooks'];
+
+const id = pathParameter('id', 'Endpoint id');
+
+const url = { type: 'string', maxLength: 2048, description: 'A public https URL' };
+
+export default {
+  '/api/webhooks': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Register a webhook endpoint',
+      description:
+        'For landlords (events of their listings) and admins (every listing). Deliveries are signed with the returned ' +
+        'secret: X-Webhook-Signature is t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.',
+      requestBody: jsonBody(fromRules(endpointSchema, { properties: { url } })),
+      responses: {
+        201: json('The endpoint with its secret', ref('WebhookEndpointWithSecret')),
+        ...errors(403, 422, 429),
+      },
+    }),
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'My webhook endpoints',
+      parameters: pageParameters(['created_at']),
+      responses: {
+        200: json('A page of endpoints', page('endpoints', ref('WebhookEndpoint'))),
+        ...errors(422),
+      },
+    }),
+  },
+  '/api/webhooks/{id}': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Get a webhook endpoint',
+      parameters: [id],
+      responses: {
+        200: json('The endpoint', ref('WebhookEndpoint')),
+        ...errors(404),
+      },
+    }),
+    patch: operation({
+      tags,
+      auth: 'required',
+      summary: 'Change a webhook endpoint',
+      parameters: [id],
+      requestBody: jsonBody(fromRules(endpointSchema, { partial: true, properties: { url } })),
+      responses: {
+        200: json('The endpoint', ref('WebhookEndpoint')),
+        ...errors(404, 422, 429),
+      },
+    }),
+    delete: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delete a webhook endpoint',
+      parameters: [id],
+      responses: {
+        200: json('Deleted', ref('Message')),
+        ...errors(404, 429),
+      },
+    }),
+  },
+  '/api/webhooks/{id}/rotate-secret': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Rotate the signing secret',
+      description: 'The old secret stops working straight away.',
+      parameters: [id],
+      responses: {
+        200: json('The endpoint with its new secret', ref('WebhookEndpointWithSecret')),
+        ...errors(404, 429),
+      },
+    }),
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: operation({
+      tags,
+      auth: 'required',
+      summary: 'Delivery log of an endpoint',
+      description: 'Newest first.',
+      parameters: [id, ...parametersFrom(deliveryListSchema), ...pageParameters(['created_at'])],
+      responses: {
+        200: json('A page of deliveries', page('deliveries', ref('WebhookDelivery'))),
+        ...errors(404, 422),
+      },
+    }),
+  },
+  '/api/webhooks/{id}/deliveries/{deliveryId}/replay': {
+    post: operation({
+      tags,
+      auth: 'required',
+      summary: 'Send a delivery again',
+      description: 'Queues a new delivery of the same event, whatever became of the original.',
+      parameters: [id, pathParameter('deliveryId', 'Delivery id')],
+      responses: {
+        202: json('The new delivery', ref('WebhookDelivery')),
+        ...errors(404, 409, 429),
+      },
+    }),
+  },
+};
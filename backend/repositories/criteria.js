@@ -0,0 +1,62 @@
+// Evaluate repository criteria against a plain row, with the same semantics as
+// the PostgREST filters in supabase.js. Used by the memory driver and by code
+// that re-checks a single listing in the app (saved-search alerts).
+
+const likeToRegExp = (pattern) =>
+  new RegExp(
+    `^${String(pattern)
+      .split('%')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '.'))
+      .join('.*')}$`,
+    'is'
+  );
+
+// Nulls last ascending, first descending, as in Postgres
+export const compareValues = (x, y) => {
+  if (x === y) return 0;
+  if (x == null) return 1;
+  if (y == null) return -1;
+  return x < y ? -1 : 1;
+};
+
+// Order rows by column, then id as a tie-breaker; a lead { column, ascending }
+// orders before both
+export const compareRows = (column, ascending, lead = null) => (a, b) =>
+  (lead ? compareValues(a[lead.column], b[lead.column]) * (lead.ascending ? 1 : -1) : 0) ||
+  (compareValues(a[column], b[column]) || compareValues(a.id, b.id)) * (ascending ? 1 : -1);
+
+// jsonb @> for array elements: objects match when every key in the pattern matches
+const containsValue = (item, pattern) =>
+  pattern !== null && typeof pattern === 'object'
+    ? item !== null && typeof item === 'object' && Object.entries(pattern).every(([key, value]) => containsValue(item[key], value))
+    : item === pattern;
+
+// near expects the row to carry distance_km from the search centre, as rows
+// returned by listings_nearby() do
+export const matchesCriterion = (row, { op, column, value, id, ascending, lead, radiusKm }) => {
+  const field = row[column];
+  switch (op) {
+    case 'eq':
+      return field === value;
+    case 'is':
+      return value === null ? field == null : field === value;
+    case 'ilike':
+      return field != null && likeToRegExp(value).test(field);
+    case 'gte':
+      return field != null && field >= value;
+    case 'lte':
+      return field != null && field <= value;
+    case 'in':
+      return value.includes(field);
+    case 'contains':
+      return Array.isArray(field) && value.every((v) => field.some((item) => containsValue(item, v)));
+    case 'any':
+      return value.some((alternative) => matchesCriterion(row, alternative));
+    case 'near':
+      return row.distance_km != null && row.distance_km <= radiusKm;
+    case 'keyset':
+      return compareRows(column, ascending, lead)(row, { [column]: value, id, ...(lead ? { [lead.column]: lead.value } : {}) }) > 0;
+    default:
+      throw new Error(`Unsupported criteria op "${op}"`);
+  }
+};
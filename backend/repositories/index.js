@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Data-access layer. Routes talk to these repositories instead of the Supabase
+// client so the API can run against the in-memory driver (DATA_DRIVER=memory)
+// in tests and offline development.
+//
+// Filters are passed as criteria objects, e.g. { op: 'eq', column: 'bedrooms', value: 2 }.
+// Supported ops: eq, is (for null), ilike, gte, lte, in, contains; any (value is
+// a list of eq or in criteria, at least one of which must match); keyset
+// ({ column, value, id, ascending, lead? }) for cursor pages and near ({ lat,
+// lng, radiusKm }) for radius search.
+export const driverName = process.env.DATA_DRIVER || 'supabase';
+
+const drivers = {
+  supabase: () => import('./supabase.js'),
+  memory: () => import('./memory.js'),
+};
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown DATA_DRIVER "${driverName}"`);
+}
+
+const driver = await drivers[driverName]();
+
+export const {
+  listings,
+  favorites,
+  favoriteCollections,
+  savedSearches,
+  savedSearchMatches,
+  savedSearchAlertQueue,
+  viewingSlots,
+  viewings,
+  inquiryThreads,
+  inquiryMessages,
+  listingReports,
+  listingImports,
+  listingEvents,
+  listingStats,
+  listingDelegations,
+  rentalApplications,
+  listingPriceHistory,
+  listingAudit,
+  payments,
+  paymentLedger,
+  searchHistory,
+  listingDismissals,
+  webhookEndpoints,
+  webhookOutbox,
+  webhookDeliveries,
+  profiles,
+  storage,
+  auth,
+  health,
+} = driver;
@@ -0,0 +1,1117 @@
+import { randomUUID } from 'crypto';
+import { haversineKm } from '../utils/geo.js';
+import { rankTerms } from '../utils/textSearch.js';
+import { facetPredicates, applyPredicates, facetCounts } from '../utils/facets.js';
+import { isCandidate, candidateOrder, scoreListing, byScore } from '../utils/recommendations.js';
+import { compareRows, matchesCriterion as matches } from './criteria.js';
+
+// In-memory driver with the same surface as repositories/supabase.js. State lives
+// in module scope; tests call reset() and seed() to control it.
+const state = {
+  users: new Map(),
+  sessions: new Map(),
+  profiles: new Map(),
+  listings: new Map(),
+  favorites: new Map(),
+  favoriteCollections: new Map(),
+  savedSearches: new Map(),
+  savedSearchMatches: new Map(),
+  savedSearchAlertQueue: new Map(),
+  viewingSlots: new Map(),
+  viewings: new Map(),
+  inquiryThreads: new Map(),
+  inquiryMessages: new Map(),
+  listingReports: new Map(),
+  listingImports: new Map(),
+  listingEvents: new Map(),
+  listingStats: new Map(),
+  listingDelegations: new Map(),
+  rentalApplications: new Map(),
+  payments: new Map(),
+  paymentLedger: new Map(),
+  searchHistory: new Map(),
+  listingDismissals: new Map(),
+  listingPriceHistory: new Map(),
+  listingStatusHistory: new Map(),
+  listingAudit: new Map(),
+  webhookEndpoints: new Map(),
+  webhookOutbox: new Map(),
+  webhookDeliveries: new Map(),
+  objects: new Map(),
+};
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+const pick = (row, columns) =>
+  Object.fromEntries(columns.map((column) => [column, row[column] === undefined ? null : clone(row[column])]));
+
+// Strictly increasing, like Postgres' microsecond timestamps, so rows created in
+// the same millisecond still sort in insertion order
+let lastTimestamp = 0;
+const timestamp = () => {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return new Date(lastTimestamp).toISOString();
+};
+
+// Postgres-style errors so routes can keep checking error codes
+const pgError = (code, message) => Object.assign(new Error(message), { code });
+
+// Order by column, then id as a tie-breaker, matching the Supabase driver
+const compareBy = (column, ascending) => compareRows(column, ascending);
+
+const withLandlordProfile = (row, listing) => {
+  const profile = state.profiles.get(listing.landlord_id);
+  return {
+    ...row,
+    profiles: profile ? pick(profile, ['id', 'full_name', 'phone', 'user_type', 'email']) : null,
+  };
+};
+
+// Radius criteria compare against a computed distance_km, as listings_nearby() does
+const filterListings = (criteria) => {
+  const near = criteria.find((c) => c.op === 'near');
+  return [...state.listings.values()]
+    .map((row) => {
+      if (!near) return row;
+      const distance_km =
+        row.latitude == null || row.longitude == null ? null : haversineKm(near.lat, near.lng, row.latitude, row.longitude);
+      return { ...row, distance_km };
+    })
+    .filter((row) => criteria.every((c) => matches(row, c)));
+};
+
+// Mirrors the listings_before_price_change and listings_record_price triggers:
+// a listing keeps its last price change, and every price it asks is added to
+// its history. previous is the listing before an update, null on insert.
+const applyPrice = (listing, previous, recordedAt = timestamp()) => {
+  if (previous && previous.price === listing.price) return;
+  if (previous) {
+    Object.assign(listing, {
+      previous_price: previous.price,
+      price_changed_at: recordedAt,
+      price_dropped: listing.price < previous.price,
+    });
+  }
+  const row = {
+    id: randomUUID(),
+    listing_id: listing.id,
+    price: listing.price,
+    previous_price: previous ? previous.price : null,
+    recorded_at: recordedAt,
+  };
+  state.listingPriceHistory.set(row.id, row);
+};
+
+// Mirrors the listings_record_status trigger: every status a listing takes is
+// added to its history
+const recordStatus = (listing, previous, recordedAt = timestamp()) => {
+  if (previous && previous.status === listing.status) return;
+  const row = { id: randomUUID(), listing_id: listing.id, status: listing.status, recorded_at: recordedAt };
+  state.listingStatusHistory.set(row.id, row);
+};
+
+// Mirrors listing_audit_changes()
+const UNAUDITED = new Set([
+  'id', 'created_at', 'updated_at', 'audit_action', 'audit_actor_id', 'search_vector', 'is_available',
+  'previous_price', 'price_changed_at', 'price_dropped', 'published_price',
+]);
+
+const auditChanges = (before, after) => {
+  const changes = {};
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort().forEach((field) => {
+    if (UNAUDITED.has(field)) return;
+    const [from, to] = [before?.[field] ?? null, after?.[field] ?? null];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+// Mirrors the listings_audit trigger: a write that names an audit action is
+// recorded with what it changed, and a removal is a purge by the system
+const recordAudit = (previous, listing, { audit_action: action, audit_actor_id: actorId = null } = {}) => {
+  if (!listing) action = 'purge';
+  if (!action) return;
+  const changes = listing ? auditChanges(previous, listing) : {};
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+  const row = listing || previous;
+  const entry = {
+    id: randomUUID(),
+    listing_id: row.id,
+    landlord_id: row.landlord_id,
+    actor_id: actorId,
+    action,
+    changes,
+    created_at: timestamp(),
+  };
+  state.listingAudit.set(entry.id, entry);
+};
+
+// The audit columns of a write, which the trigger clears before the row is stored
+const withoutAudit = ({ audit_action, audit_actor_id, ...data }) => [data, { audit_action, audit_actor_id }];
+
+// Mirrors webhook_listing_payload()
+const WEBHOOK_LISTING_COLUMNS = [
+  'id', 'landlord_id', 'status', 'title', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county',
+  'estate', 'created_at', 'updated_at',
+];
+
+const addToOutbox = (eventType, listing, payload) => {
+  const row = {
+    id: randomUUID(),
+    event_type: eventType,
+    listing_id: listing.id,
+    landlord_id: listing.landlord_id,
+    payload,
+    dispatched_at: null,
+    created_at: timestamp(),
+  };
+  state.webhookOutbox.set(row.id, row);
+};
+
+// Columns the landlord edits; listing.updated only fires when one changes
+const WEBHOOK_CONTENT_COLUMNS = [
+  'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate',
+  'landlord_name', 'latitude', 'longitude', 'amenities', 'furnishing_status', 'parking', 'garden', 'balcony',
+  'own_compound', 'electricity', 'internet', 'hide_contact', 'images',
+];
+
+const contentChanged = (previous, listing) =>
+  WEBHOOK_CONTENT_COLUMNS.some(
+    (column) => JSON.stringify(previous[column] ?? null) !== JSON.stringify(listing[column] ?? null)
+  );
+
+// Mirrors the listings_webhook_outbox trigger. previous is null on insert and
+// listing is null on delete.
+const recordListingWebhook = (previous, listing) => {
+  let eventType;
+  if (!previous) eventType = 'listing.created';
+  else if (!listing) eventType = previous.status === 'deleted' ? null : 'listing.deleted';
+  else if (listing.status === 'deleted' && previous.status !== 'deleted') eventType = 'listing.deleted';
+  else if (listing.status !== previous.status) eventType = 'listing.availability_changed';
+  else if (contentChanged(previous, listing)) eventType = 'listing.updated';
+  if (!eventType) return;
+
+  const row = listing || previous;
+  const payload = pick(row, WEBHOOK_LISTING_COLUMNS);
+  if (eventType === 'listing.availability_changed') payload.previous_status = previous.status;
+  addToOutbox(eventType, row, payload);
+};
+
+// Mirrors the listings_track_published_price trigger
+const trackPublishedPrice = (listing) => {
+  if (listing.status === 'published') listing.published_price = listing.price;
+  else if (listing.status !== 'pending_review') listing.published_price = null;
+};
+
+// Mirrors the listings_queue_saved_search_alert trigger
+const queueSavedSearchAlert = (previous, listing) => {
+  if (listing.status !== 'published') return;
+  let reason = null;
+  let previousPrice = null;
+  if (!previous || (previous.status !== 'published' && previous.published_price == null)) {
+    reason = 'new';
+  } else {
+    previousPrice = previous.status === 'published' ? previous.price : previous.published_price;
+    if (listing.price < previousPrice) reason = 'price_drop';
+  }
+  if (!reason) return;
+
+  const row = {
+    id: randomUUID(),
+    listing_id: listing.id,
+    reason,
+    price: listing.price,
+    previous_price: reason === 'price_drop' ? previousPrice : null,
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    last_error: null,
+    processed_at: null,
+    created_at: timestamp(),
+  };
+  state.savedSearchAlertQueue.set(row.id, row);
+};
+
+const SEARCH_FLAGS = ['parking', 'garden', 'balcony', 'own_compound', 'electricity', 'internet'];
+
+const includesText = (value, part) => value != null && String(value).toLowerCase().includes(part.toLowerCase());
+
+// Mirrors listing_search_matches(): published listings matching a search
+// (utils/searchFilters.js searchSpec()) but for its facet filters, with their
+// relevance and, for radius searches, distance_km
+const searchCandidates = ({ terms, filters }) => {
+  const { near, bbox } = filters;
+  const rows = [...state.listings.values()]
+    .map((row) =>
+      near
+        ? { ...row, distance_km: row.latitude == null || row.longitude == null ? null : haversineKm(near.lat, near.lng, row.latitude, row.longitude) }
+        : row
+    )
+    .filter(
+      (row) =>
+        row.status === 'published' &&
+        (filters.location === undefined || includesText(row.location, filters.location)) &&
+        (filters.estate === undefined || includesText(row.estate, filters.estate)) &&
+        (filters.bathrooms === undefined || row.bathrooms === filters.bathrooms) &&
+        SEARCH_FLAGS.every((flag) => filters[flag] === undefined || row[flag] === filters[flag]) &&
+        (!near || (row.distance_km != null && row.distance_km <= near.radius_km)) &&
+        (!bbox ||
+          (row.latitude != null &&
+            row.longitude != null &&
+            row.latitude >= bbox.min_lat &&
+            row.latitude <= bbox.max_lat &&
+            row.longitude >= bbox.min_lng &&
+            row.longitude <= bbox.max_lng))
+    );
+  return rankTerms(rows, terms).map(({ row, score }) => ({ ...row, relevance: score }));
+};
+
+const PRICE_DEFAULTS = { previous_price: null, price_changed_at: null, price_dropped: false };
+const FEATURE_DEFAULTS = { featured: false, featured_until: null };
+
+export const listings = {
+  async list({ columns, criteria = [], keyset, sort = 'updated_at', ascending = false, lead = null, offset = 0, limit = 20 }) {
+    const all = keyset ? [...criteria, { op: 'keyset', ...keyset }] : criteria;
+    return filterListings(all)
+      .sort(compareRows(sort, ascending, lead))
+      .slice(offset, offset + limit)
+      .map((row) => pick(row, columns));
+  },
+
+  async count({ criteria = [] }) {
+    return filterListings(criteria).length;
+  },
+
+  // Mirrors search_listings(): a page of the results, best first unless sorted
+  // otherwise, with relevance and, for radius searches, distance_km
+  async search(spec, { columns, keyset, sort = 'relevance', ascending = false, lead = null, offset = 0, limit = 20 }) {
+    return applyPredicates(searchCandidates(spec), facetPredicates(spec.filters))
+      .filter((row) => !keyset || matches(row, { op: 'keyset', ...keyset }))
+      .sort(compareRows(sort, ascending, lead))
+      .slice(offset, offset + limit)
+      .map((row) => ({ ...pick(row, columns), relevance: row.relevance, ...(spec.filters.near ? { distance_km: row.distance_km } : {}) }));
+  },
+
+  // Mirrors recommend_listings(): published listings scored against a taste,
+  // best first with score and match_reasons
+  async recommend(taste, { columns, excludeIds = [], excludeLandlordId = null, candidates, limit, now = new Date() }) {
+    const excluded = new Set(excludeIds);
+    return [...state.listings.values()]
+      .filter(
+        (row) =>
+          row.status === 'published' && !excluded.has(row.id) && row.landlord_id !== excludeLandlordId && isCandidate(row, taste)
+      )
+      .sort(candidateOrder(taste))
+      .slice(0, candidates)
+      .map((row) => {
+        const { score, reasons } = scoreListing(row, taste, now);
+        return { ...row, score, match_reasons: reasons };
+      })
+      .sort(byScore)
+      .slice(0, limit)
+      .map((row) => ({ ...pick(row, columns), score: row.score, match_reasons: row.match_reasons }));
+  },
+
+  // Mirrors search_listing_facets(): how many results, and the facet counts
+  async searchFacets(spec) {
+    const rows = searchCandidates(spec);
+    const predicates = facetPredicates(spec.filters);
+    return { total: applyPredicates(rows, predicates).length, facets: facetCounts(rows, predicates) };
+  },
+
+  async findById(id, { columns, withLandlord = false }) {
+    const listing = state.listings.get(id);
+    if (!listing) return null;
+    const row = pick(listing, columns);
+    return withLandlord ? withLandlordProfile(row, listing) : row;
+  },
+
+  async create(listingData, { columns }) {
+    const [data, audit] = withoutAudit(listingData);
+    const listing = { id: randomUUID(), ...PRICE_DEFAULTS, ...FEATURE_DEFAULTS, ...clone(data) };
+    state.listings.set(listing.id, listing);
+    applyPrice(listing, null);
+    recordStatus(listing, null);
+    trackPublishedPrice(listing);
+    recordAudit(null, listing, audit);
+    recordListingWebhook(null, listing);
+    queueSavedSearchAlert(null, listing);
+    return pick(listing, columns);
+  },
+
+  async update(id, updateData, { columns }) {
+    const listing = state.listings.get(id);
+    if (!listing) throw pgError('PGRST116', 'The result contains 0 rows');
+    const [data, audit] = withoutAudit(updateData);
+    const clean = Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined));
+    const previous = { ...listing };
+    Object.assign(listing, clone(clean));
+    if ('price' in clean) applyPrice(listing, previous);
+    if ('status' in clean) recordStatus(listing, previous);
+    if ('price' in clean || 'status' in clean) trackPublishedPrice(listing);
+    recordAudit(previous, listing, audit);
+    recordListingWebhook(previous, listing);
+    queueSavedSearchAlert(previous, listing);
+    return pick(listing, columns);
+  },
+
+  async remove(id) {
+    const listing = state.listings.get(id);
+    if (!listing) return;
+    state.listings.delete(id);
+    recordAudit(listing, null);
+    recordListingWebhook(listing, null);
+    for (const [favoriteId, favorite] of state.favorites) {
+      if (favorite.listing_id === id) state.favorites.delete(favoriteId);
+    }
+    for (const table of [
+      'savedSearchMatches', 'savedSearchAlertQueue', 'viewingSlots', 'viewings', 'inquiryThreads', 'listingReports', 'listingPriceHistory',
+      'listingStatusHistory', 'rentalApplications', 'listingDismissals',
+    ]) {
+      for (const [rowId, row] of state[table]) {
+        if (row.listing_id === id) state[table].delete(rowId);
+      }
+    }
+    for (const [messageId, message] of state.inquiryMessages) {
+      if (!state.inquiryThreads.has(message.thread_id)) state.inquiryMessages.delete(messageId);
+    }
+    // Payments outlive the listing and its viewings (on delete set null)
+    for (const payment of state.payments.values()) {
+      if (payment.listing_id === id) payment.listing_id = null;
+      if (payment.viewing_id && !state.viewings.has(payment.viewing_id)) payment.viewing_id = null;
+    }
+  },
+};
+
+const favoritesFor = (userId, { onlyPublished, collectionId, listingIds }) =>
+  [...state.favorites.values()].filter(
+    (favorite) =>
+      favorite.user_id === userId &&
+      (!onlyPublished || state.listings.get(favorite.listing_id)?.status === 'published') &&
+      (collectionId === undefined || (favorite.collection_id ?? null) === collectionId) &&
+      (!listingIds || listingIds.includes(favorite.listing_id))
+  );
+
+const FAVORITE_COLUMNS = ['id', 'listing_id', 'note', 'collection_id', 'created_at'];
+
+export const favorites = {
+  async listForUser(
+    userId,
+    { listingColumns, onlyPublished = false, collectionId, listingIds, keyset, sort = 'created_at', ascending = false, offset = 0, limit = 50 }
+  ) {
+    return favoritesFor(userId, { onlyPublished, collectionId, listingIds })
+      .filter((favorite) => !keyset || matches(favorite, { op: 'keyset', ...keyset }))
+      .sort(compareBy(sort, ascending))
+      .slice(offset, offset + limit)
+      .map((favorite) => {
+        const listing = state.listings.get(favorite.listing_id);
+        return {
+          ...pick(favorite, ['id', 'created_at', 'listing_id', 'note', 'collection_id']),
+          listings: listing ? pick(listing, listingColumns) : null,
+        };
+      });
+  },
+
+  async countForUser(userId, { onlyPublished = false, collectionId }) {
+    return favoritesFor(userId, { onlyPublished, collectionId }).length;
+  },
+
+  async find(userId, listingId) {
+    const favorite = [...state.favorites.values()].find(
+      (f) => f.user_id === userId && f.listing_id === listingId
+    );
+    return favorite ? { id: favorite.id } : null;
+  },
+
+  async add(userId, listingId, { note = null, collection_id = null } = {}) {
+    if (await favorites.find(userId, listingId)) {
+      throw pgError('23505', 'duplicate key value violates unique constraint "favorites_user_id_listing_id_key"');
+    }
+    const favorite = {
+      id: randomUUID(),
+      user_id: userId,
+      listing_id: listingId,
+      note,
+      collection_id,
+      created_at: new Date().toISOString(),
+    };
+    state.favorites.set(favorite.id, favorite);
+    // Mirrors the favorites_webhook_outbox trigger
+    const listing = state.listings.get(listingId);
+    if (listing) {
+      addToOutbox('favorite.added', listing, {
+        favorite_id: favorite.id,
+        created_at: favorite.created_at,
+        listing: pick(listing, WEBHOOK_LISTING_COLUMNS),
+      });
+    }
+    return pick(favorite, FAVORITE_COLUMNS);
+  },
+
+  // Change a favorite's note or collection
+  async update(id, updateData) {
+    const favorite = state.favorites.get(id);
+    if (!favorite) throw pgError('PGRST116', 'The result contains 0 rows');
+    Object.assign(favorite, clone(updateData));
+    return pick(favorite, FAVORITE_COLUMNS);
+  },
+
+  async remove(userId, listingId) {
+    for (const [id, favorite] of state.favorites) {
+      if (favorite.user_id === userId && favorite.listing_id === listingId) state.favorites.delete(id);
+    }
+  },
+};
+
+const savedSearchesFor = (userId) => [...state.savedSearches.values()].filter((search) => search.user_id === userId);
+
+export const savedSearches = {
+  async listForUser(userId, { keyset, sort = 'created_at', ascending = false, offset = 0, limit = 20 }) {
+    return savedSearchesFor(userId)
+      .filter((search) => !keyset || matches(search, { op: 'keyset', ...keyset }))
+      .sort(compareBy(sort, ascending))
+      .slice(offset, offset + limit)
+      .map(clone);
+  },
+
+  async countForUser(userId) {
+    return savedSearchesFor(userId).length;
+  },
+
+  // Mirrors saved_searches_for_listing(): searches other users saved whose
+  // facet filters the listing passes
+  async listForListing(listingId) {
+    const listing = state.listings.get(listingId);
+    if (!listing) return [];
+    return [...state.savedSearches.values()]
+      .filter((search) => search.user_id !== listing.landlord_id)
+      .filter((search) => applyPredicates([listing], facetPredicates(search.filters)).length === 1)
+      .map(clone);
+  },
+
+  async findById(id) {
+    return clone(state.savedSearches.get(id)) || null;
+  },
+
+  async create(searchData) {
+    const now = new Date().toISOString();
+    const search = { id: randomUUID(), last_digest_at: null, created_at: now, updated_at: now, ...clone(searchData) };
+    state.savedSearches.set(search.id, search);
+    return clone(search);
+  },
+
+  async update(id, updateData) {
+    const search = state.savedSearches.get(id);
+    if (!search) throw pgError('PGRST116', 'The result contains 0 rows');
+    Object.assign(search, clone(updateData));
+    return clone(search);
+  },
+
+  async remove(id) {
+    state.savedSearches.delete(id);
+    for (const [matchId, match] of state.savedSearchMatches) {
+      if (match.saved_search_id === id) state.savedSearchMatches.delete(matchId);
+    }
+  },
+};
+
+const withSearchAndListing = (match, listingColumns) => {
+  const search = state.savedSearches.get(match.saved_search_id);
+  const listing = state.listings.get(match.listing_id);
+  return {
+    ...clone(match),
+    saved_searches: pick(search, ['id', 'user_id', 'name', 'alerts', 'channels', 'last_digest_at']),
+    listings: listing ? pick(listing, listingColumns) : null,
+  };
+};
+
+export const savedSearchMatches = {
+  // Insert matches, skipping any already recorded for the same search, listing,
+  // reason and price. Returns only the rows inserted.
+  async record(rows) {
+    const key = (m) => [m.saved_search_id, m.listing_id, m.reason, m.price].join('|');
+    const existing = new Set([...state.savedSearchMatches.values()].map(key));
+    const inserted = [];
+    rows.forEach((row) => {
+      if (existing.has(key(row))) return;
+      existing.add(key(row));
+      const match = { id: randomUUID(), notified_at: null, seen_at: null, created_at: new Date().toISOString(), ...clone(row) };
+      state.savedSearchMatches.set(match.id, match);
+      inserted.push(clone(match));
+    });
+    return inserted;
+  },
+
+  async listForUser(userId, { listingColumns, unseenOnly = true, limit = 200 }) {
+    return [...state.savedSearchMatches.values()]
+      .filter((match) => match.user_id === userId && (!unseenOnly || match.seen_at === null))
+      .sort(compareBy('created_at', false))
+      .slice(0, limit)
+      .map((match) => withSearchAndListing(match, listingColumns));
+  },
+
+  async listUnnotified({ alerts, listingId = null, listingColumns }) {
+    return [...state.savedSearchMatches.values()]
+      .filter(
+        (match) =>
+          match.notified_at === null &&
+          (!listingId || match.listing_id === listingId) &&
+          state.savedSearches.get(match.saved_search_id)?.alerts === alerts
+      )
+      .sort(compareBy('created_at', true))
+      .map((match) => withSearchAndListing(match, listingColumns));
+  },
+
+  async markNotified(ids) {
+    const now = new Date().toISOString();
+    ids.forEach((id) => {
+      const match = state.savedSearchMatches.get(id);
+      if (match) match.notified_at = now;
+    });
+  },
+
+  async markSeen(userId, ids = null) {
+    const now = new Date().toISOString();
+    let count = 0;
+    state.savedSearchMatches.forEach((match) => {
+      if (match.user_id !== userId || match.seen_at !== null || (ids && !ids.includes(match.id))) return;
+      match.seen_at = now;
+      count += 1;
+    });
+    return count;
+  },
+};
+
+// Stand-ins for the exclusion constraints in supabase/migrations: rows with the
+// same key value whose [starts_at, ends_at) ranges overlap cannot both be active.
+const EXCLUSIONS = {
+  viewingSlots: [{ name: 'viewing_slots_no_overlap', key: 'landlord_id', active: (row) => row.status === 'open' }],
+  viewings: [
+    { name: 'viewings_landlord_no_overlap', key: 'landlord_id', active: (row) => row.status === 'confirmed' },
+    { name: 'viewings_tenant_no_overlap', key: 'tenant_id', active: (row) => row.status === 'confirmed' },
+  ],
+};
+
+// Stand-ins for unique constraints and partial unique indexes (where);
+// caseInsensitive compares text columns as lower() would
+const UNIQUES = {
+  inquiryThreads: [{ name: 'inquiry_threads_listing_id_tenant_id_key', columns: ['listing_id', 'tenant_id'] }],
+  listingReports: [
+    { name: 'listing_reports_open_idx', columns: ['listing_id', 'reporter_id'], where: (row) => row.status === 'open' },
+  ],
+  listingDelegations: [
+    {
+      name: 'listing_delegations_current_idx',
+      columns: ['landlord_id', 'caretaker_id', 'listing_id'],
+      where: (row) => ['pending', 'active'].includes(row.status),
+    },
+  ],
+  rentalApplications: [
+    {
+      name: 'rental_applications_open_idx',
+      columns: ['listing_id', 'tenant_id'],
+      where: (row) => ['submitted', 'shortlisted'].includes(row.status),
+    },
+    { name: 'rental_applications_accepted_idx', columns: ['listing_id'], where: (row) => row.status === 'accepted' },
+  ],
+  favoriteCollections: [
+    { name: 'favorite_collections_user_id_name_idx', columns: ['user_id', 'name'], caseInsensitive: true },
+    { name: 'favorite_collections_share_token_key', columns: ['share_token'], where: (row) => row.share_token != null },
+  ],
+  webhookDeliveries: [
+    { name: 'webhook_deliveries_endpoint_id_event_id_idx', columns: ['endpoint_id', 'event_id'], where: (row) => row.replay_of == null },
+  ],
+  listingDismissals: [{ name: 'listing_dismissals_user_id_listing_id_key', columns: ['user_id', 'listing_id'] }],
+  payments: [
+    { name: 'payments_user_id_idempotency_key_idx', columns: ['user_id', 'idempotency_key'] },
+    { name: 'payments_checkout_request_id_key', columns: ['checkout_request_id'], where: (row) => row.checkout_request_id != null },
+    { name: 'payments_mpesa_receipt_key', columns: ['mpesa_receipt'], where: (row) => row.mpesa_receipt != null },
+    {
+      name: 'payments_featured_pending_idx',
+      columns: ['listing_id'],
+      where: (row) => row.purpose === 'featured_listing' && row.status === 'pending',
+    },
+    {
+      name: 'payments_viewing_deposit_idx',
+      columns: ['viewing_id'],
+      where: (row) => row.purpose === 'viewing_deposit' && row.status !== 'failed',
+    },
+  ],
+  paymentLedger: [{ name: 'payment_ledger_payment_id_entry_key', columns: ['payment_id', 'entry'] }],
+};
+
+const checkUniques = (table, rows) => {
+  const all = [...state[table].values()];
+  rows.forEach((row, i) => {
+    (UNIQUES[table] || []).forEach(({ name, columns, where = () => true, caseInsensitive = false }) => {
+      if (!where(row)) return;
+      const key = (value) => (caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value);
+      const others = [...all.filter((other) => other.id !== row.id), ...rows.slice(0, i)].filter(where);
+      if (others.some((other) => columns.every((column) => key(other[column]) === key(row[column])))) {
+        throw pgError('23505', `duplicate key value violates unique constraint "${name}"`);
+      }
+    });
+  });
+};
+
+const overlaps = (a, b) => a.starts_at < b.ends_at && b.starts_at < a.ends_at;
+
+const checkExclusions = (table, rows) => {
+  const all = [...state[table].values()];
+  rows.forEach((row, i) => {
+    (EXCLUSIONS[table] || []).forEach(({ name, key, active }) => {
+      if (!active(row)) return;
+      const others = [...all.filter((other) => other.id !== row.id), ...rows.slice(0, i)];
+      if (others.some((other) => other[key] === row[key] && active(other) && overlaps(other, row))) {
+        throw pgError('23P01', `conflicting key value violates exclusion constraint "${name}"`);
+      }
+    });
+  });
+};
+
+// Criteria-based access to a table, for tables without bespoke queries
+const tableRepository = (table) => ({
+  async list({ columns, criteria = [], keyset, sort = 'created_at', ascending = false, offset = 0, limit = 20 }) {
+    const all = keyset ? [...criteria, { op: 'keyset', ...keyset }] : criteria;
+    return [...state[table].values()]
+      .filter((row) => all.every((c) => matches(row, c)))
+      .sort(compareBy(sort, ascending))
+      .slice(offset, offset + limit)
+      .map((row) => (columns ? pick(row, columns) : clone(row)));
+  },
+
+  async count({ criteria = [] }) {
+    return [...state[table].values()].filter((row) => criteria.every((c) => matches(row, c))).length;
+  },
+
+  async findById(id, { columns } = {}) {
+    const row = state[table].get(id);
+    if (!row) return null;
+    return columns ? pick(row, columns) : clone(row);
+  },
+
+  // Insert one row or an array of rows, all or nothing
+  async create(data, { columns } = {}) {
+    const rows = (Array.isArray(data) ? data : [data]).map((row) => {
+      const now = timestamp();
+      return { id: randomUUID(), created_at: now, updated_at: now, ...clone(row) };
+    });
+    checkUniques(table, rows);
+    checkExclusions(table, rows);
+    rows.forEach((row) => state[table].set(row.id, row));
+    const created = rows.map((row) => (columns ? pick(row, columns) : clone(row)));
+    return Array.isArray(data) ? created : created[0];
+  },
+
+  async update(id, updateData, { columns } = {}) {
+    const row = state[table].get(id);
+    if (!row) throw pgError('PGRST116', 'The result contains 0 rows');
+    const updated = { ...row, ...clone(updateData) };
+    checkUniques(table, [updated]);
+    checkExclusions(table, [updated]);
+    state[table].set(id, updated);
+    return columns ? pick(updated, columns) : clone(updated);
+  },
+});
+
+export const savedSearchAlertQueue = tableRepository('savedSearchAlertQueue');
+export const viewingSlots = tableRepository('viewingSlots');
+export const viewings = tableRepository('viewings');
+export const inquiryThreads = tableRepository('inquiryThreads');
+export const listingReports = tableRepository('listingReports');
+export const listingImports = {
+  ...tableRepository('listingImports'),
+
+  // Mirrors claim_listing_import()
+  async claimNext({ leaseSeconds, now = new Date() }) {
+    const at = now.toISOString();
+    const [job] = [...state.listingImports.values()]
+      .filter((row) => row.status === 'queued' || (row.status === 'running' && row.lease_expires_at < at))
+      .sort(compareBy('created_at', true));
+    if (!job) return null;
+    Object.assign(job, {
+      status: 'running',
+      started_at: job.started_at || at,
+      lease_expires_at: new Date(now.getTime() + leaseSeconds * 1000).toISOString(),
+      updated_at: at,
+    });
+    return clone(job);
+  },
+};
+export const listingDelegations = tableRepository('listingDelegations');
+const rentalApplicationsTable = tableRepository('rentalApplications');
+
+export const rentalApplications = {
+  ...rentalApplicationsTable,
+
+  // Mirrors the supabase driver: only while the status is one of from
+  async updateIfStatus(id, from, updateData) {
+    const row = state.rentalApplications.get(id);
+    if (!row || !from.includes(row.status)) return null;
+    return rentalApplicationsTable.update(id, updateData);
+  },
+};
+
+export const webhookEndpoints = {
+  ...tableRepository('webhookEndpoints'),
+
+  async remove(id) {
+    state.webhookEndpoints.delete(id);
+    for (const [deliveryId, delivery] of state.webhookDeliveries) {
+      if (delivery.endpoint_id === id) state.webhookDeliveries.delete(deliveryId);
+    }
+  },
+};
+export const webhookOutbox = tableRepository('webhookOutbox');
+
+export const favoriteCollections = {
+  ...tableRepository('favoriteCollections'),
+
+  // Its favorites stay saved, outside any collection (on delete set null)
+  async remove(id) {
+    state.favoriteCollections.delete(id);
+    for (const favorite of state.favorites.values()) {
+      if (favorite.collection_id === id) favorite.collection_id = null;
+    }
+  },
+};
+
+const deliveriesTable = tableRepository('webhookDeliveries');
+
+export const webhookDeliveries = {
+  ...deliveriesTable,
+
+  // Mirrors claim_webhook_deliveries()
+  async claimDue({ limit, leaseSeconds, now = new Date() }) {
+    const due = [...state.webhookDeliveries.values()]
+      .filter((row) => row.status === 'pending' && row.next_attempt_at <= now.toISOString())
+      .sort(compareBy('next_attempt_at', true))
+      .slice(0, limit);
+    const leasedUntil = new Date(now.getTime() + leaseSeconds * 1000).toISOString();
+    return due.map((row) => {
+      row.next_attempt_at = leasedUntil;
+      return clone(row);
+    });
+  },
+};
+
+const paymentsTable = tableRepository('payments');
+
+export const payments = {
+  ...paymentsTable,
+
+  // Update a payment only while its status is one of from, so a result that
+  // arrives twice (callback and reconciliation) is applied once. Returns null
+  // when the status had already moved on.
+  async updateIfStatus(id, from, updateData) {
+    const row = state.payments.get(id);
+    if (!row || !from.includes(row.status)) return null;
+    return paymentsTable.update(id, updateData);
+  },
+};
+
+const ledgerTable = tableRepository('paymentLedger');
+
+// Append-only, like payment_ledger
+export const paymentLedger = {
+  list: ledgerTable.list,
+  count: ledgerTable.count,
+  create: ledgerTable.create,
+};
+
+const searchHistoryTable = tableRepository('searchHistory');
+
+export const searchHistory = {
+  list: searchHistoryTable.list,
+  count: searchHistoryTable.count,
+  create: searchHistoryTable.create,
+
+  async removeForUser(userId) {
+    for (const [id, search] of state.searchHistory) {
+      if (search.user_id === userId) state.searchHistory.delete(id);
+    }
+  },
+
+  // Delete searches made before a timestamp; returns how many
+  async removeBefore(before) {
+    let removed = 0;
+    for (const [id, search] of state.searchHistory) {
+      if (search.created_at < before) {
+        state.searchHistory.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  },
+};
+
+export const listingDismissals = {
+  ...tableRepository('listingDismissals'),
+
+  async remove(userId, listingId) {
+    for (const [id, dismissal] of state.listingDismissals) {
+      if (dismissal.user_id === userId && dismissal.listing_id === listingId) state.listingDismissals.delete(id);
+    }
+  },
+};
+
+const auditTable = tableRepository('listingAudit');
+
+// Append-only, like listing_audit_log; entries come from recordAudit()
+export const listingAudit = {
+  list: auditTable.list,
+  count: auditTable.count,
+};
+
+// date_trunc('week' | 'month', date) in UTC, and the start of the next period
+const periodStart = (date, period) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  else start.setUTCDate(1);
+  return start;
+};
+
+const nextPeriod = (start, period) => {
+  const next = new Date(start);
+  if (period === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// percentile_cont over ascending values
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const sameText = (value, filter) => filter == null || (value != null && value.toLowerCase() === filter.toLowerCase());
+
+export const listingPriceHistory = {
+  ...tableRepository('listingPriceHistory'),
+
+  // Mirrors listing_rent_stats()
+  async rentStats({ from, to, period, county = null, estate = null, property_type = null, bedrooms = null }) {
+    const candidates = [...state.listings.values()].filter(
+      (listing) =>
+        sameText(listing.county, county) &&
+        sameText(listing.estate, estate) &&
+        (property_type == null || listing.property_type === property_type) &&
+        (bedrooms == null || listing.bedrooms === bedrooms)
+    );
+    const history = [...state.listingPriceHistory.values()].sort(compareBy('recorded_at', true));
+    const statuses = [...state.listingStatusHistory.values()].sort(compareBy('recorded_at', true));
+    // Published before the period ended and not changed again before it began
+    const publishedDuring = (listing, startsAt, endsAt) =>
+      statuses.some(
+        (s) =>
+          s.listing_id === listing.id &&
+          s.status === 'published' &&
+          s.recorded_at < endsAt &&
+          !statuses.some((n) => n.listing_id === listing.id && n.recorded_at > s.recorded_at && n.recorded_at <= startsAt)
+      );
+
+    const rows = [];
+    const last = periodStart(to, period);
+    for (let start = periodStart(from, period); start <= last; start = nextPeriod(start, period)) {
+      const [startsAt, endsAt] = [start.toISOString(), nextPeriod(start, period).toISOString()];
+      const prices = candidates
+        .filter((l) => publishedDuring(l, startsAt, endsAt))
+        .map((l) => history.filter((h) => h.listing_id === l.id && h.recorded_at < endsAt).at(-1)?.price)
+        .filter((price) => price != null)
+        .sort((a, b) => a - b);
+      rows.push({
+        period_start: startsAt,
+        listings: prices.length,
+        p25: percentile(prices, 0.25),
+        median: percentile(prices, 0.5),
+        p75: percentile(prices, 0.75),
+        average: prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null,
+      });
+    }
+    return rows;
+  },
+};
+
+const messagesTable = tableRepository('inquiryMessages');
+
+// Mirrors the inquiry_messages_after_insert trigger: the sender has read the
+// thread up to their message, the recipient gets an unread message and the
+// thread back from their archive, and the landlord's first reply is recorded.
+// Anyone but the tenant writes for the landlord's side (caretakers).
+const applyMessageToThread = (message) => {
+  const thread = state.inquiryThreads.get(message.thread_id);
+  if (!thread) return;
+  const [sender, recipient] = message.sender_id === thread.tenant_id ? ['tenant', 'landlord'] : ['landlord', 'tenant'];
+  Object.assign(thread, {
+    last_message_at: message.created_at,
+    last_message_preview: message.body.slice(0, 140),
+    [`${sender}_last_read_at`]: message.created_at,
+    [`${sender}_unread_count`]: 0,
+    [`${recipient}_unread_count`]: (thread[`${recipient}_unread_count`] || 0) + 1,
+    [`${recipient}_archived`]: false,
+    updated_at: message.created_at,
+  });
+  if (recipient === 'tenant' && !thread.landlord_replied_at) thread.landlord_replied_at = message.created_at;
+};
+
+export const inquiryMessages = {
+  ...messagesTable,
+
+  async create(data, options) {
+    const message = await messagesTable.create(data);
+    applyMessageToThread(message);
+    return options?.columns ? pick(message, options.columns) : message;
+  },
+};
+
+// Daily counter for each event type, as in listing_stats_daily
+const STAT_COLUMNS = {
+  view: 'views',
+  impression: 'impressions',
+  favorite_add: 'favorites_added',
+  favorite_remove: 'favorites_removed',
+  contact: 'contacts',
+};
+
+export const listingStats = tableRepository('listingStats');
+
+// Mirrors the listing_events_after_insert trigger: each new event adds one to
+// its listing's counters for the day
+const applyEventToStats = (event) => {
+  let stats = [...state.listingStats.values()].find((row) => row.listing_id === event.listing_id && row.day === event.day);
+  if (!stats) {
+    const now = timestamp();
+    stats = { id: randomUUID(), listing_id: event.listing_id, day: event.day, created_at: now, updated_at: now };
+    Object.values(STAT_COLUMNS).forEach((column) => (stats[column] = 0));
+    state.listingStats.set(stats.id, stats);
+  }
+  stats[STAT_COLUMNS[event.event_type]] += 1;
+  stats.updated_at = timestamp();
+};
+
+export const listingEvents = {
+  // Insert events, skipping any already recorded for the same listing, type,
+  // viewer and day. Returns how many were new.
+  async record(rows) {
+    const key = (e) => [e.listing_id, e.event_type, e.viewer_key, e.day].join('|');
+    const existing = new Set([...state.listingEvents.values()].map(key));
+    let inserted = 0;
+    rows.forEach((row) => {
+      if (existing.has(key(row))) return;
+      existing.add(key(row));
+      const event = { id: randomUUID(), created_at: timestamp(), ...clone(row) };
+      state.listingEvents.set(event.id, event);
+      applyEventToStats(event);
+      inserted += 1;
+    });
+    return inserted;
+  },
+
+  // Delete events recorded before a timestamp; returns how many
+  async removeBefore(before) {
+    let removed = 0;
+    for (const [id, event] of state.listingEvents) {
+      if (event.created_at < before) {
+        state.listingEvents.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  },
+};
+
+export const profiles = {
+  async findById(id, { columns }) {
+    const profile = state.profiles.get(id);
+    if (!profile) throw pgError('PGRST116', 'The result contains 0 rows');
+    return pick(profile, columns);
+  },
+
+  async findByEmail(email, { columns }) {
+    const profile = [...state.profiles.values()].find((row) => row.email?.toLowerCase() === email.toLowerCase());
+    return profile ? pick(profile, columns) : null;
+  },
+};
+
+export const storage = {
+  async upload(bucket, path, buffer, { contentType, upsert = false }) {
+    const key = `${bucket}/${path}`;
+    if (state.objects.has(key) && !upsert) throw pgError('409', 'The resource already exists');
+    state.objects.set(key, { buffer, contentType });
+    return `http://localhost/storage/v1/object/public/${key}`;
+  },
+
+  async remove(bucket, paths) {
+    paths.forEach((path) => state.objects.delete(`${bucket}/${path}`));
+  },
+
+  async download(bucket, path) {
+    const object = state.objects.get(`${bucket}/${path}`);
+    if (!object) throw pgError('404', 'Object not found');
+    return object.buffer;
+  },
+
+  async signedUrl(bucket, path, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `http://localhost/storage/v1/object/sign/${bucket}/${path}?token=memory-${expires}`;
+  },
+};
+
+export const auth = {
+  async getUser(token) {
+    const userId = state.sessions.get(token);
+    if (!userId) throw Object.assign(new Error('invalid JWT'), { name: 'AuthApiError', status: 401 });
+    return clone(state.users.get(userId));
+  },
+};
+
+// Test helpers
+
+// Always up; tests replace a check to simulate an outage
+export const health = {
+  async auth() {},
+  async database() {},
+  async storage() {},
+};
+
+export const reset = () => Object.values(state).forEach((table) => table.clear());
+
+// Seed users (with a bearer token and optional profile), listings and favorites.
+// Returns the stored rows so callers can reference generated ids.
+export const seed = ({ users = [], listings: listingRows = [], favorites: favoriteRows = [] } = {}) => {
+  const now = new Date().toISOString();
+  const seeded = { users: [], listings: [], favorites: [] };
+
+  users.forEach(({ id = randomUUID(), email, token = randomUUID(), profile }) => {
+    state.users.set(id, { id, email, aud: 'authenticated', role: 'authenticated' });
+    state.sessions.set(token, id);
+    if (profile) state.profiles.set(id, { id, email, ...profile });
+    seeded.users.push({ id, email, token });
+  });
+
+  listingRows.forEach((row) => {
+    const listing = {
+      id: randomUUID(), created_at: now, updated_at: now, images: [], ...PRICE_DEFAULTS, ...FEATURE_DEFAULTS, ...clone(row),
+    };
+    state.listings.set(listing.id, listing);
+    applyPrice(listing, null, listing.created_at);
+    // As the listing_status_history backfill: rented listings were published until last updated
+    if (listing.status === 'rented') recordStatus({ ...listing, status: 'published' }, null, listing.created_at);
+    recordStatus(listing, null, listing.status === 'rented' ? listing.updated_at : listing.created_at);
+    trackPublishedPrice(listing);
+    seeded.listings.push(clone(listing));
+  });
+
+  favoriteRows.forEach((row) => {
+    const favorite = { id: randomUUID(), created_at: now, ...row };
+    state.favorites.set(favorite.id, favorite);
+    seeded.favorites.push({ ...favorite });
+  });
+
+  return seeded;
+};
+
+export const getStoredObject = (bucket, path) => state.objects.get(`${bucket}/${path}`) || null;
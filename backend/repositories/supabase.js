@@ -0,0 +1,725 @@
+import { supabase } from '../supabase.js';
+import { tasteParams } from '../utils/recommendations.js';
+
+const LANDLORD_JOIN = 'profiles!listings_landlord_id_fkey (id, full_name, phone, user_type, email)';
+
+// No rows, or an id that is not a valid uuid
+const isNotFound = (error) => ['PGRST116', '22P02'].includes(error.code);
+
+// PostgREST caps responses at 1000 rows, so larger reads are fetched in pages
+const PAGE_SIZE = 1000;
+
+// Rows offset to offset + limit of a query, a page at a time. query() builds
+// the filtered, ordered query afresh for each page.
+const fetchRange = async (query, offset, limit) => {
+  const rows = [];
+  for (let from = offset; from < offset + limit; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, offset + limit) - 1;
+    const { data, error } = await query().range(from, to);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < to - from + 1) break;
+  }
+  return rows;
+};
+
+// Quote a value for use inside a PostgREST or() filter
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const selectColumns = (columns, { withLandlord = false } = {}) =>
+  [...columns, ...(withLandlord ? [LANDLORD_JOIN] : [])].join(', ');
+
+// One alternative of an any criterion as a PostgREST or= condition
+const orFilter = ({ op, column, value }) => {
+  switch (op) {
+    case 'eq':
+      return `${column}.eq.${quote(value)}`;
+    case 'in':
+      return `${column}.in.(${value.map(quote).join(',')})`;
+    default:
+      throw new Error(`Unsupported criteria op "${op}" in any`);
+  }
+};
+
+// The rows after (value, id) in the sort order, as a PostgREST or= condition;
+// with a lead, those after it on the lead column come first
+const keysetFilter = ({ column, value, id, ascending, lead }) => {
+  const cmp = ascending ? 'gt' : 'lt';
+  const after = `${column}.${cmp}.${quote(value)},and(${column}.eq.${quote(value)},id.${cmp}.${quote(id)})`;
+  if (!lead) return after;
+  const leadCmp = lead.ascending ? 'gt' : 'lt';
+  return `${lead.column}.${leadCmp}.${lead.value},and(${lead.column}.eq.${lead.value},or(${after}))`;
+};
+
+// Translate repository criteria into PostgREST filters
+const applyCriteria = (query, criteria = []) =>
+  criteria.reduce((q, { op, column, value, ...rest }) => {
+    switch (op) {
+      case 'eq':
+        return q.eq(column, value);
+      case 'is':
+        return q.is(column, value);
+      case 'ilike':
+        return q.ilike(column, value);
+      case 'gte':
+        return q.gte(column, value);
+      case 'lte':
+        return q.lte(column, value);
+      case 'in':
+        return q.in(column, value);
+      case 'contains':
+        // Arrays of objects are jsonb containment, which needs a JSON literal
+        return value.some((v) => v !== null && typeof v === 'object')
+          ? q.filter(column, 'cs', JSON.stringify(value))
+          : q.contains(column, value);
+      case 'keyset':
+        return q.or(keysetFilter({ column, value, ...rest }));
+      case 'any':
+        return q.or(value.map(orFilter).join(','));
+      default:
+        throw new Error(`Unsupported criteria op "${op}"`);
+    }
+  }, query);
+
+// Run a head-only count query (type is exact, planned or estimated)
+const countRows = async (query) => {
+  const { count, error } = await query;
+  if (error) throw error;
+  return count;
+};
+
+// Radius searches go through the listings_nearby() function (see
+// supabase/migrations), which also orders and pages by distance_km, after
+// the lead column if there is one.
+const listingsSource = (criteria, { columns, count, keyset, byDistance = false, ascending = true, lead = null }) => {
+  const near = criteria.find((c) => c.op === 'near');
+  const rest = criteria.filter((c) => c.op !== 'near');
+  const options = count ? { count, head: true } : undefined;
+  if (!near) return { query: supabase.from('listings').select(columns, options), rest };
+
+  const args = { lat: near.lat, lng: near.lng, radius_km: near.radiusKm };
+  if (byDistance) {
+    args.ascending = ascending;
+    if (lead) args.featured_order = lead.ascending ? 'asc' : 'desc';
+    if (keyset) Object.assign(args, { after_distance: keyset.value, after_id: keyset.id });
+    if (keyset?.lead) args.after_featured = keyset.lead.value;
+  }
+  return { query: supabase.rpc('listings_nearby', args, options).select(columns), rest };
+};
+
+// Sorts search_listings() continues from a timestamp rather than a number
+const TIME_SORTS = ['created_at', 'updated_at'];
+
+export const listings = {
+  async list({ columns, criteria = [], keyset, sort = 'updated_at', ascending = false, lead = null, offset = 0, limit = 20 }) {
+    const byDistance = sort === 'distance_km';
+    const page = () => {
+      const { query, rest } = listingsSource(criteria, { columns: selectColumns(columns), keyset, byDistance, ascending, lead });
+      let filtered = applyCriteria(query, keyset && !byDistance ? [...rest, { op: 'keyset', ...keyset }] : rest);
+      if (!byDistance) {
+        if (lead) filtered = filtered.order(lead.column, { ascending: lead.ascending });
+        filtered = filtered.order(sort, { ascending }).order('id', { ascending });
+      }
+      return filtered;
+    };
+    return fetchRange(page, offset, limit);
+  },
+
+  async count({ criteria = [], type = 'exact' }) {
+    const { query, rest } = listingsSource(criteria, { columns: 'id', count: type });
+    return countRows(applyCriteria(query, rest));
+  },
+
+  // Full-text search through search_listings() (see supabase/migrations),
+  // which ranks, filters and pages the matching ids; their columns are then
+  // read by id. spec is from utils/searchFilters.js searchSpec().
+  async search(spec, { columns, keyset, sort = 'relevance', ascending = false, lead = null, offset = 0, limit = 20 }) {
+    const byTime = TIME_SORTS.includes(sort);
+    const { data: hits, error } = await supabase.rpc('search_listings', {
+      p_terms: spec.terms,
+      p_filters: spec.filters,
+      p_sort: sort,
+      p_ascending: ascending,
+      p_featured_order: lead ? (lead.ascending ? 'asc' : 'desc') : null,
+      p_after_featured: keyset?.lead ? keyset.lead.value : null,
+      p_after_number: keyset && !byTime ? keyset.value : null,
+      p_after_time: keyset && byTime ? keyset.value : null,
+      p_after_id: keyset ? keyset.id : null,
+      p_offset: offset,
+      p_limit: limit,
+    });
+    if (error) throw error;
+    if (hits.length === 0) return [];
+
+    const { data: rows, error: rowsError } = await supabase
+      .from('listings')
+      .select(selectColumns(columns))
+      .in('id', hits.map((hit) => hit.id));
+    if (rowsError) throw rowsError;
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    return hits
+      .filter((hit) => byId.has(hit.id))
+      .map(({ id, relevance, distance_km }) => ({ ...byId.get(id), relevance, ...(spec.filters.near ? { distance_km } : {}) }));
+  },
+
+  // Published listings scored against a taste (utils/recommendations.js) by
+  // recommend_listings() (see supabase/migrations), best first with score and
+  // match_reasons; their columns are then read by id. candidates bounds how
+  // many are scored.
+  async recommend(taste, { columns, excludeIds = [], excludeLandlordId = null, candidates, limit, now = new Date() }) {
+    const { data: hits, error } = await supabase.rpc('recommend_listings', {
+      p_taste: tasteParams(taste),
+      p_exclude_ids: excludeIds,
+      p_exclude_landlord_id: excludeLandlordId,
+      p_candidates: candidates,
+      p_limit: limit,
+      p_now: now.toISOString(),
+    });
+    if (error) throw error;
+    if (hits.length === 0) return [];
+
+    const { data: rows, error: rowsError } = await supabase
+      .from('listings')
+      .select(selectColumns(columns))
+      .in('id', hits.map((hit) => hit.id));
+    if (rowsError) throw rowsError;
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    return hits
+      .filter((hit) => byId.has(hit.id))
+      .map(({ id, score, match_reasons }) => ({ ...byId.get(id), score, match_reasons }));
+  },
+
+  // { total, facets } for a search, from search_listing_facets()
+  async searchFacets(spec) {
+    const { data, error } = await supabase.rpc('search_listing_facets', { p_terms: spec.terms, p_filters: spec.filters });
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id, { columns, withLandlord = false }) {
+    const { data, error } = await supabase
+      .from('listings')
+      .select(selectColumns(columns, { withLandlord }))
+      .eq('id', id)
+      .single();
+    if (error && !isNotFound(error)) throw error;
+    return data || null;
+  },
+
+  async create(listingData, { columns }) {
+    const { data, error } = await supabase
+      .from('listings')
+      .insert(listingData)
+      .select(selectColumns(columns))
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updateData, { columns }) {
+    const { data, error } = await supabase
+      .from('listings')
+      .update(updateData)
+      .eq('id', id)
+      .select(selectColumns(columns))
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('listings').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+// Favorites joined to their listing; inner join when unpublished listings are excluded
+const favoritesQuery = (userId, { listingColumns = ['id'], onlyPublished, collectionId, listingIds, countType } = {}) => {
+  const join = onlyPublished ? 'listings!inner' : 'listings';
+  let query = supabase
+    .from('favorites')
+    .select(
+      `id, created_at, listing_id, note, collection_id, ${join} (${listingColumns.join(', ')})`,
+      countType ? { count: countType, head: true } : undefined
+    )
+    .eq('user_id', userId);
+  if (onlyPublished) query = query.eq('listings.status', 'published');
+  if (collectionId !== undefined) query = collectionId === null ? query.is('collection_id', null) : query.eq('collection_id', collectionId);
+  if (listingIds) query = query.in('listing_id', listingIds);
+  return query;
+};
+
+const FAVORITE_COLUMNS = 'id, listing_id, note, collection_id, created_at';
+
+export const favorites = {
+  async listForUser(
+    userId,
+    { listingColumns, onlyPublished = false, collectionId, listingIds, keyset, sort = 'created_at', ascending = false, offset = 0, limit = 50 }
+  ) {
+    const query = applyCriteria(
+      favoritesQuery(userId, { listingColumns, onlyPublished, collectionId, listingIds }),
+      keyset ? [{ op: 'keyset', ...keyset }] : []
+    );
+    const { data, error } = await query
+      .order(sort, { ascending })
+      .order('id', { ascending })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return data;
+  },
+
+  async countForUser(userId, { onlyPublished = false, collectionId, type = 'exact' }) {
+    return countRows(favoritesQuery(userId, { onlyPublished, collectionId, countType: type }));
+  },
+
+  async find(userId, listingId) {
+    const { data, error } = await supabase
+      .from('favorites')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('listing_id', listingId)
+      .single();
+    if (error && !isNotFound(error)) throw error;
+    return data || null;
+  },
+
+  async add(userId, listingId, { note = null, collection_id = null } = {}) {
+    const { data, error } = await supabase
+      .from('favorites')
+      .insert({ user_id: userId, listing_id: listingId, note, collection_id })
+      .select(FAVORITE_COLUMNS)
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  // Change a favorite's note or collection
+  async update(id, updateData) {
+    const { data, error } = await supabase.from('favorites').update(updateData).eq('id', id).select(FAVORITE_COLUMNS).single();
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(userId, listingId) {
+    const { error } = await supabase
+      .from('favorites')
+      .delete()
+      .eq('user_id', userId)
+      .eq('listing_id', listingId);
+    if (error) throw error;
+  },
+};
+
+const SAVED_SEARCH_COLUMNS = 'id, user_id, name, query, filters, alerts, channels, last_digest_at, created_at, updated_at';
+
+export const savedSearches = {
+  async listForUser(userId, { keyset, sort = 'created_at', ascending = false, offset = 0, limit = 20 }) {
+    const query = supabase.from('saved_searches').select(SAVED_SEARCH_COLUMNS).eq('user_id', userId);
+    const { data, error } = await applyCriteria(query, keyset ? [{ op: 'keyset', ...keyset }] : [])
+      .order(sort, { ascending })
+      .order('id', { ascending })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return data;
+  },
+
+  async countForUser(userId, { type = 'exact' } = {}) {
+    return countRows(supabase.from('saved_searches').select('id', { count: type, head: true }).eq('user_id', userId));
+  },
+
+  // Searches other users saved whose facet filters the listing passes, see
+  // saved_searches_for_listing()
+  async listForListing(listingId) {
+    const page = () =>
+      supabase.rpc('saved_searches_for_listing', { p_listing_id: listingId }).select(SAVED_SEARCH_COLUMNS).order('id');
+    return fetchRange(page, 0, Infinity);
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase.from('saved_searches').select(SAVED_SEARCH_COLUMNS).eq('id', id).single();
+    if (error && !isNotFound(error)) throw error;
+    return data || null;
+  },
+
+  async create(searchData) {
+    const { data, error } = await supabase.from('saved_searches').insert(searchData).select(SAVED_SEARCH_COLUMNS).single();
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updateData) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update(updateData)
+      .eq('id', id)
+      .select(SAVED_SEARCH_COLUMNS)
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  async remove(id) {
+    const { error } = await supabase.from('saved_searches').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+const MATCH_COLUMNS = 'id, user_id, saved_search_id, listing_id, reason, price, previous_price, notified_at, seen_at, created_at';
+
+// Matches joined to their saved search and listing
+const matchesQuery = (listingColumns, { innerSearch = false } = {}) =>
+  supabase
+    .from('saved_search_matches')
+    .select(
+      `${MATCH_COLUMNS}, saved_searches${innerSearch ? '!inner' : ''} (id, user_id, name, alerts, channels, last_digest_at), listings (${listingColumns.join(', ')})`
+    );
+
+export const savedSearchMatches = {
+  // Insert matches, skipping any already recorded for the same search, listing,
+  // reason and price. Returns only the rows inserted.
+  async record(rows) {
+    if (rows.length === 0) return [];
+    const { data, error } = await supabase
+      .from('saved_search_matches')
+      .upsert(rows, { onConflict: 'saved_search_id,listing_id,reason,price', ignoreDuplicates: true })
+      .select(MATCH_COLUMNS);
+    if (error) throw error;
+    return data;
+  },
+
+  async listForUser(userId, { listingColumns, unseenOnly = true, limit = 200 }) {
+    let query = matchesQuery(listingColumns).eq('user_id', userId);
+    if (unseenOnly) query = query.is('seen_at', null);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+    if (error) throw error;
+    return data;
+  },
+
+  async listUnnotified({ alerts, listingId = null, listingColumns }) {
+    let query = matchesQuery(listingColumns, { innerSearch: true })
+      .is('notified_at', null)
+      .eq('saved_searches.alerts', alerts);
+    if (listingId) query = query.eq('listing_id', listingId);
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) throw error;
+    return data;
+  },
+
+  async markNotified(ids) {
+    if (ids.length === 0) return;
+    const { error } = await supabase
+      .from('saved_search_matches')
+      .update({ notified_at: new Date().toISOString() })
+      .in('id', ids);
+    if (error) throw error;
+  },
+
+  async markSeen(userId, ids = null) {
+    let query = supabase
+      .from('saved_search_matches')
+      .update({ seen_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('seen_at', null);
+    if (ids) query = query.in('id', ids);
+    const { data, error } = await query.select('id');
+    if (error) throw error;
+    return data.length;
+  },
+};
+
+// Criteria-based access to a table, for tables without bespoke queries
+const tableRepository = (table) => ({
+  async list({ columns = ['*'], criteria = [], keyset, sort = 'created_at', ascending = false, offset = 0, limit = 20 }) {
+    const page = () =>
+      applyCriteria(supabase.from(table).select(selectColumns(columns)), keyset ? [...criteria, { op: 'keyset', ...keyset }] : criteria)
+        .order(sort, { ascending })
+        .order('id', { ascending });
+    return fetchRange(page, offset, limit);
+  },
+
+  async count({ criteria = [], type = 'exact' }) {
+    return countRows(applyCriteria(supabase.from(table).select('id', { count: type, head: true }), criteria));
+  },
+
+  async findById(id, { columns = ['*'] } = {}) {
+    const { data, error } = await supabase.from(table).select(selectColumns(columns)).eq('id', id).single();
+    if (error && !isNotFound(error)) throw error;
+    return data || null;
+  },
+
+  // Insert one row or an array of rows; a multi-row insert is one statement
+  async create(rows, { columns = ['*'] } = {}) {
+    const query = supabase.from(table).insert(rows).select(selectColumns(columns));
+    const { data, error } = await (Array.isArray(rows) ? query : query.single());
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updateData, { columns = ['*'] } = {}) {
+    const { data, error } = await supabase
+      .from(table)
+      .update(updateData)
+      .eq('id', id)
+      .select(selectColumns(columns))
+      .single();
+    if (error) throw error;
+    return data;
+  },
+});
+
+// Rows are added by the listings_queue_saved_search_alert trigger
+export const savedSearchAlertQueue = tableRepository('saved_search_alert_queue');
+export const viewingSlots = tableRepository('viewing_slots');
+export const viewings = tableRepository('viewings');
+export const inquiryThreads = tableRepository('inquiry_threads');
+export const listingReports = tableRepository('listing_reports');
+export const listingImports = {
+  ...tableRepository('listing_imports'),
+
+  // The oldest queued job, or a running one whose lease ran out, leased for
+  // leaseSeconds (see claim_listing_import()); null when there is none
+  async claimNext({ leaseSeconds, now = new Date() }) {
+    const { data, error } = await supabase.rpc('claim_listing_import', {
+      p_lease_seconds: leaseSeconds,
+      p_now: now.toISOString(),
+    });
+    if (error) throw error;
+    return data[0] || null;
+  },
+};
+
+// Thread counters and last-message fields are kept up to date by the
+// inquiry_messages_after_insert trigger
+export const inquiryMessages = tableRepository('inquiry_messages');
+
+export const listingStats = tableRepository('listing_stats_daily');
+export const listingDelegations = tableRepository('listing_delegations');
+export const rentalApplications = {
+  ...tableRepository('rental_applications'),
+
+  // Update an application only while its status is one of from, so two
+  // decisions on it at once cannot both land. Returns null when the status had
+  // already moved on.
+  async updateIfStatus(id, from, updateData) {
+    const { data, error } = await supabase
+      .from('rental_applications')
+      .update(updateData)
+      .eq('id', id)
+      .in('status', from)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+};
+
+const searchHistoryTable = tableRepository('search_history');
+
+export const searchHistory = {
+  list: searchHistoryTable.list,
+  count: searchHistoryTable.count,
+  create: searchHistoryTable.create,
+
+  async removeForUser(userId) {
+    const { error } = await supabase.from('search_history').delete().eq('user_id', userId);
+    if (error) throw error;
+  },
+
+  // Delete searches made before a timestamp; returns how many
+  async removeBefore(before) {
+    const { count, error } = await supabase.from('search_history').delete({ count: 'exact' }).lt('created_at', before);
+    if (error) throw error;
+    return count ?? 0;
+  },
+};
+
+export const listingDismissals = {
+  ...tableRepository('listing_dismissals'),
+
+  async remove(userId, listingId) {
+    const { error } = await supabase.from('listing_dismissals').delete().eq('user_id', userId).eq('listing_id', listingId);
+    if (error) throw error;
+  },
+};
+
+const auditTable = tableRepository('listing_audit_log');
+
+// Append-only: the listing_audit_log_append_only trigger rejects updates and
+// deletes. Entries are written by the listings_audit trigger.
+export const listingAudit = {
+  list: auditTable.list,
+  count: auditTable.count,
+};
+
+export const payments = {
+  ...tableRepository('payments'),
+
+  // Update a payment only while its status is one of from, so a result that
+  // arrives twice (callback and reconciliation) is applied once. Returns null
+  // when the status had already moved on.
+  async updateIfStatus(id, from, updateData) {
+    const { data, error } = await supabase.from('payments').update(updateData).eq('id', id).in('status', from).select('*').maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+};
+
+// Append-only: the payment_ledger_append_only trigger rejects updates and deletes
+export const paymentLedger = tableRepository('payment_ledger');
+
+export const webhookEndpoints = {
+  ...tableRepository('webhook_endpoints'),
+
+  // Deliveries go with the endpoint
+  async remove(id) {
+    const { error } = await supabase.from('webhook_endpoints').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+// Rows are added by the listings_webhook_outbox and favorites_webhook_outbox
+// triggers, in the transaction that made the change
+export const webhookOutbox = tableRepository('webhook_outbox');
+
+export const favoriteCollections = {
+  ...tableRepository('favorite_collections'),
+
+  // Its favorites stay saved, outside any collection (on delete set null)
+  async remove(id) {
+    const { error } = await supabase.from('favorite_collections').delete().eq('id', id);
+    if (error) throw error;
+  },
+};
+
+export const webhookDeliveries = {
+  ...tableRepository('webhook_deliveries'),
+
+  // Pending deliveries due by now, leased for leaseSeconds (see claim_webhook_deliveries())
+  async claimDue({ limit, leaseSeconds, now = new Date() }) {
+    const { data, error } = await supabase.rpc('claim_webhook_deliveries', {
+      p_limit: limit,
+      p_lease_seconds: leaseSeconds,
+      p_now: now.toISOString(),
+    });
+    if (error) throw error;
+    return data;
+  },
+};
+
+// Rows are added by the listings_record_price trigger whenever a price is set
+export const listingPriceHistory = {
+  ...tableRepository('listing_price_history'),
+
+  // Asking-rent quartiles per week or month, from listing_rent_stats()
+  async rentStats({ from, to, period, county = null, estate = null, property_type = null, bedrooms = null }) {
+    const { data, error } = await supabase.rpc('listing_rent_stats', {
+      p_from: from,
+      p_to: to,
+      p_period: period,
+      p_county: county,
+      p_estate: estate,
+      p_property_type: property_type,
+      p_bedrooms: bedrooms,
+    });
+    if (error) throw error;
+    return data;
+  },
+};
+
+export const listingEvents = {
+  // Insert events, skipping any already recorded for the same listing, type,
+  // viewer and day; the listing_events_after_insert trigger adds new ones to
+  // listing_stats_daily. Returns how many were new.
+  async record(rows) {
+    if (rows.length === 0) return 0;
+    const { data, error } = await supabase
+      .from('listing_events')
+      .upsert(rows, { onConflict: 'listing_id,event_type,viewer_key,day', ignoreDuplicates: true })
+      .select('id');
+    if (error) throw error;
+    return data.length;
+  },
+
+  // Delete events recorded before a timestamp; returns how many
+  async removeBefore(before) {
+    const { count, error } = await supabase.from('listing_events').delete({ count: 'exact' }).lt('created_at', before);
+    if (error) throw error;
+    return count ?? 0;
+  },
+};
+
+export const profiles = {
+  async findById(id, { columns }) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select(columns.join(', '))
+      .eq('id', id)
+      .single();
+    if (error) throw error;
+    return data;
+  },
+
+  // Case-insensitive exact match; null when nobody has the address
+  async findByEmail(email, { columns }) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select(columns.join(', '))
+      .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  },
+};
+
+export const storage = {
+  async upload(bucket, path, buffer, { contentType, upsert = false }) {
+    const { error } = await supabase.storage.from(bucket).upload(path, buffer, { contentType, upsert });
+    if (error) throw error;
+    return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+  },
+
+  async remove(bucket, paths) {
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+    if (error) throw error;
+  },
+
+  async download(bucket, path) {
+    const { data, error } = await supabase.storage.from(bucket).download(path);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  // Time-limited URL for an object in a private bucket; expiresIn is in seconds
+  async signedUrl(bucket, path, expiresIn) {
+    const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  },
+};
+
+export const auth = {
+  async getUser(token) {
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error) throw error;
+    return user;
+  },
+};
+
+// Cheap round trips to each Supabase service, for the readiness probe
+export const health = {
+  async auth() {
+    const { error } = await supabase.auth.admin.listUsers({ page: 1, perPage: 1 });
+    if (error) throw error;
+  },
+
+  async database() {
+    const { error } = await supabase.from('listings').select('id', { head: true }).limit(1);
+    if (error) throw error;
+  },
+
+  async storage(bucket) {
+    const { error } = await supabase.storage.getBucket(bucket);
+    if (error) throw error;
+  },
+};
@@ -0,0 +1,320 @@
+import express from 'express';
+import multer from 'multer';
+import { randomUUID } from 'crypto';
+import { requireAuth } from '../middleware/auth.js';
+import { listings, rentalApplications, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { isPublished, transition, OWNER_ACTIONS } from '../services/listingStatus.js';
+import {
+  APPLICATION_STATUSES,
+  OPEN_STATUSES,
+  EMPLOYMENT_STATUSES,
+  APPLICATION_ACTIONS,
+  MAX_DOCUMENTS,
+  applicationView,
+  checkDocuments,
+  storeDocuments,
+  removeDocuments,
+  notifyApplication,
+} from '../services/applications.js';
+import { canManage, managedScope } from '../services/delegations.js';
+import { listingsById } from '../services/uploads.js';
+import { invalidateListing } from '../services/listingCache.js';
+import { audited } from '../services/listingAudit.js';
+import { recordListingEvents } from '../services/listingAnalytics.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+const limiter = rateLimiter('applications');
+
+// Multer config. File types are checked from their contents in services/applications.js.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+}).array('documents', MAX_DOCUMENTS);
+
+// How far ahead a tenant can ask to move in
+const MAX_MOVE_IN_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const applicationSchema = {
+  listing_id: { type: 'string', required: true },
+  move_in_date: { type: 'date', required: true },
+  occupants: { type: 'integer', required: true, min: 1, max: 20 },
+  employment_status: { type: 'string', required: true, enum: EMPLOYMENT_STATUSES },
+  employer: { type: 'string', maxLength: 120 },
+  job_title: { type: 'string', maxLength: 120 },
+  monthly_income: { type: 'integer', min: 0, max: 100000000 },
+  message: { type: 'string', maxLength: 2000 },
+  // The kind of each document, in upload order; 'other' where not given
+  document_kinds: { type: 'array' },
+};
+
+export const listSchema = {
+  role: { type: 'string', enum: ['tenant', 'landlord'] },
+  status: { type: 'string', enum: APPLICATION_STATUSES },
+  listing_id: { type: 'string' },
+};
+
+// Extra fields each action takes
+export const actionSchemas = {
+  shortlist: {},
+  accept: {
+    // Also mark the listing rented and decline the other open applications
+    mark_rented: { type: 'boolean', default: false },
+  },
+  decline: { reason: { type: 'string', maxLength: 500 } },
+  withdraw: {},
+};
+
+const APPLICANT_COLUMNS = ['id', 'full_name', 'phone', 'email'];
+
+// Sent to the other applicants when the listing is let to someone else
+const LET_REASON = 'The listing has been let to another applicant';
+
+const notFound = (res) => res.status(404).json({ error: 'Application not found', code: 'NOT_FOUND' });
+
+// Thrown when an action does not apply to the application's current status
+const stateError = (message) => Object.assign(new Error(message), { name: 'StateError' });
+
+const moveInErrors = (moveInDate, now = new Date()) => {
+  if (!moveInDate) return [];
+  const days = (new Date(`${moveInDate}T00:00:00Z`) - new Date(now.toISOString().slice(0, 10))) / DAY_MS;
+  if (days < 0) return [{ field: 'move_in_date', code: 'too_small', message: 'move_in_date cannot be in the past' }];
+  if (days > MAX_MOVE_IN_DAYS) {
+    return [{ field: 'move_in_date', code: 'too_large', message: `move_in_date must be within ${MAX_MOVE_IN_DAYS} days` }];
+  }
+  return [];
+};
+
+// The caller's side of an application, or null if they are not part of it.
+// Caretakers who manage the listing's applications act for the landlord.
+const roleIn = async (application, userId) => {
+  if (application.tenant_id === userId) return 'tenant';
+  const listing = { id: application.listing_id, landlord_id: application.landlord_id };
+  if (await canManage(listing, userId, 'applications')) return 'landlord';
+  return null;
+};
+
+const loadApplication = async (req) => {
+  const application = await rentalApplications.findById(req.params.id);
+  const role = application && (await roleIn(application, req.user.id));
+  return role ? { application, role } : null;
+};
+
+// The applicant's name and contact details, for the landlord's side
+const applicantsById = async (ids) => {
+  const unique = [...new Set(ids)];
+  const rows = await Promise.all(unique.map((id) => profiles.findById(id, { columns: APPLICANT_COLUMNS }).catch(() => null)));
+  return new Map(unique.map((id, i) => [id, rows[i]]));
+};
+
+// Views of applications from one side, with their listings and, for the
+// landlord, the applicants
+const viewsFor = async (applications, role, { withUrls = false } = {}) => {
+  const listingsMap = await listingsById(applications.map((application) => application.listing_id));
+  const applicants = role === 'landlord' ? await applicantsById(applications.map((application) => application.tenant_id)) : null;
+  return Promise.all(
+    applications.map((application) =>
+      applicationView(application, role, {
+        listing: listingsMap.get(application.listing_id) ?? null,
+        applicant: applicants ? applicants.get(application.tenant_id) ?? null : undefined,
+        withUrls,
+      })
+    )
+  );
+};
+
+// Apply for a listing
+router.post('/', requireAuth, limiter, upload, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(applicationSchema, req.body);
+    errors.push(...moveInErrors(value.move_in_date));
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const { document_kinds: kinds = [], ...details } = value;
+    checkDocuments(req.files, kinds);
+
+    const listing = await listings.findById(value.listing_id, { columns: ['id', 'landlord_id', 'status', 'title'] });
+    if (!isPublished(listing)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+    if (listing.landlord_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot apply for your own listing', code: 'OWN_LISTING' });
+    }
+
+    const id = randomUUID();
+    const documents = await storeDocuments(id, req.files, kinds);
+    let application;
+    try {
+      application = await rentalApplications.create({
+        ...details,
+        id,
+        tenant_id: req.user.id,
+        landlord_id: listing.landlord_id,
+        status: 'submitted',
+        documents,
+      });
+    } catch (error) {
+      await removeDocuments(documents);
+      throw error;
+    }
+
+    await recordListingEvents(req, 'contact', [listing.id]);
+    await notifyApplication(application, listing);
+
+    const [view] = await viewsFor([application], 'tenant', { withUrls: true });
+    res.status(201).json(view);
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You already have an open application for this listing', code: 'DUPLICATE' });
+    }
+    logger.error('Error submitting application', { error });
+    res.status(500).json({ error: 'Failed to submit application', code: 'INSERT_ERROR' });
+  }
+});
+
+// My applications, newest first. Without a role, landlords and caretakers see
+// applications for their listings and everyone else their own.
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(listSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at', 'move_in_date'], defaultSort: 'created_at' });
+
+    let { role } = value;
+    if (!role) {
+      const profile = await profiles.findById(req.user.id, { columns: ['user_type'] }).catch(() => null);
+      role = ['landlord', 'caretaker'].includes(profile?.user_type) ? 'landlord' : 'tenant';
+    }
+
+    const criteria = [
+      role === 'landlord'
+        ? (await managedScope(req.user.id, { permission: 'applications' })).criterion({ listingColumn: 'listing_id' })
+        : { op: 'eq', column: 'tenant_id', value: req.user.id },
+    ];
+    if (value.status) criteria.push({ op: 'eq', column: 'status', value: value.status });
+    if (value.listing_id) criteria.push({ op: 'eq', column: 'listing_id', value: value.listing_id });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => rentalApplications.list({ criteria, ...options }),
+        countRows: (type) => rentalApplications.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ role, applications: await viewsFor(page.rows, role), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching applications', { error });
+    res.status(500).json({ error: 'Failed to fetch applications', code: 'FETCH_ERROR' });
+  }
+});
+
+// Get single application, with links to its documents
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadApplication(req);
+    if (!loaded) return notFound(res);
+
+    const [view] = await viewsFor([loaded.application], loaded.role, { withUrls: true });
+    res.json(view);
+  } catch (error) {
+    logger.error('Error fetching application', { error });
+    res.status(500).json({ error: 'Failed to fetch application', code: 'FETCH_ERROR' });
+  }
+});
+
+// Mark the listing rented on accepting an application, as POST
+// /api/listings/:id/mark-rented would. A listing that is no longer published
+// is left as it is.
+const markRented = async (listingId, userId) => {
+  const listing = await listings.findById(listingId, { columns: ['id', 'landlord_id', 'status', 'title'] });
+  if (!isPublished(listing)) return;
+  const changes = transition(listing, OWNER_ACTIONS['mark-rented'], { userId });
+  await listings.update(listing.id, { ...changes, ...audited('mark-rented', userId) }, { columns: ['id'] });
+  await invalidateListing(listing, { ...listing, ...changes });
+};
+
+// Decline the listing's other open applications once it is let
+const declineOthers = async (accepted, userId, listing) => {
+  const others = await rentalApplications.list({
+    criteria: [
+      { op: 'eq', column: 'listing_id', value: accepted.listing_id },
+      { op: 'in', column: 'status', value: OPEN_STATUSES },
+    ],
+    limit: 1000,
+  });
+  const now = new Date().toISOString();
+  for (const other of others.filter((application) => application.id !== accepted.id)) {
+    // Skips applications withdrawn in the meantime
+    const declined = await rentalApplications.updateIfStatus(other.id, OPEN_STATUSES, {
+      status: 'declined',
+      decision_reason: LET_REASON,
+      decided_by: userId,
+      decided_at: now,
+      updated_at: now,
+    });
+    if (declined) await notifyApplication(declined, listing);
+  }
+};
+
+// Status changes: POST /:id/shortlist, /:id/accept and /:id/decline for the
+// landlord's side, /:id/withdraw for the tenant
+Object.entries(APPLICATION_ACTIONS).forEach(([action, rule]) => {
+  router.post(`/:id/${action}`, requireAuth, limiter, async (req, res, next) => {
+    try {
+      const loaded = await loadApplication(req);
+      if (!loaded) return notFound(res);
+      const { application, role } = loaded;
+      if (role !== rule.by) {
+        return res.status(403).json({ error: `Only the ${rule.by} can ${action} an application`, code: 'UNAUTHORIZED' });
+      }
+
+      const { value, errors } = validate(actionSchemas[action], req.body);
+      if (errors.length > 0) return next(new ValidationError(errors));
+
+      if (!rule.from.includes(application.status)) throw stateError(`This application is ${application.status}`);
+      const listing = { id: application.listing_id, landlord_id: application.landlord_id };
+      if (value.mark_rented && !(await canManage(listing, req.user.id, 'availability'))) {
+        return res.status(403).json({ error: 'Not authorized to change the listing availability', code: 'UNAUTHORIZED' });
+      }
+
+      // Conditional on the status just checked, so of two decisions taken at
+      // once only the first lands
+      const now = new Date().toISOString();
+      const updated = await rentalApplications.updateIfStatus(application.id, rule.from, {
+        status: rule.to,
+        ...(rule.by === 'landlord' ? { decided_by: req.user.id, decided_at: now } : {}),
+        ...(action === 'decline' ? { decision_reason: value.reason ?? null } : {}),
+        updated_at: now,
+      });
+      if (!updated) throw stateError('This application has changed; reload it and try again');
+
+      const listingsMap = await listingsById([application.listing_id]);
+      await notifyApplication(updated, listingsMap.get(application.listing_id));
+      if (value.mark_rented) {
+        await markRented(application.listing_id, req.user.id);
+        await declineOthers(updated, req.user.id, listingsMap.get(application.listing_id));
+      }
+
+      const [view] = await viewsFor([updated], role, { withUrls: true });
+      res.json(view);
+    } catch (error) {
+      if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+      // rental_applications_accepted_idx: one accepted application per listing
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Another application for this listing has been accepted', code: 'INVALID_STATE' });
+      }
+      logger.error('Error updating application', { error });
+      res.status(500).json({ error: 'Failed to update application', code: 'UPDATE_ERROR' });
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { requireAuth, hasUserType } from '../middleware/auth.js';
+import { listings, listingDelegations, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import {
+  PERMISSIONS,
+  DELEGATION_STATUSES,
+  DELEGATION_ACTIONS,
+  sideOf,
+  notifyInvitation,
+} from '../services/delegations.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/delegations. Landlords invite caretakers to manage a listing
+// or their whole portfolio (see services/delegations.js).
+const router = express.Router();
+
+const limiter = rateLimiter('delegations');
+
+export const inviteSchema = {
+  email: { type: 'string', required: true, maxLength: 320 },
+  // Omit for every listing the landlord owns, now and later
+  listing_id: { type: 'string' },
+  permissions: { type: 'array', required: true, items: PERMISSIONS },
+};
+
+export const listSchema = {
+  role: { type: 'string', enum: ['landlord', 'caretaker'] },
+  status: { type: 'string', enum: DELEGATION_STATUSES },
+};
+
+const PERSON_COLUMNS = ['id', 'full_name', 'email'];
+
+const notFound = (res) => res.status(404).json({ error: 'Delegation not found', code: 'NOT_FOUND' });
+
+// Attach the landlord, the caretaker and the listing (if any) to delegations
+const withDetails = async (rows) => {
+  const personIds = [...new Set(rows.flatMap((row) => [row.landlord_id, row.caretaker_id]))];
+  const people = new Map(
+    await Promise.all(
+      personIds.map(async (id) => [id, await profiles.findById(id, { columns: PERSON_COLUMNS }).catch(() => null)])
+    )
+  );
+  const listingIds = [...new Set(rows.map((row) => row.listing_id).filter(Boolean))];
+  const titles = listingIds.length
+    ? await listings.list({ columns: ['id', 'title'], criteria: [{ op: 'in', column: 'id', value: listingIds }], limit: listingIds.length })
+    : [];
+  const byId = new Map(titles.map((listing) => [listing.id, listing]));
+
+  return rows.map((row) => ({
+    ...row,
+    landlord: people.get(row.landlord_id) || null,
+    caretaker: people.get(row.caretaker_id) || null,
+    listing: row.listing_id ? byId.get(row.listing_id) || null : null,
+  }));
+};
+
+// Invite a caretaker by the email on their account
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(inviteSchema, req.body);
+    if (value.permissions?.length === 0) {
+      errors.push({ field: 'permissions', code: 'required', message: 'Grant at least one permission' });
+    }
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    if (!(await hasUserType(req.user.id, ['landlord']))) {
+      return res.status(403).json({ error: 'Only landlords can invite caretakers', code: 'UNAUTHORIZED' });
+    }
+
+    let listing = null;
+    if (value.listing_id) {
+      listing = await listings.findById(value.listing_id, { columns: ['id', 'landlord_id', 'title'] });
+      if (!listing || listing.landlord_id !== req.user.id) {
+        return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+      }
+    }
+
+    const caretaker = await profiles.findByEmail(value.email.trim(), { columns: ['id', 'user_type'] });
+    if (!caretaker || caretaker.user_type !== 'caretaker') {
+      return res.status(404).json({ error: 'No caretaker account uses that email', code: 'CARETAKER_NOT_FOUND' });
+    }
+    if (caretaker.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot invite yourself', code: 'OWN_ACCOUNT' });
+    }
+
+    const delegation = await listingDelegations.create({
+      landlord_id: req.user.id,
+      caretaker_id: caretaker.id,
+      listing_id: listing?.id ?? null,
+      permissions: PERMISSIONS.filter((permission) => value.permissions.includes(permission)),
+      status: 'pending',
+    });
+
+    const landlord = await profiles.findById(req.user.id, { columns: ['full_name'] }).catch(() => null);
+    await notifyInvitation(delegation, { landlordName: landlord?.full_name, listingTitle: listing?.title });
+
+    const [withDetail] = await withDetails([delegation]);
+    res.status(201).json(withDetail);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That caretaker already has an invitation or access here', code: 'DUPLICATE' });
+    }
+    logger.error('Error inviting caretaker', { error });
+    res.status(500).json({ error: 'Failed to invite caretaker', code: 'INSERT_ERROR' });
+  }
+});
+
+// Invitations and delegations I gave (?role=landlord) or received
+// (?role=caretaker); by default, by my user type
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(listSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at'] });
+
+    const role = value.role || ((await hasUserType(req.user.id, ['caretaker'])) ? 'caretaker' : 'landlord');
+    const criteria = [{ op: 'eq', column: role === 'landlord' ? 'landlord_id' : 'caretaker_id', value: req.user.id }];
+    if (value.status) criteria.push({ op: 'eq', column: 'status', value: value.status });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => listingDelegations.list({ criteria, ...options }),
+        countRows: (type) => listingDelegations.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ role, delegations: await withDetails(page.rows), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching delegations', { error });
+    res.status(500).json({ error: 'Failed to fetch delegations', code: 'FETCH_ERROR' });
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const delegation = await listingDelegations.findById(req.params.id);
+    if (!delegation || !sideOf(delegation, req.user.id)) return notFound(res);
+
+    const [withDetail] = await withDetails([delegation]);
+    res.json(withDetail);
+  } catch (error) {
+    logger.error('Error fetching delegation', { error });
+    res.status(500).json({ error: 'Failed to fetch delegation', code: 'FETCH_ERROR' });
+  }
+});
+
+// POST /:id/accept and /:id/decline for the caretaker, /:id/revoke for either side
+Object.entries(DELEGATION_ACTIONS).forEach(([action, rule]) => {
+  router.post(`/:id/${action}`, requireAuth, limiter, async (req, res) => {
+    try {
+      const delegation = await listingDelegations.findById(req.params.id);
+      const side = delegation && sideOf(delegation, req.user.id);
+      if (!side) return notFound(res);
+      if (!rule.by.includes(side)) {
+        return res.status(403).json({ error: `Only the caretaker can ${action} an invitation`, code: 'UNAUTHORIZED' });
+      }
+      if (!rule.from.includes(delegation.status)) {
+        return res.status(409).json({ error: `Cannot ${action} a delegation that is ${delegation.status}`, code: 'INVALID_STATE' });
+      }
+
+      const now = new Date().toISOString();
+      const changes = { status: rule.to, updated_at: now };
+      if (rule.to === 'revoked') Object.assign(changes, { revoked_at: now, revoked_by: req.user.id });
+      else changes.responded_at = now;
+
+      const [updated] = await withDetails([await listingDelegations.update(delegation.id, changes)]);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating delegation', { error });
+      res.status(500).json({ error: 'Failed to update delegation', code: 'UPDATE_ERROR' });
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { spec } from '../openapi/index.js';
+
+// Mounted at /api/docs: the OpenAPI document and an interactive UI for it
+const router = express.Router();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(spec, { customSiteTitle: 'Rental Listings API' }));
+
+export default router;
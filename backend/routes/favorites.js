@@ -1,43 +1,111 @@
 import express from 'express';
-import { supabase, requireAuth } from '../supabase.js';
-import rateLimit from 'express-rate-limit';
+import { randomBytes } from 'crypto';
+import { requireAuth } from '../middleware/auth.js';
+import { favorites as favoritesRepo, favoriteCollections, listings } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { isPublished } from '../services/listingStatus.js';
+import { recordListingEvents } from '../services/listingAnalytics.js';
+import {
+  MAX_COLLECTIONS,
+  COMPARE_MIN,
+  COMPARE_MAX,
+  FAVORITE_LISTING_COLUMNS,
+  COMPARE_LISTING_COLUMNS,
+  toFavoriteEntry,
+  shareUrl,
+  compareListings,
+} from '../services/favorites.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
 
 const router = express.Router();
 
-// Rate limiter
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // 100 requests per window
-  standardHeaders: true,
-  legacyHeaders: false,
+const limiter = rateLimiter('favorites');
+
+export const favoriteSchema = {
+  note: { type: 'string', maxLength: 1000 },
+  collection_id: { type: 'string', maxLength: 64 },
+};
+
+export const collectionSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 80 },
+  description: { type: 'string', maxLength: 500 },
+};
+
+// Favorites not in any collection are listed with collection_id=none
+const NO_COLLECTION = 'none';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const COLLECTION_COLUMNS = ['id', 'user_id', 'name', 'description', 'share_token', 'shared_at', 'created_at', 'updated_at'];
+
+const toCollection = (collection, favoriteCount) => ({
+  id: collection.id,
+  name: collection.name,
+  description: collection.description ?? null,
+  favorite_count: favoriteCount,
+  share_url: collection.share_token ? shareUrl(collection.share_token) : null,
+  shared_at: collection.shared_at ?? null,
+  created_at: collection.created_at,
+  updated_at: collection.updated_at,
 });
 
-// Get user's favorites
-router.get('/', requireAuth, async (req, res) => {
+const collectionNotFound = (res) => res.status(404).json({ error: 'Collection not found', code: 'NOT_FOUND' });
+
+const duplicateName = (res) =>
+  res.status(409).json({ error: 'You already have a collection with that name', code: 'DUPLICATE' });
+
+const findOwnCollection = async (userId, id) => {
+  const collection = await favoriteCollections.findById(id, { columns: COLLECTION_COLUMNS });
+  return collection && collection.user_id === userId ? collection : null;
+};
+
+const favoriteCount = (userId, collectionId) => favoritesRepo.countForUser(userId, { collectionId });
+
+// A note or collection sent as null or '' is cleared
+const clearedFields = (body, fields) =>
+  Object.fromEntries(fields.filter((field) => field in body && (body[field] === null || body[field] === '')).map((field) => [field, null]));
+
+// A page of a user's favorites, optionally one collection's
+const favoritesPage = (userId, collectionId, pagination) =>
+  paginate(
+    {
+      fetchPage: (options) =>
+        favoritesRepo.listForUser(userId, { listingColumns: FAVORITE_LISTING_COLUMNS, collectionId, ...options }),
+      countRows: (type) => favoritesRepo.countForUser(userId, { collectionId, type }),
+    },
+    pagination
+  );
+
+// Get user's favorites. Listings that are no longer available stay in the
+// list, marked available: false.
+router.get('/', requireAuth, async (req, res, next) => {
   try {
-    const { data: favorites, error } = await supabase
-      .from('favorites')
-      .select(`
-        id, created_at, listing_id,
-        listings (
-          id, title, price, location, is_available, image_url
-        )
-      `)
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false })
-      .limit(50);
-
-    if (error) throw error;
-
-    res.json({ favorites: favorites.filter((f) => f.listings?.is_available) });
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+    const { value, errors } = validate({ collection_id: favoriteSchema.collection_id }, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    let collectionId;
+    if (value.collection_id === NO_COLLECTION) {
+      collectionId = null;
+    } else if (value.collection_id) {
+      if (!(await findOwnCollection(req.user.id, value.collection_id))) return collectionNotFound(res);
+      collectionId = value.collection_id;
+    }
+
+    const page = await favoritesPage(req.user.id, collectionId, pagination);
+
+    res.json({ favorites: page.rows.map(toFavoriteEntry), ...pageMeta(req, pagination, page) });
   } catch (error) {
-    console.error('Error fetching favorites:', error.message);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching favorites', { error });
     res.status(500).json({ error: 'Failed to fetch favorites', code: 'FETCH_ERROR' });
   }
 });
 
-// Add to favorites
-router.post('/', requireAuth, limiter, async (req, res) => {
+// Add to favorites, optionally with a note and into a collection
+router.post('/', requireAuth, limiter, async (req, res, next) => {
   try {
     const { listing_id } = req.body;
 
@@ -45,56 +113,267 @@ router.post('/', requireAuth, limiter, async (req, res) => {
       return res.status(400).json({ error: 'Listing ID is required', code: 'INVALID_INPUT' });
     }
 
-    const { data: listing, error: listingError } = await supabase
-      .from('listings')
-      .select('id, is_available')
-      .eq('id', listing_id)
-      .single();
+    const { value, errors } = validate(favoriteSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(listing_id, { columns: ['id', 'status'] });
 
-    if (listingError || !listing) {
+    if (!listing) {
       return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
     }
 
-    if (!listing.is_available) {
+    if (!isPublished(listing)) {
       return res.status(400).json({ error: 'Cannot favorite unavailable listing', code: 'UNAVAILABLE' });
     }
 
-    const { data: favorite, error } = await supabase
-      .from('favorites')
-      .insert({ user_id: req.user.id, listing_id })
-      .select('id, listing_id, created_at')
-      .single();
-
-    if (error) {
-      if (error.code === '23505') {
-        return res.status(400).json({ error: 'Listing already in favorites', code: 'DUPLICATE' });
-      }
-      throw error;
+    if (value.collection_id && !(await findOwnCollection(req.user.id, value.collection_id))) {
+      return collectionNotFound(res);
     }
 
+    const favorite = await favoritesRepo.add(req.user.id, listing_id, value);
+    await recordListingEvents(req, 'favorite_add', [listing_id]);
+
     res.status(201).json(favorite);
   } catch (error) {
-    console.error('Error adding to favorites:', error.message);
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Listing already in favorites', code: 'DUPLICATE' });
+    }
+    logger.error('Error adding to favorites', { error });
     res.status(500).json({ error: 'Failed to add to favorites', code: 'INSERT_ERROR' });
   }
 });
 
+// Compare 2-5 favorited listings side by side:
+// GET /api/favorites/compare?listing_ids=a,b,c
+router.get('/compare', requireAuth, async (req, res, next) => {
+  try {
+    const listingIds = [...new Set(String(req.query.listing_ids || '').split(',').map((id) => id.trim()).filter(Boolean))];
+    if (listingIds.length < COMPARE_MIN || listingIds.length > COMPARE_MAX || !listingIds.every((id) => UUID.test(id))) {
+      return next(
+        new ValidationError([
+          {
+            field: 'listing_ids',
+            code: 'invalid_items',
+            message: `listing_ids must list ${COMPARE_MIN} to ${COMPARE_MAX} different listing ids`,
+          },
+        ])
+      );
+    }
+
+    const rows = await favoritesRepo.listForUser(req.user.id, {
+      listingColumns: COMPARE_LISTING_COLUMNS,
+      listingIds,
+      limit: COMPARE_MAX,
+    });
+    const byListing = new Map(rows.filter((row) => row.listings).map((row) => [row.listing_id, row]));
+    const missing = listingIds.filter((id) => !byListing.has(id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Not in your favorites: ${missing.join(', ')}`, code: 'NOT_FOUND' });
+    }
+
+    const favorites = listingIds.map((id) => byListing.get(id));
+
+    res.json({
+      listings: favorites.map((favorite) => {
+        const { id, title, status, images } = favorite.listings;
+        return {
+          listing_id: favorite.listing_id,
+          available: isPublished(favorite.listings),
+          note: favorite.note ?? null,
+          listing: { id, title, status, images },
+        };
+      }),
+      attributes: compareListings(favorites.map((favorite) => favorite.listings)),
+    });
+  } catch (error) {
+    logger.error('Error comparing favorites', { error });
+    res.status(500).json({ error: 'Failed to compare favorites', code: 'FETCH_ERROR' });
+  }
+});
+
+// List the user's collections
+router.get('/collections', requireAuth, async (req, res) => {
+  try {
+    const collections = await favoriteCollections.list({
+      columns: COLLECTION_COLUMNS,
+      criteria: [{ op: 'eq', column: 'user_id', value: req.user.id }],
+      sort: 'name',
+      ascending: true,
+      limit: MAX_COLLECTIONS,
+    });
+    const counts = await Promise.all(collections.map((collection) => favoriteCount(req.user.id, collection.id)));
+
+    res.json({ collections: collections.map((collection, i) => toCollection(collection, counts[i])) });
+  } catch (error) {
+    logger.error('Error fetching favorite collections', { error });
+    res.status(500).json({ error: 'Failed to fetch collections', code: 'FETCH_ERROR' });
+  }
+});
+
+// Create a collection
+router.post('/collections', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(collectionSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const existing = await favoriteCollections.count({ criteria: [{ op: 'eq', column: 'user_id', value: req.user.id }] });
+    if (existing >= MAX_COLLECTIONS) {
+      return res.status(400).json({ error: `You can have up to ${MAX_COLLECTIONS} collections`, code: 'LIMIT_REACHED' });
+    }
+
+    const collection = await favoriteCollections.create({ ...value, user_id: req.user.id }, { columns: COLLECTION_COLUMNS });
+
+    res.status(201).json(toCollection(collection, 0));
+  } catch (error) {
+    if (error.code === '23505') return duplicateName(res);
+    logger.error('Error creating favorite collection', { error });
+    res.status(500).json({ error: 'Failed to create collection', code: 'INSERT_ERROR' });
+  }
+});
+
+// Rename or describe a collection
+router.patch('/collections/:id', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req.user.id, req.params.id);
+    if (!collection) return collectionNotFound(res);
+
+    const { value, errors } = validate(collectionSchema, req.body, { partial: true });
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const updated = await favoriteCollections.update(
+      collection.id,
+      { ...clearedFields(req.body, ['description']), ...value, updated_at: new Date().toISOString() },
+      { columns: COLLECTION_COLUMNS }
+    );
+
+    res.json(toCollection(updated, await favoriteCount(req.user.id, collection.id)));
+  } catch (error) {
+    if (error.code === '23505') return duplicateName(res);
+    logger.error('Error updating favorite collection', { error });
+    res.status(500).json({ error: 'Failed to update collection', code: 'UPDATE_ERROR' });
+  }
+});
+
+// Delete a collection; its favorites stay saved
+router.delete('/collections/:id', requireAuth, limiter, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.user.id, req.params.id);
+    if (!collection) return collectionNotFound(res);
+
+    await favoriteCollections.remove(collection.id);
+
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    logger.error('Error deleting favorite collection', { error });
+    res.status(500).json({ error: 'Failed to delete collection', code: 'DELETE_ERROR' });
+  }
+});
+
+// Share a collection read-only. The link stays the same until sharing is
+// turned off.
+router.post('/collections/:id/share', requireAuth, limiter, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.user.id, req.params.id);
+    if (!collection) return collectionNotFound(res);
+
+    const shared = collection.share_token
+      ? collection
+      : await favoriteCollections.update(
+          collection.id,
+          { share_token: randomBytes(24).toString('base64url'), shared_at: new Date().toISOString() },
+          { columns: COLLECTION_COLUMNS }
+        );
+
+    res.json(toCollection(shared, await favoriteCount(req.user.id, collection.id)));
+  } catch (error) {
+    logger.error('Error sharing favorite collection', { error });
+    res.status(500).json({ error: 'Failed to share collection', code: 'UPDATE_ERROR' });
+  }
+});
+
+// Stop sharing a collection; the old link stops working
+router.delete('/collections/:id/share', requireAuth, limiter, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.user.id, req.params.id);
+    if (!collection) return collectionNotFound(res);
+
+    const updated = await favoriteCollections.update(
+      collection.id,
+      { share_token: null, shared_at: null },
+      { columns: COLLECTION_COLUMNS }
+    );
+
+    res.json(toCollection(updated, await favoriteCount(req.user.id, collection.id)));
+  } catch (error) {
+    logger.error('Error unsharing favorite collection', { error });
+    res.status(500).json({ error: 'Failed to stop sharing collection', code: 'UPDATE_ERROR' });
+  }
+});
+
+// A shared collection, for anyone with the link. Notes and the owner's
+// identity are not included, and listings that are no longer published are
+// shown as unavailable with nothing else about them.
+router.get('/shared/:token', async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+
+    const [collection] = await favoriteCollections.list({
+      columns: COLLECTION_COLUMNS,
+      criteria: [{ op: 'eq', column: 'share_token', value: req.params.token }],
+      limit: 1,
+    });
+    if (!collection) return res.status(404).json({ error: 'Shared collection not found', code: 'NOT_FOUND' });
+
+    const page = await favoritesPage(collection.user_id, collection.id, pagination);
+
+    res.json({
+      collection: { name: collection.name, description: collection.description ?? null, updated_at: collection.updated_at },
+      favorites: page.rows.map(({ listing_id, created_at, listings: listing }) =>
+        isPublished(listing) ? { listing_id, created_at, available: true, listings: listing } : { listing_id, available: false }
+      ),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching shared collection', { error });
+    res.status(500).json({ error: 'Failed to fetch shared collection', code: 'FETCH_ERROR' });
+  }
+});
+
+// Change a favorite's note or collection
+router.patch('/:listingId', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(favoriteSchema, req.body, { partial: true });
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const favorite = await favoritesRepo.find(req.user.id, req.params.listingId);
+    if (!favorite) return res.status(404).json({ error: 'Listing is not in your favorites', code: 'NOT_FOUND' });
+
+    if (value.collection_id && !(await findOwnCollection(req.user.id, value.collection_id))) {
+      return collectionNotFound(res);
+    }
+
+    const updated = await favoritesRepo.update(favorite.id, { ...clearedFields(req.body, ['note', 'collection_id']), ...value });
+
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error updating favorite', { error });
+    res.status(500).json({ error: 'Failed to update favorite', code: 'UPDATE_ERROR' });
+  }
+});
+
 // Remove from favorites
 router.delete('/:listingId', requireAuth, limiter, async (req, res) => {
   try {
     const { listingId } = req.params;
 
-    const { error } = await supabase
-      .from('favorites')
-      .delete()
-      .eq('user_id', req.user.id)
-      .eq('listing_id', listingId);
-
-    if (error) throw error;
+    const favorite = await favoritesRepo.find(req.user.id, listingId);
+    await favoritesRepo.remove(req.user.id, listingId);
+    if (favorite) await recordListingEvents(req, 'favorite_remove', [listingId]);
 
     res.json({ message: 'Removed from favorites' });
   } catch (error) {
-    console.error('Error removing from favorites:', error.message);
+    logger.error('Error removing from favorites', { error });
     res.status(500).json({ error: 'Failed to remove from favorites', code: 'DELETE_ERROR' });
   }
 });
@@ -104,18 +383,11 @@ router.get('/check/:listingId', requireAuth, async (req, res) => {
   try {
     const { listingId } = req.params;
 
-    const { data: favorite, error } = await supabase
-      .from('favorites')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .eq('listing_id', listingId)
-      .single();
-
-    if (error && error.code !== 'PGRST116') throw error;
+    const favorite = await favoritesRepo.find(req.user.id, listingId);
 
     res.json({ isFavorited: !!favorite });
   } catch (error) {
-    console.error('Error checking favorite status:', error.message);
+    logger.error('Error checking favorite status', { error });
     res.status(500).json({ error: 'Failed to check favorite status', code: 'CHECK_ERROR' });
   }
 });
@@ -0,0 +1,33 @@
+import express from 'express';
+import { readiness } from '../services/health.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/health
+const router = express.Router();
+
+// Liveness: the process is up and serving. Nothing else is checked, so a
+// dependency outage doesn't get the instance restarted.
+const live = (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), uptime_seconds: Math.round(process.uptime()) });
+};
+
+router.get('/', live);
+router.get('/live', live);
+
+// Readiness: 503 while a required dependency is down or the instance is
+// shutting down
+router.get('/ready', async (req, res) => {
+  try {
+    const result = await readiness();
+    if (result.status === 'unavailable') logger.warn('Not ready', { checks: result.checks });
+    res.set('Cache-Control', 'no-store');
+    res
+      .status(result.status === 'ok' || result.status === 'degraded' ? 200 : 503)
+      .json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    res.status(503).json({ error: 'Readiness check failed', code: 'CHECK_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,309 @@
+import express from 'express';
+import multer from 'multer';
+import { requireAuth } from '../middleware/auth.js';
+import { listings, inquiryThreads, inquiryMessages, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { isPublished } from '../services/listingStatus.js';
+import { managedScope } from '../services/delegations.js';
+import { roleIn, threadView, messageView, checkAttachments, storeAttachments } from '../services/inquiries.js';
+import { listingsById } from '../services/uploads.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { recordListingEvents } from '../services/listingAnalytics.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+const limiter = rateLimiter('inquiries');
+
+// Multer config. File types are checked from their contents in services/inquiries.js.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+}).array('attachments', 5);
+
+// The inbox and unread counter look at this many threads at most
+const MAX_INBOX_THREADS = 500;
+
+export const messageSchema = {
+  body: { type: 'string', maxLength: 5000 },
+};
+
+export const inquirySchema = {
+  listing_id: { type: 'string', required: true },
+  ...messageSchema,
+};
+
+export const listSchema = {
+  role: { type: 'string', enum: ['tenant', 'landlord'] },
+  archived: { type: 'boolean', default: false },
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Inquiry not found', code: 'NOT_FOUND' });
+
+// Validate a message: it needs a body, attachments or both. Throws ValidationError.
+const checkMessage = (schema, req) => {
+  const { value, errors } = validate(schema, req.body);
+  if (!value.body && !req.files?.length) {
+    errors.push({ field: 'body', code: 'required', message: 'Send a message body or an attachment' });
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+  checkAttachments(req.files);
+  return value;
+};
+
+// The caller's thread with their side of it as role, or null
+const loadThread = async (req) => {
+  const thread = await inquiryThreads.findById(req.params.id);
+  const role = thread && (await roleIn(thread, req.user.id));
+  return role ? { ...thread, role } : null;
+};
+
+// Threads on listings whose inquiries the caller answers, as their own or as a caretaker
+const landlordCriterion = async (userId) =>
+  (await managedScope(userId, { permission: 'inquiries' })).criterion({ listingColumn: 'listing_id' });
+
+const postMessage = async (thread, userId, body, files) => {
+  const attachments = await storeAttachments(thread.id, files);
+  return inquiryMessages.create({ thread_id: thread.id, sender_id: userId, body: body ?? '', attachments });
+};
+
+// The tenant's thread on a listing, created if this is their first inquiry
+const openThread = async (listing, tenantId) => {
+  const existing = () =>
+    inquiryThreads.list({
+      criteria: [
+        { op: 'eq', column: 'listing_id', value: listing.id },
+        { op: 'eq', column: 'tenant_id', value: tenantId },
+      ],
+      limit: 1,
+    });
+
+  const [thread] = await existing();
+  if (thread) return thread;
+  try {
+    return await inquiryThreads.create({
+      listing_id: listing.id,
+      tenant_id: tenantId,
+      landlord_id: listing.landlord_id,
+      tenant_unread_count: 0,
+      landlord_unread_count: 0,
+      tenant_archived: false,
+      landlord_archived: false,
+    });
+  } catch (error) {
+    // Another request opened it first
+    if (error.code !== '23505') throw error;
+    return (await existing())[0];
+  }
+};
+
+// Start an inquiry on a listing, or add to the tenant's existing thread
+router.post('/', requireAuth, limiter, upload, async (req, res, next) => {
+  try {
+    const value = checkMessage(inquirySchema, req);
+
+    const listing = await listings.findById(value.listing_id, { columns: ['id', 'landlord_id', 'status'] });
+    if (!isPublished(listing)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+    if (listing.landlord_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot send an inquiry about your own listing', code: 'OWN_LISTING' });
+    }
+
+    const opened = await openThread(listing, req.user.id);
+    const message = await postMessage(opened, req.user.id, value.body, req.files);
+    await recordListingEvents(req, 'contact', [listing.id]);
+    const thread = await inquiryThreads.findById(opened.id);
+    const listingsMap = await listingsById([thread.listing_id]);
+
+    res.status(201).json({
+      thread: threadView(thread, 'tenant', listingsMap.get(thread.listing_id) ?? null),
+      message: await messageView(message, thread, req.user.id, 'tenant'),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error creating inquiry', { error });
+    res.status(500).json({ error: 'Failed to send inquiry', code: 'INSERT_ERROR' });
+  }
+});
+
+// My inquiry threads, most recent activity first. Without a role, landlords
+// and caretakers see inquiries about their listings and everyone else their own.
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(listSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    let { role } = value;
+    if (!role) {
+      const profile = await profiles.findById(req.user.id, { columns: ['user_type'] }).catch(() => null);
+      role = ['landlord', 'caretaker'].includes(profile?.user_type) ? 'landlord' : 'tenant';
+    }
+    const criteria = [
+      role === 'landlord' ? await landlordCriterion(req.user.id) : { op: 'eq', column: 'tenant_id', value: req.user.id },
+      { op: 'eq', column: `${role}_archived`, value: value.archived },
+    ];
+
+    const pagination = parsePagination(req.query, { sortable: ['last_message_at'], defaultSort: 'last_message_at' });
+    const page = await paginate(
+      {
+        fetchPage: (options) => inquiryThreads.list({ criteria, ...options }),
+        countRows: (type) => inquiryThreads.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    const listingsMap = await listingsById(page.rows.map((thread) => thread.listing_id));
+    res.json({
+      role,
+      threads: page.rows.map((thread) => threadView(thread, role, listingsMap.get(thread.listing_id) ?? null)),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching inquiries', { error });
+    res.status(500).json({ error: 'Failed to fetch inquiries', code: 'FETCH_ERROR' });
+  }
+});
+
+// Landlord inbox: open threads about the listings I own or manage, grouped by
+// listing with the most recently active listing first
+router.get('/inbox', requireAuth, async (req, res) => {
+  try {
+    const threads = await inquiryThreads.list({
+      criteria: [await landlordCriterion(req.user.id), { op: 'eq', column: 'landlord_archived', value: false }],
+      sort: 'last_message_at',
+      limit: MAX_INBOX_THREADS,
+    });
+    const listingsMap = await listingsById(threads.map((thread) => thread.listing_id));
+
+    const groups = new Map();
+    threads.forEach((thread) => {
+      if (!groups.has(thread.listing_id)) {
+        groups.set(thread.listing_id, {
+          listing: listingsMap.get(thread.listing_id) ?? null,
+          unread_count: 0,
+          last_message_at: thread.last_message_at,
+          threads: [],
+        });
+      }
+      const group = groups.get(thread.listing_id);
+      group.unread_count += thread.landlord_unread_count || 0;
+      group.threads.push(threadView(thread, 'landlord'));
+    });
+
+    const inbox = [...groups.values()];
+    res.json({
+      listings: inbox,
+      unread_count: inbox.reduce((sum, group) => sum + group.unread_count, 0),
+    });
+  } catch (error) {
+    logger.error('Error fetching inbox', { error });
+    res.status(500).json({ error: 'Failed to fetch inbox', code: 'FETCH_ERROR' });
+  }
+});
+
+// Unread messages across all my threads, for a badge
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const parties = {
+      tenant: { op: 'eq', column: 'tenant_id', value: req.user.id },
+      landlord: await landlordCriterion(req.user.id),
+    };
+    const counts = await Promise.all(
+      ['tenant', 'landlord'].map(async (role) => {
+        const threads = await inquiryThreads.list({
+          columns: ['id', `${role}_unread_count`],
+          criteria: [parties[role], { op: 'gte', column: `${role}_unread_count`, value: 1 }],
+          limit: MAX_INBOX_THREADS,
+        });
+        return threads.reduce((sum, thread) => sum + thread[`${role}_unread_count`], 0);
+      })
+    );
+
+    res.json({ unread_count: counts[0] + counts[1] });
+  } catch (error) {
+    logger.error('Error counting unread inquiries', { error });
+    res.status(500).json({ error: 'Failed to count unread messages', code: 'FETCH_ERROR' });
+  }
+});
+
+// A thread with a page of its messages, newest first
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const thread = await loadThread(req);
+    if (!thread) return notFound(res);
+
+    const criteria = [{ op: 'eq', column: 'thread_id', value: thread.id }];
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+    const page = await paginate(
+      {
+        fetchPage: (options) => inquiryMessages.list({ criteria, ...options }),
+        countRows: (type) => inquiryMessages.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    const listingsMap = await listingsById([thread.listing_id]);
+    res.json({
+      thread: threadView(thread, thread.role, listingsMap.get(thread.listing_id) ?? null),
+      messages: await Promise.all(page.rows.map((message) => messageView(message, thread, req.user.id, thread.role))),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching inquiry', { error });
+    res.status(500).json({ error: 'Failed to fetch inquiry', code: 'FETCH_ERROR' });
+  }
+});
+
+// Reply in a thread
+router.post('/:id/messages', requireAuth, limiter, upload, async (req, res, next) => {
+  try {
+    const thread = await loadThread(req);
+    if (!thread) return notFound(res);
+
+    const value = checkMessage(messageSchema, req);
+
+    const message = await postMessage(thread, req.user.id, value.body, req.files);
+
+    res.status(201).json(await messageView(message, await inquiryThreads.findById(thread.id), req.user.id, thread.role));
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error sending message', { error });
+    res.status(500).json({ error: 'Failed to send message', code: 'INSERT_ERROR' });
+  }
+});
+
+// Wraps updates to the caller's side of a thread. changes(role, thread)
+// returns the columns to update.
+const threadAction = (changes) => async (req, res) => {
+  try {
+    const thread = await loadThread(req);
+    if (!thread) return notFound(res);
+
+    const updated = await inquiryThreads.update(thread.id, changes(thread.role, thread));
+    res.json(threadView(updated, thread.role));
+  } catch (error) {
+    logger.error('Error updating inquiry', { error });
+    res.status(500).json({ error: 'Failed to update inquiry', code: 'UPDATE_ERROR' });
+  }
+};
+
+// Mark everything up to the latest message as read; the other side sees this
+// as a read receipt
+router.post(
+  '/:id/read',
+  requireAuth,
+  threadAction((role, thread) => ({
+    [`${role}_last_read_at`]: thread.last_message_at,
+    [`${role}_unread_count`]: 0,
+  }))
+);
+
+// Archiving only hides the thread from my side; a new message brings it back
+router.post('/:id/archive', requireAuth, threadAction((role) => ({ [`${role}_archived`]: true })));
+router.post('/:id/unarchive', requireAuth, threadAction((role) => ({ [`${role}_archived`]: false })));
+
+export default router;
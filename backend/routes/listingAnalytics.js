@@ -0,0 +1,38 @@
+import express from 'express';
+import { requireAuth, hasUserType } from '../middleware/auth.js';
+import { listings } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { listingAnalytics, MAX_ANALYTICS_DAYS } from '../services/listingAnalytics.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/analytics
+const router = express.Router({ mergeParams: true });
+
+export const analyticsSchema = {
+  days: { type: 'integer', min: 1, max: MAX_ANALYTICS_DAYS, default: 30 },
+};
+
+// Views, impressions, favorites and contacts for the last ?days= days, day by
+// day, against the average of similar listings. For the owner and admins.
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(analyticsSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(req.params.listingId, {
+      columns: ['id', 'landlord_id', 'property_type', 'estate', 'county'],
+    });
+    if (!listing) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    if (listing.landlord_id !== req.user.id && !(await hasUserType(req.user.id, ['admin']))) {
+      return res.status(403).json({ error: 'Not authorized to view analytics for this listing', code: 'UNAUTHORIZED' });
+    }
+
+    res.json(await listingAnalytics(listing, { days: value.days }));
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching listing analytics', { error });
+    res.status(500).json({ error: 'Failed to fetch listing analytics', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
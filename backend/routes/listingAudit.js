@@ -0,0 +1,50 @@
+import express from 'express';
+import { requireAuth, hasUserType } from '../middleware/auth.js';
+import { listings, listingAudit } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { AUDIT_ACTIONS } from '../services/listingAudit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/audit
+const router = express.Router({ mergeParams: true });
+
+// A listing's audit trail, newest first, optionally only one ?action=. For the
+// owner (also once the listing has been purged) and admins.
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate({ action: { type: 'string', enum: AUDIT_ACTIONS } }, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+
+    const { listingId } = req.params;
+    const isAdmin = await hasUserType(req.user.id, ['admin']);
+    const listing = await listings.findById(listingId, { columns: ['id', 'landlord_id'] });
+    if (listing && listing.landlord_id !== req.user.id && !isAdmin) {
+      return res.status(403).json({ error: 'Not authorized to view the history of this listing', code: 'UNAUTHORIZED' });
+    }
+
+    const criteria = [{ op: 'eq', column: 'listing_id', value: listingId }];
+    if (!isAdmin) criteria.push({ op: 'eq', column: 'landlord_id', value: req.user.id });
+    if (value.action) criteria.push({ op: 'eq', column: 'action', value: value.action });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => listingAudit.list({ criteria, ...options }),
+        countRows: (type) => listingAudit.count({ criteria, type }),
+      },
+      pagination
+    );
+    if (!listing && page.rows.length === 0) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+
+    res.json({ entries: page.rows, ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching listing audit log', { error });
+    res.status(500).json({ error: 'Failed to fetch listing history', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import multer from 'multer';
+import { requireAuth } from '../middleware/auth.js';
+import { listingImports, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { prepareImport, startImport, importView } from '../services/listingImport.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/imports. Landlords upload a CSV or XLSX sheet of
+// listings (the format of GET /api/listings/landlord/my-listings/export), with
+// an optional zip of the photos it names.
+const router = express.Router();
+
+const limiter = rateLimiter('listing-import');
+
+const MAX_SHEET_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+}).fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'images', maxCount: 1 },
+]);
+
+export const importQuerySchema = {
+  dry_run: { type: 'boolean', default: false },
+};
+
+// Check a sheet and, unless ?dry_run=true, import it. A dry run answers with
+// every row's validation errors and changes nothing. Otherwise a file with
+// any invalid row is refused with the same errors (422), and a valid one is
+// queued as a job (202) to follow at GET /imports/:id.
+router.post('/', requireAuth, limiter, upload, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(importQuerySchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const profile = await profiles.findById(req.user.id, { columns: ['user_type', 'full_name'] }).catch(() => null);
+    if (!profile || !['landlord', 'caretaker'].includes(profile.user_type)) {
+      return res.status(403).json({ error: 'Only landlords and caretakers can import listings', code: 'UNAUTHORIZED' });
+    }
+
+    const [sheet] = req.files?.file || [];
+    const [archive] = req.files?.images || [];
+    if (!sheet) return next(new ValidationError([{ field: 'file', code: 'required', message: 'file is required' }]));
+    if (sheet.size > MAX_SHEET_BYTES) {
+      return next(new ValidationError([{ field: 'file', code: 'too_large', message: 'file must be at most 5MB' }]));
+    }
+
+    const { format, plan, errors: rowErrors } = await prepareImport({
+      sheet: sheet.buffer,
+      archive: archive?.buffer,
+      landlordId: req.user.id,
+    });
+    const invalidRows = new Set(rowErrors.map((error) => error.row));
+
+    if (value.dry_run) {
+      return res.json({
+        format,
+        total_rows: plan.length,
+        valid_rows: plan.length - invalidRows.size,
+        creates: plan.filter((row) => !row.id).length,
+        updates: plan.filter((row) => row.id).length,
+        errors: rowErrors,
+      });
+    }
+    if (rowErrors.length > 0) return next(new ValidationError(rowErrors, 'Import has invalid rows'));
+
+    const job = await startImport({
+      plan,
+      format,
+      fileName: sheet.originalname,
+      archive: archive?.buffer,
+      landlordId: req.user.id,
+      landlordName: profile.full_name,
+    });
+    res.status(202).json(importView(job));
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error importing listings', { error });
+    res.status(500).json({ error: 'Failed to import listings', code: 'IMPORT_ERROR' });
+  }
+});
+
+// The landlord's imports, newest first
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at'] });
+    const criteria = [{ op: 'eq', column: 'landlord_id', value: req.user.id }];
+    const page = await paginate(
+      {
+        fetchPage: (options) => listingImports.list({ criteria, ...options }),
+        countRows: (type) => listingImports.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ imports: page.rows.map(importView), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching imports', { error });
+    res.status(500).json({ error: 'Failed to fetch imports', code: 'FETCH_ERROR' });
+  }
+});
+
+// One import with its progress and any rows that failed
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await listingImports.findById(req.params.id);
+    if (!job || job.landlord_id !== req.user.id) {
+      return res.status(404).json({ error: 'Import not found', code: 'NOT_FOUND' });
+    }
+
+    res.json(importView(job));
+  } catch (error) {
+    logger.error('Error fetching import', { error });
+    res.status(500).json({ error: 'Failed to fetch import', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import { optionalAuth, hasUserType } from '../middleware/auth.js';
+import { listings, listingPriceHistory } from '../repositories/index.js';
+import { isPublished } from '../services/listingStatus.js';
+import { listingAccess } from '../services/delegations.js';
+import { priceComparison } from '../services/marketRents.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/price-history
+const router = express.Router({ mergeParams: true });
+
+const MAX_HISTORY = 500;
+
+const PRICE_COLUMNS = [
+  'id', 'landlord_id', 'status', 'price', 'previous_price', 'price_changed_at', 'price_dropped',
+  'property_type', 'bedrooms', 'estate', 'county',
+];
+
+// Every price the listing has asked, oldest first, and how its price compares
+// with similar listings this month
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const listing = await listings.findById(req.params.listingId, { columns: PRICE_COLUMNS });
+    if (!listing) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+
+    const visible =
+      isPublished(listing) ||
+      (req.user && ((await listingAccess(listing, req.user.id)) || (await hasUserType(req.user.id, ['admin']))));
+    if (!visible) return res.status(403).json({ error: 'Listing not available', code: 'UNAVAILABLE' });
+
+    const history = await listingPriceHistory.list({
+      columns: ['price', 'previous_price', 'recorded_at'],
+      criteria: [{ op: 'eq', column: 'listing_id', value: listing.id }],
+      sort: 'recorded_at',
+      ascending: true,
+      limit: MAX_HISTORY,
+    });
+
+    res.json({
+      listing_id: listing.id,
+      price: listing.price,
+      previous_price: listing.previous_price,
+      price_changed_at: listing.price_changed_at,
+      price_dropped: listing.price_dropped,
+      history,
+      market: await priceComparison(listing),
+    });
+  } catch (error) {
+    logger.error('Error fetching price history', { error });
+    res.status(500).json({ error: 'Failed to fetch price history', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { listings, listingReports } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { REPORT_REASONS, isPublished } from '../services/listingStatus.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/reports
+const router = express.Router({ mergeParams: true });
+
+const limiter = rateLimiter('reports');
+
+export const reportSchema = {
+  reason: { type: 'string', required: true, enum: REPORT_REASONS },
+  details: { type: 'string', maxLength: 1000 },
+};
+
+// Report a listing as a scam, a duplicate or already let. One open report per
+// user and listing; admins work through them in /api/moderation/reports.
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(reportSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(req.params.listingId, { columns: ['id', 'landlord_id', 'status'] });
+    if (!isPublished(listing)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+    if (listing.landlord_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot report your own listing', code: 'OWN_LISTING' });
+    }
+
+    const report = await listingReports.create(
+      {
+        listing_id: listing.id,
+        reporter_id: req.user.id,
+        reason: value.reason,
+        details: value.details ?? null,
+        status: 'open',
+      },
+      { columns: ['id', 'listing_id', 'reason', 'details', 'status', 'created_at'] }
+    );
+
+    res.status(201).json(report);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You have already reported this listing', code: 'DUPLICATE' });
+    }
+    logger.error('Error reporting listing', { error });
+    res.status(500).json({ error: 'Failed to report listing', code: 'INSERT_ERROR' });
+  }
+});
+
+export default router;
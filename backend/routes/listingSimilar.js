@@ -0,0 +1,41 @@
+import express from 'express';
+import { optionalAuth } from '../middleware/auth.js';
+import { cacheResponse } from '../middleware/cache.js';
+import { listings } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { isPublished } from '../services/listingStatus.js';
+import { listingScopes } from '../services/listingCache.js';
+import { trackListings } from '../services/listingAnalytics.js';
+import { MAX_SIMILAR, similarListings } from '../services/recommendations.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/similar
+const router = express.Router({ mergeParams: true });
+
+export const similarSchema = {
+  limit: { type: 'integer', min: 1, max: MAX_SIMILAR, default: 6 },
+};
+
+// Published listings most like this one, best first: nearby (same estate,
+// then county), in its price band, with the same bedrooms and property type
+// and the amenities it has. Each carries its score and match_reasons.
+router.get('/', optionalAuth, trackListings('impression', (body) => body.listings), cacheResponse(listingScopes.similar), async (req, res, next) => {
+  try {
+    const { value, errors } = validate(similarSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(req.params.listingId, {
+      columns: ['id', 'status', 'price', 'property_type', 'bedrooms', 'county', 'estate', 'amenities'],
+    });
+    if (!isPublished(listing)) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+
+    const similar = await similarListings(listing, { limit: value.limit });
+
+    res.json({ listing_id: listing.id, listings: similar });
+  } catch (error) {
+    logger.error('Error fetching similar listings', { error });
+    res.status(500).json({ error: 'Failed to fetch similar listings', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
@@ -1,447 +1,585 @@
 import express from 'express';
-import { supabase, requireAuth, optionalAuth } from '../supabase.js';
+import { requireAuth, optionalAuth, hasUserType } from '../middleware/auth.js';
+import { cacheResponse } from '../middleware/cache.js';
+import { listings as listingsRepo, inquiryThreads, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { listingSchema } from '../validation/listingSchema.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { parseGeoQuery, distanceFrom, clusterPins } from '../utils/geo.js';
+import { rankRows, highlight } from '../utils/textSearch.js';
+import { searchSpec } from '../utils/searchFilters.js';
+import { storeUploads, releaseImages, imageMatches } from '../services/listingImages.js';
+import { listingScopes, invalidateListing } from '../services/listingCache.js';
+import { resolveCoordinates, coordinatePairErrors } from '../services/listingCoordinates.js';
+import { trackListings, recordListingEvents } from '../services/listingAnalytics.js';
+import { trackSearches } from '../services/recommendations.js';
+import { SPREADSHEET_FORMATS, SPREADSHEET_COLUMNS, writeSpreadsheet } from '../services/listingSpreadsheet.js';
+import {
+  LISTING_STATUSES,
+  LIVE_STATUSES,
+  DELETED,
+  PUBLISHED,
+  INITIAL_STATUSES,
+  OWNER_ACTIONS,
+  isPublished,
+  transition,
+  reviewAfterEdit,
+  softDelete,
+  restore,
+  restoreDeadline,
+} from '../services/listingStatus.js';
+import { listingAccess, canManage, managedScope } from '../services/delegations.js';
+import { audited } from '../services/listingAudit.js';
 import multer from 'multer';
-import path from 'path';
 import compression from 'compression';
-import rateLimit from 'express-rate-limit';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
 
 const router = express.Router();
 
-// Rate limiter
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 50, // 50 requests per window
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const limiter = rateLimiter('listing-write');
+const createLimiter = rateLimiter('listing-create');
+const uploadLimiter = rateLimiter('image-upload', { skip: (req) => !req.is('multipart/form-data') });
 
-// Multer config
+// Multer config. File types are checked from their contents in services/listingImages.js.
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const filetypes = /jpeg|jpg|png/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
-    if (extname && mimetype) return cb(null, true);
-    cb(new Error('Only images (jpeg, jpg, png) are allowed'));
-  },
 }).array('images', 10);
 
 // Compression
 router.use(compression());
 
+const SUMMARY_COLUMNS = [
+  'id', 'title', 'price', 'previous_price', 'price_dropped', 'location', 'property_type', 'bedrooms', 'bathrooms',
+  'status', 'images', 'latitude', 'longitude', 'featured', 'featured_until', 'created_at', 'updated_at',
+];
+const OWNER_COLUMNS = [
+  'id', 'title', 'price', 'location', 'status', 'rejection_reason', 'submitted_at', 'images', 'created_at', 'updated_at',
+];
+
+// Columns a client may sort by; each must be in SUMMARY_COLUMNS and OWNER_COLUMNS for cursors
+const SORTABLE_COLUMNS = ['updated_at', 'created_at', 'price', 'bedrooms', 'bathrooms'];
+const DETAIL_COLUMNS = [
+  'id', 'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate',
+  'amenities', 'furnishing_status', 'parking', 'garden', 'balcony', 'own_compound', 'electricity', 'internet',
+  'status', 'rejection_reason', 'images', 'landlord_id', 'latitude', 'longitude', 'coordinates_source', 'hide_contact',
+  'previous_price', 'price_changed_at', 'price_dropped', 'featured', 'featured_until',
+];
+
+// Search results carry the summary, and description for its highlight
+const SEARCH_COLUMNS = [...SUMMARY_COLUMNS, 'description'];
+
+// Pins are fetched in one go for the visible map area (the Supabase driver
+// reads them a page at a time), so cap how many; truncated says when there
+// were more
+const MAX_PINS = 5000;
+
+// Sort options for browse and search; distance is only sortable for radius
+// searches. Featured listings (see services/featuredListings.js) come first
+// whatever the sort.
+const sortOptions = (near) => ({
+  sortable: near ? [...SORTABLE_COLUMNS, 'distance_km'] : SORTABLE_COLUMNS,
+  ascendingSorts: ['distance_km'],
+  lead: 'featured',
+});
+
+// Fetch one page of listings matching criteria, with an optional total.
+// For radius searches each row gets its distance_km from the search centre.
+const listPage = (criteria, columns, pagination, { near = null } = {}) =>
+  paginate(
+    {
+      fetchPage: async (page) => {
+        const rows = await listingsRepo.list({ columns, criteria, ...page });
+        return near ? rows.map((row) => ({ ...row, distance_km: distanceFrom(near, row) })) : rows;
+      },
+      countRows: (type) => listingsRepo.count({ criteria, type }),
+    },
+    pagination
+  );
+
+// Filters accepted in the GET / and /pins query strings
+const browseCriteria = (query) => {
+  const { location, property_type, min_price, max_price, bedrooms, bathrooms, county, estate, landlord_name } = query;
+  const criteria = [PUBLISHED];
+
+  if (location) criteria.push({ op: 'ilike', column: 'location', value: `%${location}%` });
+  if (property_type) criteria.push({ op: 'eq', column: 'property_type', value: property_type });
+  if (min_price) criteria.push({ op: 'gte', column: 'price', value: parseInt(min_price) });
+  if (max_price) criteria.push({ op: 'lte', column: 'price', value: parseInt(max_price) });
+  if (bedrooms) criteria.push({ op: 'eq', column: 'bedrooms', value: parseInt(bedrooms) });
+  if (bathrooms) criteria.push({ op: 'eq', column: 'bathrooms', value: parseInt(bathrooms) });
+  if (county) criteria.push({ op: 'ilike', column: 'county', value: `%${county}%` });
+  if (estate) criteria.push({ op: 'ilike', column: 'estate', value: `%${estate}%` });
+  if (landlord_name) criteria.push({ op: 'ilike', column: 'landlord_name', value: `%${landlord_name}%` });
+
+  return criteria;
+};
+
+// Multipart fields that carry image state rather than listing attributes.
+// existing_images lists the hashes (or URLs) of current images to keep, in order.
+export const imageFieldsSchema = {
+  existing_images: { type: 'array' },
+};
+
+// New listings are saved as drafts or sent straight to review
+export const createStatusSchema = {
+  status: { type: 'string', enum: INITIAL_STATUSES, default: 'pending_review' },
+};
+
+// The browse filters and search body a signed-in user's search history keeps,
+// for their recommendations; later pages are the same search
+const BROWSE_FILTER_KEYS = ['location', 'property_type', 'min_price', 'max_price', 'bedrooms', 'bathrooms', 'county', 'estate'];
+
+const browseSearch = (req) => ({
+  filters: Object.fromEntries(BROWSE_FILTER_KEYS.map((key) => [key, req.query[key]])),
+  continued: Boolean(req.query.cursor || Number(req.query.offset) > 0),
+});
+
+const bodySearch = (req) => ({
+  query: req.body?.query,
+  filters: req.body?.filters ?? {},
+  continued: Boolean(req.body?.cursor || Number(req.body?.offset) > 0),
+});
+
 // Get all listings
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, trackSearches(browseSearch), trackListings('impression', (body) => body.listings), cacheResponse(listingScopes.browse), async (req, res, next) => {
   try {
-    const {
-      limit = 20,
-      offset = 0,
-      sort = 'updated_at',
-      order = 'desc',
-      location,
-      property_type,
-      min_price,
-      max_price,
-      bedrooms,
-      bathrooms,
-      county,
-      estate,
-      landlord_name,
-    } = req.query;
-
-    let query = supabase
-      .from('listings')
-      .select(`
-        id, title, price, location, property_type, bedrooms, bathrooms, is_available, image_url
-      `)
-      .eq('is_available', true);
-
-    if (location) query = query.ilike('location', `%${location}%`);
-    if (property_type) query = query.eq('property_type', property_type);
-    if (min_price) query = query.gte('price', parseInt(min_price));
-    if (max_price) query = query.lte('price', parseInt(max_price));
-    if (bedrooms) query = query.eq('bedrooms', parseInt(bedrooms));
-    if (bathrooms) query = query.eq('bathrooms', parseInt(bathrooms));
-    if (county) query = query.ilike('county', `%${county}%`);
-    if (estate) query = query.ilike('estate', `%${estate}%`);
-    if (landlord_name) query = query.ilike('landlord_name', `%${landlord_name}%`);
-
-    const { data: listings, error, count } = await query
-      .order(sort, { ascending: order === 'asc' })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    if (error) throw error;
+    const geo = parseGeoQuery(req.query);
+    const pagination = parsePagination(req.query, sortOptions(geo.near));
+    const criteria = [...browseCriteria(req.query), ...geo.criteria];
 
-    res.json({
-      listings,
-      total: count || listings.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-    });
+    const page = await listPage(criteria, SUMMARY_COLUMNS, pagination, { near: geo.near });
+
+    res.json({ listings: page.rows, ...pageMeta(req, pagination, page) });
   } catch (error) {
-    console.error('Error fetching listings:', error.message, error);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching listings', { error });
     res.status(500).json({ error: 'Failed to fetch listings', code: 'FETCH_ERROR' });
   }
 });
 
 // Search listings
-router.post('/search', optionalAuth, async (req, res) => {
+router.post('/search', optionalAuth, trackSearches(bodySearch), trackListings('impression', (body) => body.listings), cacheResponse(listingScopes.search), async (req, res, next) => {
   try {
-    const { query: searchQuery, filters = {}, limit = 20, offset = 0 } = req.body;
-
-    let query = supabase
-      .from('listings')
-      .select(`
-        id, title, price, location, property_type, bedrooms, bathrooms, is_available, image_url
-      `)
-      .eq('is_available', true);
-
-    if (searchQuery) {
-      query = query.or(
-        `title.ilike.%${searchQuery}%,description.ilike.%${searchQuery}%,location.ilike.%${searchQuery}%`
-      );
-    }
-
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        switch (key) {
-          case 'property_type':
-            if (Array.isArray(value)) query = query.in('property_type', value);
-            else query = query.eq('property_type', value);
-            break;
-          case 'min_price':
-            query = query.gte('price', parseInt(value));
-            break;
-          case 'max_price':
-            query = query.lte('price', parseInt(value));
-            break;
-          case 'bedrooms':
-            query = query.eq('bedrooms', parseInt(value));
-            break;
-          case 'bathrooms':
-            query = query.eq('bathrooms', parseInt(value));
-            break;
-          case 'location':
-          case 'county':
-          case 'estate':
-            query = query.ilike(key, `%${value}%`);
-            break;
-          case 'amenities':
-            if (Array.isArray(value) && value.length > 0) query = query.contains('amenities', value);
-            break;
-          case 'furnishing_status':
-            query = query.eq('furnishing_status', value);
-            break;
-          case 'parking':
-          case 'garden':
-          case 'balcony':
-          case 'own_compound':
-          case 'electricity':
-          case 'internet':
-            query = query.eq(key, value === 'true' || value === true);
-            break;
-        }
-      }
+    const { query: searchQuery = '', filters = {}, limit, offset, cursor, sort, order, total } = req.body;
+    // Ranking, filters and facet counts all run in the database (see
+    // listing_search_matches() in supabase/migrations); only the page's
+    // highlights are worked out here.
+    const spec = searchSpec(searchQuery, filters);
+    const ranked = spec.terms.length > 0;
+    const pagination = parsePagination({ limit, offset, cursor, sort, order, total }, {
+      ...sortOptions(spec.near),
+      sortable: [...sortOptions(spec.near).sortable, ...(ranked ? ['relevance'] : [])],
+      defaultSort: ranked ? 'relevance' : 'updated_at',
     });
 
-    const { data: listings, error, count } = await query
-      .order('updated_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    const counts = listingsRepo.searchFacets(spec);
+    const [page, { facets }] = await Promise.all([
+      paginate(
+        {
+          fetchPage: (options) => listingsRepo.search(spec, { columns: SEARCH_COLUMNS, ...options }),
+          countRows: async () => (await counts).total,
+        },
+        pagination
+      ),
+      counts,
+    ]);
+
+    const resultColumns = [...SUMMARY_COLUMNS, 'highlights', ...(ranked ? ['relevance'] : []), ...(spec.near ? ['distance_km'] : [])];
+    const highlighted = (row) => ({ ...row, highlights: highlight(row, rankRows([row], searchQuery)[0]?.matched ?? new Set()) });
+    res.json({
+      listings: page.rows.map(highlighted).map((row) => Object.fromEntries(resultColumns.map((column) => [column, row[column]]))),
+      facets,
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error searching listings', { error });
+    res.status(500).json({ error: 'Failed to search listings', code: 'SEARCH_ERROR' });
+  }
+});
 
-    if (error) throw error;
+// Map pins for the visible area, clustered by zoom level
+router.get('/pins', optionalAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(
+      { bbox: { type: 'string', required: true }, zoom: { type: 'integer', min: 0, max: 22, default: 12 } },
+      req.query
+    );
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const geo = parseGeoQuery(req.query);
+    const criteria = [...browseCriteria(req.query), ...geo.criteria];
+
+    const rows = await listingsRepo.list({
+      columns: ['id', 'price', 'latitude', 'longitude'],
+      criteria,
+      limit: MAX_PINS + 1,
+    });
 
     res.json({
-      listings,
-      total: count || listings.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
+      zoom: value.zoom,
+      truncated: rows.length > MAX_PINS,
+      pins: clusterPins(rows.slice(0, MAX_PINS), value.zoom),
     });
   } catch (error) {
-    console.error('Error searching listings:', error.message, error);
-    res.status(500).json({ error: 'Failed to search listings', code: 'SEARCH_ERROR' });
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching map pins', { error });
+    res.status(500).json({ error: 'Failed to fetch map pins', code: 'FETCH_ERROR' });
   }
 });
 
+// Whether the landlord has replied to the user's inquiry about a listing
+const landlordReplied = async (listingId, user) => {
+  if (!user) return false;
+  const [thread] = await inquiryThreads.list({
+    columns: ['id', 'landlord_replied_at'],
+    criteria: [
+      { op: 'eq', column: 'listing_id', value: listingId },
+      { op: 'eq', column: 'tenant_id', value: user.id },
+    ],
+    limit: 1,
+  });
+  return Boolean(thread?.landlord_replied_at);
+};
+
 // Get single listing
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, trackListings('view', (body) => [body]), cacheResponse(listingScopes.detail), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data: listing, error } = await supabase
-      .from('listings')
-      .select(`
-        id, title, description, price, property_type, bedrooms, bathrooms, location, county, estate,
-        amenities, furnishing_status, parking, garden, balcony, own_compound, electricity, internet,
-        is_available, image_url, images, landlord_id,
-        profiles!listings_landlord_id_fkey (id, full_name, phone, user_type, email)
-      `)
-      .eq('id', id)
-      .single();
-
-    if (error || !listing) {
+    const listing = await listingsRepo.findById(id, { columns: DETAIL_COLUMNS, withLandlord: true });
+
+    // Deleted listings are only visible to those who manage them, so they can
+    // be restored
+    const manages = async () => Boolean(req.user && (await listingAccess(listing, req.user.id)));
+    if (!listing || (listing.status === DELETED && !(await manages()))) {
       return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
     }
 
-    const canView = listing.is_available || (req.user && req.user.id === listing.landlord_id);
-    if (!canView) {
+    // Unpublished listings are visible to their owner, their caretakers and to
+    // moderators
+    if (!isPublished(listing) && !(await manages()) && !(req.user && (await hasUserType(req.user.id, ['admin'])))) {
       return res.status(403).json({ error: 'Listing not available', code: 'UNAVAILABLE' });
     }
 
+    if (listing.hide_contact && listing.profiles && !(await manages()) && !(await landlordReplied(listing.id, req.user))) {
+      return res.json({ ...listing, profiles: { ...listing.profiles, phone: null, email: null }, contact_hidden: true });
+    }
+
     res.json(listing);
   } catch (error) {
-    console.error('Error fetching listing:', error.message, error);
+    logger.error('Error fetching listing', { error });
     res.status(500).json({ error: 'Failed to fetch listing', code: 'FETCH_ERROR' });
   }
 });
 
+// Record a contact action the API does not see itself, such as tapping the
+// landlord's phone number, WhatsApp or email link
+export const contactSchema = {
+  channel: { type: 'string', required: true, enum: ['phone', 'whatsapp', 'email'] },
+};
+
+router.post('/:id/contact', optionalAuth, async (req, res, next) => {
+  try {
+    const { errors } = validate(contactSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listingsRepo.findById(req.params.id, { columns: ['id', 'status'] });
+    if (!isPublished(listing)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+
+    await recordListingEvents(req, 'contact', [listing.id]);
+    res.json({ message: 'Contact recorded' });
+  } catch (error) {
+    logger.error('Error recording contact', { error });
+    res.status(500).json({ error: 'Failed to record contact', code: 'INSERT_ERROR' });
+  }
+});
+
 // Create new listing
-router.post('/', requireAuth, limiter, upload, async (req, res) => {
+router.post('/', requireAuth, createLimiter, uploadLimiter, upload, async (req, res, next) => {
   try {
-    console.log('POST /api/listings received:', { body: req.body, files: req.files, user: req.user });
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('user_type, full_name')
-      .eq('id', req.user.id)
-      .single();
-
-    if (profileError) {
-      console.error('Profile fetch error:', profileError);
+    logger.debug('Creating listing', {
+      user_id: req.user.id,
+      fields: Object.keys(req.body ?? {}),
+      files: (req.files ?? []).map((file) => ({ name: file.originalname, type: file.mimetype, size: file.size })),
+    });
+    let profile;
+    try {
+      profile = await profiles.findById(req.user.id, { columns: ['user_type', 'full_name'] });
+    } catch (profileError) {
+      logger.error('Profile fetch error', { error: profileError });
       return res.status(500).json({ error: 'Failed to fetch user profile', code: 'PROFILE_FETCH_ERROR' });
     }
 
     if (!profile || !['landlord', 'caretaker'].includes(profile.user_type)) {
-      console.error('Unauthorized user type:', profile?.user_type);
+      logger.warn('Listing creation refused', { user_id: req.user.id, user_type: profile?.user_type });
       return res.status(403).json({ error: 'Only landlords and caretakers can create listings', code: 'UNAUTHORIZED' });
     }
 
-    let image_url = null;
-    let images = [];
-    if (req.files?.length > 0) {
-      const uploadPromises = req.files.map(async (file) => {
-        const fileName = `${Date.now()}_${Math.random().toString(36).substring(2, 15)}${path.extname(file.originalname)}`;
-        const { error: uploadError } = await supabase.storage
-          .from('listing-images')
-          .upload(fileName, file.buffer, { contentType: file.mimetype });
-        if (uploadError) {
-          console.error('Storage upload error:', uploadError);
-          throw uploadError;
-        }
-        return supabase.storage.from('listing-images').getPublicUrl(fileName).data.publicUrl;
-      });
-      const uploadedUrls = await Promise.all(uploadPromises);
-      image_url = uploadedUrls[0];
-      images = uploadedUrls.slice(1);
-    }
+    const { value: fields, errors } = validate(listingSchema, req.body);
+    errors.push(...coordinatePairErrors(fields));
+    const { value: { status }, errors: statusErrors } = validate(createStatusSchema, req.body);
+    if (errors.length > 0 || statusErrors.length > 0) return next(new ValidationError([...errors, ...statusErrors]));
+
+    const images = await storeUploads(req.files).catch((uploadError) => {
+      logger.error('Storage upload error', { error: uploadError });
+      throw uploadError;
+    });
 
     const listingData = {
-      title: req.body.title,
-      description: req.body.description,
-      price: parseInt(req.body.price) || 0,
-      property_type: req.body.property_type,
-      bedrooms: parseInt(req.body.bedrooms) || 0,
-      bathrooms: parseInt(req.body.bathrooms) || 0,
-      location: req.body.location,
-      county: req.body.county,
-      estate: req.body.estate,
-      landlord_name: req.body.landlord_name || profile.full_name,
-      amenities: JSON.parse(req.body.amenities || '[]'),
-      furnishing_status: req.body.furnishing_status,
-      parking: req.body.parking === 'true',
-      garden: req.body.garden === 'true',
-      balcony: req.body.balcony === 'true',
-      own_compound: req.body.own_compound === 'true',
-      electricity: req.body.electricity === 'true',
-      internet: req.body.internet === 'true',
-      is_available: req.body.is_available === 'true',
+      ...fields,
+      ...resolveCoordinates(fields),
+      landlord_name: fields.landlord_name || profile.full_name,
       landlord_id: req.user.id,
-      image_url,
       images,
+      status,
+      submitted_at: status === 'pending_review' ? new Date().toISOString() : null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
 
-    console.log('Inserting listing:', listingData);
-    const { data: listing, error } = await supabase
-      .from('listings')
-      .insert(listingData)
-      .select('id, title, price, location, is_available, image_url')
-      .single();
-
-    if (error) {
-      console.error('Listing insert error:', error);
+    const listing = await listingsRepo.create({ ...listingData, ...audited('create', req.user.id) }, { columns: OWNER_COLUMNS }).catch((error) => {
+      logger.error('Listing insert error', { error });
       throw error;
-    }
+    });
+
+    await invalidateListing(null, { ...listingData, id: listing.id });
 
     res.status(201).json(listing);
   } catch (error) {
-    console.error('Error creating listing:', error.message, error);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error creating listing', { error });
     res.status(500).json({ error: 'Failed to create listing', code: 'INSERT_ERROR', details: error.message });
   }
 });
 
-// Update listing
-router.put('/:id', requireAuth, limiter, upload, async (req, res) => {
+// Shared by PUT (full update, every required field must be sent) and PATCH
+// (partial update, only the fields sent are validated and changed)
+const updateListing = ({ partial }) => async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const { data: listing, error: fetchError } = await supabase
-      .from('listings')
-      .select('landlord_id, image_url, images')
-      .eq('id', id)
-      .single();
+    const listing = await listingsRepo.findById(id, { columns: DETAIL_COLUMNS });
 
-    if (fetchError || !listing || listing.landlord_id !== req.user.id) {
-      console.error('Fetch or authorization error:', fetchError, listing?.landlord_id, req.user.id);
+    if (!listing || !(await canManage(listing, req.user.id, 'edit'))) {
+      logger.warn('Listing update refused', { listing_id: id, user_id: req.user.id });
       return res.status(403).json({ error: 'Not authorized to update this listing', code: 'UNAUTHORIZED' });
     }
+    if (listing.status === DELETED) {
+      return res.status(409).json({ error: 'Restore the listing before editing it', code: 'INVALID_STATE' });
+    }
 
-    let image_url = listing.image_url;
-    let images = req.body.existing_images ? JSON.parse(req.body.existing_images) : listing.images || [];
-    const oldImagePaths = (listing.images || []).map((url) => url.split('/').pop());
-
-    if (req.files?.length > 0) {
-      const uploadPromises = req.files.map(async (file) => {
-        const fileName = `${Date.now()}_${Math.random().toString(36).substring(2, 15)}${path.extname(file.originalname)}`;
-        const { error: uploadError } = await supabase.storage
-          .from('listing-images')
-          .upload(fileName, file.buffer, { contentType: file.mimetype });
-        if (uploadError) {
-          console.error('Storage update error:', uploadError);
-          throw uploadError;
-        }
-        return supabase.storage.from('listing-images').getPublicUrl(fileName).data.publicUrl;
+    const { value: fields, errors } = validate(listingSchema, req.body, { partial });
+    errors.push(...coordinatePairErrors(fields));
+    const { value: imageFields, errors: imageErrors } = validate(imageFieldsSchema, req.body, { partial: true });
+    if (errors.length > 0 || imageErrors.length > 0) return next(new ValidationError([...errors, ...imageErrors]));
+
+    const updateData = { ...fields, ...resolveCoordinates(fields, listing), updated_at: new Date().toISOString() };
+
+    const currentImages = listing.images || [];
+    let droppedImages = [];
+    if (imageFields.existing_images || req.files?.length > 0) {
+      const kept = imageFields.existing_images
+        ? imageFields.existing_images.map((key) => currentImages.find((image) => imageMatches(image, key))).filter(Boolean)
+        : currentImages;
+      const uploaded = await storeUploads(req.files, kept).catch((uploadError) => {
+        logger.error('Storage update error', { error: uploadError });
+        throw uploadError;
       });
-      const uploadedUrls = await Promise.all(uploadPromises);
-      image_url = uploadedUrls[0] || image_url;
-      images = [...images, ...uploadedUrls.slice(1)];
-    }
 
-    const newImagePaths = images.map((url) => url.split('/').pop());
-    const imagesToDelete = oldImagePaths.filter((path) => !newImagePaths.includes(path));
-    if (imagesToDelete.length > 0) {
-      await supabase.storage.from('listing-images').remove(imagesToDelete);
+      updateData.images = [...new Set(kept), ...uploaded];
+      droppedImages = currentImages.filter((image) => !updateData.images.includes(image));
     }
 
-    const updateData = {
-      title: req.body.title,
-      description: req.body.description,
-      price: parseInt(req.body.price) || 0,
-      property_type: req.body.property_type,
-      bedrooms: parseInt(req.body.bedrooms) || 0,
-      bathrooms: parseInt(req.body.bathrooms) || 0,
-      location: req.body.location,
-      county: req.body.county,
-      estate: req.body.estate,
-      landlord_name: req.body.landlord_name,
-      amenities: JSON.parse(req.body.amenities || '[]'),
-      furnishing_status: req.body.furnishing_status,
-      parking: req.body.parking === 'true',
-      garden: req.body.garden === 'true',
-      balcony: req.body.balcony === 'true',
-      own_compound: req.body.own_compound === 'true',
-      electricity: req.body.electricity === 'true',
-      internet: req.body.internet === 'true',
-      is_available: req.body.is_available === 'true',
-      image_url,
-      images,
-      updated_at: new Date().toISOString(),
-    };
-
-    const { data: updatedListing, error } = await supabase
-      .from('listings')
-      .update(updateData)
-      .eq('id', id)
-      .select('id, title, price, location, is_available, image_url')
-      .single();
+    Object.assign(updateData, reviewAfterEdit(listing, updateData, { userId: req.user.id }));
 
-    if (error) {
-      console.error('Listing update error:', error);
+    const updatedListing = await listingsRepo.update(id, { ...updateData, ...audited('update', req.user.id) }, { columns: OWNER_COLUMNS }).catch((error) => {
+      logger.error('Listing update error', { error });
       throw error;
-    }
+    });
+
+    await releaseImages(droppedImages);
+    await invalidateListing(listing, { ...listing, ...updateData });
 
     res.json(updatedListing);
   } catch (error) {
-    console.error('Error updating listing:', error.message, error);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error updating listing', { error });
     res.status(500).json({ error: 'Failed to update listing', code: 'UPDATE_ERROR', details: error.message });
   }
+};
+
+// Update listing
+router.put('/:id', requireAuth, limiter, uploadLimiter, upload, updateListing({ partial: false }));
+
+// Partially update listing
+router.patch('/:id', requireAuth, limiter, uploadLimiter, upload, updateListing({ partial: true }));
+
+// Lifecycle actions for the owner and caretakers allowed to change
+// availability: POST /:id/submit, /:id/withdraw, /:id/mark-rented and /:id/archive
+Object.entries(OWNER_ACTIONS).forEach(([action, rule]) => {
+  router.post(`/:id/${action}`, requireAuth, limiter, async (req, res) => {
+    try {
+      const listing = await listingsRepo.findById(req.params.id, { columns: DETAIL_COLUMNS });
+      if (!listing || !(await canManage(listing, req.user.id, 'availability'))) {
+        return res.status(403).json({ error: 'Not authorized to update this listing', code: 'UNAUTHORIZED' });
+      }
+
+      const changes = transition(listing, rule, { userId: req.user.id });
+      const updatedListing = await listingsRepo.update(listing.id, { ...changes, ...audited(action, req.user.id) }, { columns: OWNER_COLUMNS });
+      await invalidateListing(listing, { ...listing, ...changes });
+
+      res.json(updatedListing);
+    } catch (error) {
+      if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+      logger.error('Error changing listing status', { error });
+      res.status(500).json({ error: 'Failed to update listing', code: 'UPDATE_ERROR' });
+    }
+  });
 });
 
-// Delete listing
+// Delete listing; only the owner can, never a caretaker. The listing is only
+// marked deleted: POST /:id/restore brings it back until the restore window
+// passes, then it is purged with its images (services/listingPurge.js).
 router.delete('/:id', requireAuth, limiter, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data: listing, error: fetchError } = await supabase
-      .from('listings')
-      .select('landlord_id, image_url, images')
-      .eq('id', id)
-      .single();
+    const listing = await listingsRepo.findById(id, { columns: DETAIL_COLUMNS });
 
-    if (fetchError || !listing || listing.landlord_id !== req.user.id) {
-      console.error('Fetch or authorization error:', fetchError, listing?.landlord_id, req.user.id);
+    if (!listing || listing.landlord_id !== req.user.id) {
+      logger.warn('Listing deletion refused', { listing_id: id, user_id: req.user.id });
       return res.status(403).json({ error: 'Not authorized to delete this listing', code: 'UNAUTHORIZED' });
     }
 
-    const imagePaths = [
-      ...(listing.image_url ? [listing.image_url.split('/').pop()] : []),
-      ...(listing.images || []).map((url) => url.split('/').pop()),
-    ];
-    if (imagePaths.length > 0) {
-      await supabase.storage.from('listing-images').remove(imagePaths);
-    }
+    const changes = softDelete(listing, { userId: req.user.id });
+    await listingsRepo.update(id, { ...changes, ...audited('delete', req.user.id) }, { columns: ['id'] }).catch((error) => {
+      logger.error('Listing delete error', { error });
+      throw error;
+    });
 
-    const { error } = await supabase.from('listings').delete().eq('id', id);
+    await invalidateListing(listing, { ...listing, ...changes });
 
-    if (error) {
-      console.error('Listing delete error:', error);
-      throw error;
+    res.json({
+      message: 'Listing deleted successfully',
+      restore_until: restoreDeadline({ deleted_at: changes.deleted_at }).toISOString(),
+    });
+  } catch (error) {
+    if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+    logger.error('Error deleting listing', { error });
+    res.status(500).json({ error: 'Failed to delete listing', code: 'DELETE_ERROR', details: error.message });
+  }
+});
+
+// Restore a deleted listing to the status it had, within the restore window
+router.post('/:id/restore', requireAuth, limiter, async (req, res) => {
+  try {
+    const listing = await listingsRepo.findById(req.params.id, {
+      columns: [...DETAIL_COLUMNS, 'deleted_at', 'status_before_delete'],
+    });
+    if (!listing || listing.landlord_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to restore this listing', code: 'UNAUTHORIZED' });
     }
 
-    res.json({ message: 'Listing deleted successfully' });
+    const changes = restore(listing);
+    const restored = await listingsRepo.update(listing.id, { ...changes, ...audited('restore', req.user.id) }, { columns: OWNER_COLUMNS });
+    await invalidateListing(listing, { ...listing, ...changes });
+
+    res.json(restored);
   } catch (error) {
-    console.error('Error deleting listing:', error.message, error);
-    res.status(500).json({ error: 'Failed to delete listing', code: 'DELETE_ERROR', details: error.message });
+    if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+    logger.error('Error restoring listing', { error });
+    res.status(500).json({ error: 'Failed to restore listing', code: 'UPDATE_ERROR' });
   }
 });
 
-// Get landlord's listings
-router.get('/landlord/my-listings', requireAuth, async (req, res) => {
+// Get the listings I own or manage for other landlords, optionally only those
+// with ?status= (deleted ones only show with ?status=deleted). Each carries my
+// access to it: { role: 'owner' | 'caretaker', permissions }.
+router.get('/landlord/my-listings', requireAuth, async (req, res, next) => {
   try {
-    const { data: listings, error } = await supabase
-      .from('listings')
-      .select('id, title, price, location, is_available, image_url')
-      .eq('landlord_id', req.user.id)
-      .order('updated_at', { ascending: false })
-      .limit(50);
+    const pagination = parsePagination(req.query, { sortable: SORTABLE_COLUMNS });
+    const { value, errors } = validate({ status: { type: 'string', enum: LISTING_STATUSES } }, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const scope = await managedScope(req.user.id);
+    const criteria = [
+      scope.criterion(),
+      value.status ? { op: 'eq', column: 'status', value: value.status } : { op: 'in', column: 'status', value: LIVE_STATUSES },
+    ];
 
-    if (error) throw error;
+    const page = await listPage(criteria, [...OWNER_COLUMNS, 'landlord_id', 'deleted_at'], pagination);
 
-    res.json({ listings });
+    res.json({
+      listings: page.rows.map((listing) => ({ ...listing, access: scope.access(listing) })),
+      ...pageMeta(req, pagination, page),
+    });
   } catch (error) {
-    console.error('Error fetching landlord listings:', error.message, error);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching landlord listings', { error });
     res.status(500).json({ error: 'Failed to fetch your listings', code: 'FETCH_ERROR' });
   }
 });
 
+// Export the landlord's own listings as CSV or XLSX (?format=, default csv),
+// optionally only those with ?status=. The file can be edited and sent back to
+// POST /api/listings/imports.
+const MAX_EXPORT_ROWS = 5000;
+
+router.get('/landlord/my-listings/export', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(
+      {
+        format: { type: 'string', enum: Object.keys(SPREADSHEET_FORMATS), default: 'csv' },
+        status: { type: 'string', enum: LISTING_STATUSES },
+      },
+      req.query
+    );
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const criteria = [
+      { op: 'eq', column: 'landlord_id', value: req.user.id },
+      value.status ? { op: 'eq', column: 'status', value: value.status } : { op: 'in', column: 'status', value: LIVE_STATUSES },
+    ];
+    const rows = await listingsRepo.list({ columns: SPREADSHEET_COLUMNS, criteria, limit: MAX_EXPORT_ROWS });
+
+    const { contentType, extension } = SPREADSHEET_FORMATS[value.format];
+    const file = await writeSpreadsheet(rows, value.format);
+    res
+      .set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="my-listings-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+        'Cache-Control': 'no-store',
+      })
+      .send(file);
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error exporting landlord listings', { error });
+    res.status(500).json({ error: 'Failed to export your listings', code: 'EXPORT_ERROR' });
+  }
+});
+
 // Get all listings for a landlord by ID
-router.get('/landlord/:landlordId', optionalAuth, async (req, res) => {
+router.get('/landlord/:landlordId', optionalAuth, cacheResponse(listingScopes.landlord), async (req, res, next) => {
   try {
     const { landlordId } = req.params;
-    const { data: listings, error } = await supabase
-      .from('listings')
-      .select('id, title, price, location, is_available, image_url')
-      .eq('landlord_id', landlordId)
-      .eq('is_available', true)
-      .order('updated_at', { ascending: false })
-      .limit(50);
+    const pagination = parsePagination(req.query, { sortable: SORTABLE_COLUMNS });
+    const criteria = [
+      { op: 'eq', column: 'landlord_id', value: landlordId },
+      PUBLISHED,
+    ];
 
-    if (error) throw error;
+    const page = await listPage(criteria, OWNER_COLUMNS, pagination);
 
-    res.json({ listings });
+    res.json({ listings: page.rows, ...pageMeta(req, pagination, page) });
   } catch (error) {
-    console.error('Error fetching listings by landlord:', error.message, error);
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching listings by landlord', { error });
     res.status(500).json({ error: 'Failed to fetch listings', code: 'FETCH_ERROR' });
   }
 });
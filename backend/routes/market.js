@@ -0,0 +1,37 @@
+import express from 'express';
+import { cacheResponse } from '../middleware/cache.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { PROPERTY_TYPES } from '../validation/listingSchema.js';
+import { listingScopes } from '../services/listingCache.js';
+import { marketRents, RENT_PERIODS, MAX_RENT_PERIODS } from '../services/marketRents.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/market
+const router = express.Router();
+
+export const rentsSchema = {
+  county: { type: 'string', maxLength: 100 },
+  estate: { type: 'string', maxLength: 100 },
+  property_type: { type: 'string', enum: PROPERTY_TYPES },
+  bedrooms: { type: 'integer', min: 0, max: 20 },
+  period: { type: 'string', enum: RENT_PERIODS, default: 'month' },
+  periods: { type: 'integer', min: 1, max: MAX_RENT_PERIODS, default: 12 },
+};
+
+// Median, quartile and average asking rent per week or month for listings
+// matching ?county, ?estate, ?property_type and ?bedrooms, with the trend
+router.get('/rents', cacheResponse(listingScopes.market), async (req, res, next) => {
+  try {
+    const { value, errors } = validate(rentsSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const { period, periods, ...filters } = value;
+    res.json(await marketRents(filters, { period, periods }));
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching market rents', { error });
+    res.status(500).json({ error: 'Failed to fetch market rents', code: 'FETCH_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { listings, listingReports } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { MODERATOR_ACTIONS, REPORT_REASONS, transition, notifyDecision } from '../services/listingStatus.js';
+import { MATCH_COLUMNS } from '../services/savedSearchAlerts.js';
+import { invalidateListing } from '../services/listingCache.js';
+import { audited } from '../services/listingAudit.js';
+import { logger } from '../services/logger.js';
+
+// Admin moderation: the review queue for submitted listings and the queue of
+// user reports. Every route requires an admin profile.
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+const QUEUE_COLUMNS = [
+  'id', 'title', 'description', 'price', 'location', 'county', 'property_type', 'images', 'landlord_id', 'landlord_name',
+  'status', 'submitted_at', 'reviewed_at', 'reviewed_by', 'rejection_reason', 'created_at', 'updated_at',
+];
+const REVIEW_COLUMNS = [...new Set([...QUEUE_COLUMNS, ...MATCH_COLUMNS])];
+const REPORT_LISTING_COLUMNS = ['id', 'title', 'location', 'price', 'status', 'landlord_id'];
+
+const REPORT_STATUSES = ['open', 'dismissed', 'upheld'];
+
+export const queueSchema = {
+  status: { type: 'string', enum: ['pending_review', 'published', 'rejected'], default: 'pending_review' },
+};
+
+export const rejectSchema = {
+  reason: { type: 'string', required: true, minLength: 3, maxLength: 1000 },
+};
+
+export const reportListSchema = {
+  status: { type: 'string', enum: REPORT_STATUSES, default: 'open' },
+  reason: { type: 'string', enum: REPORT_REASONS },
+};
+
+export const resolveSchema = {
+  resolution: { type: 'string', required: true, enum: ['dismissed', 'upheld'] },
+  note: { type: 'string', maxLength: 1000 },
+};
+
+// Open report counts for a set of listings
+const openReportCounts = async (listingIds) => {
+  if (listingIds.length === 0) return new Map();
+  const reports = await listingReports.list({
+    columns: ['id', 'listing_id'],
+    criteria: [
+      { op: 'in', column: 'listing_id', value: listingIds },
+      { op: 'eq', column: 'status', value: 'open' },
+    ],
+    limit: 1000,
+  });
+  return reports.reduce((counts, { listing_id }) => counts.set(listing_id, (counts.get(listing_id) || 0) + 1), new Map());
+};
+
+// Listings waiting for review, oldest submission first. ?status= also shows
+// published or rejected listings.
+router.get('/listings', async (req, res, next) => {
+  try {
+    const { value, errors } = validate(queueSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, {
+      sortable: ['submitted_at', 'updated_at'],
+      defaultSort: 'submitted_at',
+      ascendingSorts: ['submitted_at'],
+    });
+
+    const criteria = [{ op: 'eq', column: 'status', value: value.status }];
+    const page = await paginate(
+      {
+        fetchPage: (options) => listings.list({ columns: QUEUE_COLUMNS, criteria, ...options }),
+        countRows: (type) => listings.count({ criteria, type }),
+      },
+      pagination
+    );
+    const reports = await openReportCounts(page.rows.map((listing) => listing.id));
+
+    res.json({
+      listings: page.rows.map((listing) => ({ ...listing, open_reports: reports.get(listing.id) || 0 })),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching moderation queue', { error });
+    res.status(500).json({ error: 'Failed to fetch moderation queue', code: 'FETCH_ERROR' });
+  }
+});
+
+// Approve or reject a listing: POST /listings/:id/approve, /listings/:id/reject
+// with { reason }. The landlord is notified either way; approval also queues
+// saved-search alerts.
+Object.entries(MODERATOR_ACTIONS).forEach(([action, rule]) => {
+  router.post(`/listings/:id/${action}`, async (req, res, next) => {
+    try {
+      const { value, errors } = action === 'reject' ? validate(rejectSchema, req.body) : { value: {}, errors: [] };
+      if (errors.length > 0) return next(new ValidationError(errors));
+
+      const listing = await listings.findById(req.params.id, { columns: REVIEW_COLUMNS });
+      if (!listing) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+
+      const changes = transition(listing, rule, { userId: req.user.id, reason: value.reason });
+      const updated = await listings.update(listing.id, { ...changes, ...audited(action, req.user.id) }, { columns: QUEUE_COLUMNS });
+      await invalidateListing(listing, { ...listing, ...changes });
+
+      await notifyDecision(listing, changes);
+
+      res.json(updated);
+    } catch (error) {
+      if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+      logger.error('Error moderating listing', { error });
+      res.status(500).json({ error: 'Failed to moderate listing', code: 'UPDATE_ERROR' });
+    }
+  });
+});
+
+// Reports, oldest first, with the reported listing
+router.get('/reports', async (req, res, next) => {
+  try {
+    const { value, errors } = validate(reportListSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, {
+      sortable: ['created_at'],
+      defaultSort: 'created_at',
+      ascendingSorts: ['created_at'],
+    });
+
+    const criteria = [{ op: 'eq', column: 'status', value: value.status }];
+    if (value.reason) criteria.push({ op: 'eq', column: 'reason', value: value.reason });
+    const page = await paginate(
+      {
+        fetchPage: (options) => listingReports.list({ criteria, ...options }),
+        countRows: (type) => listingReports.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    const listingIds = [...new Set(page.rows.map((report) => report.listing_id))];
+    const reported = listingIds.length
+      ? await listings.list({ columns: REPORT_LISTING_COLUMNS, criteria: [{ op: 'in', column: 'id', value: listingIds }], limit: listingIds.length })
+      : [];
+    const byId = new Map(reported.map((listing) => [listing.id, listing]));
+
+    res.json({
+      reports: page.rows.map((report) => ({ ...report, listing: byId.get(report.listing_id) ?? null })),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching reports', { error });
+    res.status(500).json({ error: 'Failed to fetch reports', code: 'FETCH_ERROR' });
+  }
+});
+
+// Close a report. Upholding it does not change the listing; reject the listing
+// separately to take it down.
+router.post('/reports/:id/resolve', async (req, res, next) => {
+  try {
+    const { value, errors } = validate(resolveSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const report = await listingReports.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found', code: 'NOT_FOUND' });
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Report has already been resolved', code: 'INVALID_STATE' });
+    }
+
+    const now = new Date().toISOString();
+    const updated = await listingReports.update(report.id, {
+      status: value.resolution,
+      resolution_note: value.note ?? null,
+      resolved_by: req.user.id,
+      resolved_at: now,
+      updated_at: now,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error resolving report', { error });
+    res.status(500).json({ error: 'Failed to resolve report', code: 'UPDATE_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,358 @@
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { requireAuth, requireAdmin, hasUserType } from '../middleware/auth.js';
+import { listings, viewings, payments, paymentLedger } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { isPublished } from '../services/listingStatus.js';
+import { ACTIVE_STATUSES } from '../services/viewings.js';
+import { canManage, managedScope } from '../services/delegations.js';
+import { FEATURE_PLANS } from '../services/featuredListings.js';
+import { mpesaConfigured, normalizePhone } from '../services/mpesa.js';
+import {
+  PAYMENT_PURPOSES,
+  PAYMENT_STATUSES,
+  LEDGER_ENTRIES,
+  VIEWING_DEPOSIT_AMOUNT,
+  DEPOSIT_REFUND_HOURS,
+  requestHash,
+  paymentView,
+  isUniqueViolation,
+  startPayment,
+  handleStkCallback,
+  handleB2cResult,
+  handleB2cTimeout,
+  refundPayment,
+  forfeitDeposit,
+} from '../services/payments.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/payments. Landlords pay to feature listings and tenants pay
+// viewing deposits with M-Pesa (see services/payments.js); Daraja reports the
+// outcomes to the /mpesa/* callbacks.
+const router = express.Router();
+
+const limiter = rateLimiter('payments');
+
+export const featureSchema = {
+  listing_id: { type: 'string', required: true },
+  plan: { type: 'string', required: true, enum: Object.keys(FEATURE_PLANS) },
+  phone: { type: 'string', required: true, maxLength: 20 },
+};
+
+export const depositSchema = {
+  viewing_id: { type: 'string', required: true },
+  phone: { type: 'string', required: true, maxLength: 20 },
+};
+
+export const listSchema = {
+  // payer: my payments; landlord: deposits on viewings of listings I manage
+  role: { type: 'string', enum: ['payer', 'landlord'], default: 'payer' },
+  purpose: { type: 'string', enum: PAYMENT_PURPOSES },
+  status: { type: 'string', enum: PAYMENT_STATUSES },
+  viewing_id: { type: 'string' },
+};
+
+export const ledgerSchema = {
+  from: { type: 'datetime' },
+  to: { type: 'datetime' },
+  purpose: { type: 'string', enum: PAYMENT_PURPOSES },
+  entry: { type: 'string', enum: LEDGER_ENTRIES },
+};
+
+const MAX_IDEMPOTENCY_KEY = 255;
+
+const notFound = (res) => res.status(404).json({ error: 'Payment not found', code: 'NOT_FOUND' });
+
+const stateError = (message) => Object.assign(new Error(message), { name: 'StateError' });
+
+// The Idempotency-Key header every payment request carries, so a retried
+// request cannot charge twice
+const idempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return { error: { field: 'Idempotency-Key', code: 'required', message: 'Send an Idempotency-Key header, unique to this payment' } };
+  }
+  if (key.length > MAX_IDEMPOTENCY_KEY) {
+    return { error: { field: 'Idempotency-Key', code: 'too_long', message: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY} characters` } };
+  }
+  return { key };
+};
+
+// Validate a payment request's body and Idempotency-Key; throws ValidationError
+const paymentRequest = (schema, req) => {
+  const { value, errors } = validate(schema, req.body);
+  const phone = value.phone && normalizePhone(value.phone);
+  if (value.phone && !phone) {
+    errors.push({ field: 'phone', code: 'invalid_phone', message: 'phone must be a Safaricom number, e.g. 0712345678' });
+  }
+  const { key, error } = idempotencyKey(req);
+  if (error) errors.push(error);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return { value: { ...value, phone }, key };
+};
+
+// 202 for a payment just started, 200 with Idempotent-Replayed for a repeat
+const sendPayment = (res, { payment, replayed }) =>
+  res
+    .status(replayed ? 200 : 202)
+    .set('Idempotent-Replayed', String(replayed))
+    .json(paymentView(payment));
+
+const unavailable = (res) =>
+  res.status(503).json({ error: 'M-Pesa payments are not available right now', code: 'PAYMENTS_UNAVAILABLE' });
+
+// Errors shared by the payment requests
+const paymentError = (res, next, error, message) => {
+  if (error.name === 'ValidationError') return next(error);
+  if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+  if (error.name === 'IdempotencyError') return res.status(409).json({ error: error.message, code: 'IDEMPOTENCY_CONFLICT' });
+  if (error.name === 'MpesaError') {
+    return res.status(502).json({ error: 'M-Pesa could not take the payment', code: 'PAYMENT_PROVIDER_ERROR', details: error.message });
+  }
+  if (isUniqueViolation(error, 'payments_featured_pending_idx')) {
+    return res.status(409).json({ error: 'A payment for this listing is already waiting on M-Pesa', code: 'PAYMENT_IN_PROGRESS' });
+  }
+  if (isUniqueViolation(error, 'payments_viewing_deposit_idx')) {
+    return res.status(409).json({ error: 'This viewing already has a deposit', code: 'DUPLICATE' });
+  }
+  logger.error(message, { error });
+  res.status(500).json({ error: 'Failed to start payment', code: 'PAYMENT_ERROR' });
+};
+
+// Plans and amounts
+router.get('/plans', (req, res) => {
+  res.json({
+    plans: Object.entries(FEATURE_PLANS).map(([id, plan]) => ({ id, ...plan, currency: 'KES' })),
+    viewing_deposit: { amount: VIEWING_DEPOSIT_AMOUNT, currency: 'KES', refund_hours: DEPOSIT_REFUND_HOURS },
+    available: mpesaConfigured(),
+  });
+});
+
+// Pay to feature a listing. The landlord, or a caretaker who can edit it, is
+// prompted on their phone; the listing is featured once the payment completes.
+router.post('/featured-listings', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, key } = paymentRequest(featureSchema, req);
+    if (!mpesaConfigured()) return unavailable(res);
+
+    const listing = await listings.findById(value.listing_id, { columns: ['id', 'landlord_id', 'status', 'title'] });
+    if (!listing) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    if (!(await canManage(listing, req.user.id, 'edit'))) {
+      return res.status(403).json({ error: 'Not authorized to feature this listing', code: 'UNAUTHORIZED' });
+    }
+    if (!isPublished(listing)) throw stateError('Only published listings can be featured');
+
+    const plan = FEATURE_PLANS[value.plan];
+    const result = await startPayment({
+      userId: req.user.id,
+      idempotencyKey: key,
+      hash: requestHash({ purpose: 'featured_listing', ...value }),
+      purpose: 'featured_listing',
+      listing_id: listing.id,
+      landlord_id: listing.landlord_id,
+      plan: value.plan,
+      amount: plan.amount,
+      phone: value.phone,
+      reference: 'FEATURE',
+      description: plan.label,
+    });
+    sendPayment(res, result);
+  } catch (error) {
+    paymentError(res, next, error, 'Error starting featured listing payment');
+  }
+});
+
+// Pay a refundable deposit on an upcoming viewing of mine
+router.post('/viewing-deposits', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, key } = paymentRequest(depositSchema, req);
+    if (!mpesaConfigured()) return unavailable(res);
+
+    const viewing = await viewings.findById(value.viewing_id);
+    if (!viewing || viewing.tenant_id !== req.user.id) {
+      return res.status(404).json({ error: 'Viewing not found', code: 'NOT_FOUND' });
+    }
+    if (!ACTIVE_STATUSES.includes(viewing.status)) throw stateError(`Viewing is ${viewing.status}`);
+    if (new Date(viewing.starts_at) <= new Date()) throw stateError('Viewing has already started');
+
+    const result = await startPayment({
+      userId: req.user.id,
+      idempotencyKey: key,
+      hash: requestHash({ purpose: 'viewing_deposit', ...value }),
+      purpose: 'viewing_deposit',
+      listing_id: viewing.listing_id,
+      landlord_id: viewing.landlord_id,
+      viewing_id: viewing.id,
+      amount: VIEWING_DEPOSIT_AMOUNT,
+      phone: value.phone,
+      reference: 'DEPOSIT',
+      description: 'Viewing deposit',
+    });
+    sendPayment(res, result);
+  } catch (error) {
+    paymentError(res, next, error, 'Error starting viewing deposit');
+  }
+});
+
+// My payments, newest first, or as a landlord the deposits on my listings' viewings
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(listSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+
+    const criteria =
+      value.role === 'landlord'
+        ? [
+            (await managedScope(req.user.id, { permission: 'viewings' })).criterion({ listingColumn: 'listing_id' }),
+            { op: 'eq', column: 'purpose', value: 'viewing_deposit' },
+          ]
+        : [{ op: 'eq', column: 'user_id', value: req.user.id }];
+    if (value.purpose) criteria.push({ op: 'eq', column: 'purpose', value: value.purpose });
+    if (value.status) criteria.push({ op: 'eq', column: 'status', value: value.status });
+    if (value.viewing_id) criteria.push({ op: 'eq', column: 'viewing_id', value: value.viewing_id });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => payments.list({ criteria, ...options }),
+        countRows: (type) => payments.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ payments: page.rows.map(paymentView), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching payments', { error });
+    res.status(500).json({ error: 'Failed to fetch payments', code: 'FETCH_ERROR' });
+  }
+});
+
+// The ledger of money in (charges) and out (refunds), for admins reconciling
+// against the paybill statement
+router.get('/ledger', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(ledgerSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+
+    const criteria = [];
+    if (value.from) criteria.push({ op: 'gte', column: 'created_at', value: value.from });
+    if (value.to) criteria.push({ op: 'lte', column: 'created_at', value: value.to });
+    if (value.purpose) criteria.push({ op: 'eq', column: 'purpose', value: value.purpose });
+    if (value.entry) criteria.push({ op: 'eq', column: 'entry', value: value.entry });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => paymentLedger.list({ criteria, ...options }),
+        countRows: (type) => paymentLedger.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ entries: page.rows, ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching payment ledger', { error });
+    res.status(500).json({ error: 'Failed to fetch payment ledger', code: 'FETCH_ERROR' });
+  }
+});
+
+// Daraja callbacks. The segment after the kind must be MPESA_CALLBACK_SECRET;
+// stk callbacks add the payment's id after it. Daraja only needs a 200 back,
+// and results it fails to deliver are picked up by reconciliation.
+const callbackSecretMatches = (secret) => {
+  const expected = Buffer.from(process.env.MPESA_CALLBACK_SECRET || '');
+  const given = Buffer.from(secret);
+  return expected.length > 0 && expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+const mpesaCallback = (handle) => async (req, res) => {
+  if (!callbackSecretMatches(req.params.secret)) return res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+  try {
+    await handle(req.body, req.params);
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    logger.error('Error handling M-Pesa callback', { error });
+    res.status(500).json({ error: 'Failed to handle callback', code: 'CALLBACK_ERROR' });
+  }
+};
+
+router.post('/mpesa/stk/:secret/:paymentId', mpesaCallback(handleStkCallback));
+// Pushes sent before the payment's id was added to the callback URL
+router.post('/mpesa/stk/:secret', mpesaCallback(handleStkCallback));
+router.post('/mpesa/b2c-result/:secret', mpesaCallback(handleB2cResult));
+router.post('/mpesa/b2c-timeout/:secret', mpesaCallback(handleB2cTimeout));
+
+// The caller's side of a payment: the payer, the landlord side of a deposit
+// (caretakers who manage the listing's viewings included), or an admin
+const roleIn = async (payment, userId) => {
+  if (payment.user_id === userId) return 'payer';
+  if (payment.purpose === 'viewing_deposit' && payment.listing_id) {
+    const listing = await listings.findById(payment.listing_id, { columns: ['id', 'landlord_id'] });
+    if (listing && (await canManage(listing, userId, 'viewings'))) return 'landlord';
+  }
+  if (await hasUserType(userId, ['admin'])) return 'admin';
+  return null;
+};
+
+const loadPayment = async (req) => {
+  const payment = await payments.findById(req.params.id);
+  const role = payment && (await roleIn(payment, req.user.id));
+  return role ? { payment, role } : null;
+};
+
+// Get a single payment
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadPayment(req);
+    if (!loaded) return notFound(res);
+    res.json(paymentView(loaded.payment));
+  } catch (error) {
+    logger.error('Error fetching payment', { error });
+    res.status(500).json({ error: 'Failed to fetch payment', code: 'FETCH_ERROR' });
+  }
+});
+
+// Keep a deposit because the tenant did not turn up, from the landlord's side,
+// between the start of the viewing and the refund
+router.post('/:id/forfeit', requireAuth, limiter, async (req, res) => {
+  try {
+    const loaded = await loadPayment(req);
+    if (!loaded) return notFound(res);
+    if (loaded.role !== 'landlord' || loaded.payment.purpose !== 'viewing_deposit') {
+      return res.status(403).json({ error: 'Only the landlord can keep a viewing deposit', code: 'UNAUTHORIZED' });
+    }
+
+    const viewing = loaded.payment.viewing_id && (await viewings.findById(loaded.payment.viewing_id));
+    const forfeited = await forfeitDeposit(loaded.payment, viewing, { userId: req.user.id });
+    res.json(paymentView(forfeited));
+  } catch (error) {
+    if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+    logger.error('Error forfeiting deposit', { error });
+    res.status(500).json({ error: 'Failed to forfeit deposit', code: 'UPDATE_ERROR' });
+  }
+});
+
+// Retry a refund that failed, for admins once they have checked the paybill
+// statement
+router.post('/:id/refund', requireAuth, requireAdmin, limiter, async (req, res) => {
+  try {
+    const payment = await payments.findById(req.params.id);
+    if (!payment) return notFound(res);
+    if (payment.purpose !== 'viewing_deposit' || payment.status !== 'refund_failed') {
+      return res.status(409).json({ error: `Payment is ${payment.status}`, code: 'INVALID_STATE' });
+    }
+
+    const refunded = await refundPayment(payment);
+    if (!refunded) return res.status(409).json({ error: 'Payment is already being refunded', code: 'INVALID_STATE' });
+    res.json(paymentView(refunded));
+  } catch (error) {
+    logger.error('Error refunding payment', { error });
+    res.status(500).json({ error: 'Failed to refund payment', code: 'UPDATE_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { listings, listingDismissals, searchHistory } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta, pageFromArray } from '../utils/pagination.js';
+import { trackListings } from '../services/listingAnalytics.js';
+import { recommendedListings } from '../services/recommendations.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/recommendations. A signed-in user's feed, what it is based
+// on (their search history) and the listings they have dismissed from it.
+const router = express.Router();
+
+const limiter = rateLimiter('recommendations');
+
+export const dismissalSchema = {
+  listing_id: { type: 'string', required: true },
+};
+
+const DISMISSED_LISTING_COLUMNS = ['id', 'title', 'price', 'location', 'status', 'images'];
+
+const ownRows = (userId) => [{ op: 'eq', column: 'user_id', value: userId }];
+
+// My feed: published listings like the ones I have saved and searched for,
+// best first, without those I have saved, dismissed or own. personalized is
+// false until there is something to go on; the feed is then the freshest
+// listings.
+router.get('/', requireAuth, trackListings('impression', (body) => body.listings), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['score'], defaultSort: 'score' });
+    const { rows, personalized, basedOn } = await recommendedListings(req.user.id);
+
+    const page = await paginate({ fetchPage: pageFromArray(rows), countRows: async () => rows.length }, pagination);
+
+    res.json({
+      listings: page.rows,
+      personalized,
+      based_on: basedOn,
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching recommendations', { error });
+    res.status(500).json({ error: 'Failed to fetch recommendations', code: 'FETCH_ERROR' });
+  }
+});
+
+// Listings I have dismissed, newest first, with enough of each to undo it
+router.get('/dismissals', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+    const criteria = ownRows(req.user.id);
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => listingDismissals.list({ criteria, ...options }),
+        countRows: (type) => listingDismissals.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    const ids = page.rows.map((dismissal) => dismissal.listing_id);
+    const dismissed = ids.length
+      ? await listings.list({ columns: DISMISSED_LISTING_COLUMNS, criteria: [{ op: 'in', column: 'id', value: ids }], limit: ids.length })
+      : [];
+    const byId = new Map(dismissed.map((listing) => [listing.id, listing]));
+
+    res.json({
+      dismissals: page.rows.map(({ id, listing_id, created_at }) => ({ id, listing_id, created_at, listing: byId.get(listing_id) ?? null })),
+      ...pageMeta(req, pagination, page),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching dismissals', { error });
+    res.status(500).json({ error: 'Failed to fetch dismissals', code: 'FETCH_ERROR' });
+  }
+});
+
+// Hide a listing from my feed. Dismissing it again is a no-op.
+router.post('/dismissals', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(dismissalSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(value.listing_id, { columns: ['id'] });
+    if (!listing) return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+
+    const columns = ['id', 'listing_id', 'created_at'];
+    try {
+      const dismissal = await listingDismissals.create({ user_id: req.user.id, listing_id: listing.id }, { columns });
+      res.status(201).json(dismissal);
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      const [existing] = await listingDismissals.list({
+        columns,
+        criteria: [...ownRows(req.user.id), { op: 'eq', column: 'listing_id', value: listing.id }],
+        limit: 1,
+      });
+      res.json(existing);
+    }
+  } catch (error) {
+    logger.error('Error dismissing listing', { error });
+    res.status(500).json({ error: 'Failed to dismiss listing', code: 'INSERT_ERROR' });
+  }
+});
+
+// Let a dismissed listing back into my feed
+router.delete('/dismissals/:listingId', requireAuth, limiter, async (req, res) => {
+  try {
+    await listingDismissals.remove(req.user.id, req.params.listingId);
+
+    res.json({ message: 'Listing restored to your recommendations' });
+  } catch (error) {
+    logger.error('Error restoring dismissed listing', { error });
+    res.status(500).json({ error: 'Failed to restore listing', code: 'DELETE_ERROR' });
+  }
+});
+
+// My recent searches, newest first. Searches are kept for 90 days.
+router.get('/search-history', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+    const criteria = ownRows(req.user.id);
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => searchHistory.list({ columns: ['id', 'query', 'filters', 'created_at'], criteria, ...options }),
+        countRows: (type) => searchHistory.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ searches: page.rows, ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching search history', { error });
+    res.status(500).json({ error: 'Failed to fetch search history', code: 'FETCH_ERROR' });
+  }
+});
+
+// Forget my searches; the feed then only learns from favorites and saved searches
+router.delete('/search-history', requireAuth, limiter, async (req, res) => {
+  try {
+    await searchHistory.removeForUser(req.user.id);
+
+    res.json({ message: 'Search history cleared' });
+  } catch (error) {
+    logger.error('Error clearing search history', { error });
+    res.status(500).json({ error: 'Failed to clear search history', code: 'DELETE_ERROR' });
+  }
+});
+
+export default router;
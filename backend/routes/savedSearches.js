@@ -0,0 +1,191 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { savedSearches, savedSearchMatches } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { SEARCH_FILTER_KEYS, searchCriteria } from '../utils/searchFilters.js';
+import { CHANNELS } from '../services/notifier.js';
+import { ALERT_FREQUENCIES, DIGEST_LISTING_COLUMNS } from '../services/savedSearchAlerts.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+const limiter = rateLimiter('saved-searches');
+
+// Every saved search is re-checked on each listing write, so cap them per user
+const MAX_SAVED_SEARCHES = 25;
+
+export const savedSearchSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 80 },
+  query: { type: 'string', maxLength: 200, default: '' },
+  filters: { type: 'object', default: {} },
+  alerts: { type: 'string', enum: ALERT_FREQUENCIES, default: 'instant' },
+  channels: { type: 'array', items: CHANNELS, default: ['in_app'] },
+};
+
+const RESPONSE_COLUMNS = ['id', 'name', 'query', 'filters', 'alerts', 'channels', 'created_at', 'updated_at'];
+
+const toResponse = (search) => Object.fromEntries(RESPONSE_COLUMNS.map((column) => [column, search[column]]));
+
+// Filters must be ones /api/listings/search understands
+const filterErrors = (filters) => {
+  if (!filters) return [];
+  const unknown = Object.keys(filters).filter((key) => !SEARCH_FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return [{ field: 'filters', code: 'invalid_items', message: `filters contains unknown keys: ${unknown.join(', ')}` }];
+  }
+  try {
+    searchCriteria(filters);
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return error.errors.map((e) => ({ ...e, field: `filters.${e.field}` }));
+  }
+};
+
+const findOwnSearch = async (req) => {
+  const search = await savedSearches.findById(req.params.id);
+  return search && search.user_id === req.user.id ? search : null;
+};
+
+// List saved searches
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at', 'updated_at'], defaultSort: 'created_at' });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => savedSearches.listForUser(req.user.id, options),
+        countRows: (type) => savedSearches.countForUser(req.user.id, { type }),
+      },
+      pagination
+    );
+
+    res.json({ saved_searches: page.rows.map(toResponse), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching saved searches', { error });
+    res.status(500).json({ error: 'Failed to fetch saved searches', code: 'FETCH_ERROR' });
+  }
+});
+
+// Create saved search
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(savedSearchSchema, req.body);
+    errors.push(...filterErrors(value.filters));
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    if ((await savedSearches.countForUser(req.user.id)) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches`, code: 'LIMIT_REACHED' });
+    }
+
+    const search = await savedSearches.create({ ...value, user_id: req.user.id });
+
+    res.status(201).json(toResponse(search));
+  } catch (error) {
+    logger.error('Error creating saved search', { error });
+    res.status(500).json({ error: 'Failed to save search', code: 'INSERT_ERROR' });
+  }
+});
+
+// New and price-dropped listings matching the user's saved searches that have
+// not been marked as seen, grouped by saved search
+router.get('/digest', requireAuth, async (req, res) => {
+  try {
+    const matches = await savedSearchMatches.listForUser(req.user.id, { listingColumns: DIGEST_LISTING_COLUMNS });
+
+    const groups = new Map();
+    matches
+      .filter((match) => match.listings)
+      .forEach((match) => {
+        const { id, name } = match.saved_searches;
+        if (!groups.has(id)) groups.set(id, { saved_search: { id, name }, matches: [] });
+        groups.get(id).matches.push({
+          id: match.id,
+          reason: match.reason,
+          price: match.price,
+          previous_price: match.previous_price,
+          matched_at: match.created_at,
+          listing: match.listings,
+        });
+      });
+
+    const digest = [...groups.values()];
+    res.json({ digest, total: digest.reduce((sum, group) => sum + group.matches.length, 0) });
+  } catch (error) {
+    logger.error('Error fetching saved search digest', { error });
+    res.status(500).json({ error: 'Failed to fetch digest', code: 'FETCH_ERROR' });
+  }
+});
+
+// Mark digest matches as seen; all of them unless match_ids is given
+router.post('/digest/seen', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate({ match_ids: { type: 'array' } }, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const updated = await savedSearchMatches.markSeen(req.user.id, value.match_ids || null);
+
+    res.json({ updated });
+  } catch (error) {
+    logger.error('Error marking digest as seen', { error });
+    res.status(500).json({ error: 'Failed to update digest', code: 'UPDATE_ERROR' });
+  }
+});
+
+// Get single saved search
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) return res.status(404).json({ error: 'Saved search not found', code: 'NOT_FOUND' });
+
+    res.json(toResponse(search));
+  } catch (error) {
+    logger.error('Error fetching saved search', { error });
+    res.status(500).json({ error: 'Failed to fetch saved search', code: 'FETCH_ERROR' });
+  }
+});
+
+// Shared by PUT (full replacement) and PATCH (only the fields sent)
+const updateSavedSearch = ({ partial }) => async (req, res, next) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) return res.status(404).json({ error: 'Saved search not found', code: 'NOT_FOUND' });
+
+    const { value, errors } = validate(savedSearchSchema, req.body, { partial });
+    errors.push(...filterErrors(value.filters));
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const updated = await savedSearches.update(search.id, { ...value, updated_at: new Date().toISOString() });
+
+    res.json(toResponse(updated));
+  } catch (error) {
+    logger.error('Error updating saved search', { error });
+    res.status(500).json({ error: 'Failed to update saved search', code: 'UPDATE_ERROR' });
+  }
+};
+
+// Update saved search
+router.put('/:id', requireAuth, limiter, updateSavedSearch({ partial: false }));
+
+// Partially update saved search
+router.patch('/:id', requireAuth, limiter, updateSavedSearch({ partial: true }));
+
+// Delete saved search
+router.delete('/:id', requireAuth, limiter, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) return res.status(404).json({ error: 'Saved search not found', code: 'NOT_FOUND' });
+
+    await savedSearches.remove(search.id);
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    logger.error('Error deleting saved search', { error });
+    res.status(500).json({ error: 'Failed to delete saved search', code: 'DELETE_ERROR' });
+  }
+});
+
+export default router;
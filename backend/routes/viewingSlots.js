@@ -0,0 +1,130 @@
+import express from 'express';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { listings, viewingSlots, viewings } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { ACTIVE_STATUSES, isOverlapError, timeRangeErrors } from '../services/viewings.js';
+import { isPublished } from '../services/listingStatus.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { canManage } from '../services/delegations.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/listings/:listingId/viewing-slots
+const router = express.Router({ mergeParams: true });
+
+const limiter = rateLimiter('viewing-slots');
+
+const MAX_SLOTS_PER_REQUEST = 50;
+const MAX_SLOTS_LISTED = 200;
+
+export const slotSchema = {
+  starts_at: { type: 'datetime', required: true },
+  ends_at: { type: 'datetime', required: true },
+};
+
+const SLOT_COLUMNS = ['id', 'listing_id', 'starts_at', 'ends_at', 'status', 'created_at'];
+
+// Slot ids among slotIds that have a requested or confirmed viewing
+const bookedSlotIds = async (slotIds) => {
+  if (slotIds.length === 0) return new Set();
+  const booked = await viewings.list({
+    columns: ['id', 'slot_id'],
+    criteria: [
+      { op: 'in', column: 'slot_id', value: slotIds },
+      { op: 'in', column: 'status', value: ACTIVE_STATUSES },
+    ],
+    limit: slotIds.length,
+  });
+  return new Set(booked.map((viewing) => viewing.slot_id));
+};
+
+// Upcoming open slots for a listing; whoever manages its viewings also sees
+// booked ones
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const listing = await listings.findById(req.params.listingId, { columns: ['id', 'landlord_id', 'status'] });
+    const manages = Boolean(listing && req.user && (await canManage(listing, req.user.id, 'viewings')));
+    if (!listing || (!isPublished(listing) && !manages)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+
+    const slots = await viewingSlots.list({
+      columns: SLOT_COLUMNS,
+      criteria: [
+        { op: 'eq', column: 'listing_id', value: listing.id },
+        { op: 'eq', column: 'status', value: 'open' },
+        { op: 'gte', column: 'starts_at', value: new Date().toISOString() },
+      ],
+      sort: 'starts_at',
+      ascending: true,
+      limit: MAX_SLOTS_LISTED,
+    });
+    const booked = await bookedSlotIds(slots.map((slot) => slot.id));
+
+    res.json({
+      slots: slots
+        .map((slot) => ({ ...slot, available: !booked.has(slot.id) }))
+        .filter((slot) => manages || slot.available),
+    });
+  } catch (error) {
+    logger.error('Error fetching viewing slots', { error });
+    res.status(500).json({ error: 'Failed to fetch viewing slots', code: 'FETCH_ERROR' });
+  }
+});
+
+// Publish slots: { slots: [{ starts_at, ends_at }, ...] }
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const listing = await listings.findById(req.params.listingId, { columns: ['id', 'landlord_id'] });
+    if (!listing || !(await canManage(listing, req.user.id, 'viewings'))) {
+      return res.status(403).json({ error: 'Not authorized to add viewing slots to this listing', code: 'UNAUTHORIZED' });
+    }
+
+    const { value, errors } = validate({ slots: { type: 'array', required: true } }, req.body);
+    if (value.slots && (value.slots.length === 0 || value.slots.length > MAX_SLOTS_PER_REQUEST)) {
+      errors.push({ field: 'slots', code: 'out_of_range', message: `slots must have 1 to ${MAX_SLOTS_PER_REQUEST} entries` });
+    }
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const rows = [];
+    value.slots.forEach((input, i) => {
+      const { value: slot, errors: slotErrors } = validate(slotSchema, input ?? {});
+      errors.push(...[...slotErrors, ...timeRangeErrors(slot)].map((e) => ({ ...e, field: `slots[${i}].${e.field}` })));
+      rows.push({ ...slot, listing_id: listing.id, landlord_id: listing.landlord_id, status: 'open', created_by: req.user.id });
+    });
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const slots = await viewingSlots.create(rows, { columns: SLOT_COLUMNS });
+
+    res.status(201).json({ slots });
+  } catch (error) {
+    if (isOverlapError(error)) {
+      return res.status(409).json({ error: 'Slots overlap each other or an existing slot', code: 'SLOT_OVERLAP' });
+    }
+    logger.error('Error creating viewing slots', { error });
+    res.status(500).json({ error: 'Failed to create viewing slots', code: 'INSERT_ERROR' });
+  }
+});
+
+// Withdraw a slot that has not been booked
+router.delete('/:slotId', requireAuth, limiter, async (req, res) => {
+  try {
+    const slot = await viewingSlots.findById(req.params.slotId);
+    const listing = slot && { id: slot.listing_id, landlord_id: slot.landlord_id };
+    if (!slot || slot.listing_id !== req.params.listingId || !(await canManage(listing, req.user.id, 'viewings'))) {
+      return res.status(404).json({ error: 'Viewing slot not found', code: 'NOT_FOUND' });
+    }
+
+    if ((await bookedSlotIds([slot.id])).size > 0) {
+      return res.status(409).json({ error: 'Slot is booked; cancel the viewing first', code: 'SLOT_BOOKED' });
+    }
+
+    await viewingSlots.update(slot.id, { status: 'cancelled', updated_at: new Date().toISOString() });
+
+    res.json({ message: 'Viewing slot withdrawn' });
+  } catch (error) {
+    logger.error('Error withdrawing viewing slot', { error });
+    res.status(500).json({ error: 'Failed to withdraw viewing slot', code: 'DELETE_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,311 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { listings, viewingSlots, viewings, profiles } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import { buildCalendar } from '../utils/ics.js';
+import { isPublished } from '../services/listingStatus.js';
+import {
+  VIEWING_STATUSES,
+  ACTIVE_STATUSES,
+  isOverlapError,
+  timeRangeErrors,
+  withListings,
+  viewingEvent,
+} from '../services/viewings.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { recordListingEvents } from '../services/listingAnalytics.js';
+import { canManage, managedScope } from '../services/delegations.js';
+import { syncViewingDeposit } from '../services/payments.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+const limiter = rateLimiter('viewings');
+
+const MAX_CALENDAR_EVENTS = 500;
+
+// A time is either a published slot or a proposed starts_at/ends_at pair
+export const timeSchema = {
+  slot_id: { type: 'string' },
+  starts_at: { type: 'datetime' },
+  ends_at: { type: 'datetime' },
+};
+
+export const bookingSchema = {
+  listing_id: { type: 'string', required: true },
+  ...timeSchema,
+  note: { type: 'string', maxLength: 500 },
+};
+
+export const listSchema = {
+  role: { type: 'string', enum: ['tenant', 'landlord'] },
+  status: { type: 'string', enum: VIEWING_STATUSES },
+  include_past: { type: 'boolean', default: false },
+};
+
+const overlapResponse = (res) =>
+  res.status(409).json({ error: 'That time overlaps another viewing', code: 'VIEWING_CONFLICT' });
+
+// Thrown by viewing actions that do not apply in the viewing's current state
+const stateError = (message) => Object.assign(new Error(message), { name: 'StateError' });
+
+// Resolve the requested time for a listing into { slot_id, starts_at, ends_at }.
+// Returns { errors } when the slot or times are unusable.
+const resolveTime = async (listingId, { slot_id, starts_at, ends_at }) => {
+  if (slot_id) {
+    const slot = await viewingSlots.findById(slot_id);
+    if (!slot || slot.listing_id !== listingId || slot.status !== 'open' || new Date(slot.starts_at) <= new Date()) {
+      return { errors: [{ field: 'slot_id', code: 'invalid_slot', message: 'slot_id is not an open slot for this listing' }] };
+    }
+    return { time: { slot_id: slot.id, starts_at: slot.starts_at, ends_at: slot.ends_at } };
+  }
+  if (!starts_at || !ends_at) {
+    return { errors: [{ field: 'slot_id', code: 'required', message: 'Send slot_id, or starts_at and ends_at' }] };
+  }
+  const errors = timeRangeErrors({ starts_at, ends_at });
+  return errors.length > 0 ? { errors } : { time: { slot_id: null, starts_at, ends_at } };
+};
+
+// The caller's side of a viewing, or null if they are not part of it.
+// Caretakers who manage the listing's viewings act for the landlord.
+const roleIn = async (viewing, userId) => {
+  if (viewing.tenant_id === userId) return 'tenant';
+  if (await canManage({ id: viewing.listing_id, landlord_id: viewing.landlord_id }, userId, 'viewings')) return 'landlord';
+  return null;
+};
+
+// The side that proposed the viewing's current time
+const proposerRole = (viewing) => (viewing.proposed_by === viewing.tenant_id ? 'tenant' : 'landlord');
+
+// The caller's viewing with their side of it as role, or null
+const loadViewing = async (req) => {
+  const viewing = await viewings.findById(req.params.id);
+  const role = viewing && (await roleIn(viewing, req.user.id));
+  return role ? { ...viewing, role } : null;
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Viewing not found', code: 'NOT_FOUND' });
+
+// Criteria for the caller's viewings. Without a role, landlords and caretakers
+// see viewings of their listings and everyone else their own bookings.
+const listCriteria = async (req) => {
+  const { value, errors } = validate(listSchema, req.query);
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  let { role } = value;
+  if (!role) {
+    const profile = await profiles.findById(req.user.id, { columns: ['user_type'] }).catch(() => null);
+    role = ['landlord', 'caretaker'].includes(profile?.user_type) ? 'landlord' : 'tenant';
+  }
+
+  // Landlords and caretakers see viewings of every listing whose viewings they manage
+  const party =
+    role === 'landlord'
+      ? (await managedScope(req.user.id, { permission: 'viewings' })).criterion({ listingColumn: 'listing_id' })
+      : { op: 'eq', column: 'tenant_id', value: req.user.id };
+  const criteria = [
+    party,
+    value.status ? { op: 'eq', column: 'status', value: value.status } : { op: 'in', column: 'status', value: ACTIVE_STATUSES },
+  ];
+  if (!value.include_past) criteria.push({ op: 'gte', column: 'ends_at', value: new Date().toISOString() });
+  return { role, criteria };
+};
+
+const sendCalendar = (res, events, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buildCalendar(events));
+};
+
+// My upcoming viewings
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { role, criteria } = await listCriteria(req);
+    const pagination = parsePagination(req.query, {
+      sortable: ['starts_at'],
+      defaultSort: 'starts_at',
+      ascendingSorts: ['starts_at'],
+    });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => viewings.list({ criteria, ...options }),
+        countRows: (type) => viewings.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ role, viewings: await withListings(page.rows), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching viewings', { error });
+    res.status(500).json({ error: 'Failed to fetch viewings', code: 'FETCH_ERROR' });
+  }
+});
+
+// My upcoming viewings as an iCalendar file
+router.get('/calendar.ics', requireAuth, async (req, res, next) => {
+  try {
+    const { criteria } = await listCriteria(req);
+    const rows = await viewings.list({ criteria, sort: 'starts_at', ascending: true, limit: MAX_CALENDAR_EVENTS });
+
+    sendCalendar(res, (await withListings(rows)).map(viewingEvent), 'viewings.ics');
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error exporting viewings', { error });
+    res.status(500).json({ error: 'Failed to export viewings', code: 'FETCH_ERROR' });
+  }
+});
+
+// Book a slot or request a time
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(bookingSchema, req.body);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const listing = await listings.findById(value.listing_id, { columns: ['id', 'landlord_id', 'status'] });
+    if (!isPublished(listing)) {
+      return res.status(404).json({ error: 'Listing not found', code: 'NOT_FOUND' });
+    }
+    if (listing.landlord_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot book a viewing of your own listing', code: 'OWN_LISTING' });
+    }
+
+    const { time, errors: timeErrors } = await resolveTime(listing.id, value);
+    if (timeErrors) return next(new ValidationError(timeErrors));
+
+    const viewing = await viewings.create({
+      listing_id: listing.id,
+      tenant_id: req.user.id,
+      landlord_id: listing.landlord_id,
+      ...time,
+      status: time.slot_id ? 'confirmed' : 'requested',
+      proposed_by: req.user.id,
+      note: value.note ?? null,
+      sequence: 0,
+    });
+
+    await recordListingEvents(req, 'contact', [listing.id]);
+
+    const [withListing] = await withListings([viewing]);
+    res.status(201).json(withListing);
+  } catch (error) {
+    if (isOverlapError(error)) return overlapResponse(res);
+    logger.error('Error booking viewing', { error });
+    res.status(500).json({ error: 'Failed to book viewing', code: 'INSERT_ERROR' });
+  }
+});
+
+// Get single viewing
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const viewing = await loadViewing(req);
+    if (!viewing) return notFound(res);
+
+    const [withListing] = await withListings([viewing]);
+    res.json(withListing);
+  } catch (error) {
+    logger.error('Error fetching viewing', { error });
+    res.status(500).json({ error: 'Failed to fetch viewing', code: 'FETCH_ERROR' });
+  }
+});
+
+// Single viewing as an iCalendar file
+router.get('/:id/calendar.ics', requireAuth, async (req, res) => {
+  try {
+    const viewing = await loadViewing(req);
+    if (!viewing) return notFound(res);
+
+    const [withListing] = await withListings([viewing]);
+    sendCalendar(res, [viewingEvent(withListing)], `viewing-${viewing.id}.ics`);
+  } catch (error) {
+    logger.error('Error exporting viewing', { error });
+    res.status(500).json({ error: 'Failed to export viewing', code: 'FETCH_ERROR' });
+  }
+});
+
+// Wraps the state-changing actions: loads the caller's viewing, refuses past
+// or cancelled ones, and maps overlaps and state errors to 409. action(req,
+// viewing) returns the updated viewing.
+const viewingAction = (action) => async (req, res, next) => {
+  try {
+    const viewing = await loadViewing(req);
+    if (!viewing) return notFound(res);
+    if (viewing.status === 'cancelled') throw stateError('Viewing has been cancelled');
+    if (new Date(viewing.starts_at) <= new Date()) throw stateError('Viewing has already started');
+
+    const [updated] = await withListings([await action(req, viewing)]);
+    res.json(updated);
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    if (error.name === 'StateError') return res.status(409).json({ error: error.message, code: 'INVALID_STATE' });
+    if (isOverlapError(error)) return overlapResponse(res);
+    logger.error('Error updating viewing', { error });
+    res.status(500).json({ error: 'Failed to update viewing', code: 'UPDATE_ERROR' });
+  }
+};
+
+// Confirm a time proposed by the other side
+router.post(
+  '/:id/confirm',
+  requireAuth,
+  limiter,
+  viewingAction(async (req, viewing) => {
+    if (viewing.status === 'confirmed') throw stateError('Viewing is already confirmed');
+    if (proposerRole(viewing) === viewing.role) throw stateError('Waiting for the other side to confirm');
+
+    return viewings.update(viewing.id, { status: 'confirmed', updated_at: new Date().toISOString() });
+  })
+);
+
+// Propose a new time. A tenant moving to a published slot is confirmed
+// straight away; anything else waits for the other side.
+router.post(
+  '/:id/reschedule',
+  requireAuth,
+  limiter,
+  viewingAction(async (req, viewing) => {
+    const { value, errors } = validate(timeSchema, req.body);
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const { time, errors: timeErrors } = await resolveTime(viewing.listing_id, value);
+    if (timeErrors) throw new ValidationError(timeErrors);
+
+    const confirmed = Boolean(time.slot_id) && viewing.role === 'tenant';
+    const updated = await viewings.update(viewing.id, {
+      ...time,
+      status: confirmed ? 'confirmed' : 'requested',
+      proposed_by: req.user.id,
+      sequence: (viewing.sequence || 0) + 1,
+      updated_at: new Date().toISOString(),
+    });
+    // A deposit is due back after the new time
+    await syncViewingDeposit(updated);
+    return updated;
+  })
+);
+
+// Cancel, from either side. Any deposit is refunded.
+router.post(
+  '/:id/cancel',
+  requireAuth,
+  limiter,
+  viewingAction(async (req, viewing) => {
+    const { value, errors } = validate({ reason: { type: 'string', maxLength: 500 } }, req.body);
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const updated = await viewings.update(viewing.id, {
+      status: 'cancelled',
+      cancelled_by: req.user.id,
+      cancel_reason: value.reason ?? null,
+      sequence: (viewing.sequence || 0) + 1,
+      updated_at: new Date().toISOString(),
+    });
+    // A deposit paid on it is refunded straight away
+    await syncViewingDeposit(updated);
+    return updated;
+  })
+);
+
+export default router;
@@ -0,0 +1,207 @@
+import express from 'express';
+import { requireAuth, hasUserType } from '../middleware/auth.js';
+import { webhookEndpoints, webhookDeliveries } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { parsePagination, paginate, pageMeta } from '../utils/pagination.js';
+import {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  generateSecret,
+  webhookUrlError,
+  endpointView,
+  replayDelivery,
+} from '../services/webhooks.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+import { logger } from '../services/logger.js';
+
+// Mounted at /api/webhooks. Landlords and admins register endpoints for
+// listing and favorite events and inspect their deliveries (see
+// services/webhooks.js).
+const router = express.Router();
+
+const limiter = rateLimiter('webhooks');
+
+export const endpointSchema = {
+  url: { type: 'string', required: true, maxLength: 2048 },
+  events: { type: 'array', required: true, items: WEBHOOK_EVENTS },
+  description: { type: 'string', maxLength: 200 },
+  active: { type: 'boolean', default: true },
+};
+
+export const deliveryListSchema = {
+  status: { type: 'string', enum: DELIVERY_STATUSES },
+  event_type: { type: 'string', enum: WEBHOOK_EVENTS },
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Webhook endpoint not found', code: 'NOT_FOUND' });
+
+const checkEndpoint = (value, errors) => {
+  if (value.url !== undefined) {
+    const urlError = webhookUrlError(value.url);
+    if (urlError) errors.push(urlError);
+  }
+  if (value.events?.length === 0) {
+    errors.push({ field: 'events', code: 'required', message: 'Subscribe to at least one event' });
+  }
+};
+
+// The caller's endpoint, or null
+const loadEndpoint = async (req) => {
+  const endpoint = await webhookEndpoints.findById(req.params.id);
+  return endpoint && endpoint.owner_id === req.user.id ? endpoint : null;
+};
+
+router.post('/', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(endpointSchema, req.body);
+    checkEndpoint(value, errors);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    if (!(await hasUserType(req.user.id, ['landlord', 'admin']))) {
+      return res.status(403).json({ error: 'Only landlords and admins can register webhooks', code: 'UNAUTHORIZED' });
+    }
+
+    const endpoint = await webhookEndpoints.create({
+      ...value,
+      events: WEBHOOK_EVENTS.filter((event) => value.events.includes(event)),
+      description: value.description ?? null,
+      owner_id: req.user.id,
+      secret: generateSecret(),
+      all_listings: await hasUserType(req.user.id, ['admin']),
+    });
+
+    res.status(201).json(endpoint);
+  } catch (error) {
+    logger.error('Error creating webhook endpoint', { error });
+    res.status(500).json({ error: 'Failed to create webhook endpoint', code: 'INSERT_ERROR' });
+  }
+});
+
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortable: ['created_at'] });
+    const criteria = [{ op: 'eq', column: 'owner_id', value: req.user.id }];
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => webhookEndpoints.list({ criteria, ...options }),
+        countRows: (type) => webhookEndpoints.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ endpoints: page.rows.map(endpointView), ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching webhook endpoints', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook endpoints', code: 'FETCH_ERROR' });
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+    res.json(endpointView(endpoint));
+  } catch (error) {
+    logger.error('Error fetching webhook endpoint', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook endpoint', code: 'FETCH_ERROR' });
+  }
+});
+
+router.patch('/:id', requireAuth, limiter, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(endpointSchema, req.body, { partial: true });
+    checkEndpoint(value, errors);
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+
+    if (value.events) value.events = WEBHOOK_EVENTS.filter((event) => value.events.includes(event));
+    const updated = await webhookEndpoints.update(endpoint.id, { ...value, updated_at: new Date().toISOString() });
+    res.json(endpointView(updated));
+  } catch (error) {
+    logger.error('Error updating webhook endpoint', { error });
+    res.status(500).json({ error: 'Failed to update webhook endpoint', code: 'UPDATE_ERROR' });
+  }
+});
+
+// A new secret; the old one stops working straight away
+router.post('/:id/rotate-secret', requireAuth, limiter, async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+
+    const updated = await webhookEndpoints.update(endpoint.id, { secret: generateSecret(), updated_at: new Date().toISOString() });
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error rotating webhook secret', { error });
+    res.status(500).json({ error: 'Failed to rotate webhook secret', code: 'UPDATE_ERROR' });
+  }
+});
+
+router.delete('/:id', requireAuth, limiter, async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+
+    await webhookEndpoints.remove(endpoint.id);
+    res.json({ message: 'Webhook endpoint deleted' });
+  } catch (error) {
+    logger.error('Error deleting webhook endpoint', { error });
+    res.status(500).json({ error: 'Failed to delete webhook endpoint', code: 'DELETE_ERROR' });
+  }
+});
+
+// Delivery log, newest first; ?status and ?event_type filter it
+router.get('/:id/deliveries', requireAuth, async (req, res, next) => {
+  try {
+    const { value, errors } = validate(deliveryListSchema, req.query);
+    if (errors.length > 0) return next(new ValidationError(errors));
+    const pagination = parsePagination(req.query, { sortable: ['created_at'] });
+
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+
+    const criteria = [{ op: 'eq', column: 'endpoint_id', value: endpoint.id }];
+    if (value.status) criteria.push({ op: 'eq', column: 'status', value: value.status });
+    if (value.event_type) criteria.push({ op: 'eq', column: 'event_type', value: value.event_type });
+
+    const page = await paginate(
+      {
+        fetchPage: (options) => webhookDeliveries.list({ criteria, ...options }),
+        countRows: (type) => webhookDeliveries.count({ criteria, type }),
+      },
+      pagination
+    );
+
+    res.json({ deliveries: page.rows, ...pageMeta(req, pagination, page) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    logger.error('Error fetching webhook deliveries', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries', code: 'FETCH_ERROR' });
+  }
+});
+
+// Send a delivery's event again, whatever became of it
+router.post('/:id/deliveries/:deliveryId/replay', requireAuth, limiter, async (req, res) => {
+  try {
+    const endpoint = await loadEndpoint(req);
+    if (!endpoint) return notFound(res);
+    const delivery = await webhookDeliveries.findById(req.params.deliveryId);
+    if (!delivery || delivery.endpoint_id !== endpoint.id) {
+      return res.status(404).json({ error: 'Delivery not found', code: 'NOT_FOUND' });
+    }
+    if (!endpoint.active) {
+      return res.status(409).json({ error: 'Enable the endpoint before replaying deliveries', code: 'INVALID_STATE' });
+    }
+
+    res.status(202).json(await replayDelivery(delivery));
+  } catch (error) {
+    logger.error('Error replaying webhook delivery', { error });
+    res.status(500).json({ error: 'Failed to replay webhook delivery', code: 'INSERT_ERROR' });
+  }
+});
+
+export default router;
@@ -0,0 +1,215 @@
+import express from 'express';
+import { randomBytes, randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+
+// A local stand-in for Safaricom's Daraja API, so payments can be taken end to
+// end without network access or sandbox credentials (and in tests). It speaks
+// the endpoints services/mpesa.js uses: OAuth, STK push, STK query and B2C,
+// and posts results to the callback URLs it is given, as Daraja does.
+//
+//   npm run mpesa:sandbox       (PORT defaults to 4010)
+//
+// then run the API with MPESA_BASE_URL=http://localhost:4010 and
+// MPESA_CALLBACK_URL pointing at the API itself. Any key, secret, shortcode
+// and passkey will do.
+//
+// The last four digits of the paying phone number choose the outcome of an
+// STK push:
+//   1032  the customer cancels the prompt
+//   2001  the customer enters the wrong PIN
+//   1037  the phone cannot be reached; no callback, and queries say so
+//   9999  paid, but the callback is lost, for reconciliation to find
+//   other paid, with the callback after callbackDelayMs
+// B2C payments always succeed.
+
+const OUTCOMES = {
+  1032: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  2001: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  1037: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached', callback: false },
+  9999: { resultCode: 0, resultDesc: 'The service request is processed successfully.', callback: false },
+};
+const PAID = { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+const TOKEN_SECONDS = 3599;
+
+const receiptNumber = () => `SBX${randomBytes(4).toString('hex').toUpperCase()}`;
+
+// YYYYMMDDHHmmss in East Africa Time
+const timestamp = (date = new Date()) =>
+  new Date(date.getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/[-T:]/g, '').slice(0, 14);
+
+const error = (res, status, errorCode, errorMessage) =>
+  res.status(status).json({ requestId: randomUUID(), errorCode, errorMessage });
+
+// An express app for the sandbox. Callbacks are sent callbackDelayMs after
+// the request; settled() resolves once every scheduled callback has been
+// sent. transactions holds the STK pushes by CheckoutRequestID.
+export const createDarajaSandbox = ({ callbackDelayMs = 2000, log = () => {} } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  const tokens = new Set();
+  const transactions = new Map();
+  const scheduled = new Set();
+
+  const post = (url, body) =>
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+      .then((res) => log(`callback ${url} -> ${res.status}`))
+      .catch((err) => log(`callback ${url} failed: ${err.message}`));
+
+  const later = (send) => {
+    const run = new Promise((resolve) => setTimeout(resolve, callbackDelayMs)).then(send);
+    scheduled.add(run);
+    run.finally(() => scheduled.delete(run));
+  };
+
+  const authorized = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !tokens.has(token)) return error(res, 401, '404.001.03', 'Invalid Access Token');
+    next();
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    const [key, secret] = Buffer.from(credentials || '', 'base64').toString().split(':');
+    if (scheme !== 'Basic' || !key || !secret || req.query.grant_type !== 'client_credentials') {
+      return error(res, 400, '400.008.01', 'Invalid Authentication passed');
+    }
+    const token = randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ access_token: token, expires_in: String(TOKEN_SECONDS) });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', authorized, (req, res) => {
+    const { BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL } = req.body ?? {};
+    if (!BusinessShortCode || !Password || !Timestamp || !CallBackURL) {
+      return error(res, 400, '400.002.02', 'Bad Request - Invalid request body');
+    }
+    if (!Number.isInteger(Number(Amount)) || Number(Amount) < 1) return error(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+    if (!/^254[17]\d{8}$/.test(String(PhoneNumber))) return error(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+
+    const merchantRequestId = `${Date.now()}-${randomBytes(3).toString('hex')}`;
+    const checkoutRequestId = `ws_CO_${timestamp()}${randomBytes(4).toString('hex')}`;
+    const outcome = OUTCOMES[String(PhoneNumber).slice(-4)] ?? PAID;
+    const transaction = { merchantRequestId, checkoutRequestId, amount: Number(Amount), phone: String(PhoneNumber), outcome, settled: false };
+    transactions.set(checkoutRequestId, transaction);
+    log(`STK push ${checkoutRequestId}: KES ${Amount} from ${PhoneNumber} -> ${outcome.resultDesc}`);
+
+    later(async () => {
+      transaction.settled = true;
+      if (outcome.callback === false) return;
+      const metadata =
+        outcome.resultCode === 0
+          ? {
+              CallbackMetadata: {
+                Item: [
+                  { Name: 'Amount', Value: transaction.amount },
+                  { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+                  { Name: 'TransactionDate', Value: Number(timestamp()) },
+                  { Name: 'PhoneNumber', Value: Number(transaction.phone) },
+                ],
+              },
+            }
+          : {};
+      await post(CallBackURL, {
+        Body: {
+          stkCallback: {
+            MerchantRequestID: merchantRequestId,
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: outcome.resultCode,
+            ResultDesc: outcome.resultDesc,
+            ...metadata,
+          },
+        },
+      });
+    });
+
+    res.json({
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', authorized, (req, res) => {
+    const transaction = transactions.get(req.body?.CheckoutRequestID);
+    if (!transaction) return error(res, 400, '400.002.02', 'Bad Request - Invalid CheckoutRequestID');
+    if (!transaction.settled) return error(res, 500, '500.001.1001', 'The transaction is being processed');
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: transaction.checkoutRequestId,
+      ResultCode: String(transaction.outcome.resultCode),
+      ResultDesc: transaction.outcome.resultDesc,
+    });
+  });
+
+  app.post('/mpesa/b2c/v3/paymentrequest', authorized, (req, res) => {
+    const { OriginatorConversationID, Amount, PartyB, ResultURL } = req.body ?? {};
+    if (!OriginatorConversationID || !ResultURL || !Amount || !PartyB) {
+      return error(res, 400, '400.002.02', 'Bad Request - Invalid request body');
+    }
+    const conversationId = `AG_${timestamp()}_${randomBytes(6).toString('hex')}`;
+    log(`B2C ${OriginatorConversationID}: KES ${Amount} to ${PartyB}`);
+
+    later(() =>
+      post(ResultURL, {
+        Result: {
+          ResultType: 0,
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          OriginatorConversationID,
+          ConversationID: conversationId,
+          TransactionID: receiptNumber(),
+          ResultParameters: {
+            ResultParameter: [
+              { Key: 'TransactionAmount', Value: Number(Amount) },
+              { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Sandbox Customer` },
+            ],
+          },
+        },
+      })
+    );
+
+    res.json({
+      ConversationID: conversationId,
+      OriginatorConversationID,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+  });
+
+  app.use((req, res) => error(res, 404, '404.001.01', 'Resource not found'));
+
+  return Object.assign(app, {
+    transactions,
+    settled: async () => {
+      while (scheduled.size > 0) await Promise.allSettled([...scheduled]);
+    },
+  });
+};
+
+// Listen on port (0 for any free one). Resolves to { url, sandbox, close }.
+export const startDarajaSandbox = ({ port = 0, ...options } = {}) =>
+  new Promise((resolve) => {
+    const sandbox = createDarajaSandbox(options);
+    const server = sandbox.listen(port, () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        sandbox,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  const { url } = await startDarajaSandbox({
+    port: Number(process.env.PORT || 4010),
+    callbackDelayMs: Number(process.env.CALLBACK_DELAY_MS || 2000),
+    log: (message) => console.log(message),
+  });
+  console.log(`Daraja sandbox listening on ${url}`);
+}
@@ -1,97 +1,108 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import helmet from 'helmet';
-import compression from 'compression';
-import rateLimit from 'express-rate-limit';
-import listingsRoutes from './routes/listings.js';
-import favoritesRoutes from './routes/favorites.js';
+import app from './app.js';
+import { processSavedSearchAlerts, sendDueDigests } from './services/savedSearchAlerts.js';
+import { purgeDeletedListings } from './services/listingPurge.js';
+import { processWebhooks } from './services/webhooks.js';
+import { processListingImports } from './services/listingImport.js';
+import { processPayments } from './services/payments.js';
+import { expireFeaturedListings } from './services/featuredListings.js';
+import { clearStalePriceDrops } from './services/marketRents.js';
+import { pruneSearchHistory } from './services/recommendations.js';
+import { pruneListingEvents } from './services/listingAnalytics.js';
+import { createShutdown } from './services/shutdown.js';
+import { closeRedis } from './services/redis.js';
+import { logger } from './services/logger.js';
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Global rate limiter
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // 1000 requests per window
-  standardHeaders: true,
-  legacyHeaders: false,
+// Start server
+const server = app.listen(PORT, () => {
+  logger.info('Server running', { port: Number(PORT), health_check: `http://localhost:${PORT}/api/health` });
 });
 
-// Middleware
-app.use(helmet());
-app.use(compression());
-app.use(
-  cors({
-    origin: process.env.CLIENT_URL || 'http://localhost:5173',
-    credentials: true,
-  })
-);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(globalLimiter);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// Background jobs, each run on an interval. A tick is skipped while the job's
+// previous run is still going, so runs of one job never overlap. Runs in
+// progress are tracked so shutdown can let them finish.
+const timers = [];
+const running = new Set();
 
-// API Routes
-app.use('/api/listings', listingsRoutes);
-app.use('/api/favorites', favoritesRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: 'Validation error',
-      message: err.message,
-      timestamp: new Date().toISOString(),
-    });
-  }
-  if (err.name === 'UnauthorizedError') {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid or missing authentication token',
-      timestamp: new Date().toISOString(),
-    });
-  }
-  if (err.name === 'AuthSessionMissingError') {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Auth session missing',
-      timestamp: new Date().toISOString(),
-    });
-  }
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-    timestamp: new Date().toISOString(),
-  });
-});
+const every = (ms, name, job) => {
+  let current = null;
+  timers.push(
+    setInterval(() => {
+      if (current) return;
+      current = job()
+        .catch((error) => logger.error(`${name} error`, { error }))
+        .finally(() => {
+          running.delete(current);
+          current = null;
+        });
+      running.add(current);
+    }, ms).unref()
+  );
+};
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found', code: 'NOT_FOUND', timestamp: new Date().toISOString() });
-});
+// Match newly published and cheaper listings against saved searches
+every(parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_SECONDS || '15') * 1000, 'Saved search alerts', processSavedSearchAlerts);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
-});
+// Daily saved-search digests; each run only sends those that are due
+every(parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60') * 60 * 1000, 'Saved search digest', sendDueDigests);
+
+// Purge listings whose restore window has passed, with their images
+every(parseInt(process.env.PURGE_INTERVAL_MINUTES || '60') * 60 * 1000, 'Listing purge', purgeDeletedListings);
+
+// Apply queued listing imports and pick up ones interrupted by a restart
+every(parseInt(process.env.IMPORT_INTERVAL_SECONDS || '5') * 1000, 'Listing imports', processListingImports);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+// Fan out webhook events and send due deliveries
+every(parseInt(process.env.WEBHOOK_INTERVAL_SECONDS || '15') * 1000, 'Webhook delivery', processWebhooks);
+
+// Reconcile M-Pesa payments whose callback never came and refund due deposits
+every(parseInt(process.env.PAYMENT_INTERVAL_SECONDS || '60') * 1000, 'Payment reconciliation', processPayments);
+
+// Stop featuring listings whose paid time is up
+every(60 * 1000, 'Featured listing expiry', expireFeaturedListings);
+
+// Stop flagging price drops once they are no longer recent
+every(parseInt(process.env.PRICE_DROP_EXPIRY_INTERVAL_MINUTES || '60') * 60 * 1000, 'Price drop expiry', clearStalePriceDrops);
+
+// Forget searches past the search history window
+every(parseInt(process.env.SEARCH_HISTORY_PRUNE_INTERVAL_MINUTES || '60') * 60 * 1000, 'Search history pruning', pruneSearchHistory);
+
+// Drop analytics events once their day's counts are settled
+every(parseInt(process.env.LISTING_EVENT_PRUNE_INTERVAL_MINUTES || '60') * 60 * 1000, 'Listing event pruning', pruneListingEvents);
+
+const stopJobs = async (remainingMs) => {
+  timers.forEach(clearInterval);
+  let timer;
+  await Promise.race([
+    Promise.allSettled(running),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, remainingMs);
+    }),
+  ]);
+  clearTimeout(timer);
+};
+
+// Graceful shutdown: drain requests within SHUTDOWN_TIMEOUT_SECONDS, then stop
+// the jobs and close Redis. The Supabase client holds no connections open.
+const shutdown = createShutdown({
+  server,
+  timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '25') * 1000,
+  cleanup: [stopJobs, closeRedis],
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
\ No newline at end of file
+// A second signal (Ctrl+C twice) exits straight away
+let signals = 0;
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.on(signal, () => {
+    signals += 1;
+    if (signals > 1) {
+      logger.warn('Exiting without waiting for shutdown', { signal });
+      process.exit(1);
+    }
+    shutdown(signal).then(({ drained }) => process.exit(drained ? 0 : 1));
+  });
+});
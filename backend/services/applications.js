@@ -0,0 +1,158 @@
+import { rentalApplications, storage } from '../repositories/index.js';
+import { ValidationError } from '../validation/index.js';
+import { fileErrors, storeFiles } from './uploads.js';
+import { notifyUser } from './notifier.js';
+import { logger } from './logger.js';
+
+// Rental applications. A tenant applies for a published listing with a
+// move-in date, occupants, employment details and documents (ID, payslips and
+// the like). The landlord, or a caretaker with the applications permission,
+// shortlists, accepts or declines it; the tenant can withdraw it while it is
+// open. Documents live in a private bucket and are served through signed URLs,
+// only to the two sides of the application.
+//
+//   submitted -> shortlisted -> accepted | declined | withdrawn
+//             -> accepted | declined | withdrawn
+
+export const APPLICATION_STATUSES = ['submitted', 'shortlisted', 'accepted', 'declined', 'withdrawn'];
+
+// Statuses the landlord has still to decide on
+export const OPEN_STATUSES = ['submitted', 'shortlisted'];
+
+export const EMPLOYMENT_STATUSES = ['employed', 'self_employed', 'student', 'unemployed', 'retired'];
+
+export const DOCUMENT_KINDS = ['national_id', 'passport', 'payslip', 'bank_statement', 'employment_letter', 'reference', 'other'];
+
+// What each side may do, from which statuses, and the status it moves to
+export const APPLICATION_ACTIONS = {
+  shortlist: { by: 'landlord', from: ['submitted'], to: 'shortlisted' },
+  accept: { by: 'landlord', from: OPEN_STATUSES, to: 'accepted' },
+  decline: { by: 'landlord', from: OPEN_STATUSES, to: 'declined' },
+  withdraw: { by: 'tenant', from: OPEN_STATUSES, to: 'withdrawn' },
+};
+
+export const MAX_DOCUMENTS = 5;
+
+const DOCUMENT_BUCKET = 'application-documents';
+const SIGNED_URL_SECONDS = 15 * 60;
+
+// An application as seen from one side. Document URLs are only signed when
+// withUrls is set, for a single application; lists carry the metadata.
+export const applicationView = async (application, role, { listing = null, applicant, withUrls = false } = {}) => ({
+  id: application.id,
+  listing_id: application.listing_id,
+  listing,
+  tenant_id: application.tenant_id,
+  landlord_id: application.landlord_id,
+  role,
+  status: application.status,
+  move_in_date: application.move_in_date,
+  occupants: application.occupants,
+  employment_status: application.employment_status,
+  employer: application.employer ?? null,
+  job_title: application.job_title ?? null,
+  monthly_income: application.monthly_income ?? null,
+  message: application.message ?? null,
+  documents: await Promise.all(
+    (application.documents || []).map(async ({ path, ...document }) =>
+      withUrls ? { ...document, url: await storage.signedUrl(DOCUMENT_BUCKET, path, SIGNED_URL_SECONDS) } : document
+    )
+  ),
+  decision_reason: application.decision_reason ?? null,
+  decided_at: application.decided_at ?? null,
+  ...(applicant !== undefined ? { applicant } : {}),
+  created_at: application.created_at,
+  updated_at: application.updated_at,
+});
+
+// Files must be JPEG, PNG, WebP or PDF by their contents, and kinds (one per
+// file, in order) from DOCUMENT_KINDS; throws ValidationError
+export const checkDocuments = (files = [], kinds = []) => {
+  const errors = fileErrors(files, 'documents');
+  kinds.forEach((kind, index) => {
+    if (!DOCUMENT_KINDS.includes(kind)) {
+      errors.push({
+        field: 'document_kinds',
+        code: 'invalid_items',
+        message: `document_kinds[${index}] must be one of: ${DOCUMENT_KINDS.join(', ')}`,
+      });
+    }
+  });
+  if (kinds.length > files.length) {
+    errors.push({ field: 'document_kinds', code: 'too_long', message: 'document_kinds has more entries than there are documents' });
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+};
+
+// Store checked files for an application. Returns the document records to save.
+export const storeDocuments = async (applicationId, files = [], kinds = []) =>
+  (await storeFiles(DOCUMENT_BUCKET, applicationId, files)).map((document, index) => ({ ...document, kind: kinds[index] || 'other' }));
+
+// Uploaded documents of an application that could not be saved
+export const removeDocuments = async (documents) => {
+  if (documents.length === 0) return;
+  await storage
+    .remove(DOCUMENT_BUCKET, documents.map((document) => document.path))
+    .catch((error) => logger.error('Document cleanup error', { error }));
+};
+
+// Applications read per page when removing a listing's documents
+const REMOVE_PAGE = 100;
+
+// Remove the stored documents of every application for a listing, before the
+// listing is purged and the applications go with it
+export const removeListingDocuments = async (listingId) => {
+  for (let offset = 0; ; offset += REMOVE_PAGE) {
+    const page = await rentalApplications.list({
+      columns: ['id', 'documents'],
+      criteria: [{ op: 'eq', column: 'listing_id', value: listingId }],
+      sort: 'created_at',
+      ascending: true,
+      offset,
+      limit: REMOVE_PAGE,
+    });
+    const paths = page.flatMap((application) => (application.documents || []).map((document) => document.path));
+    if (paths.length > 0) await storage.remove(DOCUMENT_BUCKET, paths);
+    if (page.length < REMOVE_PAGE) return;
+  }
+};
+
+const listingName = (listing) => (listing?.title ? `"${listing.title}"` : 'a listing');
+
+const MESSAGES = {
+  submitted: (listing) => ({
+    to: 'landlord',
+    subject: 'New rental application',
+    text: `You have a new rental application for ${listingName(listing)}.`,
+  }),
+  shortlisted: (listing) => ({
+    to: 'tenant',
+    subject: 'Your application has been shortlisted',
+    text: `Your application for ${listingName(listing)} has been shortlisted.`,
+  }),
+  accepted: (listing) => ({
+    to: 'tenant',
+    subject: 'Your application has been accepted',
+    text: `Your application for ${listingName(listing)} has been accepted. The landlord will be in touch about the next steps.`,
+  }),
+  declined: (listing, application) => ({
+    to: 'tenant',
+    subject: 'Your application was not successful',
+    text: `Your application for ${listingName(listing)} was declined${application.decision_reason ? `: ${application.decision_reason}` : '.'}`,
+  }),
+  withdrawn: (listing) => ({
+    to: 'landlord',
+    subject: 'An application was withdrawn',
+    text: `An applicant has withdrawn their application for ${listingName(listing)}.`,
+  }),
+};
+
+// Tell the other side about an application's new status
+export const notifyApplication = (application, listing) => {
+  const { to, subject, text } = MESSAGES[application.status](listing, application);
+  return notifyUser(to === 'tenant' ? application.tenant_id : application.landlord_id, ['in_app', 'email'], {
+    subject,
+    text,
+    data: { type: 'rental_application', application_id: application.id, listing_id: application.listing_id, status: application.status },
+  }).catch((error) => logger.error('Application notification error', { error }));
+};
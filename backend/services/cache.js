@@ -0,0 +1,127 @@
+import { redis, redisReady } from './redis.js';
+import { logger } from './logger.js';
+
+// Shared cache for API responses. With REDIS_URL set, entries live in Redis so
+// every instance sees the same cache and invalidations; whenever Redis is not
+// connected (not configured, down, reconnecting) the in-process LRU is used
+// instead, so requests never wait on or fail because of the cache.
+//
+// Invalidation uses generation counters: callers build keys from the current
+// value of one or more counters and bump() a counter to orphan every key built
+// from it. Orphaned entries simply expire.
+//
+//   CACHE_TTL_SECONDS  entry lifetime (default 60)
+//   CACHE_MAX_ENTRIES  LRU size (default 1000)
+
+const PREFIX = 'rentals:cache:';
+
+export const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 60;
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// Counters outlive every entry built from them, so a counter that expires and
+// restarts at 0 can never match a live entry
+const COUNTER_TTL_SECONDS = CACHE_TTL_SECONDS * 10;
+
+// In-process LRU: a Map in recency order, oldest first. Counters are kept
+// apart so evicting entries never resets them.
+export const createLruStore = ({ maxEntries = MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+  const counters = new Map();
+  const live = (item) => item && item.expiresAt > Date.now();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const item = entries.get(key);
+      if (!live(item)) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, item);
+      return item.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    async counters(names) {
+      return names.map((name) => (live(counters.get(name)) ? counters.get(name).value : 0));
+    },
+
+    async bump(names) {
+      names.forEach((name) => {
+        const current = live(counters.get(name)) ? counters.get(name).value : 0;
+        counters.set(name, { value: current + 1, expiresAt: Date.now() + COUNTER_TTL_SECONDS * 1000 });
+      });
+    },
+
+    async clear() {
+      entries.clear();
+      counters.clear();
+    },
+  };
+};
+
+const createRedisStore = (client) => ({
+  name: 'redis',
+
+  async get(key) {
+    const raw = await client.get(`${PREFIX}${key}`);
+    return raw === null ? null : JSON.parse(raw);
+  },
+
+  async set(key, value, ttlSeconds) {
+    await client.set(`${PREFIX}${key}`, JSON.stringify(value), { EX: ttlSeconds });
+  },
+
+  async counters(names) {
+    const values = await client.mGet(names.map((name) => `${PREFIX}gen:${name}`));
+    return values.map((value) => Number(value) || 0);
+  },
+
+  async bump(names) {
+    const multi = client.multi();
+    names.forEach((name) => multi.incr(`${PREFIX}gen:${name}`).expire(`${PREFIX}gen:${name}`, COUNTER_TTL_SECONDS));
+    await multi.exec();
+  },
+});
+
+const lru = createLruStore();
+const shared = redis ? createRedisStore(redis) : null;
+
+// Invalidations made while this instance was on the LRU never reached Redis,
+// so start a new epoch there and drop what the LRU holds
+redis?.on('ready', () => {
+  shared.bump(['epoch']).catch(() => {});
+  lru.clear();
+});
+
+// Run op against Redis when it is connected, otherwise (or if the call fails)
+// against the LRU
+const withStore = async (op) => {
+  if (redisReady()) {
+    try {
+      return await op(shared);
+    } catch (error) {
+      logger.warn('Redis cache error, using the in-process cache', { error });
+    }
+  }
+  return op(lru);
+};
+
+export const cache = {
+  get: (key) => withStore((store) => store.get(key)),
+  set: (key, value, ttlSeconds = CACHE_TTL_SECONDS) => withStore((store) => store.set(key, value, ttlSeconds)),
+  // Current values of generation counters, after the global epoch
+  generations: (names) => withStore((store) => store.counters(['epoch', ...names])),
+  bump: (names) => withStore((store) => store.bump(names)),
+  // Which store is serving requests right now
+  backend: () => (redisReady() ? 'redis' : 'memory'),
+  // Empty the in-process cache, for tests
+  clearLocal: () => lru.clear(),
+};
@@ -0,0 +1,94 @@
+import { listingDelegations } from '../repositories/index.js';
+import { notifyUser } from './notifier.js';
+import { logger } from './logger.js';
+
+// Caretaker delegation. A landlord invites a caretaker to manage one of their
+// listings, or all of them (listing_id null), with some of PERMISSIONS. The
+// caretaker accepts or declines; either side can revoke it later. Only the
+// owner can delete a listing or hand out access to it.
+//
+//   pending -> active -> revoked
+//           -> declined
+//           -> revoked
+
+export const PERMISSIONS = ['edit', 'availability', 'viewings', 'applications', 'inquiries'];
+
+export const DELEGATION_STATUSES = ['pending', 'active', 'declined', 'revoked'];
+
+// What each side may do, from which statuses, and the status it moves to
+export const DELEGATION_ACTIONS = {
+  accept: { by: ['caretaker'], from: ['pending'], to: 'active' },
+  decline: { by: ['caretaker'], from: ['pending'], to: 'declined' },
+  // The landlord withdrawing access, or the caretaker stepping down
+  revoke: { by: ['landlord', 'caretaker'], from: ['pending', 'active'], to: 'revoked' },
+};
+
+const OWNER_ACCESS = { role: 'owner', permissions: [...PERMISSIONS, 'delete'] };
+
+// Active delegations one caretaker holds, at most
+const MAX_DELEGATIONS = 500;
+
+const activeDelegations = (caretakerId, criteria = []) =>
+  listingDelegations.list({
+    criteria: [
+      { op: 'eq', column: 'caretaker_id', value: caretakerId },
+      { op: 'eq', column: 'status', value: 'active' },
+      ...criteria,
+    ],
+    limit: MAX_DELEGATIONS,
+  });
+
+const covers = (delegation, listing) =>
+  delegation.landlord_id === listing.landlord_id && (!delegation.listing_id || delegation.listing_id === listing.id);
+
+// Everything the delegations grant on a listing, or null when they grant nothing
+const accessFrom = (delegations, listing) => {
+  const granted = new Set(delegations.filter((delegation) => covers(delegation, listing)).flatMap((d) => d.permissions));
+  return granted.size > 0 ? { role: 'caretaker', permissions: PERMISSIONS.filter((p) => granted.has(p)) } : null;
+};
+
+// { role: 'owner' | 'caretaker', permissions } for a user on a listing (which
+// needs id and landlord_id), or null if they cannot manage it
+export const listingAccess = async (listing, userId) => {
+  if (!listing || !userId) return null;
+  if (listing.landlord_id === userId) return OWNER_ACCESS;
+  const delegations = await activeDelegations(userId, [{ op: 'eq', column: 'landlord_id', value: listing.landlord_id }]);
+  return accessFrom(delegations, listing);
+};
+
+export const canManage = async (listing, userId, permission) =>
+  Boolean((await listingAccess(listing, userId))?.permissions.includes(permission));
+
+// The listings a user owns or manages (with `permission`, when given):
+// criterion() matches them in a listings query, or in a table with listing_id
+// and landlord_id columns; access(listing) is the user's access to one of them
+export const managedScope = async (userId, { permission } = {}) => {
+  const delegations = (await activeDelegations(userId)).filter((d) => !permission || d.permissions.includes(permission));
+  const landlordIds = [...new Set([userId, ...delegations.filter((d) => !d.listing_id).map((d) => d.landlord_id)])];
+  const listingIds = delegations.filter((d) => d.listing_id).map((d) => d.listing_id);
+
+  return {
+    criterion: ({ listingColumn = 'id' } = {}) => {
+      const byLandlord = { op: 'in', column: 'landlord_id', value: landlordIds };
+      if (listingIds.length === 0) return byLandlord;
+      return { op: 'any', value: [byLandlord, { op: 'in', column: listingColumn, value: listingIds }] };
+    },
+    access: (listing) => (listing.landlord_id === userId ? OWNER_ACCESS : accessFrom(delegations, listing)),
+  };
+};
+
+// The caller's side of a delegation, or null if they are not part of it
+export const sideOf = (delegation, userId) => {
+  if (delegation.landlord_id === userId) return 'landlord';
+  if (delegation.caretaker_id === userId) return 'caretaker';
+  return null;
+};
+
+export const notifyInvitation = (delegation, { landlordName, listingTitle }) =>
+  notifyUser(delegation.caretaker_id, ['in_app', 'email'], {
+    subject: 'You have been invited to manage listings',
+    text: `${landlordName || 'A landlord'} has invited you to manage ${
+      listingTitle ? `"${listingTitle}"` : 'all of their listings'
+    } (${delegation.permissions.join(', ')}). Accept or decline the invitation in your account.`,
+    data: { type: 'delegation_invite', delegation_id: delegation.id, listing_id: delegation.listing_id },
+  }).catch((error) => logger.error('Delegation notification error', { error }));
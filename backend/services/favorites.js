@@ -0,0 +1,64 @@
+import { AMENITIES } from '../validation/listingSchema.js';
+import { isPublished } from './listingStatus.js';
+
+// Favorites are grouped into collections: named shortlists such as "Kilimani
+// 2BR options", each of which its owner can share read-only through a link.
+// A favorite stays saved when its listing is rented, archived or deleted; it
+// is then shown as no longer available.
+
+export const MAX_COLLECTIONS = 20;
+
+// How many favorites can be compared side by side
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 5;
+
+// Listing columns shown with each favorite, in lists and shared collections
+export const FAVORITE_LISTING_COLUMNS = ['id', 'title', 'price', 'location', 'status', 'images'];
+
+const UTILITY_FLAGS = ['electricity', 'internet'];
+const UTILITY_AMENITIES = ['water', 'borehole', 'backup_generator', 'solar_water_heating'];
+const FEATURE_FLAGS = ['parking', 'garden', 'balcony', 'own_compound'];
+
+const BASICS = ['price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate', 'furnishing_status'];
+
+export const COMPARE_LISTING_COLUMNS = ['id', 'title', 'status', 'images', ...BASICS, 'amenities', ...UTILITY_FLAGS, ...FEATURE_FLAGS];
+
+// A favorite as its owner sees it: the listing may be gone or unavailable
+export const toFavoriteEntry = (favorite) => ({
+  id: favorite.id,
+  created_at: favorite.created_at,
+  listing_id: favorite.listing_id,
+  note: favorite.note ?? null,
+  collection_id: favorite.collection_id ?? null,
+  available: isPublished(favorite.listings),
+  listings: favorite.listings,
+});
+
+export const shareUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:5173'}/shortlists/${token}`;
+
+const hasAmenity = (listing, amenity) => (listing.amenities || []).includes(amenity);
+
+const row = (group, key, values) => ({
+  group,
+  key,
+  values,
+  same: values.every((value) => JSON.stringify(value) === JSON.stringify(values[0])),
+});
+
+// Listings side by side: one row per attribute, with a value per listing in
+// the order given. Utilities and features are always compared; amenities only
+// when at least one of the listings has them.
+export const compareListings = (listings) => {
+  const values = (read) => listings.map(read);
+  const amenities = AMENITIES.filter(
+    (amenity) => !UTILITY_AMENITIES.includes(amenity) && listings.some((listing) => hasAmenity(listing, amenity))
+  );
+
+  return [
+    ...BASICS.map((column) => row('basics', column, values((listing) => listing[column] ?? null))),
+    ...UTILITY_FLAGS.map((column) => row('utilities', column, values((listing) => Boolean(listing[column])))),
+    ...UTILITY_AMENITIES.map((amenity) => row('utilities', amenity, values((listing) => hasAmenity(listing, amenity)))),
+    ...FEATURE_FLAGS.map((column) => row('features', column, values((listing) => Boolean(listing[column])))),
+    ...amenities.map((amenity) => row('amenities', amenity, values((listing) => hasAmenity(listing, amenity)))),
+  ];
+};
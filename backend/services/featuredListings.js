@@ -0,0 +1,70 @@
+import { listings } from '../repositories/index.js';
+import { invalidateListing } from './listingCache.js';
+import { audited } from './listingAudit.js';
+import { logger } from './logger.js';
+
+// Paid placement. A landlord buys a plan for a published listing (see
+// services/payments.js); once paid, the listing is featured and comes first
+// in browse and search until featured_until. Buying again while featured
+// extends it. expireFeaturedListings() runs on a timer to clear featured once
+// the time is up, so a listing can stay first for up to one interval longer.
+
+// Amounts in Kenya shillings
+export const FEATURE_PLANS = {
+  boost_3d: { label: '3-day boost', days: 3, amount: 300 },
+  featured_7d: { label: 'Featured for a week', days: 7, amount: 600 },
+  featured_30d: { label: 'Featured for a month', days: 30, amount: 2000 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_BATCH = 200;
+
+const FEATURE_COLUMNS = ['id', 'landlord_id', 'status', 'featured', 'featured_until'];
+
+// Feature a listing for a plan's days, from now or from the end of its
+// current spell. actorId paid for it. Returns the new featured_until, or
+// null if the listing has gone.
+export const featureListing = async (listingId, planName, { actorId, now = new Date() }) => {
+  const plan = FEATURE_PLANS[planName];
+  const listing = await listings.findById(listingId, { columns: FEATURE_COLUMNS });
+  if (!listing) return null;
+
+  const current = listing.featured && listing.featured_until ? new Date(listing.featured_until) : now;
+  const from = current > now ? current : now;
+  const featuredUntil = new Date(from.getTime() + plan.days * DAY_MS).toISOString();
+
+  const updated = await listings.update(
+    listing.id,
+    { featured: true, featured_until: featuredUntil, ...audited('feature', actorId) },
+    { columns: FEATURE_COLUMNS }
+  );
+  await invalidateListing(listing, updated);
+  return featuredUntil;
+};
+
+// Clear featured on listings whose time is up. Returns how many.
+export const expireFeaturedListings = async (now = new Date()) => {
+  const due = await listings.list({
+    columns: FEATURE_COLUMNS,
+    criteria: [
+      { op: 'eq', column: 'featured', value: true },
+      { op: 'lte', column: 'featured_until', value: now.toISOString() },
+    ],
+    sort: 'featured_until',
+    ascending: true,
+    limit: EXPIRY_BATCH,
+  });
+
+  let expired = 0;
+  for (const listing of due) {
+    try {
+      const updated = await listings.update(listing.id, { featured: false }, { columns: FEATURE_COLUMNS });
+      await invalidateListing(listing, updated);
+      expired += 1;
+    } catch (error) {
+      logger.error('Error expiring featured listing', { listing_id: listing.id, error });
+    }
+  }
+  return expired;
+};
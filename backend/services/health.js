@@ -0,0 +1,62 @@
+import { health } from '../repositories/index.js';
+import { BUCKET as IMAGE_BUCKET } from './listingImages.js';
+import { redis } from './redis.js';
+
+// Readiness: whether this instance can serve requests. Each dependency is
+// checked in parallel, within HEALTH_CHECK_TIMEOUT_MS:
+//   auth, database, storage - Supabase; the instance is not ready without them
+//   redis                   - only when REDIS_URL is set; the cache and rate
+//                             limiter fall back to in-process state without
+//                             it, so an outage only makes the instance degraded
+// Once shutdown has begun the instance reports shutting_down without checking,
+// so the load balancer stops sending it traffic while requests drain.
+
+let shuttingDown = false;
+
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const timeoutMs = () => Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+const dependencies = () => [
+  { name: 'auth', critical: true, check: () => health.auth() },
+  { name: 'database', critical: true, check: () => health.database() },
+  { name: 'storage', critical: true, check: () => health.storage(IMAGE_BUCKET) },
+  ...(redis ? [{ name: 'redis', critical: false, check: () => redis.ping() }] : []),
+];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`No answer within ${ms}ms`), { code: 'TIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async ({ check }) => {
+  const start = performance.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), timeoutMs());
+    return { status: 'ok', latency_ms: Math.round(performance.now() - start) };
+  } catch (error) {
+    return {
+      status: error.code === 'TIMEOUT' ? 'timeout' : 'error',
+      latency_ms: Math.round(performance.now() - start),
+      error: error.message,
+    };
+  }
+};
+
+// { status: ok | degraded | unavailable | shutting_down, checks: { name: result } }
+export const readiness = async () => {
+  if (shuttingDown) return { status: 'shutting_down', checks: {} };
+
+  const list = dependencies();
+  const results = await Promise.all(list.map(runCheck));
+  const failed = list.filter((dependency, index) => results[index].status !== 'ok');
+  const status = failed.some((dependency) => dependency.critical) ? 'unavailable' : failed.length > 0 ? 'degraded' : 'ok';
+  return { status, checks: Object.fromEntries(list.map((dependency, index) => [dependency.name, results[index]])) };
+};
@@ -0,0 +1,103 @@
+import { inquiryThreads, inquiryMessages, storage } from '../repositories/index.js';
+import { ValidationError } from '../validation/index.js';
+import { canManage } from './delegations.js';
+import { fileErrors, storeFiles } from './uploads.js';
+
+// Inquiry threads between a tenant and the landlord (or caretaker) of a
+// listing. Each thread keeps per-side unread counts, last-read marks (for read
+// receipts) and archive flags; the caller only ever sees their own side.
+// Attachments live in a private bucket and are served through signed URLs.
+
+const ATTACHMENT_BUCKET = 'inquiry-attachments';
+const SIGNED_URL_SECONDS = 60 * 60;
+
+export const otherRole = (role) => (role === 'tenant' ? 'landlord' : 'tenant');
+
+// The caller's side of a thread, or null if they are not part of it.
+// Caretakers who manage the listing's inquiries act for the landlord.
+export const roleIn = async (thread, userId) => {
+  if (thread.tenant_id === userId) return 'tenant';
+  if (await canManage({ id: thread.listing_id, landlord_id: thread.landlord_id }, userId, 'inquiries')) return 'landlord';
+  return null;
+};
+
+// A thread as seen from one side
+export const threadView = (thread, role, listing = null) => ({
+  id: thread.id,
+  listing_id: thread.listing_id,
+  listing,
+  role,
+  counterpart_id: role === 'tenant' ? thread.landlord_id : thread.tenant_id,
+  last_message_at: thread.last_message_at,
+  last_message_preview: thread.last_message_preview,
+  unread_count: thread[`${role}_unread_count`] || 0,
+  archived: Boolean(thread[`${role}_archived`]),
+  landlord_replied: Boolean(thread.landlord_replied_at),
+  created_at: thread.created_at,
+});
+
+// A message as seen by userId, on the role side of the thread; read tells the
+// sender whether the other side has read up to it
+export const messageView = async (message, thread, userId, role) => {
+  const counterpartReadAt = thread[`${otherRole(role)}_last_read_at`];
+  const attachments = await Promise.all(
+    (message.attachments || []).map(async ({ path, ...attachment }) => ({
+      ...attachment,
+      url: await storage.signedUrl(ATTACHMENT_BUCKET, path, SIGNED_URL_SECONDS),
+    }))
+  );
+  return {
+    id: message.id,
+    thread_id: message.thread_id,
+    sender_id: message.sender_id,
+    body: message.body,
+    attachments,
+    created_at: message.created_at,
+    ...(message.sender_id === userId ? { read: Boolean(counterpartReadAt && counterpartReadAt >= message.created_at) } : {}),
+  };
+};
+
+// Files must be JPEG, PNG, WebP or PDF by their contents; throws ValidationError
+export const checkAttachments = (files = []) => {
+  const errors = fileErrors(files, 'attachments');
+  if (errors.length > 0) throw new ValidationError(errors);
+};
+
+// Store checked files for a thread. Returns the attachment records to save on
+// the message.
+export const storeAttachments = (threadId, files = []) => storeFiles(ATTACHMENT_BUCKET, threadId, files);
+
+// Threads, and then their messages, read per page when removing a listing's
+// attachments
+const REMOVE_PAGE = 100;
+
+// Remove the stored attachments of every inquiry about a listing, before the
+// listing is purged and its threads go with it
+export const removeListingAttachments = async (listingId) => {
+  for (let threadOffset = 0; ; threadOffset += REMOVE_PAGE) {
+    const threads = await inquiryThreads.list({
+      columns: ['id'],
+      criteria: [{ op: 'eq', column: 'listing_id', value: listingId }],
+      sort: 'created_at',
+      ascending: true,
+      offset: threadOffset,
+      limit: REMOVE_PAGE,
+    });
+    if (threads.length > 0) {
+      for (let offset = 0; ; offset += REMOVE_PAGE) {
+        const messages = await inquiryMessages.list({
+          columns: ['id', 'attachments'],
+          criteria: [{ op: 'in', column: 'thread_id', value: threads.map((thread) => thread.id) }],
+          sort: 'created_at',
+          ascending: true,
+          offset,
+          limit: REMOVE_PAGE,
+        });
+        const paths = messages.flatMap((message) => (message.attachments || []).map((attachment) => attachment.path));
+        if (paths.length > 0) await storage.remove(ATTACHMENT_BUCKET, paths);
+        if (messages.length < REMOVE_PAGE) break;
+      }
+    }
+    if (threads.length < REMOVE_PAGE) return;
+  }
+};
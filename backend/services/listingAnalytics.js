@@ -0,0 +1,187 @@
+import { createHash } from 'crypto';
+import { listings, listingEvents, listingStats } from '../repositories/index.js';
+import { PUBLISHED } from './listingStatus.js';
+import { managedScope } from './delegations.js';
+import { logger } from './logger.js';
+
+// Listing analytics: detail views, search impressions, favorites added and
+// removed, and contact actions (inquiries, viewing requests, call/WhatsApp/
+// email clicks). Each viewer counts once per listing, event type and day, and
+// the activity of landlords and their caretakers on listings they manage is
+// not counted. Recording never fails or slows the request it comes from.
+//
+// Days are calendar days in ANALYTICS_TIME_ZONE (default Africa/Nairobi).
+// Events only matter while their day can still be repeated, so
+// pruneListingEvents drops them after LISTING_EVENT_DAYS; the daily counters
+// are kept.
+
+export const METRICS = {
+  view: 'views',
+  impression: 'impressions',
+  favorite_add: 'favorites_added',
+  favorite_remove: 'favorites_removed',
+  contact: 'contacts',
+};
+const METRIC_COLUMNS = Object.values(METRICS);
+
+export const MAX_ANALYTICS_DAYS = 90;
+
+export const LISTING_EVENT_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Listings compared against, at most
+const MAX_SIMILAR = 50;
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: process.env.ANALYTICS_TIME_ZONE || 'Africa/Nairobi',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+// YYYY-MM-DD of a date in the analytics time zone
+export const analyticsDay = (date = new Date()) => dayFormat.format(date);
+
+// Signed-in viewers by user id; anonymous ones by a hash of IP and user agent,
+// so no addresses are stored
+const viewerKey = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `anon:${createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+};
+
+// Of listingIds, those the signed-in user owns or manages as a caretaker
+const managedListingIds = async (req, listingIds) => {
+  if (!req.user || listingIds.length === 0) return new Set();
+  const scope = await managedScope(req.user.id);
+  const managed = await listings.list({
+    columns: ['id'],
+    criteria: [{ op: 'in', column: 'id', value: listingIds }, scope.criterion()],
+    limit: listingIds.length,
+  });
+  return new Set(managed.map((listing) => listing.id));
+};
+
+// Record one event type for the request's viewer on some listings
+export const recordListingEvents = async (req, type, listingIds) => {
+  try {
+    const ids = [...new Set(listingIds.filter(Boolean))];
+    const managed = await managedListingIds(req, ids);
+    const viewer = viewerKey(req);
+    const day = analyticsDay();
+    await listingEvents.record(
+      ids.filter((id) => !managed.has(id)).map((id) => ({ listing_id: id, event_type: type, viewer_key: viewer, day }))
+    );
+  } catch (error) {
+    logger.error('Listing analytics error', { error });
+  }
+};
+
+// Middleware recording an event for the listings in a 200 JSON response;
+// listingsOf(body) picks them out. Put it ahead of cacheResponse so cached
+// responses are counted too.
+export const trackListings = (type, listingsOf) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      recordListingEvents(req, type, (listingsOf(body) || []).map((listing) => listing?.id));
+    }
+    return json(body);
+  };
+  next();
+};
+
+const emptyMetrics = () => Object.fromEntries(METRIC_COLUMNS.map((column) => [column, 0]));
+
+const addMetrics = (total, row) => {
+  METRIC_COLUMNS.forEach((column) => (total[column] += row[column] || 0));
+  return total;
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Views per impression and contacts per view
+const withRates = (metrics) => ({
+  ...metrics,
+  view_rate: ratio(metrics.views, metrics.impressions),
+  contact_rate: ratio(metrics.contacts, metrics.views),
+});
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+// YYYY-MM-DD days from `from` to `to`, inclusive
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let day = new Date(`${from}T00:00:00Z`); isoDay(day) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(isoDay(day));
+  }
+  return days;
+};
+
+const statsFor = (listingIds, from, to) =>
+  listingStats.list({
+    criteria: [
+      { op: 'in', column: 'listing_id', value: listingIds },
+      { op: 'gte', column: 'day', value: from },
+      { op: 'lte', column: 'day', value: to },
+    ],
+    sort: 'day',
+    ascending: true,
+    limit: listingIds.length * (MAX_ANALYTICS_DAYS + 1),
+  });
+
+// Other published listings of the same type in the same estate (or county,
+// when the listing has no estate)
+const similarListings = async (listing) => {
+  const area = listing.estate ? { estate: listing.estate } : { county: listing.county };
+  const [column, value] = Object.entries(area)[0];
+  const rows = await listings.list({
+    columns: ['id', 'price'],
+    criteria: [
+      PUBLISHED,
+      { op: 'eq', column: 'property_type', value: listing.property_type },
+      { op: 'ilike', column, value },
+    ],
+    limit: MAX_SIMILAR + 1,
+  });
+  return { area, rows: rows.filter((row) => row.id !== listing.id).slice(0, MAX_SIMILAR) };
+};
+
+// Totals, a daily series and a comparison with similar listings over the last
+// `days` days (today included)
+export const listingAnalytics = async (listing, { days }) => {
+  const to = analyticsDay();
+  const fromDate = new Date(`${to}T00:00:00Z`);
+  fromDate.setUTCDate(fromDate.getUTCDate() - (days - 1));
+  const from = isoDay(fromDate);
+
+  const own = await statsFor([listing.id], from, to);
+  const byDay = new Map(own.map((row) => [row.day, row]));
+  const daily = daysBetween(from, to).map((day) => ({ date: day, ...addMetrics(emptyMetrics(), byDay.get(day) || {}) }));
+  const totals = withRates(own.reduce(addMetrics, emptyMetrics()));
+
+  const similar = await similarListings(listing);
+  let comparison = { ...similar.area, property_type: listing.property_type, similar_listings: 0, average: null, relative: null, average_price: null };
+  if (similar.rows.length > 0) {
+    const stats = await statsFor(similar.rows.map((row) => row.id), from, to);
+    const summed = stats.reduce(addMetrics, emptyMetrics());
+    const average = Object.fromEntries(
+      METRIC_COLUMNS.map((column) => [column, Math.round((summed[column] / similar.rows.length) * 10) / 10])
+    );
+    comparison = {
+      ...comparison,
+      similar_listings: similar.rows.length,
+      average: withRates(average),
+      // This listing's figure as a multiple of the average
+      relative: Object.fromEntries(METRIC_COLUMNS.map((column) => [column, ratio(totals[column], average[column])])),
+      average_price: Math.round(similar.rows.reduce((sum, row) => sum + row.price, 0) / similar.rows.length),
+    };
+  }
+
+  return { listing_id: listing.id, from, to, days, totals, daily, comparison };
+};
+
+// Forget events older than LISTING_EVENT_DAYS. Returns how many.
+export const pruneListingEvents = async (now = new Date()) =>
+  listingEvents.removeBefore(new Date(now.getTime() - LISTING_EVENT_DAYS * DAY_MS).toISOString());
@@ -0,0 +1,17 @@
+// Append-only audit trail of listing changes: who did what and when, with a
+// field-level diff. Entries keep the landlord's id so the owner can still read
+// them after the listing has been purged.
+//
+// The listings_audit trigger writes each entry in the transaction that
+// changes the listing; a write only says which action it is, and who did it,
+// by spreading audited() into its columns. Purges are recorded by the
+// trigger as the system's.
+
+export const AUDIT_ACTIONS = [
+  'create', 'update', 'submit', 'withdraw', 'mark-rented', 'archive', 'approve', 'reject', 'delete', 'restore', 'purge',
+  'feature',
+];
+
+// Columns for a listing insert or update that record it as action by
+// actorId. Updates that change nothing are not recorded.
+export const audited = (action, actorId) => ({ audit_action: action, audit_actor_id: actorId });
@@ -0,0 +1,41 @@
+import { cache } from './cache.js';
+import { isPublished } from './listingStatus.js';
+import { logger } from './logger.js';
+
+// Cache scopes for the public listing reads (see middleware/cache.js) and the
+// invalidation that goes with them. Browse and search results share one
+// generation, each landlord's public page has its own, and so does each
+// listing's detail.
+
+const LISTS = 'listings';
+const landlordGeneration = (landlordId) => `landlord:${landlordId}`;
+const detailGeneration = (listingId) => `listing:${listingId}`;
+
+export const listingScopes = {
+  browse: (req) => ({ name: 'browse', generations: [LISTS], key: req.query }),
+  search: (req) => ({ name: 'search', generations: [LISTS], key: req.body }),
+  landlord: (req) => ({
+    name: 'landlord',
+    generations: [landlordGeneration(req.params.landlordId)],
+    key: { landlordId: req.params.landlordId, query: req.query },
+  }),
+  // Signed-in viewers can see unpublished listings and contact details that
+  // depend on who they are, so only anonymous reads are cached
+  detail: (req) => (req.user ? null : { name: 'detail', generations: [detailGeneration(req.params.id)], key: req.params.id }),
+  // Similar listings are drawn from published listings, as browse results are
+  similar: (req) => ({ name: 'similar', generations: [LISTS], key: { id: req.params.listingId, query: req.query } }),
+  // Market rents change when published listings do, as browse results do
+  market: (req) => ({ name: 'market', generations: [LISTS], key: req.query }),
+};
+
+// Invalidate after a listing is created, updated or deleted. previous and
+// current are the rows before and after (null when there is none). Public
+// lists only change when the listing is, or was, published.
+export const invalidateListing = async (previous, current) => {
+  const listing = current || previous;
+  const generations = [detailGeneration(listing.id)];
+  if (isPublished(previous) || isPublished(current)) {
+    generations.push(LISTS, landlordGeneration(listing.landlord_id));
+  }
+  await cache.bump(generations).catch((error) => logger.error('Cache invalidation error', { error }));
+};
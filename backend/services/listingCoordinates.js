@@ -0,0 +1,22 @@
+import { geocode } from '../data/gazetteer.js';
+
+// Coordinates to store for a create or update. Landlord-supplied coordinates
+// win and stick; otherwise they follow county/estate via the gazetteer.
+export const resolveCoordinates = (fields, existing = null) => {
+  if (fields.latitude !== undefined && fields.longitude !== undefined) {
+    return { latitude: fields.latitude, longitude: fields.longitude, coordinates_source: 'landlord' };
+  }
+  if (existing?.coordinates_source === 'landlord') return {};
+  if (existing && fields.county === undefined && fields.estate === undefined) return {};
+
+  const match = geocode({ county: fields.county ?? existing?.county, estate: fields.estate ?? existing?.estate });
+  return match
+    ? { latitude: match.latitude, longitude: match.longitude, coordinates_source: match.source }
+    : { latitude: null, longitude: null, coordinates_source: null };
+};
+
+// latitude and longitude only make sense together
+export const coordinatePairErrors = (fields) =>
+  (fields.latitude === undefined) === (fields.longitude === undefined)
+    ? []
+    : [{ field: fields.latitude === undefined ? 'latitude' : 'longitude', code: 'required', message: 'latitude and longitude must be sent together' }];
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { listings, storage } from '../repositories/index.js';
+import { ValidationError } from '../validation/index.js';
+import { detectFileType, IMAGE_TYPES } from '../utils/fileTypes.js';
+import { logger } from './logger.js';
+
+// Listing photos. Uploads are identified by their magic bytes, re-encoded (which
+// drops EXIF, including GPS coordinates) into a few widths as WebP with a JPEG
+// fallback, and stored under their SHA-256 so the same photo is only processed
+// and stored once. A listing's images column holds one object per photo:
+//   { hash, width, height, placeholder,
+//     sizes: { thumbnail|card|full: { width, height, webp, jpeg } } }
+// The first image is the cover.
+
+export const BUCKET = 'listing-images';
+
+// Longest edge in pixels; smaller originals are never enlarged
+export const IMAGE_SIZES = { thumbnail: 320, card: 800, full: 1600 };
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Refuse decompression bombs before allocating pixels
+const MAX_INPUT_PIXELS = 40_000_000;
+
+const contentHash = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+const imageError = (index, message) => ({ field: 'images', code: 'invalid_image', message: `images[${index}] ${message}` });
+
+// Throw ValidationError unless every file is a JPEG, PNG or WebP
+export const checkUploads = (files = []) => {
+  const errors = files
+    .map((file, index) => (detectFileType(file.buffer, IMAGE_TYPES) ? null : imageError(index, 'is not a JPEG, PNG or WebP image')))
+    .filter(Boolean);
+  if (errors.length > 0) throw new ValidationError(errors);
+};
+
+// Decode once, then encode every size in both formats. rotate() applies the
+// EXIF orientation; sharp writes no metadata unless asked to.
+const encode = async (buffer, hash) => {
+  const base = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const metadata = await base.metadata();
+  // Orientations 5-8 are rotated a quarter turn
+  const [width, height] = metadata.orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+
+  const renditions = [];
+  for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+    const resized = base.clone().resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true });
+    const [webp, jpeg] = await Promise.all([
+      resized.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true }),
+      resized.clone().jpeg({ quality: 80, mozjpeg: true }).toBuffer({ resolveWithObject: true }),
+    ]);
+    renditions.push(
+      { size, format: 'webp', path: `${hash}/${size}.webp`, contentType: 'image/webp', ...webp },
+      { size, format: 'jpeg', path: `${hash}/${size}.jpg`, contentType: 'image/jpeg', ...jpeg }
+    );
+  }
+
+  const tiny = await base.clone().resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+  return { width, height, placeholder: `data:image/webp;base64,${tiny.toString('base64')}`, renditions };
+};
+
+const processUpload = async (buffer, hash) => {
+  let encoded;
+  try {
+    encoded = await encode(buffer, hash);
+  } catch (error) {
+    throw new ValidationError([{ field: 'images', code: 'invalid_image', message: `Image could not be decoded: ${error.message}` }]);
+  }
+
+  const sizes = {};
+  for (const { size, format, path, contentType, data, info } of encoded.renditions) {
+    // Paths are content-addressed, so overwriting an orphan from a failed write is harmless
+    const url = await storage.upload(BUCKET, path, data, { contentType, upsert: true });
+    sizes[size] = { ...sizes[size], width: info.width, height: info.height, [format]: url };
+  }
+  return { hash, width: encoded.width, height: encoded.height, placeholder: encoded.placeholder, sizes };
+};
+
+// An already-stored photo with this hash, from any listing
+const findStoredImage = async (hash) => {
+  const [row] = await listings.list({
+    columns: ['id', 'images'],
+    criteria: [{ op: 'contains', column: 'images', value: [{ hash }] }],
+    limit: 1,
+  });
+  return row?.images.find((image) => image.hash === hash) || null;
+};
+
+// Process uploaded files into image objects, skipping photos already in
+// existing (or repeated within the upload) and reusing stored renditions.
+export const storeUploads = async (files = [], existing = []) => {
+  checkUploads(files);
+  const seen = new Set(existing.map((image) => image.hash).filter(Boolean));
+  const images = [];
+
+  for (const file of files) {
+    const hash = contentHash(file.buffer);
+    if (seen.has(hash)) continue;
+    seen.add(hash);
+    images.push((await findStoredImage(hash)) || (await processUpload(file.buffer, hash)));
+  }
+  return images;
+};
+
+const imageUrls = (image) => [
+  ...new Set(Object.values(image.sizes || {}).flatMap(({ webp, jpeg }) => [webp, jpeg]).filter(Boolean)),
+];
+
+// One URL that stands for an image, e.g. in spreadsheet exports
+export const imageUrl = (image) => image.sizes?.full?.jpeg || imageUrls(image)[0] || null;
+
+// Whether an image is referred to by a key from existing_images: its hash or
+// any of its URLs (images uploaded before the pipeline only have URLs)
+export const imageMatches = (image, key) => image.hash === key || imageUrls(image).includes(key);
+
+// Delete the stored files of images no listing uses any more. Call after the
+// listing row has been updated or deleted.
+export const releaseImages = async (images = []) => {
+  const paths = [];
+  for (const image of images) {
+    if (image.hash && (await findStoredImage(image.hash))) continue;
+    paths.push(...imageUrls(image).map((url) => url.split(`/${BUCKET}/`).pop()));
+  }
+  if (paths.length > 0) {
+    await storage.remove(BUCKET, paths).catch((error) => logger.error('Storage remove error', { error }));
+  }
+};
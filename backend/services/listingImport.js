@@ -0,0 +1,350 @@
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import JSZip from 'jszip';
+import { listings, listingImports, storage } from '../repositories/index.js';
+import { validate, ValidationError } from '../validation/index.js';
+import { listingSchema } from '../validation/listingSchema.js';
+import { detectFileType } from '../utils/fileTypes.js';
+import { httpUrl, publicUrl, resolvesToPublic } from '../utils/urls.js';
+import { INITIAL_STATUSES, LIVE_STATUSES, DELETED, reviewAfterEdit } from './listingStatus.js';
+import { resolveCoordinates, coordinatePairErrors } from './listingCoordinates.js';
+import { storeUploads, releaseImages, imageMatches } from './listingImages.js';
+import { invalidateListing } from './listingCache.js';
+import { readSpreadsheet, cellsToFields, cellImages } from './listingSpreadsheet.js';
+import { MATCH_COLUMNS } from './savedSearchAlerts.js';
+import { audited } from './listingAudit.js';
+import { logger } from './logger.js';
+
+// Bulk listing import from a CSV or XLSX sheet (see services/listingSpreadsheet.js).
+// prepareImport() checks the whole file and returns a plan plus per-row
+// errors; that is the dry run. startImport() records an import job with the
+// plan (and keeps the photos zip in storage); processListingImports() runs on
+// a timer in server.js and applies queued jobs row by row, updating the job's
+// progress. A job holds a lease while it runs, so one left running by a
+// restart is picked up again from the first row it had not finished.
+//
+// Rows with an id update that listing (it must be the landlord's own), rows
+// without one create a listing. Images are URLs or file names inside an
+// uploaded zip; URLs of the current photos of listings the sheet updates reuse
+// them as they are.
+// An update row with no images keeps the listing's photos.
+
+export const MAX_IMPORT_ROWS = 500;
+const MAX_IMAGES_PER_LISTING = 10;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 3;
+const LEASE_SECONDS = 5 * 60;
+const ARCHIVE_BUCKET = 'listing-imports';
+
+const REQUIRED_HEADERS = Object.keys(listingSchema).filter((field) => listingSchema[field].required);
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PREVIOUS_COLUMNS = [
+  ...new Set([...MATCH_COLUMNS, 'id', 'landlord_id', 'status', 'images', 'county', 'estate', 'coordinates_source']),
+];
+
+const createStatusSchema = {
+  status: { type: 'string', enum: INITIAL_STATUSES, default: 'pending_review' },
+};
+
+const fileError = (field, message) => new ValidationError([{ field, code: 'invalid_file', message }], 'Import file is not valid');
+
+// Zip entries by lower-cased path and by file name, skipping folders and
+// macOS resource forks
+const readArchive = async (buffer) => {
+  if (!detectFileType(buffer, ['zip'])) throw fileError('images', 'images must be a zip archive');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw fileError('images', `images zip could not be read: ${error.message}`);
+  }
+  const entries = new Map();
+  Object.values(zip.files)
+    .filter((entry) => !entry.dir && !entry.name.startsWith('__MACOSX/'))
+    .forEach((entry) => {
+      entries.set(entry.name.toLowerCase(), entry);
+      entries.set(entry.name.split('/').pop().toLowerCase(), entry);
+    });
+  return entries;
+};
+
+// Where each image of a row comes from: { existing: image } for the
+// landlord's current photos, { entry } with the name of a zip file, { url } to
+// download. Zip files are checked against their declared size here so a
+// highly compressed one is refused before anything inflates it.
+const planImages = (refs, { archive, ownImages }, rowErrors) =>
+  refs.map((ref) => {
+    const own = ownImages.find((image) => imageMatches(image, ref));
+    if (own) return { ref, existing: own };
+    const url = httpUrl(ref);
+    if (url) {
+      if (!publicUrl(url)) rowErrors.push({ field: 'images', code: 'invalid_url', message: `${ref} is not a public URL` });
+      return { ref, url: url.href };
+    }
+    const entry = archive?.get(ref.toLowerCase());
+    if (!entry) {
+      const message = archive ? `${ref} is not in the images zip` : `${ref} is not a URL and no images zip was uploaded`;
+      rowErrors.push({ field: 'images', code: 'not_found', message });
+    } else if (entry._data.uncompressedSize > MAX_IMAGE_BYTES) {
+      rowErrors.push({ field: 'images', code: 'too_large', message: `${ref} is larger than 5MB` });
+    }
+    return { ref, entry: entry?.name };
+  });
+
+// Check an uploaded sheet (and optional images zip) for a landlord. Returns
+// { format, plan, errors }; errors carry the spreadsheet row number. Problems
+// with the file as a whole throw ValidationError.
+export const prepareImport = async ({ sheet, archive: archiveBuffer, landlordId }) => {
+  let parsed;
+  try {
+    parsed = await readSpreadsheet(sheet);
+  } catch (error) {
+    throw fileError('file', `file could not be read as CSV or XLSX: ${error.message}`);
+  }
+  const missing = REQUIRED_HEADERS.filter((header) => !parsed.headers.includes(header));
+  if (missing.length > 0) throw fileError('file', `file is missing the columns: ${missing.join(', ')}`);
+  if (parsed.rows.length === 0) throw fileError('file', 'file has no listing rows');
+  if (parsed.rows.length > MAX_IMPORT_ROWS) throw fileError('file', `file has more than ${MAX_IMPORT_ROWS} listing rows`);
+
+  const archive = archiveBuffer ? await readArchive(archiveBuffer) : null;
+
+  // Only the listings the sheet names; their photos are the ones a row can reuse
+  const referencedIds = [...new Set(parsed.rows.map(({ cells }) => String(cells.id ?? '')).filter((id) => UUID.test(id)))];
+  const owned =
+    referencedIds.length === 0
+      ? []
+      : await listings.list({
+          columns: ['id', 'images'],
+          criteria: [
+            { op: 'in', column: 'id', value: referencedIds },
+            { op: 'eq', column: 'landlord_id', value: landlordId },
+            { op: 'in', column: 'status', value: LIVE_STATUSES },
+          ],
+          limit: referencedIds.length,
+        });
+  const ownedIds = new Set(owned.map((listing) => listing.id));
+  const ownImages = owned.flatMap((listing) => listing.images || []);
+
+  const errors = [];
+  const plan = [];
+  const seenIds = new Set();
+  for (const { row, cells } of parsed.rows) {
+    const rowErrors = [];
+    const id = cells.id === undefined ? null : String(cells.id);
+    if (id !== null) {
+      if (!UUID.test(id) || !ownedIds.has(id)) {
+        rowErrors.push({ field: 'id', code: 'not_found', message: `id ${id} is not one of your listings` });
+      } else if (seenIds.has(id)) {
+        rowErrors.push({ field: 'id', code: 'duplicate', message: `id ${id} appears in more than one row` });
+      }
+      seenIds.add(id);
+    }
+
+    const { value: fields, errors: fieldErrors } = validate(listingSchema, cellsToFields(cells));
+    rowErrors.push(...fieldErrors, ...coordinatePairErrors(fields));
+
+    // Status only applies to new listings; exported rows carry the current one
+    let status = null;
+    if (id === null) {
+      const result = validate(createStatusSchema, cells.status === undefined ? {} : { status: String(cells.status) });
+      rowErrors.push(...result.errors);
+      status = result.value.status;
+    }
+
+    const refs = cellImages(cells);
+    if (refs.length > MAX_IMAGES_PER_LISTING) {
+      rowErrors.push({ field: 'images', code: 'too_large', message: `images must have at most ${MAX_IMAGES_PER_LISTING} entries` });
+    }
+    const images = refs.length === 0 && id !== null ? null : planImages(refs, { archive, ownImages }, rowErrors);
+
+    errors.push(...rowErrors.map((error) => ({ row, ...error })));
+    plan.push({ row, id, fields, status, images });
+  }
+
+  return { format: parsed.format, plan, errors };
+};
+
+// Read a stream into a buffer, giving up as soon as it passes maxBytes
+const readLimited = async (stream, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) throw new Error('larger than 5MB');
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// JSZip's streams predate async iteration, hence the wrap
+const readEntry = (entry) => readLimited(new Readable().wrap(entry.nodeStream()), MAX_IMAGE_BYTES);
+
+// Redirects are followed by hand so every hop is checked, after resolving
+// its host, before anything is requested from it
+const download = async (url) => {
+  let target = new URL(url);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!(await resolvesToPublic(target))) throw new Error('is not a public URL');
+    const res = await fetch(target, { redirect: 'manual', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+      await res.body?.cancel();
+      target = httpUrl(new URL(res.headers.get('location'), target).href);
+      if (!target) throw new Error('redirected to a URL that is not http(s)');
+      continue;
+    }
+    if (!res.ok) throw new Error(`download failed with HTTP ${res.status}`);
+    if (Number(res.headers.get('content-length')) > MAX_IMAGE_BYTES) throw new Error('larger than 5MB');
+    return readLimited(res.body ?? [], MAX_IMAGE_BYTES);
+  }
+  throw new Error('download redirected too many times');
+};
+
+const describe = (error) => (error.name === 'ValidationError' ? error.errors.map((e) => e.message).join('; ') : error.message);
+
+// Image objects for a planned row, in sheet order and without repeats
+const resolveImages = async (planned, archive) => {
+  const images = [];
+  for (const { ref, existing, entry, url } of planned) {
+    if (existing) {
+      if (!images.some((image) => image === existing || (image.hash && image.hash === existing.hash))) images.push(existing);
+      continue;
+    }
+    try {
+      const buffer = entry ? await readEntry(archive.get(entry.toLowerCase())) : await download(url);
+      images.push(...(await storeUploads([{ buffer }], images)));
+    } catch (error) {
+      throw new Error(`${ref}: ${describe(error)}`);
+    }
+  }
+  return images;
+};
+
+const createListing = async ({ fields, status, images }, { landlordId, landlordName, archive }) => {
+  const now = new Date().toISOString();
+  const data = {
+    ...fields,
+    ...resolveCoordinates(fields),
+    landlord_name: fields.landlord_name || landlordName,
+    landlord_id: landlordId,
+    images: images ? await resolveImages(images, archive) : [],
+    status,
+    submitted_at: status === 'pending_review' ? now : null,
+    created_at: now,
+    updated_at: now,
+  };
+  const listing = await listings.create({ ...data, ...audited('create', landlordId) }, { columns: ['id'] });
+  await invalidateListing(null, { ...data, id: listing.id });
+  return listing.id;
+};
+
+const updateListing = async ({ id, fields, images }, { landlordId, archive }) => {
+  const previous = await listings.findById(id, { columns: PREVIOUS_COLUMNS });
+  if (!previous || previous.landlord_id !== landlordId || previous.status === DELETED) {
+    throw new Error(`Listing ${id} no longer exists`);
+  }
+
+  const data = { ...fields, ...resolveCoordinates(fields, previous), updated_at: new Date().toISOString() };
+  if (images) data.images = await resolveImages(images, archive);
+  Object.assign(data, reviewAfterEdit(previous, data, { userId: landlordId }));
+
+  await listings.update(id, { ...data, ...audited('update', landlordId) }, { columns: ['id'] });
+  if (data.images) await releaseImages((previous.images || []).filter((image) => !data.images.some((kept) => kept.hash === image.hash)));
+  await invalidateListing(previous, { ...previous, ...data });
+  return id;
+};
+
+const rowFailure = (row, error) => ({ row, code: 'import_failed', message: describe(error) });
+
+// Apply the rest of a claimed job's plan, recording progress (and renewing
+// the lease) after every row. Rows that fail (an image that cannot be fetched
+// or decoded, a listing deleted since the dry run) are reported in the job's
+// errors and the rest carry on.
+const runImport = async (job) => {
+  const progress = {
+    processed_rows: job.processed_rows,
+    created_count: job.created_count,
+    updated_count: job.updated_count,
+    failed_count: job.failed_count,
+    errors: job.errors,
+    listing_ids: job.listing_ids,
+  };
+  const save = (changes = {}) => {
+    const now = new Date();
+    return listingImports.update(job.id, {
+      ...progress,
+      lease_expires_at: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString(),
+      ...changes,
+      updated_at: now.toISOString(),
+    });
+  };
+  const finish = async (changes) => {
+    await save({ ...changes, plan: null, archive_path: null, lease_expires_at: null, finished_at: new Date().toISOString() });
+    if (job.archive_path) {
+      await storage.remove(ARCHIVE_BUCKET, [job.archive_path]).catch((error) => logger.error('Storage remove error', { error }));
+    }
+  };
+
+  try {
+    const archive = job.archive_path ? await readArchive(await storage.download(ARCHIVE_BUCKET, job.archive_path)) : null;
+    const owner = { landlordId: job.landlord_id, landlordName: job.landlord_name, archive };
+    for (const planned of job.plan.slice(progress.processed_rows)) {
+      try {
+        const listingId = planned.id ? await updateListing(planned, owner) : await createListing(planned, owner);
+        progress.listing_ids.push(listingId);
+        progress[planned.id ? 'updated_count' : 'created_count'] += 1;
+      } catch (error) {
+        progress.failed_count += 1;
+        progress.errors.push(rowFailure(planned.row, error));
+      }
+      progress.processed_rows += 1;
+      await save();
+    }
+    await finish({ status: 'completed' });
+  } catch (error) {
+    logger.error('Listing import error', { error });
+    await finish({ status: 'failed', error: error.message }).catch(() => {});
+  }
+};
+
+// Record an import job for a checked plan, to be applied by
+// processListingImports(). Returns the queued job.
+export const startImport = async ({ plan, format, fileName, archive, landlordId, landlordName }) => {
+  const now = new Date().toISOString();
+  const usesArchive = archive && plan.some((planned) => planned.images?.some((image) => image.entry));
+  const archivePath = usesArchive ? `${landlordId}/${randomUUID()}.zip` : null;
+  if (archivePath) await storage.upload(ARCHIVE_BUCKET, archivePath, archive, { contentType: 'application/zip' });
+  return listingImports.create({
+    landlord_id: landlordId,
+    landlord_name: landlordName ?? null,
+    format,
+    file_name: fileName ?? null,
+    status: 'queued',
+    plan,
+    archive_path: archivePath,
+    total_rows: plan.length,
+    processed_rows: 0,
+    created_count: 0,
+    updated_count: 0,
+    failed_count: 0,
+    errors: [],
+    listing_ids: [],
+    created_at: now,
+    updated_at: now,
+  });
+};
+
+// Apply queued imports, and any whose lease ran out mid-way, one at a time
+export const processListingImports = async (now = new Date()) => {
+  let job;
+  while ((job = await listingImports.claimNext({ leaseSeconds: LEASE_SECONDS, now }))) {
+    await runImport(job);
+  }
+};
+
+// API view of a job, with progress as a percentage
+export const importView = ({ plan, archive_path, landlord_name, lease_expires_at, ...job }) => ({
+  ...job,
+  progress: job.total_rows > 0 ? Math.round((job.processed_rows / job.total_rows) * 100) : 100,
+});
@@ -0,0 +1,44 @@
+import { listings } from '../repositories/index.js';
+import { DELETED, RESTORE_WINDOW_DAYS } from './listingStatus.js';
+import { releaseImages } from './listingImages.js';
+import { removeListingDocuments } from './applications.js';
+import { removeListingAttachments } from './inquiries.js';
+import { logger } from './logger.js';
+
+// Listings purged per run, at most; the rest wait for the next one
+const PURGE_BATCH = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently remove listings deleted more than RESTORE_WINDOW_DAYS ago, and
+// the stored images no other listing uses; the listings_audit trigger records
+// each purge. Application documents and inquiry attachments are removed
+// first, while the rows that point at them still exist: a listing whose files
+// could not be removed stays for the next run. Returns how many were purged.
+export const purgeDeletedListings = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RESTORE_WINDOW_DAYS * DAY_MS).toISOString();
+  const due = await listings.list({
+    columns: ['id', 'landlord_id', 'images'],
+    criteria: [
+      { op: 'eq', column: 'status', value: DELETED },
+      { op: 'lte', column: 'deleted_at', value: cutoff },
+    ],
+    sort: 'deleted_at',
+    ascending: true,
+    limit: PURGE_BATCH,
+  });
+
+  let purged = 0;
+  for (const listing of due) {
+    try {
+      await removeListingDocuments(listing.id);
+      await removeListingAttachments(listing.id);
+      await listings.remove(listing.id);
+      await releaseImages(listing.images || []);
+      purged += 1;
+    } catch (error) {
+      logger.error('Error purging listing', { listing_id: listing.id, error });
+    }
+  }
+  return purged;
+};
@@ -0,0 +1,131 @@
+import ExcelJS from 'exceljs';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { detectFileType } from '../utils/fileTypes.js';
+import { listingSchema } from '../validation/listingSchema.js';
+import { imageUrl } from './listingImages.js';
+
+// Listings as spreadsheet rows, for bulk import and export. One row per
+// listing with a header row of listing field names; exports can be edited and
+// imported again because rows keep their listing id. Lists are written as
+// text: amenities separated by commas, images by " | ".
+
+export const SPREADSHEET_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const FIELD_COLUMNS = [
+  'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate',
+  'latitude', 'longitude', 'amenities', 'furnishing_status', 'parking', 'garden', 'balcony', 'own_compound',
+  'electricity', 'internet', 'hide_contact',
+];
+export const SPREADSHEET_COLUMNS = ['id', ...FIELD_COLUMNS, 'status', 'images'];
+
+const IMAGE_SEPARATOR = ' | ';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@]/;
+
+const guardFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+const unguardFormula = (value) => (typeof value === 'string' && /^'[=+\-@]/.test(value) ? value.slice(1) : value);
+
+// "Property Type" and "property_type" name the same column
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Plain value of an XLSX cell: formulas give their result, rich text and
+// hyperlinks their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (value.richText) return value.richText.map((part) => part.text).join('');
+  if ('text' in value) return cellValue(value.text);
+  return undefined;
+};
+
+// Sheet rows from an uploaded file: { format, headers, rows: [{ row, cells }] }
+// where row is the 1-based spreadsheet row number and cells maps normalized
+// header to value. Blank rows are skipped.
+export const readSpreadsheet = async (buffer) => {
+  const format = detectFileType(buffer, ['zip']) ? 'xlsx' : 'csv';
+  let grid;
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    grid = [];
+    sheet?.eachRow({ includeEmpty: true }, (row, number) => {
+      grid[number - 1] = row.values.slice(1).map(cellValue);
+    });
+  } else {
+    grid = parseCsv(buffer.toString('utf8'));
+  }
+
+  const [headerRow = [], ...body] = grid;
+  const headers = headerRow.map(normalizeHeader);
+  const rows = [];
+  body.forEach((values = [], index) => {
+    const cells = {};
+    headers.forEach((header, column) => {
+      const value = unguardFormula(typeof values[column] === 'string' ? values[column].trim() : values[column]);
+      if (header && value !== undefined && value !== null && value !== '') cells[header] = value;
+    });
+    if (Object.keys(cells).length > 0) rows.push({ row: index + 2, cells });
+  });
+  return { format, headers, rows };
+};
+
+const BOOLEAN_WORDS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+// Cells to the strings and values POST /api/listings accepts, for validation
+// against listingSchema
+export const cellsToFields = (cells) => {
+  const fields = {};
+  FIELD_COLUMNS.forEach((column) => {
+    const value = cells[column];
+    if (value === undefined) return;
+    const { type } = listingSchema[column];
+    if (type === 'boolean') {
+      fields[column] = BOOLEAN_WORDS[String(value).trim().toLowerCase()] ?? value;
+    } else if (type === 'array') {
+      fields[column] = String(value)
+        .split(/[,|]/)
+        .map((item) => item.trim().toLowerCase().replace(/\s+/g, '_'))
+        .filter(Boolean);
+    } else if ((type === 'integer' || type === 'number') && typeof value === 'string') {
+      // Thousands separators, e.g. 35,000
+      fields[column] = value.replace(/[,\s]/g, '');
+    } else {
+      fields[column] = typeof value === 'number' ? value : String(value);
+    }
+  });
+  return fields;
+};
+
+// Image references in a row: URLs or file names inside the images zip
+export const cellImages = (cells) =>
+  String(cells.images ?? '')
+    .split('|')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const listingToRow = (listing) =>
+  SPREADSHEET_COLUMNS.map((column) => {
+    if (column === 'images') return (listing.images || []).map(imageUrl).filter(Boolean).join(IMAGE_SEPARATOR);
+    if (column === 'amenities') return (listing.amenities || []).join(', ');
+    return guardFormula(listing[column] ?? null);
+  });
+
+// Listings to a CSV or XLSX file
+export const writeSpreadsheet = async (listings, format) => {
+  const rows = listings.map(listingToRow);
+  if (format === 'csv') return Buffer.from(toCsv([SPREADSHEET_COLUMNS, ...rows]));
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Listings');
+  sheet.addRow(SPREADSHEET_COLUMNS).font = { bold: true };
+  rows.forEach((row) => sheet.addRow(row));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,119 @@
+import { notifyUser } from './notifier.js';
+import { logger } from './logger.js';
+
+// Listing lifecycle. New listings are drafts or go straight to review; an admin
+// approves (published) or rejects them with a reason. Owners mark published
+// listings rented, archive them, and resubmit drafts, rejected, rented or
+// archived listings for review. Only published listings are ever public.
+// Editing what renters judge a published listing by (its title, description,
+// price or photos) sends it back to review.
+//
+//   draft -> pending_review -> published -> rented | archived
+//                           -> rejected  -> pending_review
+//                              published -> pending_review (on material edits)
+//
+// Deleting a listing only marks it deleted; its owner can restore it to the
+// status it had for LISTING_RESTORE_DAYS (default 30), after which it is
+// purged with its images (see services/listingPurge.js).
+
+export const LISTING_STATUSES = ['draft', 'pending_review', 'published', 'rented', 'archived', 'rejected', 'deleted'];
+
+export const DELETED = 'deleted';
+
+// Every status but deleted, for owners' own views of their listings
+export const LIVE_STATUSES = LISTING_STATUSES.filter((status) => status !== DELETED);
+
+export const RESTORE_WINDOW_DAYS = Number(process.env.LISTING_RESTORE_DAYS) || 30;
+
+// Statuses a landlord may pick when creating a listing
+export const INITIAL_STATUSES = ['draft', 'pending_review'];
+
+// The criterion every public query includes
+export const PUBLISHED = { op: 'eq', column: 'status', value: 'published' };
+
+export const isPublished = (listing) => listing?.status === 'published';
+
+export const REPORT_REASONS = ['scam', 'duplicate', 'already_let'];
+
+// Actions on a listing: the statuses each applies to and the status it moves to
+export const OWNER_ACTIONS = {
+  submit: { from: ['draft', 'rejected', 'rented', 'archived'], to: 'pending_review' },
+  withdraw: { from: ['pending_review'], to: 'draft' },
+  'mark-rented': { from: ['published'], to: 'rented' },
+  archive: { from: ['draft', 'published', 'rented', 'rejected'], to: 'archived' },
+};
+
+export const MODERATOR_ACTIONS = {
+  approve: { from: ['pending_review'], to: 'published' },
+  // Also takes down a published listing, e.g. after a scam report
+  reject: { from: ['pending_review', 'published'], to: 'rejected' },
+};
+
+// Fields whose edits send a published listing back to review
+export const REVIEWED_FIELDS = ['title', 'description', 'price', 'images'];
+
+const EDIT_REVIEW = { from: ['published'], to: 'pending_review' };
+
+// Thrown when an action does not apply to the listing's current status
+const stateError = (message) => Object.assign(new Error(message), { name: 'StateError' });
+
+// Columns to update for an action. Throws StateError if the listing's status
+// does not allow it.
+export const transition = (listing, { from, to }, { userId, reason = null, now = new Date() }) => {
+  if (!from.includes(listing.status)) {
+    throw stateError(`A ${listing.status.replace('_', ' ')} listing cannot be moved to ${to.replace('_', ' ')}`);
+  }
+  const at = now.toISOString();
+  const changes = { status: to, updated_at: at };
+  if (to === 'pending_review') Object.assign(changes, { submitted_at: at, rejection_reason: null });
+  if (to === 'published' || to === 'rejected') Object.assign(changes, { reviewed_at: at, reviewed_by: userId });
+  if (to === 'rejected') changes.rejection_reason = reason;
+  return changes;
+};
+
+// Status columns to add to an update of a published listing that changes any
+// REVIEWED_FIELDS, sending it back to review; none for other edits
+export const reviewAfterEdit = (listing, updateData, { userId, now = new Date() }) => {
+  if (listing.status !== 'published') return {};
+  const changed = REVIEWED_FIELDS.some(
+    (field) => field in updateData && JSON.stringify(updateData[field]) !== JSON.stringify(listing[field] ?? null)
+  );
+  return changed ? transition(listing, EDIT_REVIEW, { userId, now }) : {};
+};
+
+// When a deleted listing stops being restorable
+export const restoreDeadline = (listing) =>
+  new Date(new Date(listing.deleted_at).getTime() + RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Columns to update to delete a listing, keeping what restoring it needs
+export const softDelete = (listing, { userId, now = new Date() }) => {
+  if (listing.status === DELETED) throw stateError('Listing has already been deleted');
+  const at = now.toISOString();
+  return { status: DELETED, status_before_delete: listing.status, deleted_at: at, deleted_by: userId, updated_at: at };
+};
+
+// Columns to update to restore a deleted listing to its previous status
+export const restore = (listing, { now = new Date() } = {}) => {
+  if (listing.status !== DELETED) throw stateError('Only deleted listings can be restored');
+  if (restoreDeadline(listing) <= now) throw stateError('The restore window for this listing has passed');
+  return {
+    status: listing.status_before_delete || 'draft',
+    status_before_delete: null,
+    deleted_at: null,
+    deleted_by: null,
+    updated_at: now.toISOString(),
+  };
+};
+
+// Tell the landlord about a moderation decision; never fails the request
+export const notifyDecision = (listing, { status, rejection_reason }) => {
+  const approved = status === 'published';
+  const text = approved
+    ? `Your listing "${listing.title}" has been approved and is now live.`
+    : `Your listing "${listing.title}" was not approved: ${rejection_reason}\nEdit it and submit it again for review.`;
+  return notifyUser(listing.landlord_id, ['in_app', 'email'], {
+    subject: approved ? 'Your listing is live' : 'Your listing needs changes',
+    text,
+    data: { type: 'listing_review', listing_id: listing.id, status, rejection_reason },
+  }).catch((error) => logger.error('Moderation notification error', { error }));
+};
@@ -0,0 +1,114 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line, with the request ID of the
+// request being served (see middleware/requestContext.js). Usage:
+//   logger.error('Error fetching favorites', { error });
+// Fields are redacted before they are written: credentials are dropped, and
+// email addresses and phone numbers masked wherever they appear.
+//
+// LOG_LEVEL is debug, info, warn, error or silent; by default debug in
+// development, warn in test and info otherwise. LOG_TRANSPORT picks where
+// entries go:
+//   stdout - JSON lines, warnings and errors on stderr (default)
+//   memory - keep entries in loggedEntries, for tests
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const DEFAULT_LEVELS = { development: 'debug', test: 'warn' };
+
+export const loggedEntries = [];
+
+const transports = {
+  stdout: (entry) => {
+    const stream = entry.level === 'warn' || entry.level === 'error' ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  },
+  memory: (entry) => {
+    loggedEntries.push(entry);
+  },
+};
+
+// Read on every call so tests and operators can change them without a restart
+const currentLevel = () => {
+  const level = process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || 'info';
+  return LOG_LEVELS.includes(level) ? level : 'info';
+};
+
+const currentTransport = () => transports[process.env.LOG_TRANSPORT] || transports.stdout;
+
+// Per-request state: the request ID and time spent in outside services
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+export const currentContext = () => storage.getStore();
+
+// Add ms to the request's running total for service (e.g. supabase)
+export const recordTiming = (service, ms) => {
+  const timings = currentContext()?.timings;
+  if (!timings) return;
+  timings[service] ??= { calls: 0, ms: 0 };
+  timings[service].calls += 1;
+  timings[service].ms += ms;
+};
+
+// fetch that records its time against service, for API clients that take a
+// custom fetch (Supabase)
+export const timedFetch = (service, fetchImpl = fetch) => async (...args) => {
+  const start = performance.now();
+  try {
+    return await fetchImpl(...args);
+  } finally {
+    recordTiming(service, performance.now() - start);
+  }
+};
+
+const SENSITIVE_KEY = /authorization|cookie|token|password|secret|api[-_]?key|signature|service[-_]?role/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// International numbers, and Kenyan mobiles written 07.., 01.. or 2547..,
+// with or without spaces or dashes between the groups; the last 3 digits stay
+const PHONE = /(?:\+\d(?:[\s-]?\d){5,11}|\b(?:254|0)[17]\d{2}[\s-]?\d{3})[\s-]?(\d{3})\b/g;
+const MAX_DEPTH = 6;
+
+export const redactText = (text) => text.replace(EMAIL, '$1***@$2').replace(PHONE, '***$1');
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactText(error.message ?? ''),
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  ...(process.env.NODE_ENV !== 'production' && error.stack ? { stack: redactText(error.stack) } : {}),
+});
+
+// A copy of value that is safe to log
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[${value.byteLength} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return serializeError(value);
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(item, depth + 1, seen)])
+  );
+};
+
+const write = (level, message, fields = {}) => {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(currentLevel())) return;
+  const requestId = currentContext()?.requestId;
+  currentTransport()({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(requestId ? { request_id: requestId } : {}),
+    ...redact(fields),
+  });
+};
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
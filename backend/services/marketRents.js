@@ -0,0 +1,129 @@
+import { listings, listingPriceHistory } from '../repositories/index.js';
+import { invalidateListing } from './listingCache.js';
+import { logger } from './logger.js';
+
+// Asking-rent statistics, so tenants can judge whether a listing is fairly
+// priced: the quartiles of what similar listings ask, week by week or month by
+// month, and how the median has moved. Periods with fewer than MIN_SAMPLE
+// listings only report their count, so no figure gives away one landlord's rent.
+//
+// A listing is flagged price_dropped when its price goes down;
+// clearStalePriceDrops() runs on a timer and takes the flag off after
+// PRICE_DROP_DAYS.
+
+export const RENT_PERIODS = ['week', 'month'];
+export const MAX_RENT_PERIODS = 36;
+
+const MIN_SAMPLE = 3;
+
+export const PRICE_DROP_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLEAR_BATCH = 200;
+
+const round = (value) => (value == null ? null : Math.round(value));
+
+// Percentage change from one figure to another, to one decimal
+const changePct = (from, to) => (from && to != null ? Math.round(((to - from) / from) * 1000) / 10 : null);
+
+// The start of the window: `periods` periods back from now, the current one included
+const windowStart = (period, periods, now) => {
+  const start = new Date(now);
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - 7 * (periods - 1));
+  else start.setUTCMonth(start.getUTCMonth() - (periods - 1), 1);
+  return start;
+};
+
+// Quartiles, average and count per period for listings matching filters
+// ({ county, estate, property_type, bedrooms }, each optional), the latest
+// period and the trend of the median across the window
+export const marketRents = async (filters, { period = 'month', periods = 12, now = new Date() } = {}) => {
+  const from = windowStart(period, periods, now);
+  const rows = await listingPriceHistory.rentStats({ ...filters, period, from: from.toISOString(), to: now.toISOString() });
+
+  let previous = null;
+  const series = rows.map((row) => {
+    const enough = row.listings >= MIN_SAMPLE;
+    const point = {
+      period_start: new Date(row.period_start).toISOString().slice(0, 10),
+      listings: row.listings,
+      p25: enough ? round(row.p25) : null,
+      median: enough ? round(row.median) : null,
+      p75: enough ? round(row.p75) : null,
+      average: enough ? round(row.average) : null,
+    };
+    // Against the last earlier period with a median
+    point.change_pct = changePct(previous?.median, point.median);
+    if (point.median != null) previous = point;
+    return point;
+  });
+
+  const withMedian = series.filter((point) => point.median != null);
+  const [first, last] = [withMedian[0], withMedian.at(-1)];
+  const change = first && last !== first ? changePct(first.median, last.median) : null;
+  const trend = {
+    from: first?.period_start ?? null,
+    to: last?.period_start ?? null,
+    change_pct: change,
+    direction: change == null ? null : change > 0 ? 'rising' : change < 0 ? 'falling' : 'flat',
+  };
+
+  return { filters, period, periods, current: series.at(-1) ?? null, trend, series };
+};
+
+// Where a listing's price sits among this month's asking rents for the same
+// property type and bedrooms in its estate, or its county when the estate
+// has too few
+export const priceComparison = async (listing) => {
+  const base = { property_type: listing.property_type, bedrooms: listing.bedrooms };
+  const areas = [listing.estate && { estate: listing.estate }, listing.county && { county: listing.county }].filter(Boolean);
+
+  for (const area of areas) {
+    const { current } = await marketRents({ ...area, ...base }, { period: 'month', periods: 1 });
+    if (current?.median == null) continue;
+
+    let position = 'typical';
+    if (listing.price < current.p25) position = 'below';
+    else if (listing.price > current.p75) position = 'above';
+    return {
+      ...area,
+      ...base,
+      listings: current.listings,
+      p25: current.p25,
+      median: current.median,
+      p75: current.p75,
+      position,
+      difference_pct: changePct(current.median, listing.price),
+    };
+  }
+  return null;
+};
+
+// Take price_dropped off listings whose drop is older than PRICE_DROP_DAYS.
+// Returns how many.
+export const clearStalePriceDrops = async (now = new Date()) => {
+  const columns = ['id', 'landlord_id', 'status', 'price_dropped', 'price_changed_at'];
+  const stale = await listings.list({
+    columns,
+    criteria: [
+      { op: 'eq', column: 'price_dropped', value: true },
+      { op: 'lte', column: 'price_changed_at', value: new Date(now.getTime() - PRICE_DROP_DAYS * DAY_MS).toISOString() },
+    ],
+    sort: 'price_changed_at',
+    ascending: true,
+    limit: CLEAR_BATCH,
+  });
+
+  let cleared = 0;
+  for (const listing of stale) {
+    try {
+      const updated = await listings.update(listing.id, { price_dropped: false }, { columns });
+      await invalidateListing(listing, updated);
+      cleared += 1;
+    } catch (error) {
+      logger.error('Error clearing price drop', { listing_id: listing.id, error });
+    }
+  }
+  return cleared;
+};
@@ -0,0 +1,207 @@
+import { timedFetch } from './logger.js';
+
+// Client for Safaricom's Daraja API: STK push (Lipa na M-Pesa Online) to take
+// payments, STK query to reconcile them and B2C to refund. Configured from the
+// environment:
+//
+//   MPESA_ENV                sandbox (default) or production
+//   MPESA_BASE_URL           overrides the Daraja URL, e.g. the local sandbox
+//                            in sandbox/daraja.js
+//   MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET
+//   MPESA_SHORTCODE, MPESA_PASSKEY             the paybill and its STK passkey
+//   MPESA_INITIATOR_NAME, MPESA_SECURITY_CREDENTIAL   for B2C refunds
+//   MPESA_CALLBACK_URL       public base URL of this API, for Daraja to call
+//   MPESA_CALLBACK_SECRET    path segment that authenticates those calls
+//
+// Daraja does not sign its callbacks, so their URLs carry the secret.
+
+const BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke',
+};
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+// Renew tokens this long before Daraja expires them
+const TOKEN_MARGIN_MS = 60 * 1000;
+
+// STK query answers this while the customer has yet to respond
+const STILL_PROCESSING = '500.001.1001';
+
+const fetchDaraja = timedFetch('mpesa');
+
+const config = () => ({
+  baseUrl: process.env.MPESA_BASE_URL || BASE_URLS[process.env.MPESA_ENV || 'sandbox'],
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  callbackSecret: process.env.MPESA_CALLBACK_SECRET,
+});
+
+// Errors from Daraja or from reaching it. code is Daraja's errorCode (or
+// ResponseCode), null when there was no answer.
+export class MpesaError extends Error {
+  constructor(message, { code = null, status = null } = {}) {
+    super(message);
+    this.name = 'MpesaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Whether the variables an STK push needs are all set
+export const mpesaConfigured = () => {
+  const { consumerKey, consumerSecret, shortcode, passkey, callbackUrl, callbackSecret } = config();
+  return Boolean(consumerKey && consumerSecret && shortcode && passkey && callbackUrl && callbackSecret);
+};
+
+// 0712 345 678, +254712345678 and 254712345678 -> 254712345678; null for
+// anything that is not a Kenyan mobile number
+export const normalizePhone = (value) => {
+  const digits = String(value ?? '').replace(/[\s()-]/g, '').replace(/^\+/, '');
+  const match = digits.match(/^(?:254|0)?([17]\d{8})$/);
+  return match ? `254${match[1]}` : null;
+};
+
+// Where Daraja sends results: kind is stk, b2c-result or b2c-timeout
+export const callbackUrl = (kind) => {
+  const { callbackUrl: base, callbackSecret } = config();
+  return `${base.replace(/\/$/, '')}/api/payments/mpesa/${kind}/${callbackSecret}`;
+};
+
+// YYYYMMDDHHmmss in East Africa Time, as Daraja wants its timestamps
+export const darajaTimestamp = (date = new Date()) =>
+  new Date(date.getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/[-T:]/g, '').slice(0, 14);
+
+// 20240115143012 (EAT) -> ISO timestamp; null if unparseable
+export const parseDarajaTimestamp = (value) => {
+  const match = String(value ?? '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour - 3, minute, second)).toISOString();
+};
+
+const request = async (path, { method = 'POST', headers = {}, body } = {}) => {
+  const { baseUrl } = config();
+  let res;
+  try {
+    res = await fetchDaraja(`${baseUrl}${path}`, {
+      method,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new MpesaError(error.name === 'TimeoutError' ? 'M-Pesa timed out' : `M-Pesa unreachable: ${error.message}`);
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new MpesaError(data.errorMessage || `M-Pesa answered HTTP ${res.status}`, { code: data.errorCode ?? null, status: res.status });
+  }
+  return data;
+};
+
+// OAuth tokens last an hour; one is kept per base URL and key
+let token = null;
+
+const accessToken = async () => {
+  const { baseUrl, consumerKey, consumerSecret } = config();
+  const key = `${baseUrl}|${consumerKey}`;
+  if (token?.key === key && token.expiresAt > Date.now()) return token.value;
+
+  const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+  const data = await request('/oauth/v1/generate?grant_type=client_credentials', {
+    method: 'GET',
+    headers: { Authorization: `Basic ${credentials}` },
+  });
+  token = { key, value: data.access_token, expiresAt: Date.now() + Number(data.expires_in) * 1000 - TOKEN_MARGIN_MS };
+  return token.value;
+};
+
+const authorized = async (path, body) => request(path, { body, headers: { Authorization: `Bearer ${await accessToken()}` } });
+
+// Throws unless Daraja accepted the request (ResponseCode "0")
+const accepted = (data) => {
+  if (String(data.ResponseCode) !== '0') {
+    throw new MpesaError(data.ResponseDescription || 'M-Pesa refused the request', { code: data.ResponseCode ?? null });
+  }
+  return data;
+};
+
+const stkPassword = (timestamp) => {
+  const { shortcode, passkey } = config();
+  return { Password: Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64'), Timestamp: timestamp };
+};
+
+// Prompt the customer's phone to pay amount to the paybill. reference shows
+// on their statement (12 characters at most), description in the prompt.
+// Resolves once Daraja has accepted the request; the outcome comes to the stk
+// callback, under paymentId so it can be matched even if this answer is lost.
+// Returns { merchantRequestId, checkoutRequestId }.
+export const stkPush = async ({ amount, phone, reference, description, paymentId }) => {
+  const { shortcode } = config();
+  const data = accepted(
+    await authorized('/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: shortcode,
+      ...stkPassword(darajaTimestamp()),
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: amount,
+      PartyA: phone,
+      PartyB: shortcode,
+      PhoneNumber: phone,
+      CallBackURL: `${callbackUrl('stk')}/${paymentId}`,
+      AccountReference: reference.slice(0, 12),
+      TransactionDesc: description.slice(0, 13),
+    })
+  );
+  return { merchantRequestId: data.MerchantRequestID, checkoutRequestId: data.CheckoutRequestID };
+};
+
+// The outcome of an STK push, for payments whose callback never came:
+// { pending: true } while the customer has yet to answer, else
+// { resultCode, resultDesc }
+export const stkQuery = async (checkoutRequestId) => {
+  const { shortcode } = config();
+  try {
+    const data = await authorized('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: shortcode,
+      ...stkPassword(darajaTimestamp()),
+      CheckoutRequestID: checkoutRequestId,
+    });
+    return { resultCode: Number(data.ResultCode), resultDesc: data.ResultDesc ?? null };
+  } catch (error) {
+    if (error.code === STILL_PROCESSING) return { pending: true };
+    throw error;
+  }
+};
+
+// Send amount from the paybill to a customer's phone, for refunds. Resolves
+// once Daraja has accepted it; the outcome comes to the b2c-result callback
+// under originatorConversationId, which the caller saves first as the result
+// can arrive before this returns.
+export const b2cPayment = async ({ amount, phone, remarks, occasion = '', originatorConversationId }) => {
+  const { shortcode, initiatorName, securityCredential } = config();
+  const data = accepted(
+    await authorized('/mpesa/b2c/v3/paymentrequest', {
+      OriginatorConversationID: originatorConversationId,
+      InitiatorName: initiatorName,
+      SecurityCredential: securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: amount,
+      PartyA: shortcode,
+      PartyB: phone,
+      Remarks: remarks.slice(0, 100),
+      QueueTimeOutURL: callbackUrl('b2c-timeout'),
+      ResultURL: callbackUrl('b2c-result'),
+      Occassion: occasion.slice(0, 100),
+    })
+  );
+  return { conversationId: data.ConversationID };
+};
+
+// { Item: [{ Name, Value }] } -> { Name: Value }
+export const metadataValues = (metadata) =>
+  Object.fromEntries((metadata?.Item ?? []).filter((item) => item?.Name).map((item) => [item.Name, item.Value]));
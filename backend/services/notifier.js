@@ -0,0 +1,62 @@
+import { appendFile } from 'fs/promises';
+import { profiles } from '../repositories/index.js';
+import { logger } from './logger.js';
+
+// Outbound notifications. Each channel (email, sms, in_app) delivers through a
+// transport: an async function taking { channel, to, subject, text, data }.
+// NOTIFIER_TRANSPORT picks the default for every channel:
+//   console - log the message (default); addresses are masked in the log
+//   file    - append JSON lines to NOTIFIER_FILE (default notifications.log)
+//   memory  - keep messages in sentNotifications, for tests
+// Real providers are plugged in per channel with registerTransport().
+export const CHANNELS = ['email', 'sms', 'in_app'];
+
+export const sentNotifications = [];
+
+const builtInTransports = {
+  console: async (message) => {
+    logger.info('Notification', { channel: message.channel, to: message.to, subject: message.subject, text: message.text });
+  },
+  file: async (message) => {
+    const line = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+    await appendFile(process.env.NOTIFIER_FILE || 'notifications.log', `${line}\n`);
+  },
+  memory: async (message) => {
+    sentNotifications.push(message);
+  },
+};
+
+const defaultTransport = () => {
+  const name = process.env.NOTIFIER_TRANSPORT || 'console';
+  if (!builtInTransports[name]) throw new Error(`Unknown NOTIFIER_TRANSPORT "${name}"`);
+  return builtInTransports[name];
+};
+
+const transports = new Map();
+
+export const registerTransport = (channel, transport) => {
+  if (!CHANNELS.includes(channel)) throw new Error(`Unknown notification channel "${channel}"`);
+  transports.set(channel, transport);
+};
+
+export const notify = async (message) => {
+  if (!CHANNELS.includes(message.channel)) throw new Error(`Unknown notification channel "${message.channel}"`);
+  const transport = transports.get(message.channel) || defaultTransport();
+  await transport(message);
+};
+
+const recipientFor = (channel, userId, profile) => {
+  if (channel === 'email') return profile?.email || null;
+  if (channel === 'sms') return profile?.phone || null;
+  return userId;
+};
+
+// Send a message to a user on each of channels, addressed from their profile.
+// Channels without an address (no phone for SMS, say) are skipped.
+export const notifyUser = async (userId, channels, { subject, text, data }) => {
+  const profile = await profiles.findById(userId, { columns: ['email', 'phone'] }).catch(() => null);
+  for (const channel of channels) {
+    const to = recipientFor(channel, userId, profile);
+    if (to) await notify({ channel, to, subject, text, data });
+  }
+};
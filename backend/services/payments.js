@@ -0,0 +1,459 @@
+import { createHash, randomUUID } from 'crypto';
+import { payments, paymentLedger, viewings } from '../repositories/index.js';
+import { stkPush, stkQuery, b2cPayment, metadataValues, parseDarajaTimestamp } from './mpesa.js';
+import { featureListing } from './featuredListings.js';
+import { notifyUser } from './notifier.js';
+import { logger } from './logger.js';
+
+// M-Pesa payments: landlords pay to feature a listing (see
+// services/featuredListings.js) and tenants can pay a refundable deposit on a
+// viewing. A payment is created pending and an STK push prompts the payer's
+// phone; Daraja reports the outcome to the stk callback. Payments whose
+// callback never comes are reconciled with an STK query by processPayments(),
+// which runs on a timer and also refunds deposits that are due.
+//
+//   pending -> completed | failed
+//   completed -> refund_pending -> refunded | refund_failed   (deposits)
+//   completed -> forfeited                                    (deposits)
+//
+// Results are applied with a status check (payments.updateIfStatus), so one
+// that arrives twice is applied once. Money that moves is also written to the
+// append-only payment ledger.
+
+export const PAYMENT_PURPOSES = ['featured_listing', 'viewing_deposit'];
+
+export const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refund_pending', 'refunded', 'refund_failed', 'forfeited'];
+
+export const LEDGER_ENTRIES = ['charge', 'refund'];
+
+// Refundable viewing deposit, in Kenya shillings
+export const VIEWING_DEPOSIT_AMOUNT = Number(process.env.VIEWING_DEPOSIT_AMOUNT) || 500;
+
+// Deposits are refunded this long after the viewing ends, unless the landlord
+// forfeits them for a no-show before then
+export const DEPOSIT_REFUND_HOURS = 24;
+
+// Callbacks normally arrive within a minute; after that, ask M-Pesa. STK
+// prompts expire long before PENDING_EXPIRY_MINUTES.
+const RECONCILE_AFTER_MS = 60 * 1000;
+const PENDING_EXPIRY_MINUTES = 30;
+const BATCH = 50;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Statuses of a deposit that has not failed; a viewing has at most one
+export const DEPOSIT_STATUSES = PAYMENT_STATUSES.filter((status) => status !== 'failed');
+
+const stateError = (message) => Object.assign(new Error(message), { name: 'StateError' });
+
+// Hash of what a request asked for, kept with its Idempotency-Key
+export const requestHash = (value) => createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// Payments as the API returns them
+export const paymentView = ({ request_hash, refund_conversation_id, ...payment }) => payment;
+
+const findByIdempotencyKey = async (userId, idempotencyKey) => {
+  const [payment] = await payments.list({
+    criteria: [
+      { op: 'eq', column: 'user_id', value: userId },
+      { op: 'eq', column: 'idempotency_key', value: idempotencyKey },
+    ],
+    limit: 1,
+  });
+  return payment || null;
+};
+
+// A request with a key already used gets the payment it created, as long as
+// it asks for the same thing
+const replay = (payment, hash) => {
+  if (payment.request_hash !== hash) {
+    throw Object.assign(new Error('Idempotency-Key was already used for a different request'), { name: 'IdempotencyError' });
+  }
+  return { payment, replayed: true };
+};
+
+export const isUniqueViolation = (error, index) => error?.code === '23505' && String(error.message).includes(index);
+
+// Daraja answered, and said no
+const refused = (error) => error.name === 'MpesaError' && (error.code !== null || error.status !== null);
+
+// Create a pending payment and send its STK push. fields are the payment's
+// columns (purpose, amount, phone, listing_id, landlord_id, viewing_id, plan);
+// reference and description go to M-Pesa. Returns { payment, replayed }; throws
+// IdempotencyError, a 23505 from the one-at-a-time indexes, or MpesaError
+// when the push is refused (the payment is then failed) or goes unanswered
+// (it stays pending).
+export const startPayment = async ({ userId, idempotencyKey, hash, reference, description, ...fields }) => {
+  const existing = await findByIdempotencyKey(userId, idempotencyKey);
+  if (existing) return replay(existing, hash);
+
+  let payment;
+  try {
+    payment = await payments.create({
+      user_id: userId,
+      ...fields,
+      currency: 'KES',
+      status: 'pending',
+      idempotency_key: idempotencyKey,
+      request_hash: hash,
+    });
+  } catch (error) {
+    // A concurrent request with the same key got there first
+    if (isUniqueViolation(error, 'idempotency_key')) return replay(await findByIdempotencyKey(userId, idempotencyKey), hash);
+    throw error;
+  }
+
+  // From here the payer may be prompted: reconciliation waits for the push's
+  // outcome instead of failing the payment as never sent
+  payment = await payments.update(payment.id, { stk_requested_at: new Date().toISOString() });
+  try {
+    const { merchantRequestId, checkoutRequestId } = await stkPush({
+      amount: payment.amount,
+      phone: payment.phone,
+      reference,
+      description,
+      paymentId: payment.id,
+    });
+    const sent = await payments.update(payment.id, {
+      merchant_request_id: merchantRequestId,
+      checkout_request_id: checkoutRequestId,
+      updated_at: new Date().toISOString(),
+    });
+    return { payment: sent, replayed: false };
+  } catch (error) {
+    // Only a refusal from Daraja means no prompt went out. Without an answer,
+    // or with one that could not be saved, the payment stays in flight for
+    // the callback or reconciliation to settle.
+    if (refused(error)) {
+      await payments.update(payment.id, { status: 'failed', result_desc: error.message, updated_at: new Date().toISOString() });
+    }
+    throw error;
+  }
+};
+
+const recordLedger = async (payment, entry, receipt) => {
+  try {
+    await paymentLedger.create({
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      purpose: payment.purpose,
+      entry,
+      amount: payment.amount,
+      currency: payment.currency,
+      mpesa_receipt: receipt,
+    });
+  } catch (error) {
+    // Already recorded
+    if (error.code !== '23505') throw error;
+  }
+};
+
+const PURPOSE_NAMES = { featured_listing: 'featuring your listing', viewing_deposit: 'your viewing deposit' };
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Africa/Nairobi' });
+
+const MESSAGES = {
+  completed: (payment) => ({
+    subject: 'Payment received',
+    text:
+      payment.purpose === 'featured_listing'
+        ? `We received KES ${payment.amount}. Your listing is featured until ${formatDate(payment.featured_until)}.`
+        : `We received your KES ${payment.amount} viewing deposit. It is refunded to this number after the viewing.`,
+  }),
+  failed: (payment) => ({
+    subject: 'Payment not completed',
+    text: `Your M-Pesa payment for ${PURPOSE_NAMES[payment.purpose]} did not go through${payment.result_desc ? `: ${payment.result_desc}` : '.'}`,
+  }),
+  refunded: (payment) => ({
+    subject: 'Deposit refunded',
+    text: `Your KES ${payment.amount} viewing deposit has been refunded to ${payment.phone}.`,
+  }),
+  forfeited: (payment) => ({
+    subject: 'Deposit kept',
+    text: `The landlord reported that you missed the viewing, so your KES ${payment.amount} deposit will not be refunded.`,
+  }),
+};
+
+const notifyPayment = (payment) => {
+  const message = MESSAGES[payment.status]?.(payment);
+  if (!message) return;
+  notifyUser(payment.user_id, ['in_app', 'email'], {
+    ...message,
+    data: { type: 'payment', payment_id: payment.id, purpose: payment.purpose, status: payment.status },
+  }).catch((error) => logger.error('Payment notification error', { error }));
+};
+
+// When a deposit is due back: DEPOSIT_REFUND_HOURS after its viewing ends
+const refundDueAt = (viewing) => new Date(new Date(viewing.ends_at).getTime() + DEPOSIT_REFUND_HOURS * HOUR_MS).toISOString();
+
+// Deliver what was paid for
+const fulfil = async (payment) => {
+  if (payment.purpose === 'featured_listing') {
+    const featuredUntil = await featureListing(payment.listing_id, payment.plan, { actorId: payment.user_id });
+    if (!featuredUntil) {
+      logger.warn('Featured listing paid for after it was removed', { payment_id: payment.id });
+      return payment;
+    }
+    return payments.update(payment.id, { featured_until: featuredUntil, updated_at: new Date().toISOString() });
+  }
+
+  const viewing = payment.viewing_id && (await viewings.findById(payment.viewing_id));
+  // The viewing was cancelled while the payer was paying
+  if (!viewing || viewing.status === 'cancelled') return (await refundPayment(payment)) || payment;
+  return payments.update(payment.id, { refund_due_at: refundDueAt(viewing), updated_at: new Date().toISOString() });
+};
+
+// Apply an STK push's outcome to a pending payment: resultCode 0 completes and
+// fulfils it, anything else fails it. Returns the payment, or null if it was
+// no longer pending.
+export const applyStkResult = async (payment, { resultCode, resultDesc = null, receipt = null, paidAt = null }) => {
+  const now = new Date().toISOString();
+  if (resultCode !== 0) {
+    const failed = await payments.updateIfStatus(payment.id, ['pending'], {
+      status: 'failed',
+      result_code: Number.isInteger(resultCode) ? resultCode : null,
+      result_desc: resultDesc,
+      updated_at: now,
+    });
+    if (failed) notifyPayment(failed);
+    return failed;
+  }
+
+  const completed = await payments.updateIfStatus(payment.id, ['pending'], {
+    status: 'completed',
+    result_code: 0,
+    result_desc: resultDesc,
+    mpesa_receipt: receipt,
+    paid_at: paidAt || now,
+    updated_at: now,
+  });
+  if (!completed) return null;
+
+  await recordLedger(completed, 'charge', receipt);
+  const fulfilled = await fulfil(completed);
+  notifyPayment({ ...fulfilled, status: 'completed' });
+  return fulfilled;
+};
+
+const findBy = async (column, value) => {
+  if (!value) return null;
+  const [payment] = await payments.list({ criteria: [{ op: 'eq', column, value }], limit: 1 });
+  return payment || null;
+};
+
+// The payment a push was sent for, by the paymentId in its callback URL, when
+// the push's answer (and with it the CheckoutRequestID) was never saved
+const inFlight = async (paymentId, checkoutRequestId) => {
+  const payment = await findBy('id', paymentId);
+  if (!payment || payment.checkout_request_id) return null;
+  return payments.update(payment.id, { checkout_request_id: checkoutRequestId, updated_at: new Date().toISOString() });
+};
+
+// The stk callback: { Body: { stkCallback: { CheckoutRequestID, ResultCode,
+// ResultDesc, CallbackMetadata } } }, with the paymentId from the callback URL
+// (missing for pushes sent before it was added). Returns the payment, or null
+// for unknown or repeated callbacks.
+export const handleStkCallback = async (body, { paymentId } = {}) => {
+  const callback = body?.Body?.stkCallback;
+  const payment =
+    (await findBy('checkout_request_id', callback?.CheckoutRequestID)) ||
+    (paymentId && callback?.CheckoutRequestID ? await inFlight(paymentId, callback.CheckoutRequestID) : null);
+  if (!payment) {
+    logger.warn('M-Pesa callback for an unknown payment', { checkout_request_id: callback?.CheckoutRequestID ?? null });
+    return null;
+  }
+
+  const values = metadataValues(callback.CallbackMetadata);
+  return applyStkResult(payment, {
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc ?? null,
+    receipt: values.MpesaReceiptNumber ?? null,
+    paidAt: parseDarajaTimestamp(values.TransactionDate),
+  });
+};
+
+// Send a completed payment back to the phone it came from. Returns the
+// payment, or null if it was not in a refundable state.
+export const refundPayment = async (payment) => {
+  const conversationId = randomUUID();
+  const claimed = await payments.updateIfStatus(payment.id, ['completed', 'refund_failed'], {
+    status: 'refund_pending',
+    refund_conversation_id: conversationId,
+    refund_desc: null,
+    updated_at: new Date().toISOString(),
+  });
+  if (!claimed) return null;
+
+  try {
+    await b2cPayment({
+      amount: claimed.amount,
+      phone: claimed.phone,
+      remarks: 'Refund of viewing deposit',
+      occasion: claimed.id,
+      originatorConversationId: conversationId,
+    });
+    return (await payments.findById(claimed.id)) || claimed;
+  } catch (error) {
+    logger.error('M-Pesa refund error', { payment_id: claimed.id, error });
+    return payments.updateIfStatus(claimed.id, ['refund_pending'], {
+      status: 'refund_failed',
+      refund_desc: error.message,
+      updated_at: new Date().toISOString(),
+    });
+  }
+};
+
+const settleRefund = async (payment, { resultCode, resultDesc = null, receipt = null }) => {
+  const now = new Date().toISOString();
+  const settled = await payments.updateIfStatus(
+    payment.id,
+    ['refund_pending'],
+    resultCode === 0
+      ? { status: 'refunded', refund_receipt: receipt, refund_desc: resultDesc, refunded_at: now, updated_at: now }
+      : { status: 'refund_failed', refund_desc: resultDesc, updated_at: now }
+  );
+  if (!settled) return null;
+  if (settled.status === 'refunded') {
+    await recordLedger(settled, 'refund', receipt);
+    notifyPayment(settled);
+  } else {
+    logger.error('M-Pesa refund failed', { payment_id: settled.id, result_desc: resultDesc });
+  }
+  return settled;
+};
+
+// The b2c-result callback: { Result: { OriginatorConversationID, ResultCode,
+// ResultDesc, TransactionID } }
+export const handleB2cResult = async (body) => {
+  const result = body?.Result;
+  const payment = await findBy('refund_conversation_id', result?.OriginatorConversationID);
+  if (!payment) {
+    logger.warn('M-Pesa B2C result for an unknown refund', { conversation_id: result?.OriginatorConversationID ?? null });
+    return null;
+  }
+  return settleRefund(payment, {
+    resultCode: Number(result.ResultCode),
+    resultDesc: result.ResultDesc ?? null,
+    receipt: result.TransactionID ?? null,
+  });
+};
+
+// The b2c-timeout callback: the request expired in M-Pesa's queue. It is
+// failed for an admin to retry, after checking the paybill statement.
+export const handleB2cTimeout = async (body) => {
+  const payment = await findBy('refund_conversation_id', body?.OriginatorConversationID ?? body?.Result?.OriginatorConversationID);
+  if (!payment) return null;
+  return settleRefund(payment, { resultCode: null, resultDesc: 'Timed out in the M-Pesa queue' });
+};
+
+// The deposit on a viewing, if any
+export const depositFor = async (viewingId) => {
+  const [deposit] = await payments.list({
+    criteria: [
+      { op: 'eq', column: 'viewing_id', value: viewingId },
+      { op: 'eq', column: 'purpose', value: 'viewing_deposit' },
+      { op: 'in', column: 'status', value: DEPOSIT_STATUSES },
+    ],
+    limit: 1,
+  });
+  return deposit || null;
+};
+
+// Keep a viewing's deposit in step after the viewing changes: refunded when
+// it is cancelled, due back later when it is moved. Never fails the change.
+export const syncViewingDeposit = async (viewing) => {
+  try {
+    const deposit = await depositFor(viewing.id);
+    if (deposit?.status !== 'completed') return;
+    if (viewing.status === 'cancelled') await refundPayment(deposit);
+    else await payments.update(deposit.id, { refund_due_at: refundDueAt(viewing), updated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Viewing deposit error', { viewing_id: viewing.id, error });
+  }
+};
+
+// Keep a deposit for a tenant who missed the viewing: once it has started and
+// before the refund is due. Throws StateError otherwise.
+export const forfeitDeposit = async (deposit, viewing, { userId, now = new Date() }) => {
+  if (deposit.status !== 'completed') throw stateError(`Deposit is ${deposit.status}`);
+  if (!viewing || viewing.status === 'cancelled') throw stateError('Viewing was cancelled');
+  if (new Date(viewing.starts_at) > now) throw stateError('Viewing has not started yet');
+  if (deposit.refund_due_at && new Date(deposit.refund_due_at) <= now) throw stateError('Deposit is already due back');
+
+  const forfeited = await payments.updateIfStatus(deposit.id, ['completed'], {
+    status: 'forfeited',
+    forfeited_by: userId,
+    forfeited_at: now.toISOString(),
+    updated_at: now.toISOString(),
+  });
+  if (!forfeited) throw stateError('Deposit is being refunded');
+  notifyPayment(forfeited);
+  return forfeited;
+};
+
+// Ask M-Pesa about payments still pending a minute after they were made, and
+// fail those with no answer after PENDING_EXPIRY_MINUTES. A push whose
+// answer was lost cannot be queried without its CheckoutRequestID; its
+// callback still names the payment, so it is given until then too. Returns
+// the payments that were settled.
+export const reconcilePayments = async (now = new Date()) => {
+  const pending = await payments.list({
+    criteria: [
+      { op: 'eq', column: 'status', value: 'pending' },
+      { op: 'lte', column: 'created_at', value: new Date(now.getTime() - RECONCILE_AFTER_MS).toISOString() },
+    ],
+    sort: 'created_at',
+    ascending: true,
+    limit: BATCH,
+  });
+
+  const settled = [];
+  for (const payment of pending) {
+    try {
+      const expired = now - new Date(payment.created_at) > PENDING_EXPIRY_MINUTES * MINUTE_MS;
+      // Created, but stopped before the push
+      let result = { resultCode: null, resultDesc: 'The payment request was not sent to M-Pesa' };
+      if (payment.checkout_request_id) result = await stkQuery(payment.checkout_request_id);
+      else if (payment.stk_requested_at) result = { pending: true };
+      if (result.pending) {
+        if (!expired) continue;
+        if (!payment.checkout_request_id) {
+          logger.warn('M-Pesa push never answered; check the paybill statement', { payment_id: payment.id });
+        }
+        result = { resultCode: null, resultDesc: 'No answer from M-Pesa' };
+      }
+      const updated = await applyStkResult(payment, result);
+      if (updated) settled.push(updated);
+    } catch (error) {
+      logger.error('Payment reconciliation error', { payment_id: payment.id, error });
+    }
+  }
+  return settled;
+};
+
+// Refund deposits whose viewing is long enough past
+export const refundDueDeposits = async (now = new Date()) => {
+  const due = await payments.list({
+    criteria: [
+      { op: 'eq', column: 'purpose', value: 'viewing_deposit' },
+      { op: 'eq', column: 'status', value: 'completed' },
+      { op: 'lte', column: 'refund_due_at', value: now.toISOString() },
+    ],
+    sort: 'refund_due_at',
+    ascending: true,
+    limit: BATCH,
+  });
+  const refunded = [];
+  for (const deposit of due) {
+    const updated = await refundPayment(deposit).catch((error) => logger.error('Deposit refund error', { payment_id: deposit.id, error }));
+    if (updated) refunded.push(updated);
+  }
+  return refunded;
+};
+
+export const processPayments = async (now = new Date()) => {
+  await reconcilePayments(now);
+  await refundDueDeposits(now);
+};
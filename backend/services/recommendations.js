@@ -0,0 +1,142 @@
+import { listings, favorites, savedSearches, searchHistory, listingDismissals } from '../repositories/index.js';
+import { buildTaste, lower } from '../utils/recommendations.js';
+import { logger } from './logger.js';
+
+// Similar listings and the personalized feed. Both score published listings
+// against a taste (utils/recommendations.js): a listing's own taste gives its
+// similar listings; a user's favorites, searches and saved searches give
+// their feed. Candidates are narrowed by estate, county, bedrooms and price
+// and scored in the database (listings.recommend), which returns the best.
+
+// Searches count half as much as favorites
+const SEARCH_WEIGHT = 0.5;
+
+export const MAX_SIMILAR = 24;
+// Listings in the feed, at most
+const MAX_FEED = 200;
+// Candidates scored per request, at most
+const MAX_CANDIDATES = 2000;
+const MAX_FAVORITES = 500;
+const MAX_DISMISSALS = 1000;
+const MAX_SEARCHES = 30;
+
+// Search history is kept this long (pruneSearchHistory)
+export const SEARCH_HISTORY_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns returned with each listing
+export const SCORED_COLUMNS = [
+  'id', 'title', 'price', 'previous_price', 'price_dropped', 'location', 'property_type', 'bedrooms', 'bathrooms',
+  'status', 'images', 'latitude', 'longitude', 'featured', 'featured_until', 'created_at', 'updated_at',
+  'county', 'estate', 'amenities',
+];
+const TASTE_COLUMNS = ['id', 'price', 'property_type', 'bedrooms', 'county', 'estate', 'amenities'];
+
+const asList = (value) => (value === undefined || value === null || value === '' ? [] : Array.isArray(value) ? value : [value]);
+const toInt = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// A signal is one listing or search: { weight, estate, county, property_type,
+// bedrooms, amenities (lists), min_price, max_price }
+const listingSignal = (listing) => ({
+  weight: 1,
+  estate: asList(listing.estate).map(lower),
+  county: asList(listing.county).map(lower),
+  property_type: asList(listing.property_type),
+  bedrooms: asList(listing.bedrooms),
+  amenities: listing.amenities || [],
+  min_price: listing.price ?? null,
+  max_price: listing.price ?? null,
+});
+
+const searchSignal = ({ filters = {} }) => ({
+  weight: SEARCH_WEIGHT,
+  estate: asList(filters.estate).map(lower),
+  county: asList(filters.county).map(lower),
+  property_type: asList(filters.property_type),
+  bedrooms: asList(filters.bedrooms).map(toInt).filter((n) => n !== null),
+  amenities: asList(filters.amenities),
+  min_price: toInt(filters.min_price),
+  max_price: toInt(filters.max_price),
+});
+
+const recommend = (taste, options) =>
+  listings.recommend(taste, { columns: SCORED_COLUMNS, candidates: MAX_CANDIDATES, now: new Date(), ...options });
+
+// Published listings most like listing, best first, each with its score and
+// match_reasons
+export const similarListings = async (listing, { limit }) =>
+  recommend(buildTaste([listingSignal(listing)]), { excludeIds: [listing.id], limit });
+
+// What a user's feed is based on: their favorites, recent searches and saved
+// searches
+const userSignals = async (userId) => {
+  const [saved, recent, searches] = await Promise.all([
+    favorites.listForUser(userId, { listingColumns: TASTE_COLUMNS, limit: MAX_FAVORITES }),
+    searchHistory.list({ criteria: [{ op: 'eq', column: 'user_id', value: userId }], limit: MAX_SEARCHES }),
+    savedSearches.listForUser(userId, { limit: MAX_SEARCHES }),
+  ]);
+  return {
+    favoriteIds: new Set(saved.map((favorite) => favorite.listing_id)),
+    signals: [
+      ...saved.filter((favorite) => favorite.listings).map((favorite) => listingSignal(favorite.listings)),
+      ...[...recent, ...searches].map(searchSignal),
+    ],
+    basedOn: { favorites: saved.length, searches: recent.length + searches.length },
+  };
+};
+
+const dismissedIds = async (userId) => {
+  const rows = await listingDismissals.list({
+    columns: ['listing_id'],
+    criteria: [{ op: 'eq', column: 'user_id', value: userId }],
+    limit: MAX_DISMISSALS,
+  });
+  return new Set(rows.map((row) => row.listing_id));
+};
+
+// The user's feed: published listings scored against their taste, best
+// first and MAX_FEED at most, without those they have saved, dismissed or
+// own. With nothing to go on yet, the freshest listings. Returns { rows,
+// personalized, basedOn }.
+export const recommendedListings = async (userId) => {
+  const [{ favoriteIds, signals, basedOn }, dismissed] = await Promise.all([userSignals(userId), dismissedIds(userId)]);
+
+  const rows = await recommend(buildTaste(signals), {
+    excludeIds: [...favoriteIds, ...dismissed],
+    excludeLandlordId: userId,
+    limit: MAX_FEED,
+  });
+  return { rows, personalized: signals.length > 0, basedOn };
+};
+
+// Remember a signed-in user's search for their feed
+export const recordSearch = async (userId, { query = '', filters = {} }) => {
+  try {
+    await searchHistory.create({ user_id: userId, query: query || null, filters });
+  } catch (error) {
+    logger.error('Search history error', { error });
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Middleware recording the search of a signed-in user: searchOf(req) returns
+// { query, filters, continued }, continued for later pages of the same search,
+// which are not recorded again. Put it ahead of cacheResponse.
+export const trackSearches = (searchOf) => (req, res, next) => {
+  if (!req.user) return next();
+  const { query = '', filters = {}, continued } = searchOf(req);
+  const used = Object.fromEntries(Object.entries(filters).filter(([, value]) => !isBlank(value)));
+  if (!continued && (String(query).trim() || Object.keys(used).length > 0)) {
+    recordSearch(req.user.id, { query: String(query).trim(), filters: used });
+  }
+  next();
+};
+
+// Forget searches older than SEARCH_HISTORY_DAYS. Returns how many.
+export const pruneSearchHistory = async (now = new Date()) =>
+  searchHistory.removeBefore(new Date(now.getTime() - SEARCH_HISTORY_DAYS * DAY_MS).toISOString());
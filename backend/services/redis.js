@@ -0,0 +1,38 @@
+import { createClient } from 'redis';
+import { logger } from './logger.js';
+
+// The shared Redis connection, used by the response cache and the rate
+// limiter when REDIS_URL is set. Both fall back to in-process state whenever
+// the connection is not ready, so commands are never queued while it is down.
+
+export const redis = process.env.REDIS_URL
+  ? createClient({
+      url: process.env.REDIS_URL,
+      disableOfflineQueue: true,
+      socket: { reconnectStrategy: (retries) => Math.min(retries * 500, 10000) },
+    })
+  : null;
+
+export const redisReady = () => Boolean(redis?.isReady);
+
+if (redis) {
+  let reported = false;
+  redis.on('error', (error) => {
+    if (!reported) logger.warn('Redis unavailable, falling back to in-process state', { error });
+    reported = true;
+  });
+  redis.on('ready', () => {
+    reported = false;
+  });
+  redis.connect().catch(() => {});
+}
+
+// Close the connection on shutdown, letting replies in flight arrive
+export const closeRedis = async () => {
+  if (!redis?.isOpen) return;
+  try {
+    await redis.quit();
+  } catch {
+    await redis.disconnect().catch(() => {});
+  }
+};
@@ -0,0 +1,154 @@
+import { listings, savedSearches, savedSearchMatches, savedSearchAlertQueue } from '../repositories/index.js';
+import { listingMatchesSearch } from '../utils/searchFilters.js';
+import { logger } from './logger.js';
+import { notifyUser } from './notifier.js';
+
+// Saved-search alerts. A database trigger queues a listing when it is published
+// ('new') or a published listing gets cheaper ('price_drop'), see
+// supabase/migrations/*_saved_search_alert_queue.sql, and
+// processSavedSearchAlerts() runs on a timer to give every saved search the
+// listing now matches a match row. Matches feed the in-app digest; searches
+// with alerts 'instant' are also notified straight away and 'daily' ones in one
+// message per user from sendDueDigests().
+
+export const ALERT_FREQUENCIES = ['instant', 'daily', 'none'];
+
+// Columns needed to match a listing against saved searches
+export const MATCH_COLUMNS = [
+  'id', 'landlord_id', 'status', 'title', 'description', 'price', 'location', 'county', 'estate', 'property_type',
+  'bedrooms', 'bathrooms', 'amenities', 'furnishing_status', 'parking', 'garden', 'balcony', 'own_compound',
+  'electricity', 'internet', 'latitude', 'longitude',
+];
+
+export const DIGEST_LISTING_COLUMNS = ['id', 'title', 'price', 'location', 'property_type', 'bedrooms', 'status', 'images'];
+
+// Wait after each failed attempt at a queued change; it is given up after the last
+export const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+export const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ALERT_BATCH = 100;
+
+const formatPrice = (price) => `KES ${Number(price).toLocaleString('en-KE')}`;
+
+const describeMatch = ({ reason, price, previous_price }, listing) => {
+  const url = `${process.env.CLIENT_URL || 'http://localhost:5173'}/listings/${listing.id}`;
+  const change = reason === 'price_drop' ? `${formatPrice(previous_price)} -> ${formatPrice(price)}` : formatPrice(price);
+  return `${listing.title} (${listing.location}) - ${change}\n${url}`;
+};
+
+// Record matches for one queued listing change and send the instant alerts.
+// Searches are narrowed down by their facet filters in the database and checked
+// in full here. Instant alerts go out for every match of the listing not yet
+// notified, including those recorded by an earlier run that died before
+// sending them; each is marked notified as soon as it is sent. Returns the
+// matches recorded; none if the listing is no longer published.
+const alertListing = async ({ listing_id: listingId, reason, price, previous_price: previousPrice }) => {
+  const listing = await listings.findById(listingId, { columns: MATCH_COLUMNS });
+  if (listing?.status !== 'published') return [];
+
+  const searches = (await savedSearches.listForListing(listing.id)).filter((search) => listingMatchesSearch(listing, search));
+  if (searches.length === 0) return [];
+
+  const recorded = await savedSearchMatches.record(
+    searches.map((search) => ({
+      saved_search_id: search.id,
+      user_id: search.user_id,
+      listing_id: listing.id,
+      reason,
+      price,
+      previous_price: reason === 'price_drop' ? previousPrice : null,
+    }))
+  );
+
+  const instant = await savedSearchMatches.listUnnotified({ alerts: 'instant', listingId: listing.id, listingColumns: ['id'] });
+  for (const match of instant) {
+    const { saved_searches: search } = match;
+    await notifyUser(search.user_id, search.channels, {
+      subject: match.reason === 'price_drop' ? `Price drop on "${search.name}"` : `New listing for "${search.name}"`,
+      text: describeMatch(match, listing),
+      data: { saved_search_id: search.id, match_id: match.id, listing_id: listing.id, reason: match.reason },
+    });
+    await savedSearchMatches.markNotified([match.id]);
+  }
+
+  return recorded;
+};
+
+// Match queued listing changes that are due, oldest first. A change that fails
+// is logged and tried again after RETRY_DELAYS_MINUTES, so it does not hold up
+// the rest of the queue, and is given up after MAX_ATTEMPTS. Matches already
+// recorded are skipped and sent alerts are not sent again, so nobody is alerted
+// twice. Returns the number of changes processed.
+export const processSavedSearchAlerts = async (now = new Date()) => {
+  const queued = await savedSearchAlertQueue.list({
+    criteria: [
+      { op: 'is', column: 'processed_at', value: null },
+      { op: 'lte', column: 'next_attempt_at', value: now.toISOString() },
+    ],
+    sort: 'next_attempt_at',
+    ascending: true,
+    limit: ALERT_BATCH,
+  });
+
+  let processed = 0;
+  for (const change of queued) {
+    const attempts = change.attempts + 1;
+    try {
+      await alertListing(change);
+      await savedSearchAlertQueue.update(change.id, { attempts, processed_at: new Date().toISOString() });
+      processed += 1;
+    } catch (error) {
+      logger.error('Saved search alert error', { queue_id: change.id, listing_id: change.listing_id, attempts, error });
+      const changes = { attempts, last_error: String(error?.message || error).slice(0, 1000) };
+      if (attempts >= MAX_ATTEMPTS) {
+        changes.processed_at = new Date().toISOString();
+      } else {
+        changes.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE_MS).toISOString();
+      }
+      await savedSearchAlertQueue
+        .update(change.id, changes)
+        .catch((updateError) => logger.error('Saved search alert queue error', { queue_id: change.id, error: updateError }));
+    }
+  }
+  return processed;
+};
+
+// Send pending matches of 'daily' searches whose last digest is at least a day
+// old, one message per user and channel. Returns the number of users notified.
+export const sendDueDigests = async (now = new Date()) => {
+  const pending = await savedSearchMatches.listUnnotified({ alerts: 'daily', listingColumns: DIGEST_LISTING_COLUMNS });
+  const due = pending.filter(
+    ({ saved_searches: search, listings: listing }) =>
+      listing && (!search.last_digest_at || now - new Date(search.last_digest_at) >= DAY_MS)
+  );
+
+  const byUser = new Map();
+  due.forEach((match) => {
+    const userId = match.saved_searches.user_id;
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(match);
+  });
+
+  for (const [userId, matches] of byUser) {
+    const searches = [...new Map(matches.map((m) => [m.saved_searches.id, m.saved_searches])).values()];
+    const sections = searches.map((search) => {
+      const lines = matches.filter((m) => m.saved_search_id === search.id).map((m) => describeMatch(m, m.listings));
+      return `${search.name}\n${lines.join('\n\n')}`;
+    });
+    const channels = [...new Set(searches.flatMap((search) => search.channels))];
+
+    await notifyUser(userId, channels, {
+      subject: `${matches.length} new match${matches.length === 1 ? '' : 'es'} for your saved searches`,
+      text: sections.join('\n\n'),
+      data: { match_ids: matches.map((m) => m.id) },
+    });
+    await savedSearchMatches.markNotified(matches.map((m) => m.id));
+    for (const search of searches) {
+      await savedSearches.update(search.id, { last_digest_at: now.toISOString() });
+    }
+  }
+
+  return byUser.size;
+};
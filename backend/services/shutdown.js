@@ -0,0 +1,58 @@
+import { markShuttingDown } from './health.js';
+import { logger } from './logger.js';
+
+// Graceful shutdown, on SIGTERM (sent by Render before it stops an instance)
+// or SIGINT:
+//   1. readiness turns 503, so the load balancer stops routing here
+//   2. the server stops accepting connections, and requests in flight (multi-
+//      image uploads included) get until timeoutMs to finish; connections
+//      still open after that are cut
+//   3. the cleanup steps run in order: background jobs, then clients
+// Calling it again returns the same shutdown.
+
+const SWEEP_MS = 100;
+
+// Close server once its requests are done. Keep-alive connections would hold
+// it open, so responses ask clients to close, and idle connections are
+// closed as they appear. Resolves to whether every request finished in time.
+export const drainServer = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    const sweep = setInterval(() => server.closeIdleConnections(), SWEEP_MS);
+    const deadline = setTimeout(() => {
+      clearInterval(sweep);
+      server.closeAllConnections();
+      resolve(false);
+    }, timeoutMs);
+
+    server.on('request', (req, res) => res.setHeader('Connection', 'close'));
+    server.close(() => {
+      clearInterval(sweep);
+      clearTimeout(deadline);
+      resolve(true);
+    });
+    server.closeIdleConnections();
+  });
+
+export const createShutdown = ({ server, timeoutMs, cleanup = [] }) => {
+  let shutdown;
+  return (signal) => {
+    shutdown ??= (async () => {
+      logger.info('Shutting down', { signal, timeout_ms: timeoutMs });
+      markShuttingDown();
+      const start = Date.now();
+      const drained = await drainServer(server, timeoutMs);
+      if (!drained) logger.warn('Requests still in flight at the shutdown deadline were cut off');
+
+      for (const step of cleanup) {
+        try {
+          await step(Math.max(timeoutMs - (Date.now() - start), 0));
+        } catch (error) {
+          logger.error('Shutdown cleanup error', { error });
+        }
+      }
+      logger.info('Shutdown complete', { drained, duration_ms: Date.now() - start });
+      return { drained };
+    })();
+    return shutdown;
+  };
+};
@@ -0,0 +1,47 @@
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { listings, storage } from '../repositories/index.js';
+import { detectFileType, FILE_TYPES, IMAGE_TYPES } from '../utils/fileTypes.js';
+
+// Files tenants and landlords upload to inquiry threads and rental
+// applications (see services/inquiries.js and services/applications.js), and
+// the listings those are about. Files must be JPEG, PNG, WebP or PDF by their
+// contents and live in a private bucket.
+
+const UPLOAD_TYPES = [...IMAGE_TYPES, 'pdf'];
+
+const LISTING_COLUMNS = ['id', 'title', 'location', 'price', 'status'];
+
+// Listings by id, with what threads and applications show of them
+export const listingsById = async (ids) => {
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return new Map();
+  const rows = await listings.list({ columns: LISTING_COLUMNS, criteria: [{ op: 'in', column: 'id', value: unique }], limit: unique.length });
+  return new Map(rows.map((row) => [row.id, row]));
+};
+
+// Validation errors for files, uploaded as field, that are not JPEG, PNG, WebP
+// or PDF
+export const fileErrors = (files, field) =>
+  files
+    .map((file, index) =>
+      detectFileType(file.buffer, UPLOAD_TYPES)
+        ? null
+        : { field, code: 'invalid_file', message: `${field}[${index}] must be a JPEG, PNG, WebP or PDF file` }
+    )
+    .filter(Boolean);
+
+// Store checked files in bucket under folder, re-encoding images so their EXIF
+// data (e.g. GPS position) is dropped. Returns a record per file, in order.
+export const storeFiles = (bucket, folder, files) =>
+  Promise.all(
+    files.map(async (file) => {
+      const type = detectFileType(file.buffer, UPLOAD_TYPES);
+      const buffer = IMAGE_TYPES.includes(type) ? await sharp(file.buffer).rotate().toBuffer() : file.buffer;
+      const { contentType, extension } = FILE_TYPES[type];
+      const id = randomUUID();
+      const path = `${folder}/${id}.${extension}`;
+      await storage.upload(bucket, path, buffer, { contentType });
+      return { id, path, name: file.originalname, content_type: contentType, size: buffer.length };
+    })
+  );
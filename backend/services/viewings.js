@@ -0,0 +1,72 @@
+import { listings } from '../repositories/index.js';
+
+// Shared rules for viewing slots and viewings. A landlord publishes open slots
+// on a listing; a tenant books one (confirmed straight away, the slot being the
+// landlord's offer) or requests a time of their own. Either side can propose a
+// new time, which the other side then confirms, or cancel. Overlapping
+// confirmed viewings are refused by exclusion constraints (see
+// supabase/migrations), reported as 23P01; requests may overlap until one of
+// them is confirmed.
+
+export const VIEWING_STATUSES = ['requested', 'confirmed', 'cancelled'];
+export const ACTIVE_STATUSES = ['requested', 'confirmed'];
+
+const MINUTE_MS = 60 * 1000;
+const MIN_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 4 * 60;
+const MAX_DAYS_AHEAD = 90;
+
+export const isOverlapError = (error) => error?.code === '23P01';
+
+// Errors for a { starts_at, ends_at } pair of ISO datetimes; prefix names the
+// fields, e.g. 'slots[2].'
+export const timeRangeErrors = ({ starts_at, ends_at }, prefix = '', now = new Date()) => {
+  if (!starts_at || !ends_at) return [];
+  const start = new Date(starts_at);
+  const minutes = (new Date(ends_at) - start) / MINUTE_MS;
+  const errors = [];
+  if (start <= now) {
+    errors.push({ field: `${prefix}starts_at`, code: 'too_small', message: 'starts_at must be in the future' });
+  } else if (start - now > MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS) {
+    errors.push({ field: `${prefix}starts_at`, code: 'too_large', message: `starts_at must be within ${MAX_DAYS_AHEAD} days` });
+  }
+  if (minutes < MIN_DURATION_MINUTES || minutes > MAX_DURATION_MINUTES) {
+    errors.push({
+      field: `${prefix}ends_at`,
+      code: 'out_of_range',
+      message: `ends_at must be ${MIN_DURATION_MINUTES} minutes to ${MAX_DURATION_MINUTES / 60} hours after starts_at`,
+    });
+  }
+  return errors;
+};
+
+const LISTING_COLUMNS = ['id', 'title', 'location', 'estate', 'county'];
+
+// Attach { listing } summaries to viewing or slot rows
+export const withListings = async (rows) => {
+  const ids = [...new Set(rows.map((row) => row.listing_id))];
+  const found = ids.length > 0
+    ? await listings.list({ columns: LISTING_COLUMNS, criteria: [{ op: 'in', column: 'id', value: ids }], limit: ids.length })
+    : [];
+  const byId = new Map(found.map((listing) => [listing.id, listing]));
+  return rows.map((row) => ({ ...row, listing: byId.get(row.listing_id) || null }));
+};
+
+const ICS_STATUS = { requested: 'TENTATIVE', confirmed: 'CONFIRMED', cancelled: 'CANCELLED' };
+
+// Calendar event for a viewing with its listing attached
+export const viewingEvent = (viewing) => {
+  const { listing } = viewing;
+  const url = `${process.env.CLIENT_URL || 'http://localhost:5173'}/listings/${viewing.listing_id}`;
+  return {
+    uid: `viewing-${viewing.id}@rental-listings`,
+    sequence: viewing.sequence,
+    start: viewing.starts_at,
+    end: viewing.ends_at,
+    summary: `House viewing: ${listing?.title || 'listing'}`,
+    location: listing?.location || null,
+    description: viewing.note ? `Note: ${viewing.note}\n${url}` : url,
+    status: ICS_STATUS[viewing.status],
+    url,
+  };
+};
@@ -0,0 +1,207 @@
+import { createHmac, randomBytes } from 'crypto';
+import { webhookEndpoints, webhookOutbox, webhookDeliveries } from '../repositories/index.js';
+import { httpUrl, publicUrl, resolvesToPublic } from '../utils/urls.js';
+import { logger } from './logger.js';
+
+// Outbound webhooks. Database triggers add an event to webhook_outbox whenever
+// a listing or favorite changes (see supabase/migrations/*_webhooks.sql), and
+// processWebhooks() runs on a timer to:
+//   1. fan each new outbox event out to a delivery per subscribed endpoint
+//      (the landlord's own endpoints, and admin endpoints for every listing)
+//   2. POST due deliveries, signed with the endpoint's secret, and retry
+//      failures after RETRY_DELAYS_MINUTES until they succeed or run out
+//
+// Requests carry X-Webhook-Id (the delivery), X-Webhook-Event and
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// The body is { id, type, data }; id is the event's, the same on retries and
+// replays, so consumers can drop duplicates.
+//
+// The endpoint's host is resolved again before every attempt, as its DNS can
+// change after it is registered, and a delivery to a host that no longer
+// resolves to public addresses fails without being sent. Only the response
+// status is kept, never the body, so the deliveries log cannot be used to read
+// responses from hosts we should not reach.
+
+export const WEBHOOK_EVENTS = [
+  'listing.created',
+  'listing.updated',
+  'listing.availability_changed',
+  'listing.deleted',
+  'favorite.added',
+];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Wait after each failed attempt; the delivery fails for good after the last
+export const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+export const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const DISPATCH_BATCH = 100;
+const DELIVERY_BATCH = 20;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Longer than a delivery can take, so a claimed batch is sent before the lease ends
+const LEASE_SECONDS = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+export const generateSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+export const signPayload = (secret, body, timestamp) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Endpoints must be public https URLs. WEBHOOK_ALLOW_INSECURE_URLS=true also
+// allows http and private addresses, for local development.
+const allowInsecure = () => process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true';
+
+export const webhookUrlError = (value) => {
+  const url = httpUrl(value);
+  if (!url || (!allowInsecure() && (url.protocol !== 'https:' || !publicUrl(url)))) {
+    return { field: 'url', code: 'invalid_url', message: 'url must be a public https URL' };
+  }
+  return null;
+};
+
+// Endpoints as the API returns them; the secret is only shown when created or rotated
+export const endpointView = ({ secret, ...endpoint }) => endpoint;
+
+const subscribers = (event) =>
+  webhookEndpoints.list({
+    columns: ['id'],
+    criteria: [
+      { op: 'eq', column: 'active', value: true },
+      { op: 'contains', column: 'events', value: [event.event_type] },
+      {
+        op: 'any',
+        value: [
+          { op: 'eq', column: 'all_listings', value: true },
+          { op: 'eq', column: 'owner_id', value: event.landlord_id },
+        ],
+      },
+    ],
+    limit: 1000,
+  });
+
+// Create deliveries for outbox events not yet dispatched. An event whose
+// deliveries were partly created before a crash is picked up again; the unique
+// index on (endpoint_id, event_id) skips the ones already there. Returns the
+// number of events dispatched.
+export const dispatchOutbox = async (now = new Date()) => {
+  const events = await webhookOutbox.list({
+    criteria: [{ op: 'is', column: 'dispatched_at', value: null }],
+    sort: 'created_at',
+    ascending: true,
+    limit: DISPATCH_BATCH,
+  });
+
+  for (const event of events) {
+    for (const endpoint of await subscribers(event)) {
+      try {
+        await webhookDeliveries.create({
+          endpoint_id: endpoint.id,
+          event_id: event.id,
+          event_type: event.event_type,
+          payload: event.payload,
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: now.toISOString(),
+        });
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+      }
+    }
+    await webhookOutbox.update(event.id, { dispatched_at: new Date().toISOString() });
+  }
+  return events.length;
+};
+
+const post = async (endpoint, delivery) => {
+  const body = JSON.stringify({ id: delivery.event_id, type: delivery.event_type, data: delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const res = await fetch(endpoint.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RentalListings-Webhooks/1.0',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, body, timestamp)}`,
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  await res.body?.cancel().catch(() => {});
+  return { ok: res.ok, status: res.status };
+};
+
+// Why a delivery cannot be sent to endpoint now, or null if it can
+const refusal = async (endpoint) => {
+  if (!endpoint?.active) return 'Endpoint is disabled';
+  if (allowInsecure()) return null;
+  const url = httpUrl(endpoint.url);
+  if (!url || url.protocol !== 'https:' || !(await resolvesToPublic(url))) return 'Endpoint does not resolve to a public address';
+  return null;
+};
+
+// Send one delivery and record the outcome: delivered on a 2xx response,
+// failed without sending if the endpoint is refused, otherwise retried later
+// or, after MAX_ATTEMPTS, failed
+const attempt = async (delivery, now) => {
+  const endpoint = await webhookEndpoints.findById(delivery.endpoint_id);
+  const attempts = delivery.attempts + 1;
+  const changes = { attempts, last_attempt_at: now.toISOString(), updated_at: new Date().toISOString() };
+
+  const refused = await refusal(endpoint);
+  let result;
+  if (refused) {
+    result = { ok: false, status: null, error: refused };
+  } else {
+    try {
+      result = await post(endpoint, delivery);
+      if (!result.ok) result.error = `HTTP ${result.status}`;
+    } catch (error) {
+      result = { ok: false, status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+    }
+  }
+  Object.assign(changes, { response_status: result.status, error: result.error ?? null });
+
+  if (result.ok) {
+    Object.assign(changes, { status: 'delivered', delivered_at: now.toISOString() });
+  } else if (attempts >= MAX_ATTEMPTS || refused) {
+    changes.status = 'failed';
+  } else {
+    changes.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * MINUTE_MS).toISOString();
+  }
+  return webhookDeliveries.update(delivery.id, changes);
+};
+
+// Send deliveries that are due. Returns them with their new status.
+export const deliverDueWebhooks = async (now = new Date()) => {
+  const due = await webhookDeliveries.claimDue({ limit: DELIVERY_BATCH, leaseSeconds: LEASE_SECONDS, now });
+  return Promise.all(
+    due.map((delivery) =>
+      attempt(delivery, now).catch((error) => {
+        logger.error('Webhook delivery error', { delivery_id: delivery.id, error });
+        return delivery;
+      })
+    )
+  );
+};
+
+export const processWebhooks = async (now = new Date()) => {
+  await dispatchOutbox(now);
+  return deliverDueWebhooks(now);
+};
+
+// Queue a delivery again, as a new delivery so the log keeps every attempt
+export const replayDelivery = (delivery) =>
+  webhookDeliveries.create({
+    endpoint_id: delivery.endpoint_id,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    payload: delivery.payload,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    replay_of: delivery.id,
+  });
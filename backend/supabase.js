@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { timedFetch } from './services/logger.js';
 
 dotenv.config();
 
@@ -15,41 +16,6 @@ export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
     autoRefreshToken: false,
     persistSession: false,
   },
+  // Time spent in Supabase is reported per request in the access log
+  global: { fetch: timedFetch('supabase') },
 });
-
-// Helper function to get user from authorization header
-export const getUserFromAuth = async (authHeader) => {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-
-  const token = authHeader.substring(7);
-
-  try {
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    if (error) throw error;
-    return user;
-  } catch (error) {
-    console.error('Auth error:', error);
-    return null;
-  }
-};
-
-// Middleware to require authentication
-export const requireAuth = async (req, res, next) => {
-  const user = await getUserFromAuth(req.headers.authorization);
-
-  if (!user) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-
-  req.user = user;
-  next();
-};
-
-// Middleware to optionally get user
-export const optionalAuth = async (req, res, next) => {
-  const user = await getUserFromAuth(req.headers.authorization);
-  req.user = user;
-  next();
-};
\ No newline at end of file
@@ -0,0 +1,48 @@
+-- Coordinates for map search. Set by the landlord or derived from the
+-- county/estate gazetteer in data/gazetteer.js (coordinates_source records which).
+alter table public.listings
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  add column if not exists coordinates_source text
+    check (coordinates_source in ('landlord', 'estate', 'county'));
+
+create index if not exists listings_latitude_longitude_idx
+  on public.listings (latitude, longitude);
+
+-- Listings within radius_km of (lat, lng), nearest first. Distances are rounded
+-- to 6 decimals to match utils/geo.js, and after_distance/after_id continue a
+-- keyset page when sorting by distance.
+create or replace function public.listings_nearby(
+  lat double precision,
+  lng double precision,
+  radius_km double precision,
+  after_distance double precision default null,
+  after_id uuid default null,
+  ascending boolean default true
+)
+returns setof public.listings
+language sql
+stable
+as $$
+  select l.*
+  from public.listings l
+  cross join lateral (
+    select round((2 * 6371 * asin(sqrt(
+      power(sin(radians(l.latitude - lat) / 2), 2) +
+      cos(radians(lat)) * cos(radians(l.latitude)) * power(sin(radians(l.longitude - lng) / 2), 2)
+    )))::numeric, 6)::double precision as km
+  ) d
+  where l.latitude between lat - radius_km / 111.0 and lat + radius_km / 111.0
+    and l.longitude is not null
+    and d.km <= radius_km
+    and (
+      after_distance is null
+      or (ascending and (d.km, l.id) > (after_distance, after_id))
+      or (not ascending and (d.km, l.id) < (after_distance, after_id))
+    )
+  order by
+    case when ascending then d.km end asc,
+    case when ascending then l.id end asc,
+    case when not ascending then d.km end desc,
+    case when not ascending then l.id end desc;
+$$;
@@ -0,0 +1,39 @@
+-- Saved searches: a named query plus the filters object accepted by
+-- POST /api/listings/search, and how the owner wants to hear about matches.
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  query text not null default '',
+  filters jsonb not null default '{}'::jsonb,
+  alerts text not null default 'instant' check (alerts in ('instant', 'daily', 'none')),
+  channels text[] not null default array['in_app'],
+  last_digest_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists saved_searches_user_id_created_at_idx
+  on public.saved_searches (user_id, created_at desc, id desc);
+
+-- Listings that started matching a saved search, recorded by
+-- services/savedSearchAlerts.js when a listing is created or updated.
+create table if not exists public.saved_search_matches (
+  id uuid primary key default gen_random_uuid(),
+  saved_search_id uuid not null references public.saved_searches (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  reason text not null check (reason in ('new', 'price_drop')),
+  price integer not null,
+  previous_price integer,
+  notified_at timestamptz,
+  seen_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (saved_search_id, listing_id, reason, price)
+);
+
+create index if not exists saved_search_matches_user_unseen_idx
+  on public.saved_search_matches (user_id, created_at desc) where seen_at is null;
+
+create index if not exists saved_search_matches_unnotified_idx
+  on public.saved_search_matches (created_at) where notified_at is null;
@@ -0,0 +1,44 @@
+-- Structured listing images (see services/listingImages.js). images becomes a
+-- jsonb array of { hash, width, height, placeholder, sizes } objects with the
+-- cover first, replacing image_url plus a list of URLs.
+alter table public.listings
+  alter column images drop default,
+  alter column images type jsonb using coalesce(to_jsonb(images), '[]'::jsonb),
+  alter column images set default '[]'::jsonb;
+
+-- Photos uploaded before the pipeline have a single original file and no
+-- metadata, so every size points at it
+create or replace function pg_temp.legacy_image(url text)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'hash', null,
+    'width', null,
+    'height', null,
+    'placeholder', null,
+    'sizes', jsonb_build_object(
+      'thumbnail', jsonb_build_object('width', null, 'height', null, 'webp', null, 'jpeg', url),
+      'card', jsonb_build_object('width', null, 'height', null, 'webp', null, 'jpeg', url),
+      'full', jsonb_build_object('width', null, 'height', null, 'webp', null, 'jpeg', url)
+    )
+  );
+$$;
+
+update public.listings l
+set images = (
+  select coalesce(jsonb_agg(pg_temp.legacy_image(u.url) order by u.position), '[]'::jsonb)
+  from (
+    select l.image_url as url, 0 as position where l.image_url is not null
+    union all
+    select e.value #>> '{}', e.ordinality
+    from jsonb_array_elements(l.images) with ordinality e(value, ordinality)
+    where jsonb_typeof(e.value) = 'string'
+  ) u
+);
+
+alter table public.listings drop column if exists image_url;
+
+-- Lookups by content hash for de-duplication
+create index if not exists listings_images_idx on public.listings using gin (images jsonb_path_ops);
@@ -0,0 +1,60 @@
+-- House viewings (see services/viewings.js). Overlaps are refused by exclusion
+-- constraints, which the API reports as 409 when it sees error 23P01.
+create extension if not exists btree_gist;
+
+-- Times a landlord or caretaker offers for viewing a listing
+create table if not exists public.viewing_slots (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  created_by uuid not null references auth.users (id),
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null default 'open' check (status in ('open', 'cancelled')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  -- The person showing the house cannot offer two overlapping slots
+  constraint viewing_slots_no_overlap exclude using gist (
+    landlord_id with =,
+    tstzrange(starts_at, ends_at) with &&
+  ) where (status = 'open')
+);
+
+create index if not exists viewing_slots_listing_id_starts_at_idx
+  on public.viewing_slots (listing_id, starts_at);
+
+-- Booked or requested viewings. starts_at/ends_at are copied from the slot so
+-- a viewing can also be at a time proposed by either side.
+create table if not exists public.viewings (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  slot_id uuid references public.viewing_slots (id) on delete set null,
+  tenant_id uuid not null references auth.users (id) on delete cascade,
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null check (status in ('requested', 'confirmed', 'cancelled')),
+  proposed_by uuid not null references auth.users (id),
+  note text,
+  cancelled_by uuid references auth.users (id),
+  cancel_reason text,
+  -- Bumped on every reschedule or cancellation so calendar apps pick up changes
+  sequence integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  -- No double-booking on either side
+  constraint viewings_landlord_no_overlap exclude using gist (
+    landlord_id with =,
+    tstzrange(starts_at, ends_at) with &&
+  ) where (status in ('requested', 'confirmed')),
+  constraint viewings_tenant_no_overlap exclude using gist (
+    tenant_id with =,
+    tstzrange(starts_at, ends_at) with &&
+  ) where (status in ('requested', 'confirmed'))
+);
+
+create index if not exists viewings_tenant_id_starts_at_idx on public.viewings (tenant_id, starts_at);
+create index if not exists viewings_landlord_id_starts_at_idx on public.viewings (landlord_id, starts_at);
+create index if not exists viewings_slot_id_idx on public.viewings (slot_id);
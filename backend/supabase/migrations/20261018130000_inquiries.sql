@@ -0,0 +1,84 @@
+-- Listing inquiries: one thread per tenant and listing, with messages between
+-- the tenant and the landlord (see routes/inquiries.js)
+
+-- Landlords can keep their phone and email off GET /api/listings/:id until
+-- they have replied to the caller's inquiry
+alter table public.listings
+  add column if not exists hide_contact boolean not null default false;
+
+create table if not exists public.inquiry_threads (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  tenant_id uuid not null references auth.users (id) on delete cascade,
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  last_message_at timestamptz,
+  last_message_preview text,
+  -- Each side has read up to the message created at *_last_read_at; the other
+  -- side's messages up to then show as read
+  tenant_last_read_at timestamptz,
+  landlord_last_read_at timestamptz,
+  tenant_unread_count integer not null default 0,
+  landlord_unread_count integer not null default 0,
+  tenant_archived boolean not null default false,
+  landlord_archived boolean not null default false,
+  landlord_replied_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (listing_id, tenant_id)
+);
+
+create index if not exists inquiry_threads_tenant_id_last_message_at_idx
+  on public.inquiry_threads (tenant_id, last_message_at desc);
+create index if not exists inquiry_threads_landlord_id_last_message_at_idx
+  on public.inquiry_threads (landlord_id, last_message_at desc);
+
+-- attachments: [{ id, path, name, content_type, size }], with path inside the
+-- private inquiry-attachments bucket
+create table if not exists public.inquiry_messages (
+  id uuid primary key default gen_random_uuid(),
+  thread_id uuid not null references public.inquiry_threads (id) on delete cascade,
+  sender_id uuid not null references auth.users (id) on delete cascade,
+  body text not null default '',
+  attachments jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists inquiry_messages_thread_id_created_at_idx
+  on public.inquiry_messages (thread_id, created_at desc);
+
+-- Keep the thread's summary and counters in step with its messages: the sender
+-- has read up to their message, the recipient gets an unread message and the
+-- thread back from their archive, and the landlord's first reply is recorded
+create or replace function public.inquiry_messages_after_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.inquiry_threads t set
+    last_message_at = new.created_at,
+    last_message_preview = left(new.body, 140),
+    updated_at = new.created_at,
+    tenant_last_read_at = case when new.sender_id = t.tenant_id then new.created_at else t.tenant_last_read_at end,
+    landlord_last_read_at = case when new.sender_id = t.landlord_id then new.created_at else t.landlord_last_read_at end,
+    tenant_unread_count = case when new.sender_id = t.landlord_id then t.tenant_unread_count + 1 else 0 end,
+    landlord_unread_count = case when new.sender_id = t.landlord_id then 0 else t.landlord_unread_count + 1 end,
+    tenant_archived = case when new.sender_id = t.landlord_id then false else t.tenant_archived end,
+    landlord_archived = case when new.sender_id = t.landlord_id then t.landlord_archived else false end,
+    landlord_replied_at = case
+      when new.sender_id = t.landlord_id then coalesce(t.landlord_replied_at, new.created_at)
+      else t.landlord_replied_at
+    end
+  where t.id = new.thread_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists inquiry_messages_after_insert on public.inquiry_messages;
+create trigger inquiry_messages_after_insert
+  after insert on public.inquiry_messages
+  for each row execute function public.inquiry_messages_after_insert();
+
+insert into storage.buckets (id, name, public)
+values ('inquiry-attachments', 'inquiry-attachments', false)
+on conflict (id) do nothing;
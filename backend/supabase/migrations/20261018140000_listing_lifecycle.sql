@@ -0,0 +1,78 @@
+-- Listing lifecycle and moderation (see services/listingStatus.js):
+-- draft -> pending_review -> published -> rented | archived, plus rejected.
+alter table public.listings
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'pending_review', 'published', 'rented', 'archived', 'rejected')),
+  add column if not exists submitted_at timestamptz,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists reviewed_by uuid references auth.users (id) on delete set null,
+  add column if not exists rejection_reason text;
+
+-- Listings that were live stay live; hidden ones become drafts
+update public.listings
+set status = case when is_available then 'published' else 'draft' end,
+    submitted_at = case when is_available then created_at end
+where status = 'draft' and submitted_at is null;
+
+-- is_available is kept for older clients and follows status
+create or replace function public.listings_sync_is_available()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.is_available := new.status = 'published';
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_sync_is_available on public.listings;
+create trigger listings_sync_is_available
+  before insert or update of status, is_available on public.listings
+  for each row execute function public.listings_sync_is_available();
+
+create index if not exists listings_status_updated_at_idx on public.listings (status, updated_at desc);
+create index if not exists listings_pending_review_idx
+  on public.listings (submitted_at) where status = 'pending_review';
+
+-- Admins moderate listings. The role is granted with the service key only; a
+-- user cannot make themselves an admin by editing their own profile.
+create or replace function public.profiles_protect_admin()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.user_type = 'admin'
+    and (tg_op = 'INSERT' or old.user_type is distinct from 'admin')
+    and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'user_type admin can only be granted by the service role'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_admin on public.profiles;
+create trigger profiles_protect_admin
+  before insert or update of user_type on public.profiles
+  for each row execute function public.profiles_protect_admin();
+
+-- User reports of scams, duplicates and listings that are already let
+create table if not exists public.listing_reports (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  reporter_id uuid not null references auth.users (id) on delete cascade,
+  reason text not null check (reason in ('scam', 'duplicate', 'already_let')),
+  details text,
+  status text not null default 'open' check (status in ('open', 'dismissed', 'upheld')),
+  resolved_by uuid references auth.users (id) on delete set null,
+  resolved_at timestamptz,
+  resolution_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One open report per user and listing
+create unique index if not exists listing_reports_open_idx
+  on public.listing_reports (listing_id, reporter_id) where status = 'open';
+create index if not exists listing_reports_status_created_at_idx
+  on public.listing_reports (status, created_at);
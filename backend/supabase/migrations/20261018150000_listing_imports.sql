@@ -0,0 +1,27 @@
+-- Bulk listing imports from CSV/XLSX (see routes/listingImports.js). Each
+-- committed import is a job that the API applies in the background, recording
+-- its progress here.
+
+create table if not exists public.listing_imports (
+  id uuid primary key default gen_random_uuid(),
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  format text not null check (format in ('csv', 'xlsx')),
+  file_name text,
+  status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed')),
+  total_rows integer not null default 0,
+  processed_rows integer not null default 0,
+  created_count integer not null default 0,
+  updated_count integer not null default 0,
+  failed_count integer not null default 0,
+  -- Rows that could not be applied: [{ row, code, message }]
+  errors jsonb not null default '[]'::jsonb,
+  listing_ids jsonb not null default '[]'::jsonb,
+  error text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists listing_imports_landlord_id_created_at_idx
+  on public.listing_imports (landlord_id, created_at desc);
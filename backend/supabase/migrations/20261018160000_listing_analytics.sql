@@ -0,0 +1,64 @@
+-- Per-listing analytics for landlords (see services/listingAnalytics.js).
+-- listing_events holds one row per listing, event type, viewer and day, so a
+-- viewer counts once a day however often they look; each new row adds one to
+-- that day's counter in listing_stats_daily, which is what the analytics
+-- endpoint reads. Events older than a couple of days are only kept for the
+-- record and can be deleted.
+
+create table if not exists public.listing_events (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  event_type text not null check (event_type in ('view', 'impression', 'favorite_add', 'favorite_remove', 'contact')),
+  -- user:<id> for signed-in viewers, anon:<hash of IP and user agent> otherwise
+  viewer_key text not null,
+  day date not null,
+  created_at timestamptz not null default now(),
+  unique (listing_id, event_type, viewer_key, day)
+);
+
+create index if not exists listing_events_created_at_idx on public.listing_events (created_at);
+
+create table if not exists public.listing_stats_daily (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  day date not null,
+  views integer not null default 0,
+  impressions integer not null default 0,
+  favorites_added integer not null default 0,
+  favorites_removed integer not null default 0,
+  contacts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (listing_id, day)
+);
+
+create or replace function public.listing_events_after_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into public.listing_stats_daily as s (listing_id, day, views, impressions, favorites_added, favorites_removed, contacts)
+  values (
+    new.listing_id,
+    new.day,
+    (new.event_type = 'view')::int,
+    (new.event_type = 'impression')::int,
+    (new.event_type = 'favorite_add')::int,
+    (new.event_type = 'favorite_remove')::int,
+    (new.event_type = 'contact')::int
+  )
+  on conflict (listing_id, day) do update set
+    views = s.views + excluded.views,
+    impressions = s.impressions + excluded.impressions,
+    favorites_added = s.favorites_added + excluded.favorites_added,
+    favorites_removed = s.favorites_removed + excluded.favorites_removed,
+    contacts = s.contacts + excluded.contacts,
+    updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists listing_events_after_insert on public.listing_events;
+create trigger listing_events_after_insert
+  after insert on public.listing_events
+  for each row execute function public.listing_events_after_insert();
@@ -0,0 +1,35 @@
+-- Caretaker delegation (see services/delegations.js). A landlord invites a
+-- caretaker to manage one listing (listing_id) or every listing they own
+-- (listing_id null) with some of these permissions: edit the listing, change
+-- its availability (submit, withdraw, mark rented, archive) and manage its
+-- viewings. Deleting a listing stays with its owner.
+--
+--   pending -> active -> revoked
+--           -> declined
+--           -> revoked
+
+create table if not exists public.listing_delegations (
+  id uuid primary key default gen_random_uuid(),
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  caretaker_id uuid not null references auth.users (id) on delete cascade,
+  listing_id uuid references public.listings (id) on delete cascade,
+  permissions text[] not null check (
+    cardinality(permissions) > 0 and permissions <@ array['edit', 'availability', 'viewings']
+  ),
+  status text not null default 'pending' check (status in ('pending', 'active', 'declined', 'revoked')),
+  responded_at timestamptz,
+  revoked_at timestamptz,
+  revoked_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (landlord_id <> caretaker_id)
+);
+
+-- One current invitation or delegation per caretaker and listing (or portfolio)
+create unique index if not exists listing_delegations_current_idx
+  on public.listing_delegations (landlord_id, caretaker_id, listing_id) nulls not distinct
+  where status in ('pending', 'active');
+create index if not exists listing_delegations_caretaker_id_status_idx
+  on public.listing_delegations (caretaker_id, status);
+create index if not exists listing_delegations_landlord_id_created_at_idx
+  on public.listing_delegations (landlord_id, created_at desc);
@@ -0,0 +1,122 @@
+-- Rent price history and market statistics (see services/marketRents.js).
+-- Every price a listing asks is recorded in listing_price_history, whatever
+-- changed it (the API, an import, the dashboard). The listing keeps its last
+-- change: previous_price, price_changed_at and price_dropped.
+alter table public.listings
+  add column if not exists previous_price integer,
+  add column if not exists price_changed_at timestamptz,
+  add column if not exists price_dropped boolean not null default false;
+
+create table if not exists public.listing_price_history (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  price integer not null,
+  -- Null for the price a listing was created with
+  previous_price integer,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists listing_price_history_listing_id_recorded_at_idx
+  on public.listing_price_history (listing_id, recorded_at);
+
+create or replace function public.listings_before_price_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.price is distinct from old.price then
+    new.previous_price := old.price;
+    new.price_changed_at := now();
+    new.price_dropped := new.price < old.price;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_before_price_change on public.listings;
+create trigger listings_before_price_change
+  before update of price on public.listings
+  for each row execute function public.listings_before_price_change();
+
+create or replace function public.listings_record_price()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' or new.price is distinct from old.price then
+    insert into public.listing_price_history (listing_id, price, previous_price)
+    values (new.id, new.price, case when tg_op = 'UPDATE' then old.price end);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_record_price on public.listings;
+create trigger listings_record_price
+  after insert or update of price on public.listings
+  for each row execute function public.listings_record_price();
+
+-- Existing listings start their history at the price they ask now
+insert into public.listing_price_history (listing_id, price, recorded_at)
+select l.id, l.price, l.created_at
+from public.listings l
+where not exists (select 1 from public.listing_price_history h where h.listing_id = l.id);
+
+-- Asking rents per period ('week' or 'month') from p_from to p_to, for listings
+-- matching the filters (null matches anything; county and estate ignore case).
+-- A published listing counts in every period since it was created; a rented
+-- one until it was last updated. Its rent in a period is the last price it
+-- asked before the period ended.
+create or replace function public.listing_rent_stats(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_period text default 'month',
+  p_county text default null,
+  p_estate text default null,
+  p_property_type text default null,
+  p_bedrooms integer default null
+)
+returns table (
+  period_start timestamptz,
+  listings integer,
+  p25 double precision,
+  median double precision,
+  p75 double precision,
+  average double precision
+)
+language sql
+stable
+as $$
+  with periods as (
+    select s as period_start, s + ('1 ' || p_period)::interval as period_end
+    from generate_series(date_trunc(p_period, p_from), date_trunc(p_period, p_to), ('1 ' || p_period)::interval) s
+  ),
+  asks as (
+    select p.period_start, (
+      select h.price
+      from public.listing_price_history h
+      where h.listing_id = l.id and h.recorded_at < p.period_end
+      order by h.recorded_at desc
+      limit 1
+    ) as price
+    from periods p
+    join public.listings l
+      on l.created_at < p.period_end
+      and (l.status = 'published' or (l.status = 'rented' and l.updated_at >= p.period_start))
+    where (p_county is null or lower(l.county) = lower(p_county))
+      and (p_estate is null or lower(l.estate) = lower(p_estate))
+      and (p_property_type is null or l.property_type = p_property_type)
+      and (p_bedrooms is null or l.bedrooms = p_bedrooms)
+  )
+  select
+    p.period_start,
+    count(a.price)::integer,
+    percentile_cont(0.25) within group (order by a.price),
+    percentile_cont(0.5) within group (order by a.price),
+    percentile_cont(0.75) within group (order by a.price),
+    avg(a.price)::double precision
+  from periods p
+  left join asks a on a.period_start = p.period_start
+  group by p.period_start
+  order by p.period_start;
+$$;
@@ -0,0 +1,47 @@
+-- Soft delete and an audit trail for listings (see services/listingStatus.js,
+-- services/listingPurge.js and services/listingAudit.js). Deleting a listing
+-- marks it deleted; its owner can restore it for LISTING_RESTORE_DAYS, after
+-- which the API purges the row and its images.
+alter table public.listings drop constraint if exists listings_status_check;
+alter table public.listings
+  add constraint listings_status_check
+    check (status in ('draft', 'pending_review', 'published', 'rented', 'archived', 'rejected', 'deleted')),
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null,
+  add column if not exists status_before_delete text;
+
+create index if not exists listings_deleted_at_idx
+  on public.listings (deleted_at) where status = 'deleted';
+
+-- One row per create, update, status change, delete, restore and purge, with
+-- { field: { from, to } } for what changed. No foreign keys, so entries
+-- outlive purged listings and deleted accounts without being rewritten.
+create table if not exists public.listing_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null,
+  landlord_id uuid not null,
+  -- Null for changes the system makes (purges)
+  actor_id uuid,
+  action text not null check (action in (
+    'create', 'update', 'submit', 'withdraw', 'mark-rented', 'archive', 'approve', 'reject', 'delete', 'restore', 'purge'
+  )),
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists listing_audit_log_listing_id_created_at_idx
+  on public.listing_audit_log (listing_id, created_at desc);
+
+create or replace function public.listing_audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'listing_audit_log is append-only' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists listing_audit_log_append_only on public.listing_audit_log;
+create trigger listing_audit_log_append_only
+  before update or delete on public.listing_audit_log
+  for each row execute function public.listing_audit_log_append_only();
@@ -0,0 +1,189 @@
+-- Outbound webhooks (see services/webhooks.js). Landlords register endpoints
+-- for events on their own listings, admins for every listing.
+--
+-- Events are written to webhook_outbox by triggers, in the same transaction as
+-- the change they describe, so none is lost if the API dies before sending.
+-- The API fans each outbox event out to one webhook_deliveries row per
+-- subscribed endpoint and sends those, retrying failures with backoff.
+create table if not exists public.webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references auth.users (id) on delete cascade,
+  url text not null,
+  description text,
+  events text[] not null check (
+    cardinality(events) > 0
+    and events <@ array['listing.created', 'listing.updated', 'listing.availability_changed', 'listing.deleted', 'favorite.added']
+  ),
+  -- HMAC-SHA256 key for the X-Webhook-Signature header
+  secret text not null,
+  -- Admin endpoints receive events for every listing
+  all_listings boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_owner_id_created_at_idx
+  on public.webhook_endpoints (owner_id, created_at desc);
+
+create table if not exists public.webhook_outbox (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  listing_id uuid not null,
+  landlord_id uuid not null,
+  payload jsonb not null,
+  -- Set once the event has deliveries for every subscribed endpoint
+  dispatched_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_outbox_pending_idx
+  on public.webhook_outbox (created_at) where dispatched_at is null;
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references public.webhook_endpoints (id) on delete cascade,
+  event_id uuid not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  delivered_at timestamptz,
+  response_status integer,
+  response_body text,
+  error text,
+  -- The delivery this one re-sends, for manual replays
+  replay_of uuid references public.webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One delivery per endpoint and event, however often the outbox is fanned out
+create unique index if not exists webhook_deliveries_endpoint_id_event_id_idx
+  on public.webhook_deliveries (endpoint_id, event_id) where replay_of is null;
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_endpoint_id_created_at_idx
+  on public.webhook_deliveries (endpoint_id, created_at desc);
+
+-- What webhook consumers see of a listing
+create or replace function public.webhook_listing_payload(l public.listings)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'id', l.id,
+    'landlord_id', l.landlord_id,
+    'status', l.status,
+    'title', l.title,
+    'price', l.price,
+    'property_type', l.property_type,
+    'bedrooms', l.bedrooms,
+    'bathrooms', l.bathrooms,
+    'location', l.location,
+    'county', l.county,
+    'estate', l.estate,
+    'created_at', l.created_at,
+    'updated_at', l.updated_at
+  );
+$$;
+
+-- listing.created on insert; listing.deleted when a listing is soft deleted,
+-- or removed without being soft deleted first; listing.availability_changed
+-- for any other status change; listing.updated for other changes
+create or replace function public.listings_webhook_outbox()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_event text;
+  v_row public.listings;
+  v_payload jsonb;
+begin
+  if tg_op = 'INSERT' then
+    v_event := 'listing.created';
+  elsif tg_op = 'DELETE' then
+    if old.status = 'deleted' then
+      return old;
+    end if;
+    v_event := 'listing.deleted';
+  elsif new.status = 'deleted' and old.status <> 'deleted' then
+    v_event := 'listing.deleted';
+  elsif new.status is distinct from old.status then
+    v_event := 'listing.availability_changed';
+  elsif (to_jsonb(new) - 'updated_at') is distinct from (to_jsonb(old) - 'updated_at') then
+    v_event := 'listing.updated';
+  else
+    return new;
+  end if;
+
+  v_row := case when tg_op = 'DELETE' then old else new end;
+  v_payload := public.webhook_listing_payload(v_row);
+  if v_event = 'listing.availability_changed' then
+    v_payload := v_payload || jsonb_build_object('previous_status', old.status);
+  end if;
+
+  insert into public.webhook_outbox (event_type, listing_id, landlord_id, payload)
+  values (v_event, v_row.id, v_row.landlord_id, v_payload);
+  return v_row;
+end;
+$$;
+
+drop trigger if exists listings_webhook_outbox on public.listings;
+create trigger listings_webhook_outbox
+  after insert or update or delete on public.listings
+  for each row execute function public.listings_webhook_outbox();
+
+-- favorite.added goes to the listing's landlord; who favorited it is left out
+create or replace function public.favorites_webhook_outbox()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_listing public.listings;
+begin
+  select * into v_listing from public.listings where id = new.listing_id;
+  if found then
+    insert into public.webhook_outbox (event_type, listing_id, landlord_id, payload)
+    values (
+      'favorite.added',
+      v_listing.id,
+      v_listing.landlord_id,
+      jsonb_build_object('favorite_id', new.id, 'created_at', new.created_at, 'listing', public.webhook_listing_payload(v_listing))
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists favorites_webhook_outbox on public.favorites;
+create trigger favorites_webhook_outbox
+  after insert on public.favorites
+  for each row execute function public.favorites_webhook_outbox();
+
+-- Take up to p_limit pending deliveries that are due, moving their
+-- next_attempt_at p_lease_seconds ahead so another API instance does not send
+-- them at the same time. A delivery whose sender dies is retried after the lease.
+create or replace function public.claim_webhook_deliveries(
+  p_limit integer,
+  p_lease_seconds integer,
+  p_now timestamptz default now()
+)
+returns setof public.webhook_deliveries
+language sql
+as $$
+  update public.webhook_deliveries d
+  set next_attempt_at = p_now + make_interval(secs => p_lease_seconds)
+  where d.id in (
+    select id
+    from public.webhook_deliveries
+    where status = 'pending' and next_attempt_at <= p_now
+    order by next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning d.*;
+$$;
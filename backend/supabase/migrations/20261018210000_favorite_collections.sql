@@ -0,0 +1,24 @@
+-- Favorite collections: named shortlists of a user's favorites (e.g.
+-- "Kilimani 2BR options"), each optionally shared read-only through an
+-- unguessable token. A favorite belongs to at most one collection and carries
+-- a private note.
+create table if not exists public.favorite_collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  description text,
+  share_token text unique,
+  shared_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists favorite_collections_user_id_name_idx
+  on public.favorite_collections (user_id, lower(name));
+
+alter table public.favorites
+  add column if not exists note text,
+  add column if not exists collection_id uuid references public.favorite_collections (id) on delete set null;
+
+create index if not exists favorites_collection_id_idx
+  on public.favorites (collection_id, created_at desc, id desc) where collection_id is not null;
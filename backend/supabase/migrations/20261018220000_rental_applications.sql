@@ -0,0 +1,51 @@
+-- Rental applications (see services/applications.js). A tenant applies for a
+-- published listing with a move-in date, occupants, employment details and
+-- documents; the landlord, or a caretaker with the applications permission,
+-- shortlists, accepts or declines it. The tenant can withdraw it while open.
+--
+--   submitted -> shortlisted -> accepted | declined | withdrawn
+--             -> accepted | declined | withdrawn
+
+alter table public.listing_delegations
+  drop constraint if exists listing_delegations_permissions_check;
+alter table public.listing_delegations
+  add constraint listing_delegations_permissions_check check (
+    cardinality(permissions) > 0 and permissions <@ array['edit', 'availability', 'viewings', 'applications']
+  );
+
+-- documents: [{ id, path, kind, name, content_type, size }], with path inside
+-- the private application-documents bucket
+create table if not exists public.rental_applications (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  tenant_id uuid not null references auth.users (id) on delete cascade,
+  landlord_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'submitted'
+    check (status in ('submitted', 'shortlisted', 'accepted', 'declined', 'withdrawn')),
+  move_in_date date not null,
+  occupants integer not null check (occupants between 1 and 20),
+  employment_status text not null
+    check (employment_status in ('employed', 'self_employed', 'student', 'unemployed', 'retired')),
+  employer text,
+  job_title text,
+  monthly_income integer check (monthly_income >= 0),
+  message text,
+  documents jsonb not null default '[]'::jsonb,
+  decision_reason text,
+  decided_by uuid references auth.users (id) on delete set null,
+  decided_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One open application per tenant and listing
+create unique index if not exists rental_applications_open_idx
+  on public.rental_applications (listing_id, tenant_id) where status in ('submitted', 'shortlisted');
+create index if not exists rental_applications_listing_id_created_at_idx
+  on public.rental_applications (listing_id, created_at desc);
+create index if not exists rental_applications_tenant_id_created_at_idx
+  on public.rental_applications (tenant_id, created_at desc);
+
+insert into storage.buckets (id, name, public)
+values ('application-documents', 'application-documents', false)
+on conflict (id) do nothing;
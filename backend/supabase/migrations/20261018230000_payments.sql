@@ -0,0 +1,167 @@
+-- M-Pesa payments (see services/payments.js). Landlords pay to feature a
+-- listing, which then comes first in browse and search until featured_until;
+-- tenants can pay a refundable deposit on a viewing. Payments are taken with
+-- an STK push (Lipa na M-Pesa Online) and refunded with a B2C payment.
+--
+--   pending -> completed | failed
+--   completed -> refund_pending -> refunded | refund_failed   (deposits)
+--   completed -> forfeited                                    (deposits)
+
+-- Featured listings sort first. featured is cleared by the API once
+-- featured_until has passed (expireFeaturedListings), so it can lead the
+-- keyset order.
+alter table public.listings
+  add column if not exists featured boolean not null default false,
+  add column if not exists featured_until timestamptz;
+
+create index if not exists listings_featured_until_idx
+  on public.listings (featured_until) where featured;
+
+alter table public.listing_audit_log
+  drop constraint if exists listing_audit_log_action_check;
+alter table public.listing_audit_log
+  add constraint listing_audit_log_action_check check (action in (
+    'create', 'update', 'submit', 'withdraw', 'mark-rented', 'archive', 'approve', 'reject', 'delete', 'restore', 'purge',
+    'feature'
+  ));
+
+-- listings_nearby() gains featured_order ('asc' or 'desc') to order by
+-- featured before distance, and after_featured to continue such a page
+drop function if exists public.listings_nearby(double precision, double precision, double precision, double precision, uuid, boolean);
+
+create or replace function public.listings_nearby(
+  lat double precision,
+  lng double precision,
+  radius_km double precision,
+  after_distance double precision default null,
+  after_id uuid default null,
+  ascending boolean default true,
+  featured_order text default null,
+  after_featured boolean default null
+)
+returns setof public.listings
+language sql
+stable
+as $$
+  select l.*
+  from public.listings l
+  cross join lateral (
+    select round((2 * 6371 * asin(sqrt(
+      power(sin(radians(l.latitude - lat) / 2), 2) +
+      cos(radians(lat)) * cos(radians(l.latitude)) * power(sin(radians(l.longitude - lng) / 2), 2)
+    )))::numeric, 6)::double precision as km
+  ) d
+  where l.latitude between lat - radius_km / 111.0 and lat + radius_km / 111.0
+    and l.longitude is not null
+    and d.km <= radius_km
+    and (
+      after_distance is null
+      or (featured_order = 'desc' and l.featured < after_featured)
+      or (featured_order = 'asc' and l.featured > after_featured)
+      or (
+        (featured_order is null or l.featured = after_featured)
+        and (
+          (ascending and (d.km, l.id) > (after_distance, after_id))
+          or (not ascending and (d.km, l.id) < (after_distance, after_id))
+        )
+      )
+    )
+  order by
+    case when featured_order = 'asc' then l.featured end asc,
+    case when featured_order = 'desc' then l.featured end desc,
+    case when ascending then d.km end asc,
+    case when ascending then l.id end asc,
+    case when not ascending then d.km end desc,
+    case when not ascending then l.id end desc;
+$$;
+
+-- Amounts are whole Kenya shillings, as M-Pesa takes them. phone is the
+-- 2547XXXXXXXX number the STK push went to and refunds go back to.
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete restrict,
+  purpose text not null check (purpose in ('featured_listing', 'viewing_deposit')),
+  listing_id uuid references public.listings (id) on delete set null,
+  viewing_id uuid references public.viewings (id) on delete set null,
+  -- The listing's landlord, so caretakers see deposits like they see viewings
+  landlord_id uuid references auth.users (id) on delete set null,
+  -- Featured listings: the plan bought and the featured_until it gave
+  plan text,
+  featured_until timestamptz,
+  amount integer not null check (amount > 0),
+  currency text not null default 'KES',
+  phone text not null,
+  status text not null default 'pending' check (status in (
+    'pending', 'completed', 'failed', 'refund_pending', 'refunded', 'refund_failed', 'forfeited'
+  )),
+  -- From the client's Idempotency-Key header, with a hash of the request it
+  -- came with so a reused key with a different request is refused
+  idempotency_key text not null,
+  request_hash text not null,
+  merchant_request_id text,
+  checkout_request_id text unique,
+  mpesa_receipt text unique,
+  result_code integer,
+  result_desc text,
+  paid_at timestamptz,
+  -- Deposits: refunded once the viewing is cancelled, or after refund_due_at
+  -- unless the landlord has forfeited it for a no-show
+  refund_due_at timestamptz,
+  refund_conversation_id text unique,
+  refund_receipt text unique,
+  refund_desc text,
+  refunded_at timestamptz,
+  forfeited_by uuid references auth.users (id) on delete set null,
+  forfeited_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists payments_user_id_idempotency_key_idx
+  on public.payments (user_id, idempotency_key);
+create index if not exists payments_user_id_created_at_idx
+  on public.payments (user_id, created_at desc);
+create index if not exists payments_landlord_id_created_at_idx
+  on public.payments (landlord_id, created_at desc);
+-- Reconciliation looks for payments still waiting on M-Pesa
+create index if not exists payments_pending_idx
+  on public.payments (created_at) where status = 'pending';
+create index if not exists payments_refund_due_idx
+  on public.payments (refund_due_at) where status = 'completed' and purpose = 'viewing_deposit';
+-- One STK push in flight per listing, and one deposit per viewing
+create unique index if not exists payments_featured_pending_idx
+  on public.payments (listing_id) where purpose = 'featured_listing' and status = 'pending';
+create unique index if not exists payments_viewing_deposit_idx
+  on public.payments (viewing_id) where purpose = 'viewing_deposit' and status <> 'failed';
+
+-- Money that has moved: a charge for every completed payment and a refund for
+-- every refunded one, with the M-Pesa receipt. Append-only.
+create table if not exists public.payment_ledger (
+  id uuid primary key default gen_random_uuid(),
+  payment_id uuid not null references public.payments (id) on delete restrict,
+  user_id uuid not null,
+  purpose text not null,
+  entry text not null check (entry in ('charge', 'refund')),
+  amount integer not null check (amount > 0),
+  currency text not null default 'KES',
+  mpesa_receipt text,
+  created_at timestamptz not null default now(),
+  unique (payment_id, entry)
+);
+
+create index if not exists payment_ledger_created_at_idx
+  on public.payment_ledger (created_at desc);
+
+create or replace function public.payment_ledger_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'payment_ledger is append-only' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists payment_ledger_append_only on public.payment_ledger;
+create trigger payment_ledger_append_only
+  before update or delete on public.payment_ledger
+  for each row execute function public.payment_ledger_append_only();
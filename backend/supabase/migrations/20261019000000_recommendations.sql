@@ -0,0 +1,29 @@
+-- Personalized recommendations: the searches of signed-in users, which with
+-- their favorites and saved searches make up their taste, and the listings
+-- they have dismissed from their feed.
+create table if not exists public.search_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  query text,
+  filters jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists search_history_user_id_created_at_idx
+  on public.search_history (user_id, created_at desc, id desc);
+-- Searches older than 90 days are pruned
+create index if not exists search_history_created_at_idx
+  on public.search_history (created_at);
+
+create table if not exists public.listing_dismissals (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, listing_id)
+);
+
+create index if not exists listing_dismissals_user_id_created_at_idx
+  on public.listing_dismissals (user_id, created_at desc, id desc);
@@ -0,0 +1,388 @@
+-- Full-text search for POST /api/listings/search, run in the database rather
+-- than over a capped candidate set in the app. Listing text is tokenized the
+-- way utils/textSearch.js tokenizes queries (lowercased, accents and
+-- apostrophes stripped, phrases and Swahili/English variants folded to one
+-- token) and kept, weighted by field, in listings.search_vector. Every query
+-- term must match: exactly, as a prefix if it is the last term, or within one
+-- typo (two for long terms) of a word some listing uses, found through the
+-- trigram index on listing_search_words.
+create extension if not exists unaccent;
+create extension if not exists pg_trgm;
+create extension if not exists fuzzystrmatch;
+
+-- VARIANTS in utils/textSearch.js; keep the two in step
+create table if not exists public.listing_search_synonyms (
+  variant text primary key,
+  canonical text not null
+);
+
+insert into public.listing_search_synonyms (variant, canonical) values
+  ('nyumba', 'house'), ('houses', 'house'), ('chumba', 'room'), ('vyumba', 'room'), ('rooms', 'room'),
+  ('bedsit', 'bedsitter'), ('bedsitters', 'bedsitter'), ('singleroom', 'single_room'),
+  ('apartments', 'apartment'), ('apt', 'apartment'), ('flat', 'apartment'), ('flats', 'apartment'),
+  ('bungalows', 'bungalow'), ('maisonettes', 'maisonette'), ('mansionette', 'maisonette'),
+  ('townhouses', 'townhouse'), ('studios', 'studio'), ('maji', 'water'), ('umeme', 'electricity'),
+  ('stima', 'electricity'), ('usalama', 'security'), ('ulinzi', 'security'), ('mlinzi', 'security'),
+  ('askari', 'security'), ('pool', 'swimming_pool'), ('lifti', 'lift'), ('generator', 'backup_generator'),
+  ('jenereta', 'backup_generator'), ('internet', 'wifi'), ('nbi', 'nairobi'), ('nrb', 'nairobi'),
+  ('msa', 'mombasa'), ('ksm', 'kisumu'), ('nku', 'nakuru'), ('westie', 'westlands'), ('kile', 'kileleshwa'),
+  ('lavi', 'lavington'), ('lang', 'langata'), ('kitengala', 'kitengela'), ('rongae', 'rongai'),
+  ('githurai45', 'githurai'), ('taveta', 'taitataveta'), ('taita', 'taitataveta')
+on conflict (variant) do update set canonical = excluded.canonical;
+
+-- Read only by the database functions below
+alter table public.listing_search_synonyms enable row level security;
+
+-- PHRASES in utils/textSearch.js
+create or replace function public.listing_search_fold(p_text text)
+returns text
+language sql
+immutable
+as $$
+  select regexp_replace(regexp_replace(regexp_replace(regexp_replace(regexp_replace(
+         regexp_replace(regexp_replace(regexp_replace(regexp_replace(regexp_replace(
+    p_text,
+    '\mbed[[:space:]-]?sitters?\M', 'bedsitter', 'g'),
+    '\msingle[[:space:]-]rooms?\M', 'singleroom', 'g'),
+    '\mongata[[:space:]-]rongai\M', 'rongai', 'g'),
+    '\mnairobi[[:space:]-]cbd\M', 'cbd', 'g'),
+    '\mathi[[:space:]-]river\M', 'athiriver', 'g'),
+    '\msouth[[:space:]-]b\M', 'southb', 'g'),
+    '\msouth[[:space:]-]c\M', 'southc', 'g'),
+    '\mupper[[:space:]-]hill\M', 'upperhill', 'g'),
+    '\mswimming[[:space:]-]pool\M', 'pool', 'g'),
+    '\mbore[[:space:]-]hole\M', 'borehole', 'g');
+$$;
+
+-- The tokens of some listing text, as fieldTokens() in utils/textSearch.js
+-- makes them (STOPWORDS there too)
+create or replace function public.listing_search_tokens(p_text text)
+returns text[]
+language sql
+stable
+as $$
+  select coalesce(array_agg(t.token), '{}')
+  from regexp_split_to_table(
+    public.listing_search_fold(replace(translate(lower(unaccent(coalesce(p_text, ''))), '''’`', ''), '_', ' ')),
+    '[^[:alnum:]]+'
+  ) as w(word)
+  left join public.listing_search_synonyms s on s.variant = w.word
+  cross join lateral (select coalesce(s.canonical, w.word) as token) t
+  where w.word <> ''
+    and t.token <> all (array[
+      'a', 'an', 'and', 'at', 'for', 'in', 'near', 'of', 'on', 'or', 'the', 'to', 'with',
+      'na', 'ya', 'wa', 'kwa', 'katika', 'za', 'la', 'cha', 'karibu'
+    ]);
+$$;
+
+-- Weighted as SEARCH_FIELDS in utils/textSearch.js: the title (A) over the
+-- estate, location, county and property type (B) over amenities and the
+-- description (C)
+create or replace function public.listing_search_vector(l public.listings)
+returns tsvector
+language sql
+stable
+as $$
+  select
+    setweight(array_to_tsvector(public.listing_search_tokens(l.title)), 'A') ||
+    setweight(array_to_tsvector(public.listing_search_tokens(concat_ws(' ', l.estate, l.location, l.county, l.property_type))), 'B') ||
+    setweight(array_to_tsvector(public.listing_search_tokens(concat_ws(' ', array_to_string(l.amenities, ' '), l.description))), 'C');
+$$;
+
+alter table public.listings add column if not exists search_vector tsvector;
+
+create index if not exists listings_search_vector_idx on public.listings using gin (search_vector);
+
+-- Every word any listing has used, for matching query terms with typos
+create table if not exists public.listing_search_words (
+  word text primary key
+);
+
+create index if not exists listing_search_words_word_trgm_idx
+  on public.listing_search_words using gin (word gin_trgm_ops);
+
+alter table public.listing_search_words enable row level security;
+
+create or replace function public.listings_search_vector()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.search_vector := public.listing_search_vector(new);
+  insert into public.listing_search_words (word)
+  select unnest(tsvector_to_array(new.search_vector))
+  on conflict do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_search_vector on public.listings;
+create trigger listings_search_vector
+  before insert or update of title, description, location, county, estate, property_type, amenities
+  on public.listings
+  for each row execute function public.listings_search_vector();
+
+-- Existing listings, without sending each one out as listing.updated
+alter table public.listings disable trigger listings_webhook_outbox;
+update public.listings l set search_vector = public.listing_search_vector(l);
+alter table public.listings enable trigger listings_webhook_outbox;
+
+insert into public.listing_search_words (word)
+select distinct unnest(tsvector_to_array(search_vector)) from public.listings
+on conflict do nothing;
+
+-- The tsquery for a search's terms (tokenizeQuery() in utils/textSearch.js):
+-- each term, or the last as a prefix, or the listed words within its typos
+-- (allowedTypos() there), all of them required. Null without terms.
+create or replace function public.listing_search_query(p_terms text[])
+returns tsquery
+language plpgsql
+stable
+as $$
+declare
+  v_query tsquery;
+  v_term tsquery;
+  v_typos integer;
+  v_word text;
+  v_count integer := coalesce(array_length(p_terms, 1), 0);
+begin
+  for i in 1 .. v_count loop
+    v_term := (quote_literal(p_terms[i]) || case when i = v_count and length(p_terms[i]) >= 3 then ':*' else '' end)::tsquery;
+    v_typos := case when length(p_terms[i]) >= 8 then 2 when length(p_terms[i]) >= 4 then 1 else 0 end;
+    if v_typos > 0 then
+      for v_word in
+        select w.word
+        from public.listing_search_words w
+        where w.word % p_terms[i]
+          and w.word <> p_terms[i]
+          and levenshtein_less_equal(p_terms[i], w.word, v_typos) <= v_typos
+        order by similarity(w.word, p_terms[i]) desc, w.word
+        limit 10
+      loop
+        v_term := v_term || quote_literal(v_word)::tsquery;
+      end loop;
+    end if;
+    v_query := case when v_query is null then v_term else v_query && v_term end;
+  end loop;
+  return v_query;
+end;
+$$;
+
+-- Published listings matching a search (p_filters is the filters of
+-- searchSpec() in utils/searchFilters.js), with their relevance and, for
+-- radius searches, distance_km. p_except leaves out one facet's filter, for
+-- counting that facet. Relevance is the weighted rank of the matching words
+-- plus that of the exact terms, so typo matches rank below exact ones.
+create or replace function public.listing_search_matches(p_terms text[], p_filters jsonb, p_except text default '')
+returns table (
+  id uuid,
+  relevance double precision,
+  distance_km double precision,
+  featured boolean,
+  price integer,
+  bedrooms integer,
+  bathrooms integer,
+  property_type text,
+  county text,
+  furnishing_status text,
+  amenities text[],
+  created_at timestamptz,
+  updated_at timestamptz
+)
+language plpgsql
+stable
+as $$
+declare
+  v_query tsquery := public.listing_search_query(p_terms);
+  v_exact tsquery;
+  v_weights float4[] := '{0, 0.33, 0.67, 1}';
+  v_lat double precision := (p_filters #>> '{near,lat}')::double precision;
+  v_lng double precision := (p_filters #>> '{near,lng}')::double precision;
+begin
+  if v_query is not null then
+    select string_agg(quote_literal(t), ' | ')::tsquery into v_exact from unnest(p_terms) t;
+  end if;
+
+  return query
+  select
+    l.id,
+    case when v_query is null then 0::double precision
+      else round((ts_rank(v_weights, l.search_vector, v_query) + ts_rank(v_weights, l.search_vector, v_exact))::numeric, 6)::double precision
+    end,
+    d.km,
+    l.featured,
+    l.price,
+    l.bedrooms,
+    l.bathrooms,
+    l.property_type,
+    l.county,
+    l.furnishing_status,
+    l.amenities,
+    l.created_at,
+    l.updated_at
+  from public.listings l
+  cross join lateral (
+    select case when v_lat is null or l.latitude is null or l.longitude is null then null
+      else round((2 * 6371 * asin(sqrt(
+        power(sin(radians(l.latitude - v_lat) / 2), 2) +
+        cos(radians(v_lat)) * cos(radians(l.latitude)) * power(sin(radians(l.longitude - v_lng) / 2), 2)
+      )))::numeric, 6)::double precision
+    end as km
+  ) d
+  where l.status = 'published'
+    and (v_query is null or l.search_vector @@ v_query)
+    and (p_filters ->> 'location' is null or l.location ilike '%' || (p_filters ->> 'location') || '%')
+    and (p_filters ->> 'estate' is null or l.estate ilike '%' || (p_filters ->> 'estate') || '%')
+    and (p_filters ->> 'bathrooms' is null or l.bathrooms = (p_filters ->> 'bathrooms')::integer)
+    and (p_filters ->> 'parking' is null or l.parking = (p_filters ->> 'parking')::boolean)
+    and (p_filters ->> 'garden' is null or l.garden = (p_filters ->> 'garden')::boolean)
+    and (p_filters ->> 'balcony' is null or l.balcony = (p_filters ->> 'balcony')::boolean)
+    and (p_filters ->> 'own_compound' is null or l.own_compound = (p_filters ->> 'own_compound')::boolean)
+    and (p_filters ->> 'electricity' is null or l.electricity = (p_filters ->> 'electricity')::boolean)
+    and (p_filters ->> 'internet' is null or l.internet = (p_filters ->> 'internet')::boolean)
+    and (v_lat is null or d.km <= (p_filters #>> '{near,radius_km}')::double precision)
+    and (
+      p_filters -> 'bbox' is null
+      or (
+        l.latitude between (p_filters #>> '{bbox,min_lat}')::double precision and (p_filters #>> '{bbox,max_lat}')::double precision
+        and l.longitude between (p_filters #>> '{bbox,min_lng}')::double precision and (p_filters #>> '{bbox,max_lng}')::double precision
+      )
+    )
+    -- Facet filters, as facetPredicates() in utils/facets.js
+    and (p_except = 'property_type' or p_filters -> 'property_type' is null
+      or l.property_type in (select jsonb_array_elements_text(p_filters -> 'property_type')))
+    and (p_except = 'bedrooms' or p_filters -> 'bedrooms' is null
+      or l.bedrooms in (select v::integer from jsonb_array_elements_text(p_filters -> 'bedrooms') v))
+    and (p_except = 'furnishing_status' or p_filters -> 'furnishing_status' is null
+      or l.furnishing_status in (select jsonb_array_elements_text(p_filters -> 'furnishing_status')))
+    and (p_except = 'county' or p_filters -> 'county' is null
+      or (jsonb_typeof(p_filters -> 'county') = 'array'
+        and lower(l.county) in (select lower(v) from jsonb_array_elements_text(p_filters -> 'county') v))
+      or (jsonb_typeof(p_filters -> 'county') = 'string'
+        and strpos(lower(coalesce(l.county, '')), lower(p_filters ->> 'county')) > 0))
+    and (p_except = 'price' or (
+      (p_filters ->> 'min_price' is null or l.price >= (p_filters ->> 'min_price')::integer)
+      and (p_filters ->> 'max_price' is null or l.price <= (p_filters ->> 'max_price')::integer)
+    ))
+    and (p_except = 'amenities' or p_filters -> 'amenities' is null
+      or l.amenities @> array(select jsonb_array_elements_text(p_filters -> 'amenities')));
+end;
+$$;
+
+-- A page of a search: the ids, relevance and distance_km of the results in
+-- order, featured listings first when p_featured_order is set. p_after_*
+-- continue a keyset page from the last row's featured flag, sort value (a
+-- number, or a time for created_at and updated_at) and id.
+create or replace function public.search_listings(
+  p_terms text[],
+  p_filters jsonb,
+  p_sort text default 'relevance',
+  p_ascending boolean default false,
+  p_featured_order text default null,
+  p_after_featured boolean default null,
+  p_after_number double precision default null,
+  p_after_time timestamptz default null,
+  p_after_id uuid default null,
+  p_offset integer default 0,
+  p_limit integer default 20
+)
+returns table (id uuid, relevance double precision, distance_km double precision)
+language sql
+stable
+as $$
+  select m.id, m.relevance, m.distance_km
+  from public.listing_search_matches(p_terms, p_filters) m
+  cross join lateral (
+    select
+      coalesce(case p_sort
+        when 'relevance' then m.relevance
+        when 'distance_km' then m.distance_km
+        when 'price' then m.price::double precision
+        when 'bedrooms' then m.bedrooms::double precision
+        when 'bathrooms' then m.bathrooms::double precision
+      end, 0) as num,
+      coalesce(case p_sort
+        when 'created_at' then m.created_at
+        when 'updated_at' then m.updated_at
+      end, '-infinity') as at
+  ) k
+  where p_after_id is null
+    or (p_featured_order = 'desc' and m.featured < p_after_featured)
+    or (p_featured_order = 'asc' and m.featured > p_after_featured)
+    or (
+      (p_featured_order is null or m.featured = p_after_featured)
+      and (
+        (p_ascending and (k.num, k.at, m.id) > (coalesce(p_after_number, 0), coalesce(p_after_time, '-infinity'), p_after_id))
+        or (not p_ascending and (k.num, k.at, m.id) < (coalesce(p_after_number, 0), coalesce(p_after_time, '-infinity'), p_after_id))
+      )
+    )
+  order by
+    case when p_featured_order = 'asc' then m.featured end asc,
+    case when p_featured_order = 'desc' then m.featured end desc,
+    case when p_ascending then k.num end asc,
+    case when p_ascending then k.at end asc,
+    case when p_ascending then m.id end asc,
+    case when not p_ascending then k.num end desc,
+    case when not p_ascending then k.at end desc,
+    case when not p_ascending then m.id end desc
+  offset p_offset
+  limit p_limit;
+$$;
+
+-- How many results a search has, and its facet counts: each facet counted
+-- over the results filtered by every other facet but not itself, with the
+-- price bands of PRICE_BUCKETS in utils/facets.js
+create or replace function public.search_listing_facets(p_terms text[], p_filters jsonb)
+returns jsonb
+language sql
+stable
+as $$
+  with
+    by_type as (select * from public.listing_search_matches(p_terms, p_filters, 'property_type')),
+    by_bedrooms as (select * from public.listing_search_matches(p_terms, p_filters, 'bedrooms')),
+    by_county as (select * from public.listing_search_matches(p_terms, p_filters, 'county')),
+    by_furnishing as (select * from public.listing_search_matches(p_terms, p_filters, 'furnishing_status')),
+    by_amenity as (select * from public.listing_search_matches(p_terms, p_filters, 'amenities')),
+    by_price as (select * from public.listing_search_matches(p_terms, p_filters, 'price'))
+  select jsonb_build_object(
+    'total', (select count(*) from public.listing_search_matches(p_terms, p_filters)),
+    'facets', jsonb_build_object(
+      'property_type', (
+        select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]')
+        from (select property_type as value, count(*) as n from by_type where coalesce(property_type, '') <> '' group by 1) f
+      ),
+      'bedrooms', (
+        select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]')
+        from (select bedrooms as value, count(*) as n from by_bedrooms where bedrooms is not null group by 1) f
+      ),
+      'county', (
+        select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]')
+        from (select county as value, count(*) as n from by_county where coalesce(county, '') <> '' group by 1) f
+      ),
+      'furnishing_status', (
+        select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]')
+        from (select furnishing_status as value, count(*) as n from by_furnishing where coalesce(furnishing_status, '') <> '' group by 1) f
+      ),
+      'amenities', (
+        select coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', n) order by n desc, value), '[]')
+        from (
+          select a.value, count(*) as n
+          from by_amenity m
+          cross join lateral (select distinct unnest(m.amenities) as value) a
+          group by 1
+        ) f
+      ),
+      'price', (
+        select jsonb_agg(jsonb_build_object(
+          'min', b.min,
+          'max', b.max,
+          'count', (select count(*) from by_price m where m.price >= b.min and (b.max is null or m.price < b.max))
+        ) order by b.min)
+        from (values
+          (0, 10000), (10000, 20000), (20000, 35000), (35000, 50000),
+          (50000, 75000), (75000, 100000), (100000, 200000), (200000, null::integer)
+        ) b(min, max)
+      )
+    )
+  );
+$$;
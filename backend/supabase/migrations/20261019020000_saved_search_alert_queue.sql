@@ -0,0 +1,123 @@
+-- Saved-search alerts run in the background (see services/savedSearchAlerts.js).
+-- A trigger queues a listing when it is published or a published listing gets
+-- cheaper, in the same transaction as the change, and processSavedSearchAlerts()
+-- matches queued listings against saved searches on a timer instead of inside
+-- the request that changed them.
+create table if not exists public.saved_search_alert_queue (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  reason text not null check (reason in ('new', 'price_drop')),
+  price integer not null,
+  previous_price integer,
+  -- Set once the listing's matches are recorded and instant alerts sent
+  processed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists saved_search_alert_queue_pending_idx
+  on public.saved_search_alert_queue (created_at) where processed_at is null;
+
+-- Only the API (service role) reads or writes the queue
+alter table public.saved_search_alert_queue enable row level security;
+
+-- 'new' when a listing is published, 'price_drop' when a published listing
+-- gets cheaper
+create or replace function public.listings_queue_saved_search_alert()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status <> 'published' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' or old.status <> 'published' then
+    insert into public.saved_search_alert_queue (listing_id, reason, price)
+    values (new.id, 'new', new.price);
+  elsif new.price < old.price then
+    insert into public.saved_search_alert_queue (listing_id, reason, price, previous_price)
+    values (new.id, 'price_drop', new.price, old.price);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_queue_saved_search_alert on public.listings;
+create trigger listings_queue_saved_search_alert
+  after insert or update of status, price on public.listings
+  for each row execute function public.listings_queue_saved_search_alert();
+
+-- parseInt() of a saved filter value: the leading integer, or null
+create or replace function public.saved_search_int(p_value jsonb)
+returns integer
+language sql
+immutable
+as $$
+  select substring(p_value #>> '{}' from '^\s*([+-]?\d{1,9})')::integer;
+$$;
+
+-- A saved filter as a list: multi-select filters may be saved as one value
+create or replace function public.saved_search_list(p_value jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select case when jsonb_typeof(p_value) = 'array' then p_value else jsonb_build_array(p_value) end;
+$$;
+
+-- Saved searches whose facet filters (property type, bedrooms, furnishing,
+-- county, price and amenities, as utils/facets.js reads them) a listing
+-- passes, leaving out the landlord's own. The query and the other filters are
+-- checked in the app on this much smaller set.
+create or replace function public.saved_searches_for_listing(p_listing_id uuid)
+returns setof public.saved_searches
+language sql
+stable
+as $$
+  select s.*
+  from public.saved_searches s
+  join public.listings l on l.id = p_listing_id
+  cross join lateral (
+    select
+      nullif(nullif(s.filters -> 'property_type', 'null'::jsonb), '""'::jsonb) as property_type,
+      nullif(nullif(s.filters -> 'bedrooms', 'null'::jsonb), '""'::jsonb) as bedrooms,
+      nullif(nullif(s.filters -> 'furnishing_status', 'null'::jsonb), '""'::jsonb) as furnishing_status,
+      nullif(nullif(s.filters -> 'county', 'null'::jsonb), '""'::jsonb) as county,
+      nullif(nullif(s.filters -> 'min_price', 'null'::jsonb), '""'::jsonb) as min_price,
+      nullif(nullif(s.filters -> 'max_price', 'null'::jsonb), '""'::jsonb) as max_price,
+      s.filters -> 'amenities' as amenities
+  ) f
+  where s.user_id <> l.landlord_id
+    and (f.property_type is null or public.saved_search_list(f.property_type) @> jsonb_build_array(l.property_type))
+    and (f.furnishing_status is null or public.saved_search_list(f.furnishing_status) @> jsonb_build_array(l.furnishing_status))
+    and (
+      f.bedrooms is null
+      or exists (
+        select 1 from jsonb_array_elements(public.saved_search_list(f.bedrooms)) v
+        where public.saved_search_int(v) = l.bedrooms
+      )
+    )
+    and (
+      f.county is null
+      or case
+        when jsonb_typeof(f.county) = 'array' then exists (
+          select 1 from jsonb_array_elements_text(f.county) v
+          where lower(v) = lower(coalesce(l.county, ''))
+        )
+        else strpos(lower(coalesce(l.county, '')), lower(f.county #>> '{}')) > 0
+      end
+    )
+    and (
+      (f.min_price is null and f.max_price is null)
+      or (
+        l.price is not null
+        and coalesce(f.min_price is null or l.price >= public.saved_search_int(f.min_price), false)
+        and coalesce(f.max_price is null or l.price <= public.saved_search_int(f.max_price), false)
+      )
+    )
+    and (
+      jsonb_typeof(f.amenities) is distinct from 'array'
+      or jsonb_array_length(f.amenities) = 0
+      or to_jsonb(l.amenities) @> f.amenities
+    );
+$$;
@@ -0,0 +1,15 @@
+-- Only confirmed viewings hold a time. Requests used to count as well, so an
+-- unanswered request blocked the landlord's calendar and the tenant's, however
+-- stale; now two requests may overlap and the second one to be confirmed is
+-- refused (23P01, answered as 409).
+alter table public.viewings drop constraint if exists viewings_landlord_no_overlap;
+alter table public.viewings add constraint viewings_landlord_no_overlap exclude using gist (
+  landlord_id with =,
+  tstzrange(starts_at, ends_at) with &&
+) where (status = 'confirmed');
+
+alter table public.viewings drop constraint if exists viewings_tenant_no_overlap;
+alter table public.viewings add constraint viewings_tenant_no_overlap exclude using gist (
+  tenant_id with =,
+  tstzrange(starts_at, ends_at) with &&
+) where (status = 'confirmed');
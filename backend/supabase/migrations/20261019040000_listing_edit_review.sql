@@ -0,0 +1,57 @@
+-- Published listings whose title, description, price or photos are edited go
+-- back to review (see services/listingStatus.js). published_price keeps the
+-- price a listing was last live at while it waits, so saved-search alerts tell
+-- a price drop from a new listing when it is approved again. It is cleared once
+-- the listing leaves review for any status but published.
+alter table public.listings add column if not exists published_price integer;
+
+create or replace function public.listings_track_published_price()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'published' then
+    new.published_price := new.price;
+  elsif new.status <> 'pending_review' then
+    new.published_price := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_track_published_price on public.listings;
+create trigger listings_track_published_price
+  before insert or update of status, price on public.listings
+  for each row execute function public.listings_track_published_price();
+
+-- Existing listings, without sending each one out as listing.updated
+alter table public.listings disable trigger listings_webhook_outbox;
+update public.listings set published_price = price where status = 'published';
+alter table public.listings enable trigger listings_webhook_outbox;
+
+-- A listing coming back from review after an edit is only news to saved
+-- searches if it is now cheaper than when it was last live
+create or replace function public.listings_queue_saved_search_alert()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status <> 'published' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' or (old.status <> 'published' and old.published_price is null) then
+    insert into public.saved_search_alert_queue (listing_id, reason, price)
+    values (new.id, 'new', new.price);
+  elsif old.status <> 'published' then
+    if new.price < old.published_price then
+      insert into public.saved_search_alert_queue (listing_id, reason, price, previous_price)
+      values (new.id, 'price_drop', new.price, old.published_price);
+    end if;
+  elsif new.price < old.price then
+    insert into public.saved_search_alert_queue (listing_id, reason, price, previous_price)
+    values (new.id, 'price_drop', new.price, old.price);
+  end if;
+  return new;
+end;
+$$;
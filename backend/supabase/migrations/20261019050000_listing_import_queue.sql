@@ -0,0 +1,48 @@
+-- Import jobs are applied by processListingImports() on a timer (see
+-- services/listingImport.js) instead of in the process that took the upload,
+-- so a job outlives an API restart. The checked plan is kept on the job and the
+-- photos zip in the private listing-imports bucket; a running job holds a lease
+-- it renews after every row, and one whose lease runs out is picked up again
+-- from the first row it had not finished.
+alter table public.listing_imports
+  add column if not exists plan jsonb,
+  add column if not exists archive_path text,
+  add column if not exists landlord_name text,
+  add column if not exists lease_expires_at timestamptz;
+
+create index if not exists listing_imports_unfinished_idx
+  on public.listing_imports (created_at) where status in ('queued', 'running');
+
+-- Jobs started before this have no plan to resume from
+update public.listing_imports
+set status = 'failed', error = 'Interrupted by a restart', finished_at = now(), updated_at = now()
+where status in ('queued', 'running');
+
+insert into storage.buckets (id, name, public)
+values ('listing-imports', 'listing-imports', false)
+on conflict (id) do nothing;
+
+-- Take the oldest queued job, or a running one whose lease has run out, and
+-- lease it for p_lease_seconds so no other API instance runs it at the same time
+create or replace function public.claim_listing_import(
+  p_lease_seconds integer,
+  p_now timestamptz default now()
+)
+returns setof public.listing_imports
+language sql
+as $$
+  update public.listing_imports j
+  set status = 'running',
+      started_at = coalesce(j.started_at, p_now),
+      lease_expires_at = p_now + make_interval(secs => p_lease_seconds),
+      updated_at = p_now
+  where j.id = (
+    select id
+    from public.listing_imports
+    where status = 'queued' or (status = 'running' and lease_expires_at < p_now)
+    order by created_at
+    limit 1
+    for update skip locked
+  )
+  returning j.*;
+$$;
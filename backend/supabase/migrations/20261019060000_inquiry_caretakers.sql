@@ -0,0 +1,34 @@
+-- Caretakers with the inquiries permission read and answer a listing's
+-- inquiry threads for the landlord (see services/inquiries.js), so every
+-- message not sent by the tenant now counts as the landlord's side.
+
+alter table public.listing_delegations
+  drop constraint if exists listing_delegations_permissions_check;
+alter table public.listing_delegations
+  add constraint listing_delegations_permissions_check check (
+    cardinality(permissions) > 0 and permissions <@ array['edit', 'availability', 'viewings', 'applications', 'inquiries']
+  );
+
+create or replace function public.inquiry_messages_after_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.inquiry_threads t set
+    last_message_at = new.created_at,
+    last_message_preview = left(new.body, 140),
+    updated_at = new.created_at,
+    tenant_last_read_at = case when new.sender_id = t.tenant_id then new.created_at else t.tenant_last_read_at end,
+    landlord_last_read_at = case when new.sender_id = t.tenant_id then t.landlord_last_read_at else new.created_at end,
+    tenant_unread_count = case when new.sender_id = t.tenant_id then 0 else t.tenant_unread_count + 1 end,
+    landlord_unread_count = case when new.sender_id = t.tenant_id then t.landlord_unread_count + 1 else 0 end,
+    tenant_archived = case when new.sender_id = t.tenant_id then t.tenant_archived else false end,
+    landlord_archived = case when new.sender_id = t.tenant_id then false else t.landlord_archived end,
+    landlord_replied_at = case
+      when new.sender_id = t.tenant_id then t.landlord_replied_at
+      else coalesce(t.landlord_replied_at, new.created_at)
+    end
+  where t.id = new.thread_id;
+  return new;
+end;
+$$;
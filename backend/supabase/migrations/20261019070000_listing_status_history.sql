@@ -0,0 +1,120 @@
+-- Market rents only count a listing for the periods it was actually live, so
+-- every status a listing takes is recorded in listing_status_history and
+-- listing_rent_stats() reads that instead of the current status. Price drops
+-- are only news for PRICE_DROP_DAYS (services/marketRents.js); after that
+-- clearStalePriceDrops() takes the flag off.
+create table if not exists public.listing_status_history (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  status text not null,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists listing_status_history_listing_id_recorded_at_idx
+  on public.listing_status_history (listing_id, recorded_at);
+
+alter table public.listing_status_history enable row level security;
+
+create or replace function public.listings_record_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into public.listing_status_history (listing_id, status) values (new.id, new.status);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_record_status on public.listings;
+create trigger listings_record_status
+  after insert or update of status on public.listings
+  for each row execute function public.listings_record_status();
+
+-- Existing listings: as before, published ones count since they were created
+-- and rented ones until they were last updated
+insert into public.listing_status_history (listing_id, status, recorded_at)
+select l.id, 'published', l.created_at
+from public.listings l
+where l.status in ('published', 'rented')
+  and not exists (select 1 from public.listing_status_history h where h.listing_id = l.id);
+
+insert into public.listing_status_history (listing_id, status, recorded_at)
+select l.id, l.status, case when l.status = 'rented' then l.updated_at else l.created_at end
+from public.listings l
+where l.status <> 'published'
+  and not exists (
+    select 1 from public.listing_status_history h where h.listing_id = l.id and h.status = l.status
+  );
+
+create index if not exists listings_price_dropped_idx
+  on public.listings (price_changed_at) where price_dropped;
+
+-- Asking rents per period ('week' or 'month') from p_from to p_to, for listings
+-- matching the filters (null matches anything; county and estate ignore case).
+-- A listing counts in every period it was published for at least a moment.
+-- Its rent in a period is the last price it asked before the period ended.
+create or replace function public.listing_rent_stats(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_period text default 'month',
+  p_county text default null,
+  p_estate text default null,
+  p_property_type text default null,
+  p_bedrooms integer default null
+)
+returns table (
+  period_start timestamptz,
+  listings integer,
+  p25 double precision,
+  median double precision,
+  p75 double precision,
+  average double precision
+)
+language sql
+stable
+as $$
+  with periods as (
+    select s as period_start, s + ('1 ' || p_period)::interval as period_end
+    from generate_series(date_trunc(p_period, p_from), date_trunc(p_period, p_to), ('1 ' || p_period)::interval) s
+  ),
+  asks as (
+    select p.period_start, (
+      select h.price
+      from public.listing_price_history h
+      where h.listing_id = l.id and h.recorded_at < p.period_end
+      order by h.recorded_at desc
+      limit 1
+    ) as price
+    from periods p
+    join public.listings l on exists (
+      -- Published before the period ended and not changed again before it began
+      select 1
+      from public.listing_status_history s
+      where s.listing_id = l.id
+        and s.status = 'published'
+        and s.recorded_at < p.period_end
+        and not exists (
+          select 1
+          from public.listing_status_history n
+          where n.listing_id = l.id and n.recorded_at > s.recorded_at and n.recorded_at <= p.period_start
+        )
+    )
+    where (p_county is null or lower(l.county) = lower(p_county))
+      and (p_estate is null or lower(l.estate) = lower(p_estate))
+      and (p_property_type is null or l.property_type = p_property_type)
+      and (p_bedrooms is null or l.bedrooms = p_bedrooms)
+  )
+  select
+    p.period_start,
+    count(a.price)::integer,
+    percentile_cont(0.25) within group (order by a.price),
+    percentile_cont(0.5) within group (order by a.price),
+    percentile_cont(0.75) within group (order by a.price),
+    avg(a.price)::double precision
+  from periods p
+  left join asks a on a.period_start = p.period_start
+  group by p.period_start
+  order by p.period_start;
+$$;
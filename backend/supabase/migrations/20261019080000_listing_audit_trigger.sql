@@ -0,0 +1,69 @@
+-- Audit entries are written by the listings_audit trigger, in the transaction
+-- that changes the listing, instead of by the API after the fact: a write
+-- either lands with its entry or not at all. The API names the action and the
+-- actor in audit_action and audit_actor_id on the write itself (see
+-- services/listingAudit.js); the trigger records them and clears both, so
+-- they never outlive the statement. Writes without an action (the system
+-- expiring featured spells or price drops) are not recorded. Deleting a row
+-- only happens when a listing is purged.
+alter table public.listings
+  add column if not exists audit_action text,
+  add column if not exists audit_actor_id uuid;
+
+-- { field: { from, to } } for what differs between two versions of a listing
+-- (either may be null), leaving out columns that change on every write or
+-- that other triggers keep up to date
+create or replace function public.listing_audit_changes(p_before jsonb, p_after jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(
+    jsonb_object_agg(
+      k.key,
+      jsonb_build_object('from', coalesce(p_before -> k.key, 'null'::jsonb), 'to', coalesce(p_after -> k.key, 'null'::jsonb))
+    ),
+    '{}'::jsonb
+  )
+  from jsonb_object_keys(coalesce(p_before, '{}'::jsonb) || coalesce(p_after, '{}'::jsonb)) k(key)
+  where k.key <> all (array[
+    'id', 'created_at', 'updated_at', 'audit_action', 'audit_actor_id', 'search_vector', 'is_available',
+    'previous_price', 'price_changed_at', 'price_dropped', 'published_price'
+  ])
+    and coalesce(p_before -> k.key, 'null'::jsonb) is distinct from coalesce(p_after -> k.key, 'null'::jsonb);
+$$;
+
+create or replace function public.listings_audit()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_changes jsonb;
+begin
+  if tg_op = 'DELETE' then
+    insert into public.listing_audit_log (listing_id, landlord_id, actor_id, action)
+    values (old.id, old.landlord_id, null, 'purge');
+    return old;
+  end if;
+
+  if new.audit_action is null then
+    return new;
+  end if;
+
+  v_changes := public.listing_audit_changes(case when tg_op = 'UPDATE' then to_jsonb(old) end, to_jsonb(new));
+  -- Updates that change nothing are not recorded
+  if new.audit_action <> 'update' or v_changes <> '{}'::jsonb then
+    insert into public.listing_audit_log (listing_id, landlord_id, actor_id, action, changes)
+    values (new.id, new.landlord_id, new.audit_actor_id, new.audit_action, v_changes);
+  end if;
+
+  new.audit_action := null;
+  new.audit_actor_id := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_audit on public.listings;
+create trigger listings_audit
+  before insert or update or delete on public.listings
+  for each row execute function public.listings_audit();
@@ -0,0 +1,24 @@
+-- Application decisions are conditional on the status the API checked (see
+-- rentalApplications.updateIfStatus), and a listing is let to one applicant
+-- at most: a second accepted application is rejected here.
+
+-- Listings with more than one accepted application keep the first decided
+update public.rental_applications a
+set status = 'declined',
+  decision_reason = 'The listing has been let to another applicant',
+  updated_at = now()
+where a.status = 'accepted'
+  and exists (
+    select 1
+    from public.rental_applications b
+    where b.listing_id = a.listing_id
+      and b.status = 'accepted'
+      and (b.decided_at, b.id) < (a.decided_at, a.id)
+  );
+
+create unique index if not exists rental_applications_accepted_idx
+  on public.rental_applications (listing_id) where status = 'accepted';
+
+-- Applications carry income and employment details; only the API, with the
+-- service role, reads them
+alter table public.rental_applications enable row level security;
@@ -0,0 +1,12 @@
+-- stk_requested_at is set just before a payment's STK push is sent (see
+-- startPayment in services/payments.js). A pending payment with it but no
+-- checkout_request_id may have prompted the payer even though Daraja's answer
+-- was never saved, so reconciliation waits for its callback, which carries
+-- the payment's id, rather than failing it as never sent.
+alter table public.payments
+  add column if not exists stk_requested_at timestamptz;
+
+-- Pending payments from before: their push may have gone out
+update public.payments
+set stk_requested_at = created_at
+where status = 'pending' and stk_requested_at is null;
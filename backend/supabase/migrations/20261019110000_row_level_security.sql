@@ -0,0 +1,24 @@
+-- Tables in public are reachable through PostgREST with the anon key unless
+-- row level security is on. The API uses the service role, which bypasses
+-- it, so these tables get no policies: nobody else reads or writes them.
+alter table public.saved_searches enable row level security;
+alter table public.saved_search_matches enable row level security;
+alter table public.viewing_slots enable row level security;
+alter table public.viewings enable row level security;
+alter table public.inquiry_threads enable row level security;
+alter table public.inquiry_messages enable row level security;
+alter table public.listing_reports enable row level security;
+alter table public.listing_imports enable row level security;
+alter table public.listing_events enable row level security;
+alter table public.listing_stats_daily enable row level security;
+alter table public.listing_delegations enable row level security;
+alter table public.listing_price_history enable row level security;
+alter table public.listing_audit_log enable row level security;
+alter table public.webhook_endpoints enable row level security;
+alter table public.webhook_outbox enable row level security;
+alter table public.webhook_deliveries enable row level security;
+alter table public.favorite_collections enable row level security;
+alter table public.payments enable row level security;
+alter table public.payment_ledger enable row level security;
+alter table public.search_history enable row level security;
+alter table public.listing_dismissals enable row level security;
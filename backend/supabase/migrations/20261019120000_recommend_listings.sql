@@ -0,0 +1,125 @@
+-- Similar listings and the recommendations feed are scored here instead of in
+-- the API, which used to score the 1000 most recently updated listings in the
+-- price band. The weights and bounds are those of utils/recommendations.js,
+-- which the memory driver uses; keep the two in step.
+--
+-- p_taste is { estate, county, property_type, bedrooms, amenities: { value:
+-- share }, price: { low, high } | null }. Candidates are published listings in
+-- the price band and in one of the taste's estates or counties or within a
+-- bedroom of its bedrooms (any in the band when the taste names none of
+-- those). At most p_candidates are scored, those in the taste's estates and
+-- then its counties first, and the best p_limit are returned.
+create index if not exists listings_published_estate_idx
+  on public.listings (lower(trim(estate))) where status = 'published';
+create index if not exists listings_published_county_idx
+  on public.listings (lower(trim(county))) where status = 'published';
+create index if not exists listings_published_bedrooms_idx
+  on public.listings (bedrooms) where status = 'published';
+
+create or replace function public.recommend_listings(
+  p_taste jsonb,
+  p_exclude_ids uuid[] default '{}',
+  p_exclude_landlord_id uuid default null,
+  p_candidates integer default 2000,
+  p_limit integer default 24,
+  p_now timestamptz default now()
+)
+returns table (id uuid, score double precision, match_reasons text[])
+language sql
+stable
+as $$
+  with taste as (
+    select
+      coalesce(p_taste -> 'estate', '{}'::jsonb) as estate,
+      coalesce(p_taste -> 'county', '{}'::jsonb) as county,
+      coalesce(p_taste -> 'property_type', '{}'::jsonb) as property_type,
+      coalesce(p_taste -> 'bedrooms', '{}'::jsonb) as bedrooms,
+      coalesce(p_taste -> 'amenities', '{}'::jsonb) as amenities,
+      (
+        select coalesce(sum(a.value::double precision), 0)
+        from jsonb_each_text(coalesce(p_taste -> 'amenities', '{}'::jsonb)) a
+      ) as amenities_wanted,
+      (p_taste #>> '{price,low}')::double precision as price_low,
+      (p_taste #>> '{price,high}')::double precision as price_high
+  ),
+  candidates as (
+    select l.id, l.created_at, l.updated_at, l.price, l.estate, l.county, l.bedrooms, l.property_type, l.amenities
+    from public.listings l
+    cross join taste t
+    where l.status = 'published'
+      and l.id <> all (p_exclude_ids)
+      and (p_exclude_landlord_id is null or l.landlord_id <> p_exclude_landlord_id)
+      and (t.price_low is null or l.price between floor(t.price_low * 0.5) and ceil(t.price_high * 1.5))
+      and (
+        (t.estate = '{}'::jsonb and t.county = '{}'::jsonb and t.bedrooms = '{}'::jsonb)
+        or lower(trim(l.estate)) in (select jsonb_object_keys(t.estate))
+        or lower(trim(l.county)) in (select jsonb_object_keys(t.county))
+        or l.bedrooms in (
+          select b.key::integer + s.step
+          from jsonb_object_keys(t.bedrooms) b(key)
+          cross join unnest(array[-1, 0, 1]) s(step)
+        )
+      )
+    order by
+      (case when t.estate ? lower(trim(l.estate)) then 2 else 0 end
+        + case when t.county ? lower(trim(l.county)) then 1 else 0 end) desc,
+      l.updated_at desc,
+      l.id
+    limit p_candidates
+  ),
+  -- Each feature's match, from 0 to 1
+  parts as (
+    select
+      c.id,
+      c.updated_at,
+      coalesce((t.estate ->> lower(trim(c.estate)))::double precision, 0) as estate,
+      coalesce((t.county ->> lower(trim(c.county)))::double precision, 0) as county,
+      case
+        when t.price_low is null or c.price is null then 0
+        when c.price between t.price_low and t.price_high then 1
+        when c.price < t.price_low then greatest(0, 1 - ((t.price_low - c.price) / t.price_low) / 0.3)
+        else greatest(0, 1 - ((c.price - t.price_high) / t.price_high) / 0.3)
+      end as price,
+      least(
+        1,
+        coalesce((t.bedrooms ->> c.bedrooms::text)::double precision, 0)
+          + (coalesce((t.bedrooms ->> (c.bedrooms - 1)::text)::double precision, 0)
+            + coalesce((t.bedrooms ->> (c.bedrooms + 1)::text)::double precision, 0)) / 2
+      ) as bedrooms,
+      coalesce((t.property_type ->> c.property_type)::double precision, 0) as property_type,
+      case
+        when t.amenities_wanted > 0 then least(1, (
+          select coalesce(sum((t.amenities ->> a.amenity)::double precision), 0)
+          from unnest(coalesce(c.amenities, '{}'::text[])) a(amenity)
+        ) / t.amenities_wanted)
+        else 0
+      end as amenities,
+      greatest(
+        0,
+        1 - extract(epoch from (p_now - coalesce(c.updated_at, c.created_at)))::double precision / (30 * 86400)
+      ) as freshness
+    from candidates c
+    cross join taste t
+  ),
+  scored as (
+    select
+      p.id,
+      p.updated_at,
+      round((
+        3 * p.estate + 1.5 * p.county + 2 * p.price + 2 * p.bedrooms + 1.5 * p.property_type + p.amenities + 0.5 * p.freshness
+      )::numeric, 3)::double precision as score,
+      array_remove(array[
+        case when p.estate >= 0.5 then 'estate' end,
+        case when p.county >= 0.5 then 'county' end,
+        case when p.price >= 0.5 then 'price' end,
+        case when p.bedrooms >= 0.5 then 'bedrooms' end,
+        case when p.property_type >= 0.5 then 'property_type' end,
+        case when p.amenities >= 0.5 then 'amenities' end
+      ], null) as match_reasons
+    from parts p
+  )
+  select s.id, s.score, s.match_reasons
+  from scored s
+  order by s.score desc, s.updated_at desc, s.id
+  limit p_limit;
+$$;
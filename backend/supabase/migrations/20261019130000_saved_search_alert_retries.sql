@@ -0,0 +1,21 @@
+-- A queued listing change whose alerts fail is retried with a backoff instead
+-- of being picked up again on every run ahead of the rest of the queue (see
+-- processSavedSearchAlerts()). attempts counts the runs that tried it,
+-- next_attempt_at is when it is next due and last_error says why the last one
+-- failed. It is given up (processed_at set) after the last retry.
+alter table public.saved_search_alert_queue
+  add column if not exists attempts integer not null default 0,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists last_error text;
+
+update public.saved_search_alert_queue
+set next_attempt_at = created_at
+where next_attempt_at is null;
+
+alter table public.saved_search_alert_queue
+  alter column next_attempt_at set default now(),
+  alter column next_attempt_at set not null;
+
+drop index if exists public.saved_search_alert_queue_pending_idx;
+create index if not exists saved_search_alert_queue_due_idx
+  on public.saved_search_alert_queue (next_attempt_at) where processed_at is null;
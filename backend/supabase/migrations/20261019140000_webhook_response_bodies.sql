@@ -0,0 +1,6 @@
+-- Webhook deliveries no longer keep the endpoint's response body (see
+-- services/webhooks.js). A host that resolved to a public address when its
+-- endpoint was registered can later point into the internal network, and the
+-- deliveries log would have handed back what it answered. Bodies already
+-- recorded go with the column.
+alter table public.webhook_deliveries drop column if exists response_body;
@@ -0,0 +1,50 @@
+-- listing.updated used to fire on a change to any column but updated_at, so
+-- subscribers heard about featured time running out, price-drop flags being
+-- cleared and other bookkeeping. It now fires only when a column the landlord
+-- edits changes (the fields of validation/listingSchema.js, and images). Status
+-- changes are still listing.availability_changed or listing.deleted.
+create or replace function public.listings_webhook_outbox()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_event text;
+  v_row public.listings;
+  v_payload jsonb;
+begin
+  if tg_op = 'INSERT' then
+    v_event := 'listing.created';
+  elsif tg_op = 'DELETE' then
+    if old.status = 'deleted' then
+      return old;
+    end if;
+    v_event := 'listing.deleted';
+  elsif new.status = 'deleted' and old.status <> 'deleted' then
+    v_event := 'listing.deleted';
+  elsif new.status is distinct from old.status then
+    v_event := 'listing.availability_changed';
+  elsif exists (
+    select 1
+    from unnest(array[
+      'title', 'description', 'price', 'property_type', 'bedrooms', 'bathrooms', 'location', 'county', 'estate',
+      'landlord_name', 'latitude', 'longitude', 'amenities', 'furnishing_status', 'parking', 'garden', 'balcony',
+      'own_compound', 'electricity', 'internet', 'hide_contact', 'images'
+    ]) c(name)
+    where to_jsonb(new) -> c.name is distinct from to_jsonb(old) -> c.name
+  ) then
+    v_event := 'listing.updated';
+  else
+    return new;
+  end if;
+
+  v_row := case when tg_op = 'DELETE' then old else new end;
+  v_payload := public.webhook_listing_payload(v_row);
+  if v_event = 'listing.availability_changed' then
+    v_payload := v_payload || jsonb_build_object('previous_status', old.status);
+  end if;
+
+  insert into public.webhook_outbox (event_type, listing_id, landlord_id, payload)
+  values (v_event, v_row.id, v_row.landlord_id, v_payload);
+  return v_row;
+end;
+$$;
@@ -0,0 +1,134 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, ADMIN, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+import { pruneListingEvents, LISTING_EVENT_DAYS } from '../services/listingAnalytics.js';
+
+const OTHER_TENANT = { email: 'baraka@example.com', token: 'other-tenant-token', profile: { user_type: 'tenant', full_name: 'Baraka Mwangi' } };
+const CARETAKER = { email: 'kiprono@example.com', token: 'caretaker-token', profile: { user_type: 'caretaker', full_name: 'Kiprono Kiplagat' } };
+
+// Views and impressions are recorded after the response is sent
+const settle = () => new Promise((resolve) => setTimeout(resolve, 25));
+
+describe('listing analytics', () => {
+  let api;
+  let admin;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let otherTenant;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [admin, landlord, otherLandlord, tenant, otherTenant] = memory.seed({
+      users: [ADMIN, LANDLORD, OTHER_LANDLORD, TENANT, OTHER_TENANT],
+    }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const analytics = (id = listing.id, { token = landlord.token, query = '' } = {}) =>
+    api.request('GET', `/api/listings/${id}/analytics${query}`, { token });
+
+  it('counts each viewer once a day and ignores the landlord', async () => {
+    await api.request('GET', `/api/listings/${listing.id}`);
+    await api.request('GET', `/api/listings/${listing.id}`); // served from the cache
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    await api.request('GET', `/api/listings/${listing.id}`, { token: landlord.token });
+
+    await api.request('GET', '/api/listings', { token: tenant.token });
+    await api.request('POST', '/api/listings/search', { token: otherTenant.token, body: { query: 'kilimani' } });
+    await api.request('GET', '/api/listings', { token: landlord.token });
+    await settle();
+
+    const { status, body } = await analytics();
+    assert.equal(status, 200);
+    assert.deepEqual(
+      [body.totals.views, body.totals.impressions, body.totals.view_rate],
+      [2, 2, 1]
+    );
+  });
+
+  it("ignores caretakers' views of listings they manage", async () => {
+    const [caretaker] = memory.seed({ users: [CARETAKER] }).users;
+    const { body: delegation } = await api.request('POST', '/api/delegations', {
+      token: landlord.token,
+      body: { email: CARETAKER.email, permissions: ['edit'] },
+    });
+    await api.request('POST', `/api/delegations/${delegation.id}/accept`, { token: caretaker.token });
+
+    await api.request('GET', `/api/listings/${listing.id}`, { token: caretaker.token });
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    await settle();
+
+    assert.equal((await analytics()).body.totals.views, 1);
+  });
+
+  it('prunes old events and keeps the daily counts', async () => {
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    await api.request('GET', `/api/listings/${listing.id}`, { token: otherTenant.token });
+    await settle();
+
+    assert.equal(await pruneListingEvents(), 0);
+    assert.equal(await pruneListingEvents(new Date(Date.now() + (LISTING_EVENT_DAYS + 1) * 24 * 60 * 60 * 1000)), 2);
+    assert.equal((await analytics()).body.totals.views, 2);
+  });
+
+  it('records favorites and contact actions in a daily series', async () => {
+    await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+    await api.request('DELETE', `/api/favorites/${listing.id}`, { token: tenant.token });
+    await api.request('DELETE', `/api/favorites/${listing.id}`, { token: otherTenant.token });
+    await api.request('POST', '/api/inquiries', { token: tenant.token, body: { listing_id: listing.id, body: 'Is it still available?' } });
+    await api.request('POST', `/api/listings/${listing.id}/contact`, { token: tenant.token, body: { channel: 'whatsapp' } });
+    await api.request('POST', `/api/listings/${listing.id}/contact`, { token: otherTenant.token, body: { channel: 'phone' } });
+
+    const { body } = await analytics(listing.id, { query: '?days=7' });
+
+    assert.equal(body.daily.length, 7);
+    assert.equal(body.daily[6].date, body.to);
+    assert.deepEqual(body.daily[6], {
+      date: body.to,
+      views: 0,
+      impressions: 0,
+      favorites_added: 1,
+      favorites_removed: 1,
+      contacts: 2,
+    });
+    assert.deepEqual(body.daily.slice(0, 6).map((day) => day.contacts), [0, 0, 0, 0, 0, 0]);
+  });
+
+  it('compares the listing with similar listings in the same estate', async () => {
+    const [similar, other] = memory.seed({
+      listings: [
+        listingRow(otherLandlord.id, { price: 55000 }),
+        listingRow(otherLandlord.id, { estate: 'Lavington', location: 'Lavington, Nairobi' }),
+      ],
+    }).listings;
+    for (const token of [tenant.token, otherTenant.token]) {
+      await api.request('GET', `/api/listings/${similar.id}`, { token });
+      await api.request('GET', `/api/listings/${other.id}`, { token });
+    }
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    await settle();
+
+    const { body } = await analytics();
+
+    assert.equal(body.comparison.estate, 'Kilimani');
+    assert.equal(body.comparison.similar_listings, 1);
+    assert.equal(body.comparison.average.views, 2);
+    assert.equal(body.comparison.relative.views, 0.5);
+    assert.equal(body.comparison.average_price, 55000);
+  });
+
+  it('is only available to the owner and admins', async () => {
+    assert.equal((await analytics(listing.id, { token: tenant.token })).status, 403);
+    assert.equal((await analytics(listing.id, { token: admin.token })).status, 200);
+    assert.equal((await analytics(listing.id, { query: '?days=365' })).status, 422);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('app', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('GET /api/health reports OK', async () => {
+    const res = await api.request('GET', '/api/health');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'OK');
+  });
+
+  it('returns 404 for unknown routes', async () => {
+    const res = await api.request('GET', '/api/nope');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
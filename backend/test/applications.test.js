@@ -0,0 +1,217 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, sentNotifications, listingRow, PHOTOS, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+import { rentalApplications } from '../repositories/index.js';
+import { purgeDeletedListings } from '../services/listingPurge.js';
+
+const OTHER_TENANT = { email: 'baraka@example.com', token: 'other-tenant-token', profile: { user_type: 'tenant', full_name: 'Baraka Mwangi' } };
+const CARETAKER = { email: 'kiprono@example.com', token: 'caretaker-token', profile: { user_type: 'caretaker', full_name: 'Kiprono Kiplagat' } };
+
+// days from today, as YYYY-MM-DD
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const applicationForm = (fields, files = []) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, typeof value === 'string' ? value : JSON.stringify(value)));
+  files.forEach(({ name, type, data }) => form.append('documents', new Blob([data], { type }), name));
+  return form;
+};
+
+describe('rental applications', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let otherTenant;
+  let caretaker;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    sentNotifications.length = 0;
+    [landlord, otherLandlord, tenant, otherTenant, caretaker] = memory.seed({
+      users: [LANDLORD, OTHER_LANDLORD, TENANT, OTHER_TENANT, CARETAKER],
+    }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const details = (overrides = {}) => ({
+    listing_id: listing.id,
+    move_in_date: inDays(30),
+    occupants: 2,
+    employment_status: 'employed',
+    employer: 'Safaricom',
+    monthly_income: 180000,
+    ...overrides,
+  });
+
+  const apply = (token = tenant.token, overrides = {}) =>
+    api.request('POST', '/api/applications', { token, body: details(overrides) });
+
+  const act = (id, action, token = landlord.token, body) =>
+    api.request('POST', `/api/applications/${id}/${action}`, { token, body });
+
+  it('takes an application with documents kept in a private bucket', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n%payslip\n');
+    const res = await api.request('POST', '/api/applications', {
+      token: tenant.token,
+      form: applicationForm({ ...details(), occupants: '2', monthly_income: '180000', document_kinds: ['payslip', 'national_id'] }, [
+        { name: 'payslip.pdf', type: 'application/pdf', data: pdf },
+        { name: 'id.jpg', type: 'image/jpeg', data: PHOTOS[0] },
+      ]),
+    });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual([res.body.status, res.body.role, res.body.move_in_date], ['submitted', 'tenant', inDays(30)]);
+    assert.deepEqual(res.body.documents.map((d) => [d.kind, d.name, d.content_type]), [
+      ['payslip', 'payslip.pdf', 'application/pdf'],
+      ['national_id', 'id.jpg', 'image/jpeg'],
+    ]);
+    const [payslip] = res.body.documents;
+    assert.match(payslip.url, /\/object\/sign\/application-documents\//);
+    assert.deepEqual(memory.getStoredObject('application-documents', `${res.body.id}/${payslip.id}.pdf`).buffer, pdf);
+    assert.ok(sentNotifications.some((n) => n.to === LANDLORD.email && n.data.application_id === res.body.id));
+
+    // Lists carry the documents without links; only the two sides can open it
+    const listed = await api.request('GET', '/api/applications', { token: landlord.token });
+    assert.deepEqual(listed.body.applications.map((a) => [a.role, a.applicant.full_name]), [['landlord', 'Amina Hassan']]);
+    assert.equal(listed.body.applications[0].documents[0].url, undefined);
+    assert.equal((await api.request('GET', `/api/applications/${res.body.id}`, { token: otherTenant.token })).status, 404);
+    assert.equal((await api.request('GET', `/api/applications/${res.body.id}`, { token: otherLandlord.token })).status, 404);
+  });
+
+  it('validates the application and allows one open application per listing', async () => {
+    const past = await apply(tenant.token, { move_in_date: inDays(-1), occupants: 0, employment_status: 'astronaut' });
+    assert.equal(past.status, 422);
+    assert.deepEqual(past.body.errors.map((e) => e.field).sort(), ['employment_status', 'move_in_date', 'occupants']);
+
+    const notPdf = await api.request('POST', '/api/applications', {
+      token: tenant.token,
+      form: applicationForm(details(), [{ name: 'id.pdf', type: 'application/pdf', data: Buffer.from('not a pdf') }]),
+    });
+    assert.equal(notPdf.status, 422);
+
+    assert.equal((await apply(landlord.token)).status, 400);
+    const [draft] = memory.seed({ listings: [listingRow(landlord.id, { status: 'draft' })] }).listings;
+    assert.equal((await apply(tenant.token, { listing_id: draft.id })).status, 404);
+
+    const first = await apply();
+    assert.equal(first.status, 201);
+    const again = await apply();
+    assert.deepEqual([again.status, again.body.code], [409, 'DUPLICATE']);
+
+    // A withdrawn application can be followed by a new one
+    assert.equal((await act(first.body.id, 'withdraw', tenant.token)).body.status, 'withdrawn');
+    assert.equal((await apply()).status, 201);
+  });
+
+  it('lets the landlord shortlist and decline, and the tenant withdraw', async () => {
+    const { body: application } = await apply();
+    sentNotifications.length = 0;
+
+    assert.equal((await act(application.id, 'shortlist', tenant.token)).status, 403);
+    assert.equal((await act(application.id, 'withdraw', landlord.token)).status, 403);
+
+    const shortlisted = await act(application.id, 'shortlist');
+    assert.deepEqual([shortlisted.status, shortlisted.body.status], [200, 'shortlisted']);
+    assert.equal((await act(application.id, 'shortlist')).status, 409);
+
+    const declined = await act(application.id, 'decline', landlord.token, { reason: 'Looking for a single occupant' });
+    assert.deepEqual([declined.body.status, declined.body.decision_reason], ['declined', 'Looking for a single occupant']);
+    assert.ok(declined.body.decided_at);
+
+    const decline = sentNotifications.find((n) => n.channel === 'email' && n.data.status === 'declined');
+    assert.equal(decline.to, TENANT.email);
+    assert.match(decline.text, /Looking for a single occupant/);
+
+    const withdrawn = await act(application.id, 'withdraw', tenant.token);
+    assert.deepEqual([withdrawn.status, withdrawn.body.code], [409, 'INVALID_STATE']);
+  });
+
+  it('accepts an application, marks the listing rented and declines the others', async () => {
+    const { body: chosen } = await apply();
+    const { body: other } = await apply(otherTenant.token);
+    sentNotifications.length = 0;
+
+    const accepted = await act(chosen.id, 'accept', landlord.token, { mark_rented: true });
+    assert.equal(accepted.status, 200);
+    assert.deepEqual([accepted.body.status, accepted.body.listing.status], ['accepted', 'rented']);
+
+    const { body: declined } = await api.request('GET', `/api/applications/${other.id}`, { token: otherTenant.token });
+    assert.equal(declined.status, 'declined');
+    assert.match(declined.decision_reason, /let to another applicant/);
+    assert.deepEqual(
+      sentNotifications.filter((n) => n.channel === 'in_app').map((n) => [n.to, n.data.status]).sort(),
+      [
+        [otherTenant.id, 'declined'],
+        [tenant.id, 'accepted'],
+      ].sort()
+    );
+
+    const { body: audit } = await api.request('GET', `/api/listings/${listing.id}/audit`, { token: landlord.token });
+    assert.ok(audit.entries.some((entry) => entry.action === 'mark-rented'));
+  });
+
+  it('accepts one application per listing', async () => {
+    const { body: first } = await apply();
+    const { body: second } = await apply(otherTenant.token);
+
+    assert.equal((await act(first.id, 'accept')).status, 200);
+    const again = await act(second.id, 'accept');
+    assert.deepEqual([again.status, again.body.code], [409, 'INVALID_STATE']);
+    const { body: unchanged } = await api.request('GET', `/api/applications/${second.id}`, { token: otherTenant.token });
+    assert.equal(unchanged.status, 'submitted');
+
+    // A decision taken on a stale read does not overwrite the one that landed
+    await act(second.id, 'withdraw', otherTenant.token);
+    assert.equal(await rentalApplications.updateIfStatus(second.id, ['submitted'], { status: 'declined' }), null);
+  });
+
+  it('removes documents and inquiry attachments when the listing is purged', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n%payslip\n');
+    const { body: application } = await api.request('POST', '/api/applications', {
+      token: tenant.token,
+      form: applicationForm(details(), [{ name: 'payslip.pdf', type: 'application/pdf', data: pdf }]),
+    });
+    const inquiry = new FormData();
+    inquiry.append('listing_id', listing.id);
+    inquiry.append('attachments', new Blob([PHOTOS[0]], { type: 'image/jpeg' }), 'room.jpg');
+    const { body: sent } = await api.request('POST', '/api/inquiries', { token: tenant.token, form: inquiry });
+
+    const documentPath = `${application.id}/${application.documents[0].id}.pdf`;
+    const attachmentPath = `${sent.thread.id}/${sent.message.attachments[0].id}.jpg`;
+    assert.ok(memory.getStoredObject('application-documents', documentPath));
+    assert.ok(memory.getStoredObject('inquiry-attachments', attachmentPath));
+
+    await api.request('DELETE', `/api/listings/${listing.id}`, { token: landlord.token });
+    assert.equal(await purgeDeletedListings(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)), 1);
+    assert.equal(memory.getStoredObject('application-documents', documentPath), null);
+    assert.equal(memory.getStoredObject('inquiry-attachments', attachmentPath), null);
+  });
+
+  it('lets a caretaker with the applications permission review them', async () => {
+    const { body: application } = await apply();
+
+    assert.equal((await act(application.id, 'shortlist', caretaker.token)).status, 404);
+
+    const { body: invitation } = await api.request('POST', '/api/delegations', {
+      token: landlord.token,
+      body: { email: CARETAKER.email, listing_id: listing.id, permissions: ['applications'] },
+    });
+    await api.request('POST', `/api/delegations/${invitation.id}/accept`, { token: caretaker.token });
+
+    const listed = await api.request('GET', '/api/applications', { token: caretaker.token });
+    assert.deepEqual([listed.body.role, listed.body.total], ['landlord', 1]);
+    assert.equal((await act(application.id, 'shortlist', caretaker.token)).body.status, 'shortlisted');
+
+    // Marking the listing rented takes the availability permission too
+    const accept = await act(application.id, 'accept', caretaker.token, { mark_rented: true });
+    assert.equal(accept.status, 403);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, ADMIN, LANDLORD, TENANT } from './helpers.js';
+import { cache, createLruStore } from '../services/cache.js';
+
+describe('listing response cache', () => {
+  let api;
+  let admin;
+  let landlord;
+  let tenant;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [admin, landlord, tenant] = memory.seed({ users: [ADMIN, LANDLORD, TENANT] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  it('serves repeat reads from the in-process cache when Redis is not configured', async () => {
+    const first = await api.request('GET', '/api/listings?county=Nairobi&limit=5');
+    const second = await api.request('GET', '/api/listings?limit=5&county=Nairobi&estate=');
+
+    assert.equal(cache.backend(), 'memory');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+    assert.deepEqual(second.body, first.body);
+  });
+
+  // fetch marks conditional requests no-cache unless told otherwise; browsers
+  // revalidating send max-age=0
+  it('answers conditional requests with 304', async () => {
+    const first = await api.request('GET', `/api/listings/${listing.id}`);
+    assert.ok(first.headers.get('last-modified'));
+
+    const byEtag = await api.request('GET', `/api/listings/${listing.id}`, {
+      headers: { 'If-None-Match': first.headers.get('etag'), 'Cache-Control': 'max-age=0' },
+    });
+    assert.equal(byEtag.status, 304);
+    assert.equal(byEtag.text, '');
+
+    const byDate = await api.request('GET', `/api/listings/${listing.id}`, {
+      headers: { 'If-Modified-Since': first.headers.get('last-modified'), 'Cache-Control': 'max-age=0' },
+    });
+    assert.equal(byDate.status, 304);
+  });
+
+  it('invalidates lists, the landlord page and the detail when a published listing changes', async () => {
+    const paths = ['/api/listings', `/api/listings/landlord/${landlord.id}`, `/api/listings/${listing.id}`];
+    for (const path of paths) await api.request('GET', path);
+
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+
+    const [browse, landlordPage, detail] = await Promise.all(paths.map((path) => api.request('GET', path)));
+    assert.deepEqual([browse, landlordPage, detail].map((res) => res.headers.get('x-cache')), ['MISS', 'MISS', 'MISS']);
+    assert.equal(browse.body.listings[0].bedrooms, 3);
+    assert.equal(detail.body.bedrooms, 3);
+  });
+
+  it('keeps public lists cached while an unpublished listing changes, until it is approved', async () => {
+    await api.request('GET', '/api/listings');
+    const { body: draft } = await api.request('POST', '/api/listings', {
+      token: landlord.token,
+      body: { title: 'Bedsitter in Ruaka', price: 9000, property_type: 'bedsitter', location: 'Ruaka', county: 'Kiambu' },
+    });
+
+    const cached = await api.request('GET', '/api/listings');
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+
+    await api.request('POST', `/api/moderation/listings/${draft.id}/approve`, { token: admin.token });
+    const fresh = await api.request('GET', '/api/listings');
+    assert.equal(fresh.headers.get('x-cache'), 'MISS');
+    assert.equal(fresh.body.total, 2);
+  });
+
+  it('keys search on the normalized body and drops entries when a listing is deleted', async () => {
+    const search = (body) => api.request('POST', '/api/listings/search', { body });
+
+    await search({ query: 'kilimani', filters: { county: 'Nairobi', bedrooms: 2 } });
+    const again = await search({ filters: { bedrooms: 2, county: 'Nairobi' }, query: ' kilimani ' });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+
+    await api.request('DELETE', `/api/listings/${listing.id}`, { token: landlord.token });
+    const after = await search({ query: 'kilimani', filters: { county: 'Nairobi', bedrooms: 2 } });
+    assert.equal(after.headers.get('x-cache'), 'MISS');
+    assert.equal(after.body.listings.length, 0);
+  });
+
+  it('does not cache detail reads for signed-in users', async () => {
+    await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    const res = await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+
+    assert.equal(res.headers.get('x-cache'), null);
+  });
+});
+
+describe('LRU store', () => {
+  it('evicts the least recently used entry and expires old ones', async () => {
+    const store = createLruStore({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('b'), null);
+
+    await store.set('stale', 4, -1);
+    assert.equal(await store.get('stale'), null);
+  });
+
+  it('keeps generation counters apart from evictable entries', async () => {
+    const store = createLruStore({ maxEntries: 1 });
+    await store.bump(['listings', 'listings']);
+    await store.set('x', 1, 60);
+    await store.set('y', 2, 60);
+
+    assert.deepEqual(await store.counters(['listings', 'other']), [2, 0]);
+  });
+});
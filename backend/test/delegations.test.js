@@ -0,0 +1,146 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, sentNotifications, listingRow, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+
+const CARETAKER = { email: 'kiprono@example.com', token: 'caretaker-token', profile: { user_type: 'caretaker', full_name: 'Kiprono Kiplagat' } };
+
+// Tomorrow at the given UTC hour
+const at = (hour) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date.toISOString();
+};
+
+describe('caretaker delegation', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let caretaker;
+  let listing;
+  let otherListing;
+  let theirListing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    sentNotifications.length = 0;
+    [landlord, otherLandlord, tenant, caretaker] = memory.seed({ users: [LANDLORD, OTHER_LANDLORD, TENANT, CARETAKER] }).users;
+    [listing, otherListing, theirListing] = memory.seed({
+      listings: [
+        listingRow(landlord.id),
+        listingRow(landlord.id, { title: 'Studio in Westlands', status: 'draft' }),
+        listingRow(otherLandlord.id, { title: 'Bedsitter in Ruaka' }),
+      ],
+    }).listings;
+  });
+
+  const invite = (body, token = landlord.token) => api.request('POST', '/api/delegations', { token, body });
+
+  const delegate = async (body) => {
+    const { body: delegation } = await invite({ email: CARETAKER.email, ...body });
+    await api.request('POST', `/api/delegations/${delegation.id}/accept`, { token: caretaker.token });
+    return delegation;
+  };
+
+  const patch = (id, token = caretaker.token) =>
+    api.request('PATCH', `/api/listings/${id}`, { token, body: { bathrooms: 3 } });
+
+  it('lets a portfolio caretaker edit and change availability, but not delete', async () => {
+    const res = await invite({ email: 'KIPRONO@example.com', permissions: ['availability', 'edit'] });
+    assert.equal(res.status, 201);
+    assert.deepEqual([res.body.status, res.body.listing_id, res.body.permissions], ['pending', null, ['edit', 'availability']]);
+    assert.equal(res.body.caretaker.full_name, 'Kiprono Kiplagat');
+    assert.ok(sentNotifications.some((n) => n.channel === 'email' && n.to === CARETAKER.email && n.data.delegation_id === res.body.id));
+
+    // Nothing is granted until the caretaker accepts
+    assert.equal((await patch(listing.id)).status, 403);
+    const accepted = await api.request('POST', `/api/delegations/${res.body.id}/accept`, { token: caretaker.token });
+    assert.equal(accepted.body.status, 'active');
+
+    const updated = await patch(listing.id);
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.status, 'published');
+    assert.equal((await api.request('POST', `/api/listings/${listing.id}/mark-rented`, { token: caretaker.token })).body.status, 'rented');
+    assert.equal((await api.request('GET', `/api/listings/${otherListing.id}`, { token: caretaker.token })).status, 200);
+    assert.equal((await patch(theirListing.id)).status, 403);
+    assert.equal((await api.request('DELETE', `/api/listings/${listing.id}`, { token: caretaker.token })).status, 403);
+  });
+
+  it('includes managed listings in my-listings with the access granted', async () => {
+    await delegate({ listing_id: listing.id, permissions: ['viewings'] });
+    const [own] = memory.seed({ listings: [listingRow(caretaker.id, { title: 'Caretaker flat' })] }).listings;
+
+    const { body } = await api.request('GET', '/api/listings/landlord/my-listings', { token: caretaker.token });
+
+    assert.deepEqual(
+      body.listings.map((row) => [row.id, row.access.role, row.access.permissions]).sort(),
+      [
+        [listing.id, 'caretaker', ['viewings']],
+        [own.id, 'owner', ['edit', 'availability', 'viewings', 'applications', 'inquiries', 'delete']],
+      ].sort()
+    );
+    assert.equal(body.total, 2);
+  });
+
+  it('lets a caretaker with the viewings permission run one listing\'s viewings', async () => {
+    await delegate({ listing_id: listing.id, permissions: ['viewings'] });
+
+    const slots = await api.request('POST', `/api/listings/${listing.id}/viewing-slots`, {
+      token: caretaker.token,
+      body: { slots: [{ starts_at: at(9), ends_at: at(10) }] },
+    });
+    assert.equal(slots.status, 201);
+    const elsewhere = await api.request('POST', `/api/listings/${otherListing.id}/viewing-slots`, {
+      token: caretaker.token,
+      body: { slots: [{ starts_at: at(9), ends_at: at(10) }] },
+    });
+    assert.equal(elsewhere.status, 403);
+    assert.equal((await patch(listing.id)).status, 403);
+
+    const booking = await api.request('POST', '/api/viewings', {
+      token: tenant.token,
+      body: { listing_id: listing.id, starts_at: at(11), ends_at: at(12) },
+    });
+    const { body } = await api.request('GET', '/api/viewings', { token: caretaker.token });
+    assert.deepEqual([body.role, body.viewings.map((v) => v.id)], ['landlord', [booking.body.id]]);
+
+    const confirmed = await api.request('POST', `/api/viewings/${booking.body.id}/confirm`, { token: caretaker.token });
+    assert.equal(confirmed.body.status, 'confirmed');
+  });
+
+  it('can be revoked by either side and declined', async () => {
+    const delegation = await delegate({ permissions: ['edit'] });
+    assert.equal((await invite({ email: CARETAKER.email, permissions: ['viewings'] })).status, 409);
+
+    const revoked = await api.request('POST', `/api/delegations/${delegation.id}/revoke`, { token: landlord.token });
+    assert.deepEqual([revoked.body.status, revoked.body.revoked_by], ['revoked', landlord.id]);
+    assert.equal((await patch(listing.id)).status, 403);
+    assert.equal((await api.request('POST', `/api/delegations/${delegation.id}/revoke`, { token: caretaker.token })).status, 409);
+
+    const again = await invite({ email: CARETAKER.email, permissions: ['edit'] });
+    assert.equal(again.status, 201);
+    assert.equal((await api.request('POST', `/api/delegations/${again.body.id}/accept`, { token: landlord.token })).status, 403);
+    assert.equal((await api.request('POST', `/api/delegations/${again.body.id}/decline`, { token: caretaker.token })).body.status, 'declined');
+
+    const { body } = await api.request('GET', '/api/delegations', { token: caretaker.token });
+    assert.deepEqual([body.role, body.delegations.map((d) => d.status)], ['caretaker', ['declined', 'revoked']]);
+    assert.equal((await api.request('GET', `/api/delegations/${delegation.id}`, { token: otherLandlord.token })).status, 404);
+  });
+
+  it('only lets landlords invite caretakers to their own listings', async () => {
+    assert.equal((await invite({ email: TENANT.email, permissions: ['edit'] })).status, 404);
+    assert.equal((await invite({ email: CARETAKER.email, permissions: ['edit'] }, tenant.token)).status, 403);
+    assert.equal((await invite({ email: CARETAKER.email, listing_id: theirListing.id, permissions: ['edit'] })).status, 404);
+
+    const invalid = await invite({ email: CARETAKER.email, permissions: ['delete'] });
+    assert.equal(invalid.status, 422);
+    assert.equal(invalid.body.errors[0].field, 'permissions');
+  });
+});
@@ -0,0 +1,260 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, LANDLORD, TENANT } from './helpers.js';
+
+describe('favorites routes', () => {
+  let api;
+  let landlord;
+  let tenant;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, tenant] = memory.seed({ users: [LANDLORD, TENANT] }).users;
+  });
+
+  it('requires authentication', async () => {
+    const res = await api.request('GET', '/api/favorites');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Authentication required');
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await api.request('GET', '/api/favorites', { token: 'not-a-session' });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('adds, lists, checks and removes a favorite', async () => {
+    const [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+
+    const added = await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.listing_id, listing.id);
+
+    const list = await api.request('GET', '/api/favorites', { token: tenant.token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.favorites.length, 1);
+    assert.equal(list.body.favorites[0].listings.title, listing.title);
+
+    const check = await api.request('GET', `/api/favorites/check/${listing.id}`, { token: tenant.token });
+    assert.deepEqual(check.body, { isFavorited: true });
+
+    const removed = await api.request('DELETE', `/api/favorites/${listing.id}`, { token: tenant.token });
+    assert.equal(removed.status, 200);
+
+    const recheck = await api.request('GET', `/api/favorites/check/${listing.id}`, { token: tenant.token });
+    assert.deepEqual(recheck.body, { isFavorited: false });
+  });
+
+  it('requires a listing_id', async () => {
+    const res = await api.request('POST', '/api/favorites', { token: tenant.token, body: {} });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_INPUT');
+  });
+
+  it('returns 404 for an unknown listing', async () => {
+    const res = await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: 'missing' } });
+
+    assert.equal(res.status, 404);
+  });
+
+  it('refuses to favorite an unavailable listing', async () => {
+    const [listing] = memory.seed({ listings: [listingRow(landlord.id, { status: 'rented' })] }).listings;
+
+    const res = await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'UNAVAILABLE');
+  });
+
+  it('rejects duplicates', async () => {
+    const [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+    await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+
+    const res = await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'DUPLICATE');
+  });
+
+  it('keeps favorites whose listing is no longer available, marked unavailable', async () => {
+    const [available, taken] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Available' }), listingRow(landlord.id, { title: 'Taken', status: 'rented' })],
+    }).listings;
+    memory.seed({
+      favorites: [
+        { user_id: tenant.id, listing_id: available.id, created_at: '2024-01-01T00:00:00.000Z' },
+        { user_id: tenant.id, listing_id: taken.id, created_at: '2024-01-02T00:00:00.000Z' },
+      ],
+    });
+
+    const res = await api.request('GET', '/api/favorites', { token: tenant.token });
+
+    assert.deepEqual(
+      res.body.favorites.map((f) => [f.listings.title, f.listings.status, f.available]),
+      [
+        ['Taken', 'rented', false],
+        ['Available', 'published', true],
+      ]
+    );
+    assert.equal(res.body.total, 2);
+  });
+
+  it('keeps a private note per favorite and groups favorites into collections', async () => {
+    const [first, second] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Unit A' }), listingRow(landlord.id, { title: 'Unit B' })],
+    }).listings;
+
+    const created = await api.request('POST', '/api/favorites/collections', {
+      token: tenant.token,
+      body: { name: 'Kilimani 2BR options' },
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual([created.body.favorite_count, created.body.share_url], [0, null]);
+    const collectionId = created.body.id;
+
+    const duplicate = await api.request('POST', '/api/favorites/collections', {
+      token: tenant.token,
+      body: { name: 'kilimani 2br OPTIONS' },
+    });
+    assert.deepEqual([duplicate.status, duplicate.body.code], [409, 'DUPLICATE']);
+
+    const added = await api.request('POST', '/api/favorites', {
+      token: tenant.token,
+      body: { listing_id: first.id, note: 'Ask about the water schedule', collection_id: collectionId },
+    });
+    assert.equal(added.status, 201);
+    assert.deepEqual([added.body.note, added.body.collection_id], ['Ask about the water schedule', collectionId]);
+    await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: second.id } });
+
+    const inCollection = await api.request('GET', `/api/favorites?collection_id=${collectionId}`, { token: tenant.token });
+    assert.deepEqual(inCollection.body.favorites.map((f) => [f.listings.title, f.note]), [['Unit A', 'Ask about the water schedule']]);
+    const loose = await api.request('GET', '/api/favorites?collection_id=none', { token: tenant.token });
+    assert.deepEqual(loose.body.favorites.map((f) => f.listings.title), ['Unit B']);
+
+    const moved = await api.request('PATCH', `/api/favorites/${second.id}`, {
+      token: tenant.token,
+      body: { note: 'Viewing on Saturday', collection_id: collectionId },
+    });
+    assert.deepEqual([moved.status, moved.body.note, moved.body.collection_id], [200, 'Viewing on Saturday', collectionId]);
+
+    const cleared = await api.request('PATCH', `/api/favorites/${first.id}`, { token: tenant.token, body: { note: null } });
+    assert.deepEqual([cleared.body.note, cleared.body.collection_id], [null, collectionId]);
+
+    const [listed] = (await api.request('GET', '/api/favorites/collections', { token: tenant.token })).body.collections;
+    assert.equal(listed.favorite_count, 2);
+
+    // Another user's collection is not found
+    const other = await api.request('GET', `/api/favorites?collection_id=${collectionId}`, { token: landlord.token });
+    assert.equal(other.status, 404);
+
+    const removed = await api.request('DELETE', `/api/favorites/collections/${collectionId}`, { token: tenant.token });
+    assert.equal(removed.status, 200);
+    const remaining = await api.request('GET', '/api/favorites', { token: tenant.token });
+    assert.deepEqual(remaining.body.favorites.map((f) => f.collection_id), [null, null]);
+  });
+
+  it('compares favorited listings attribute by attribute', async () => {
+    const [a, b, c] = memory.seed({
+      listings: [
+        listingRow(landlord.id, { title: 'A', price: 45000, amenities: ['water', 'gym'], internet: true }),
+        listingRow(landlord.id, { title: 'B', price: 52000, amenities: ['borehole'], furnishing_status: 'furnished' }),
+        listingRow(landlord.id, { title: 'C', price: 40000, amenities: [], status: 'rented' }),
+      ],
+    }).listings;
+    memory.seed({ favorites: [a, b, c].map((listing) => ({ user_id: tenant.id, listing_id: listing.id })) });
+
+    const res = await api.request('GET', `/api/favorites/compare?listing_ids=${b.id},${a.id},${c.id}`, { token: tenant.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.listings.map((l) => [l.listing.title, l.available]), [['B', true], ['A', true], ['C', false]]);
+    const attribute = (key) => res.body.attributes.find((row) => row.key === key);
+    assert.deepEqual(attribute('price'), { group: 'basics', key: 'price', values: [52000, 45000, 40000], same: false });
+    assert.deepEqual(attribute('bedrooms').values, [2, 2, 2]);
+    assert.equal(attribute('bedrooms').same, true);
+    assert.deepEqual(attribute('furnishing_status').values, ['furnished', 'unfurnished', 'unfurnished']);
+    assert.deepEqual([attribute('internet').group, attribute('internet').values], ['utilities', [false, true, false]]);
+    assert.deepEqual(attribute('water').values, [false, true, false]);
+    assert.deepEqual([attribute('gym').group, attribute('gym').values], ['amenities', [false, true, false]]);
+    assert.equal(attribute('swimming_pool'), undefined);
+
+    const tooFew = await api.request('GET', `/api/favorites/compare?listing_ids=${a.id}`, { token: tenant.token });
+    assert.equal(tooFew.status, 422);
+    const malformed = await api.request('GET', `/api/favorites/compare?listing_ids=${a.id},not-a-uuid`, { token: tenant.token });
+    assert.equal(malformed.status, 422);
+    assert.deepEqual(malformed.body.errors.map((error) => error.field), ['listing_ids']);
+
+    const [notSaved] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+    const missing = await api.request('GET', `/api/favorites/compare?listing_ids=${a.id},${notSaved.id}`, { token: tenant.token });
+    assert.equal(missing.status, 404);
+  });
+
+  it('shares a collection read-only, without notes, until sharing is turned off', async () => {
+    const [listing, taken] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Unit A' }), listingRow(landlord.id, { title: 'Unit B', status: 'archived' })],
+    }).listings;
+    const collection = (
+      await api.request('POST', '/api/favorites/collections', {
+        token: tenant.token,
+        body: { name: 'For Achieng', description: 'Places near her office' },
+      })
+    ).body;
+    memory.seed({
+      favorites: [
+        { user_id: tenant.id, listing_id: listing.id, note: 'Landlord seemed pushy', collection_id: collection.id },
+        { user_id: tenant.id, listing_id: taken.id, collection_id: collection.id },
+      ],
+    });
+
+    const shared = await api.request('POST', `/api/favorites/collections/${collection.id}/share`, { token: tenant.token });
+    assert.equal(shared.status, 200);
+    assert.match(shared.body.share_url, /\/shortlists\/[\w-]{32}$/);
+    const again = await api.request('POST', `/api/favorites/collections/${collection.id}/share`, { token: tenant.token });
+    assert.equal(again.body.share_url, shared.body.share_url);
+
+    const token = shared.body.share_url.split('/').at(-1);
+    const view = await api.request('GET', `/api/favorites/shared/${token}`);
+    assert.equal(view.status, 200);
+    assert.deepEqual(view.body.collection.name, 'For Achieng');
+    const byListing = new Map(view.body.favorites.map((favorite) => [favorite.listing_id, favorite]));
+    assert.deepEqual([byListing.get(listing.id).listings.title, byListing.get(listing.id).available], ['Unit A', true]);
+    // A listing taken down is only shown as unavailable
+    assert.deepEqual(byListing.get(taken.id), { listing_id: taken.id, available: false });
+    assert.ok(!view.text.includes('Unit B'));
+    assert.ok(!view.text.includes('pushy'));
+    assert.ok(!view.text.includes(tenant.id));
+
+    const unshared = await api.request('DELETE', `/api/favorites/collections/${collection.id}/share`, { token: tenant.token });
+    assert.equal(unshared.body.share_url, null);
+    assert.equal((await api.request('GET', `/api/favorites/shared/${token}`)).status, 404);
+  });
+
+  it('pages with cursors', async () => {
+    const seeded = memory.seed({
+      listings: Array.from({ length: 3 }, (_, i) => listingRow(landlord.id, { title: `Unit ${i}` })),
+    }).listings;
+    memory.seed({
+      favorites: seeded.map((listing, i) => ({
+        user_id: tenant.id,
+        listing_id: listing.id,
+        created_at: `2024-01-0${i + 1}T00:00:00.000Z`,
+      })),
+    });
+
+    const first = await api.request('GET', '/api/favorites?limit=2', { token: tenant.token });
+    assert.deepEqual(first.body.favorites.map((f) => f.listings.title), ['Unit 2', 'Unit 1']);
+    assert.equal(first.body.total, 3);
+
+    const second = await api.request('GET', first.body.links.next, { token: tenant.token });
+    assert.deepEqual(second.body.favorites.map((f) => f.listings.title), ['Unit 0']);
+    assert.equal(second.body.next_cursor, null);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { startServer, memory } from './helpers.js';
+import { createShutdown, drainServer } from '../services/shutdown.js';
+
+// A server whose requests take delayMs, for the drain tests
+const startSlowServer = (delayMs) =>
+  new Promise((resolve) => {
+    const server = createServer((req, res) => setTimeout(() => res.end('done'), delayMs).unref());
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+
+describe('health', () => {
+  let api;
+  const { health } = memory;
+  const checks = { ...health };
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  afterEach(() => {
+    Object.assign(health, checks);
+    delete process.env.HEALTH_CHECK_TIMEOUT_MS;
+  });
+
+  it('answers liveness without checking dependencies', async () => {
+    health.database = async () => {
+      throw new Error('connection refused');
+    };
+
+    for (const path of ['/api/health', '/api/health/live']) {
+      const res = await api.request('GET', path);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'OK');
+    }
+  });
+
+  it('is ready when Supabase auth, the database and storage answer', async () => {
+    const res = await api.request('GET', '/api/health/ready');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.deepEqual(Object.keys(res.body.checks), ['auth', 'database', 'storage']);
+    assert.ok(Object.values(res.body.checks).every((check) => check.status === 'ok'));
+  });
+
+  it('reports each failing or slow dependency', async () => {
+    process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+    health.database = async () => {
+      throw new Error('connection refused');
+    };
+    health.storage = () => new Promise((resolve) => setTimeout(resolve, 500).unref());
+
+    const res = await api.request('GET', '/api/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, 'unavailable');
+    assert.equal(res.body.checks.auth.status, 'ok');
+    assert.deepEqual([res.body.checks.database.status, res.body.checks.database.error], ['error', 'connection refused']);
+    assert.equal(res.body.checks.storage.status, 'timeout');
+    assert.ok(res.body.checks.storage.latency_ms < 500);
+  });
+
+  it('cuts off requests still running at the drain deadline', async () => {
+    const { server, url } = await startSlowServer(5000);
+    const pending = fetch(url).catch((error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(await drainServer(server, 100), false);
+    assert.ok((await pending) instanceof Error);
+  });
+
+  it('shuts down gracefully: not ready, in-flight requests finish, then cleanup', async () => {
+    const { server, url } = await startSlowServer(200);
+    const cleanedUp = [];
+    const shutdown = createShutdown({
+      server,
+      timeoutMs: 5000,
+      cleanup: [async (remainingMs) => cleanedUp.push(['jobs', remainingMs > 0]), async () => cleanedUp.push(['clients'])],
+    });
+
+    // A keep-alive connection in use, and a request in flight on it
+    await fetch(url).then((res) => res.text());
+    const inFlight = fetch(url).then((res) => res.text());
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const done = shutdown('SIGTERM');
+    assert.equal(shutdown('SIGTERM'), done);
+
+    const ready = await api.request('GET', '/api/health/ready');
+    assert.deepEqual([ready.status, ready.body.status], [503, 'shutting_down']);
+    await assert.rejects(fetch(url, { headers: { Connection: 'close' } }));
+
+    assert.equal(await inFlight, 'done');
+    assert.deepEqual(await done, { drained: true });
+    assert.deepEqual(cleanedUp, [['jobs', true], ['clients']]);
+  });
+});
@@ -0,0 +1,109 @@
+// Shared setup for the API tests: boots the app on an ephemeral port against the
+// in-memory data driver. Imported dynamically so DATA_DRIVER is set first.
+import sharp from 'sharp';
+
+process.env.DATA_DRIVER = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.NOTIFIER_TRANSPORT = 'memory';
+process.env.LOG_TRANSPORT = 'memory';
+process.env.LOG_LEVEL = 'debug';
+
+process.env.REDIS_URL = '';
+
+const { default: app } = await import('../app.js');
+const memoryDriver = await import('../repositories/memory.js');
+const { cache } = await import('../services/cache.js');
+
+// reset() and seed() write straight to the store, behind the response cache's
+// back, so they also empty it
+export const memory = {
+  ...memoryDriver,
+  reset: () => {
+    memoryDriver.reset();
+    cache.clearLocal();
+  },
+  seed: (...args) => {
+    cache.clearLocal();
+    return memoryDriver.seed(...args);
+  },
+};
+export const { sentNotifications } = await import('../services/notifier.js');
+export const { loggedEntries } = await import('../services/logger.js');
+
+export const startServer = () =>
+  new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const request = async (method, path, { token, body, form, headers = {} } = {}) => {
+        const init = { method, headers: { ...headers } };
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (form) {
+          init.body = form;
+        } else if (body !== undefined) {
+          init.headers['Content-Type'] = 'application/json';
+          init.body = JSON.stringify(body);
+        }
+        const res = await fetch(`${baseUrl}${path}`, init);
+        const text = await res.text();
+        let json = null;
+        try {
+          json = text ? JSON.parse(text) : null;
+        } catch {
+          json = null;
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+      };
+
+      resolve({ server, request, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+
+// Small distinct JPEGs, so uploads go through the real image pipeline
+export const PHOTOS = await Promise.all(
+  ['#c0392b', '#27ae60', '#2980b9'].map((background) =>
+    sharp({ create: { width: 64, height: 48, channels: 3, background } }).jpeg().toBuffer()
+  )
+);
+
+// Build a multipart body the way the frontend sends listing forms. Files
+// without data get a different photo each.
+export const listingForm = (fields, files = []) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  files.forEach(({ name = 'photo.jpg', type = 'image/jpeg', data }, index) =>
+    form.append('images', new Blob([data || PHOTOS[index % PHOTOS.length]], { type }), name)
+  );
+  return form;
+};
+
+export const LANDLORD = { email: 'wanjiru@example.com', token: 'landlord-token', profile: { user_type: 'landlord', full_name: 'Wanjiru Kamau', phone: '+254700000001' } };
+export const OTHER_LANDLORD = { email: 'otieno@example.com', token: 'other-landlord-token', profile: { user_type: 'landlord', full_name: 'Otieno Ochieng', phone: '+254700000002' } };
+export const TENANT = { email: 'amina@example.com', token: 'tenant-token', profile: { user_type: 'tenant', full_name: 'Amina Hassan', phone: '+254700000003' } };
+
+export const ADMIN = { email: 'moderator@example.com', token: 'admin-token', profile: { user_type: 'admin', full_name: 'Site Moderator' } };
+
+export const listingRow = (landlordId, overrides = {}) => ({
+  title: '2BR apartment in Kilimani',
+  description: 'Spacious apartment close to Yaya Centre',
+  price: 45000,
+  property_type: 'apartment',
+  bedrooms: 2,
+  bathrooms: 1,
+  location: 'Kilimani, Nairobi',
+  county: 'Nairobi',
+  estate: 'Kilimani',
+  landlord_name: 'Wanjiru Kamau',
+  amenities: ['water', 'security'],
+  furnishing_status: 'unfurnished',
+  parking: true,
+  garden: false,
+  balcony: true,
+  own_compound: false,
+  electricity: true,
+  internet: false,
+  status: 'published',
+  landlord_id: landlordId,
+  images: [],
+  ...overrides,
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startServer, memory, listingRow, PHOTOS, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+
+const OTHER_TENANT = { email: 'baraka@example.com', token: 'other-tenant-token', profile: { user_type: 'tenant', full_name: 'Baraka Mwangi' } };
+const CARETAKER = { email: 'kiprono@example.com', token: 'caretaker-token', profile: { user_type: 'caretaker', full_name: 'Kiprono Kiplagat' } };
+
+const messageForm = (fields, files = []) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  files.forEach(({ name, type, data }) => form.append('attachments', new Blob([data], { type }), name));
+  return form;
+};
+
+describe('inquiries routes', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let otherTenant;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, otherLandlord, tenant, otherTenant] = memory.seed({ users: [LANDLORD, OTHER_LANDLORD, TENANT, OTHER_TENANT] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id, { hide_contact: true })] }).listings;
+  });
+
+  const inquire = (body, token = tenant.token) =>
+    api.request('POST', '/api/inquiries', { token, body: { listing_id: listing.id, ...body } });
+
+  const reply = (threadId, body, token = landlord.token) =>
+    api.request('POST', `/api/inquiries/${threadId}/messages`, { token, body: { body } });
+
+  it('opens one thread per tenant and listing and tracks unread counts', async () => {
+    const first = await inquire({ body: 'Is the flat still available?' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.thread.role, 'tenant');
+    assert.equal(first.body.thread.listing.title, listing.title);
+    assert.equal(first.body.message.read, false);
+
+    const second = await inquire({ body: 'Also, is water included?' });
+    assert.equal(second.body.thread.id, first.body.thread.id);
+
+    const unread = await api.request('GET', '/api/inquiries/unread-count', { token: landlord.token });
+    assert.equal(unread.body.unread_count, 2);
+
+    const threads = await api.request('GET', '/api/inquiries', { token: landlord.token });
+    assert.equal(threads.body.role, 'landlord');
+    assert.equal(threads.body.total, 1);
+    assert.equal(threads.body.threads[0].last_message_preview, 'Also, is water included?');
+    assert.equal(threads.body.threads[0].unread_count, 2);
+  });
+
+  it('shows read receipts once the other side reads the thread', async () => {
+    const { body: { thread } } = await inquire({ body: 'Can I view on Saturday?' });
+
+    const read = await api.request('POST', `/api/inquiries/${thread.id}/read`, { token: landlord.token });
+    assert.equal(read.body.unread_count, 0);
+    await reply(thread.id, 'Yes, 10am works');
+
+    const tenantView = await api.request('GET', `/api/inquiries/${thread.id}`, { token: tenant.token });
+    assert.equal(tenantView.body.thread.unread_count, 1);
+    assert.equal(tenantView.body.thread.landlord_replied, true);
+    const [latest, mine] = tenantView.body.messages;
+    assert.equal(latest.body, 'Yes, 10am works');
+    assert.equal(latest.read, undefined);
+    assert.equal(mine.read, true);
+
+    const landlordView = await api.request('GET', `/api/inquiries/${thread.id}`, { token: landlord.token });
+    assert.equal(landlordView.body.messages[0].read, false);
+  });
+
+  it('groups the landlord inbox by listing and supports archiving', async () => {
+    const [second] = memory.seed({ listings: [listingRow(landlord.id, { title: 'Bedsitter in Ruaka' })] }).listings;
+    const { body: { thread } } = await inquire({ body: 'Hello' });
+    await inquire({ body: 'Hi there' }, otherTenant.token);
+    await inquire({ listing_id: second.id, body: 'Is parking available?' });
+
+    const inbox = await api.request('GET', '/api/inquiries/inbox', { token: landlord.token });
+    assert.deepEqual(
+      inbox.body.listings.map((group) => [group.listing.title, group.threads.length, group.unread_count]),
+      [['Bedsitter in Ruaka', 1, 1], [listing.title, 2, 2]]
+    );
+    assert.equal(inbox.body.unread_count, 3);
+
+    await api.request('POST', `/api/inquiries/${thread.id}/archive`, { token: landlord.token });
+    const archived = await api.request('GET', '/api/inquiries?role=landlord&archived=true', { token: landlord.token });
+    assert.deepEqual(archived.body.threads.map((t) => t.id), [thread.id]);
+
+    // A new message brings it back
+    await inquire({ body: 'Any update?' });
+    const active = await api.request('GET', '/api/inquiries?role=landlord', { token: landlord.token });
+    assert.equal(active.body.total, 3);
+  });
+
+  it('stores attachments privately and strips image metadata', async () => {
+    const photo = await sharp(PHOTOS[0]).withMetadata({ exif: { IFD0: { Copyright: 'Amina' } } }).jpeg().toBuffer();
+    const pdf = Buffer.from('%PDF-1.4\n%payslip\n');
+    const res = await api.request('POST', '/api/inquiries', {
+      token: tenant.token,
+      form: messageForm({ listing_id: listing.id }, [
+        { name: 'room.jpg', type: 'image/jpeg', data: photo },
+        { name: 'payslip.pdf', type: 'application/pdf', data: pdf },
+      ]),
+    });
+
+    assert.equal(res.status, 201);
+    const [image, document] = res.body.message.attachments;
+    assert.equal(document.content_type, 'application/pdf');
+    assert.equal(document.name, 'payslip.pdf');
+    assert.match(image.url, /\/object\/sign\/inquiry-attachments\//);
+    assert.equal(image.path, undefined);
+
+    const path = new URL(image.url).pathname.replace('/storage/v1/object/sign/inquiry-attachments/', '');
+    const stored = memory.getStoredObject('inquiry-attachments', path);
+    assert.equal((await sharp(stored.buffer).metadata()).exif, undefined);
+  });
+
+  it('refuses other file types, empty messages and own listings', async () => {
+    const badFile = await api.request('POST', '/api/inquiries', {
+      token: tenant.token,
+      form: messageForm({ listing_id: listing.id, body: 'See attached' }, [
+        { name: 'notes.txt', type: 'application/pdf', data: Buffer.from('not a pdf') },
+      ]),
+    });
+    assert.equal(badFile.status, 422);
+    assert.equal(badFile.body.errors[0].code, 'invalid_file');
+
+    const empty = await inquire({});
+    assert.equal(empty.status, 422);
+    assert.equal(empty.body.errors[0].field, 'body');
+
+    const own = await inquire({ body: 'Hello me' }, landlord.token);
+    assert.equal(own.status, 400);
+    assert.equal(own.body.code, 'OWN_LISTING');
+  });
+
+  it('lets a caretaker with the inquiries permission read and answer threads', async () => {
+    const [caretaker] = memory.seed({ users: [CARETAKER] }).users;
+    const delegate = async (permissions) => {
+      const { body } = await api.request('POST', '/api/delegations', { token: landlord.token, body: { email: CARETAKER.email, permissions } });
+      await api.request('POST', `/api/delegations/${body.id}/accept`, { token: caretaker.token });
+      return body;
+    };
+    const { body: opened } = await inquire({ body: 'Is the flat still available?' });
+
+    const viewingsOnly = await delegate(['viewings']);
+    assert.equal((await api.request('GET', `/api/inquiries/${opened.thread.id}`, { token: caretaker.token })).status, 404);
+    await api.request('POST', `/api/delegations/${viewingsOnly.id}/revoke`, { token: landlord.token });
+
+    await delegate(['inquiries']);
+    const inbox = await api.request('GET', '/api/inquiries/inbox', { token: caretaker.token });
+    assert.deepEqual([inbox.body.unread_count, inbox.body.listings[0].threads[0].id], [1, opened.thread.id]);
+
+    const answered = await reply(opened.thread.id, 'Yes, come and see it', caretaker.token);
+    assert.equal(answered.status, 201);
+
+    const landlordSide = await api.request('GET', '/api/inquiries', { token: landlord.token });
+    assert.equal(landlordSide.body.threads[0].unread_count, 0);
+    const tenantSide = await api.request('GET', `/api/inquiries/${opened.thread.id}`, { token: tenant.token });
+    assert.equal(tenantSide.body.thread.unread_count, 1);
+    assert.equal(tenantSide.body.messages[0].body, 'Yes, come and see it');
+  });
+
+  it("hides threads from people who aren't part of them", async () => {
+    const { body: { thread } } = await inquire({ body: 'Hello' });
+
+    const res = await api.request('GET', `/api/inquiries/${thread.id}`, { token: otherLandlord.token });
+    const post = await reply(thread.id, 'Hi', otherTenant.token);
+
+    assert.equal(res.status, 404);
+    assert.equal(post.status, 404);
+  });
+
+  it("hides the landlord's contact details until they reply", async () => {
+    const before = await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    assert.equal(before.body.contact_hidden, true);
+    assert.equal(before.body.profiles.phone, null);
+    assert.equal(before.body.profiles.email, null);
+    assert.equal(before.body.profiles.full_name, LANDLORD.profile.full_name);
+
+    const { body: { thread } } = await inquire({ body: 'Hello' });
+    await reply(thread.id, 'Karibu! Call me any time.');
+
+    const after = await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    assert.equal(after.body.contact_hidden, undefined);
+    assert.equal(after.body.profiles.phone, LANDLORD.profile.phone);
+
+    const stranger = await api.request('GET', `/api/listings/${listing.id}`, { token: otherTenant.token });
+    assert.equal(stranger.body.profiles.phone, null);
+  });
+});
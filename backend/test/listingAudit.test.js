@@ -0,0 +1,98 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, ADMIN, LANDLORD, OTHER_LANDLORD } from './helpers.js';
+import { purgeDeletedListings } from '../services/listingPurge.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('listing soft delete and audit trail', () => {
+  let api;
+  let admin;
+  let landlord;
+  let otherLandlord;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [admin, landlord, otherLandlord] = memory.seed({ users: [ADMIN, LANDLORD, OTHER_LANDLORD] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const remove = (id = listing.id) => api.request('DELETE', `/api/listings/${id}`, { token: landlord.token });
+  const restore = (id = listing.id) => api.request('POST', `/api/listings/${id}/restore`, { token: landlord.token });
+  const audit = (id = listing.id, { token = landlord.token, query = '' } = {}) =>
+    api.request('GET', `/api/listings/${id}/audit${query}`, { token });
+
+  it('keeps deleted listings out of sight until they are restored', async () => {
+    assert.equal((await remove()).status, 200);
+    assert.equal((await remove()).status, 409);
+
+    assert.equal((await api.request('GET', '/api/listings')).body.listings.length, 0);
+    const mine = await api.request('GET', '/api/listings/landlord/my-listings', { token: landlord.token });
+    assert.equal(mine.body.listings.length, 0);
+    const trash = await api.request('GET', '/api/listings/landlord/my-listings?status=deleted', { token: landlord.token });
+    assert.deepEqual(trash.body.listings.map((row) => row.id), [listing.id]);
+    const edit = await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { price: 1000 } });
+    assert.equal(edit.status, 409);
+
+    const restored = await restore();
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.status, 'published');
+    assert.equal((await api.request('GET', `/api/listings/${listing.id}`)).status, 200);
+    assert.equal((await restore()).status, 409);
+  });
+
+  it('purges listings once the restore window has passed', async () => {
+    await remove();
+    assert.equal(await purgeDeletedListings(new Date(Date.now() + 29 * DAY_MS)), 0);
+
+    const later = new Date(Date.now() + 31 * DAY_MS);
+    assert.equal(await purgeDeletedListings(later), 1);
+    assert.equal((await restore()).status, 403);
+
+    // The owner can still read what happened
+    const { body } = await audit();
+    assert.deepEqual(body.entries.map((entry) => entry.action), ['purge', 'delete']);
+    assert.equal(body.entries[0].actor_id, null);
+  });
+
+  it('records who changed which fields', async () => {
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3, title: listing.title } });
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+    await api.request('POST', `/api/listings/${listing.id}/mark-rented`, { token: landlord.token });
+    await remove();
+
+    const { status, body } = await audit();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.entries.map((entry) => entry.action), ['delete', 'mark-rented', 'update']);
+    const update = body.entries[2];
+    assert.equal(update.actor_id, landlord.id);
+    assert.deepEqual(update.changes, { bedrooms: { from: 2, to: 3 } });
+    assert.deepEqual(body.entries[1].changes.status, { from: 'published', to: 'rented' });
+    assert.deepEqual(body.entries[0].changes.status, { from: 'rented', to: 'deleted' });
+
+    const filtered = await audit(listing.id, { query: '?action=update' });
+    assert.equal(filtered.body.entries.length, 1);
+  });
+
+  it('records creates and is only readable by the owner and admins', async () => {
+    const created = await api.request('POST', '/api/listings', {
+      token: landlord.token,
+      body: { title: 'Bedsitter in Ruaka', price: 9000, property_type: 'bedsitter', location: 'Ruaka', county: 'Kiambu' },
+    });
+
+    const { body } = await audit(created.body.id, { token: admin.token });
+    assert.equal(body.entries[0].action, 'create');
+    assert.deepEqual(body.entries[0].changes.price, { from: null, to: 9000 });
+
+    assert.equal((await audit(created.body.id, { token: otherLandlord.token })).status, 403);
+    assert.equal((await api.request('DELETE', `/api/listings/${listing.id}`, { token: otherLandlord.token })).status, 403);
+  });
+});
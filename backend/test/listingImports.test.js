@@ -0,0 +1,204 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { startServer, memory, listingRow, PHOTOS, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+import { listingImports } from '../repositories/index.js';
+import { processListingImports } from '../services/listingImport.js';
+
+const HEADER = 'title,price,property_type,location,county,bedrooms,amenities,parking,status,images';
+
+const importForm = (sheet, { name = 'listings.csv', images } = {}) => {
+  const form = new FormData();
+  form.append('file', new Blob([sheet]), name);
+  if (images) form.append('images', new Blob([images], { type: 'application/zip' }), 'photos.zip');
+  return form;
+};
+
+const photoZip = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, data]) => zip.file(name, data));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('listing import and export', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, otherLandlord, tenant] = memory.seed({ users: [LANDLORD, OTHER_LANDLORD, TENANT] }).users;
+  });
+
+  const upload = (form, { dryRun = false, token = landlord.token } = {}) =>
+    api.request('POST', `/api/listings/imports${dryRun ? '?dry_run=true' : ''}`, { token, form });
+
+  // Runs the job runner server.js puts on a timer, then reads the import back
+  const finished = async (id) => {
+    await processListingImports();
+    return (await api.request('GET', `/api/listings/imports/${id}`, { token: landlord.token })).body;
+  };
+
+  const myListings = async () => (await api.request('GET', '/api/listings/landlord/my-listings', { token: landlord.token })).body.listings;
+
+  const exportFile = async (format) => {
+    const res = await fetch(`http://127.0.0.1:${api.server.address().port}/api/listings/landlord/my-listings/export?format=${format}`, {
+      headers: { Authorization: `Bearer ${landlord.token}` },
+    });
+    return { res, buffer: Buffer.from(await res.arrayBuffer()) };
+  };
+
+  it('reports every invalid row on a dry run without creating anything', async () => {
+    const sheet = [
+      HEADER,
+      'Bedsitter in Ruaka,"9,000",bedsitter,Ruaka,Kiambu,0,"water, security",yes,draft,',
+      'Castle,abc,castle,Karen,Nairobi,4,,maybe,,',
+      ',15000,studio,Westlands,Nairobi,,,,published,front.jpg',
+    ].join('\n');
+
+    const res = await upload(importForm(sheet), { dryRun: true });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      { total: res.body.total_rows, valid: res.body.valid_rows, creates: res.body.creates },
+      { total: 3, valid: 1, creates: 3 }
+    );
+    assert.deepEqual(
+      res.body.errors.map((error) => [error.row, error.field]),
+      [[3, 'price'], [3, 'property_type'], [3, 'parking'], [4, 'title'], [4, 'status'], [4, 'images']]
+    );
+    assert.deepEqual(await myListings(), []);
+
+    const commit = await upload(importForm(sheet));
+    assert.equal(commit.status, 422);
+    assert.equal(commit.body.errors.length, 6);
+  });
+
+  it('imports rows with photos from a zip as a background job', async () => {
+    const sheet = [
+      HEADER,
+      'Bedsitter in Ruaka,9000,bedsitter,Ruaka,Kiambu,0,water,true,,ruaka-1.jpg | photos/ruaka-2.jpg',
+      'Studio in Westlands,22000,studio,Westlands,Nairobi,1,,false,draft,',
+    ].join('\r\n');
+    const images = await photoZip({ 'ruaka-1.jpg': PHOTOS[0], 'photos/ruaka-2.jpg': PHOTOS[1] });
+
+    const res = await upload(importForm(sheet, { images }));
+    assert.equal(res.status, 202);
+    assert.deepEqual([res.body.status, res.body.total_rows, res.body.plan], ['queued', 2, undefined]);
+
+    const job = await finished(res.body.id);
+    assert.deepEqual(
+      [job.status, job.progress, job.created_count, job.failed_count],
+      ['completed', 100, 2, 0]
+    );
+
+    const listings = await myListings();
+    const ruaka = listings.find((listing) => listing.title === 'Bedsitter in Ruaka');
+    assert.equal(ruaka.status, 'pending_review');
+    assert.equal(ruaka.images.length, 2);
+    assert.equal(listings.find((listing) => listing.title === 'Studio in Westlands').status, 'draft');
+  });
+
+  it('records rows that fail while importing and carries on', async () => {
+    const sheet = [HEADER, 'Bedsitter in Ruaka,9000,bedsitter,Ruaka,Kiambu,0,,,,not-a-photo.jpg', 'Studio in Westlands,22000,studio,Westlands,Nairobi,1,,,,'].join('\n');
+    const images = await photoZip({ 'not-a-photo.jpg': Buffer.from('plain text') });
+
+    const { body } = await upload(importForm(sheet, { images }));
+    const job = await finished(body.id);
+
+    assert.equal(job.status, 'completed');
+    assert.deepEqual([job.created_count, job.failed_count], [1, 1]);
+    assert.equal(job.errors[0].row, 2);
+    assert.match(job.errors[0].message, /not-a-photo\.jpg: .*not a JPEG, PNG or WebP/);
+  });
+
+  it('refuses zip photos that inflate past 5MB before reading them', async () => {
+    const zip = new JSZip();
+    zip.file('huge.jpg', Buffer.alloc(6 * 1024 * 1024));
+    const images = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    const sheet = `${HEADER}\nBedsitter in Ruaka,9000,bedsitter,Ruaka,Kiambu,0,,,,huge.jpg`;
+
+    const res = await upload(importForm(sheet, { images }), { dryRun: true });
+
+    assert.ok(images.length < 100 * 1024);
+    assert.deepEqual(res.body.errors.map((error) => [error.row, error.field, error.code]), [[2, 'images', 'too_large']]);
+  });
+
+  it('picks up an import left running by a restart from the first unfinished row', async () => {
+    const sheet = [HEADER, 'Bedsitter in Ruaka,9000,bedsitter,Ruaka,Kiambu,0,,,,a.jpg', 'Studio in Westlands,22000,studio,Westlands,Nairobi,1,,,,'].join('\n');
+    const images = await photoZip({ 'a.jpg': PHOTOS[0] });
+    const { body } = await upload(importForm(sheet, { images }));
+
+    // A process claimed the job and got through the first row before it stopped
+    const claimed = await listingImports.claimNext({ leaseSeconds: 60 });
+    assert.equal(claimed.id, body.id);
+    await listingImports.update(body.id, { processed_rows: 1, failed_count: 1, errors: [{ row: 2, code: 'import_failed', message: 'lost' }] });
+    await processListingImports();
+    assert.equal((await listingImports.findById(body.id)).status, 'running');
+
+    await processListingImports(new Date(Date.now() + 61 * 1000));
+    const job = (await api.request('GET', `/api/listings/imports/${body.id}`, { token: landlord.token })).body;
+
+    assert.deepEqual([job.status, job.processed_rows, job.created_count, job.failed_count], ['completed', 2, 1, 1]);
+    assert.deepEqual((await myListings()).map((listing) => listing.title), ['Studio in Westlands']);
+    assert.equal((await listingImports.findById(body.id)).archive_path, null);
+  });
+
+  it('round-trips an XLSX export, updating listings in place and keeping their photos', async () => {
+    const images = await photoZip({ 'a.jpg': PHOTOS[0] });
+    const created = await upload(importForm(`${HEADER}\nBedsitter in Ruaka,9000,bedsitter,Ruaka,Kiambu,0,water,true,,a.jpg`, { images }));
+    await finished(created.body.id);
+    const [before] = await myListings();
+
+    const { res, buffer } = await exportFile('xlsx');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="my-listings-.*\.xlsx"/);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    const headers = sheet.getRow(1).values;
+    sheet.getRow(2).getCell(headers.indexOf('price')).value = 9500;
+    const edited = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const dryRun = await upload(importForm(edited, { name: 'listings.xlsx' }), { dryRun: true });
+    assert.deepEqual([dryRun.body.format, dryRun.body.updates, dryRun.body.errors], ['xlsx', 1, []]);
+
+    const job = await finished((await upload(importForm(edited, { name: 'listings.xlsx' }))).body.id);
+    assert.equal(job.updated_count, 1);
+
+    const [after] = await myListings();
+    assert.equal(after.id, before.id);
+    assert.equal(after.price, 9500);
+    assert.deepEqual(after.images, before.images);
+  });
+
+  it('exports CSV and refuses ids that belong to someone else', async () => {
+    const [theirs] = memory.seed({ listings: [listingRow(otherLandlord.id)] }).listings;
+    memory.seed({ listings: [listingRow(landlord.id, { title: 'Flat, with "quotes"' })] });
+
+    const { res, buffer } = await exportFile('csv');
+    assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+    const [header, row] = buffer.toString('utf8').replace(/^\uFEFF/, '').split('\r\n');
+    assert.ok(header.startsWith('id,title,description,price'));
+    assert.match(row, /"Flat, with ""quotes"""/);
+
+    const sheet = `id,${HEADER}\n${theirs.id},Taken over,9000,bedsitter,Ruaka,Kiambu,0,,,,`;
+    const dryRun = await upload(importForm(sheet), { dryRun: true });
+    assert.deepEqual(dryRun.body.errors.map((error) => [error.row, error.field, error.code]), [[2, 'id', 'not_found']]);
+  });
+
+  it('only lets landlords import', async () => {
+    const res = await upload(importForm(`${HEADER}\nBedsitter,9000,bedsitter,Ruaka,Kiambu,0,,,,`), { token: tenant.token });
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,829 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startServer, memory, listingForm, listingRow, PHOTOS, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+import { purgeDeletedListings } from '../services/listingPurge.js';
+
+describe('listings routes', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, otherLandlord, tenant] = memory.seed({ users: [LANDLORD, OTHER_LANDLORD, TENANT] }).users;
+  });
+
+  const seedListings = (...rows) => memory.seed({ listings: rows }).listings;
+
+  const fields = {
+    title: 'Bedsitter in Ruaka',
+    description: 'Close to the bypass',
+    price: '9000',
+    property_type: 'bedsitter',
+    bedrooms: '0',
+    bathrooms: '1',
+    location: 'Ruaka',
+    county: 'Kiambu',
+    estate: 'Ruaka',
+    amenities: JSON.stringify(['water']),
+    furnishing_status: 'unfurnished',
+    parking: 'false',
+  };
+
+  describe('GET /api/listings', () => {
+    it('returns only available listings, newest first', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Older', updated_at: '2024-01-01T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'Newer', updated_at: '2024-02-01T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'Let out', status: 'rented' })
+      );
+
+      const res = await api.request('GET', '/api/listings');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['Newer', 'Older']);
+      assert.deepEqual(Object.keys(res.body.listings[0]).sort(), [
+        'bathrooms', 'bedrooms', 'created_at', 'featured', 'featured_until', 'id', 'images', 'latitude', 'location',
+        'longitude', 'previous_price', 'price', 'price_dropped', 'property_type', 'status', 'title', 'updated_at',
+      ]);
+      assert.equal(res.body.total, 2);
+      assert.equal(res.body.total_type, 'exact');
+      assert.equal(res.body.limit, 20);
+      assert.equal(res.body.offset, 0);
+    });
+
+    it('applies query filters', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Kilimani 2BR', price: 45000 }),
+        listingRow(landlord.id, { title: 'Ruaka bedsitter', price: 9000, bedrooms: 0, county: 'Kiambu', estate: 'Ruaka', property_type: 'bedsitter' }),
+        listingRow(landlord.id, { title: 'Karen house', price: 250000, bedrooms: 4, property_type: 'house', estate: 'Karen' })
+      );
+
+      const byCounty = await api.request('GET', '/api/listings?county=kiambu');
+      assert.deepEqual(byCounty.body.listings.map((l) => l.title), ['Ruaka bedsitter']);
+
+      const byPrice = await api.request('GET', '/api/listings?min_price=10000&max_price=100000');
+      assert.deepEqual(byPrice.body.listings.map((l) => l.title), ['Kilimani 2BR']);
+
+      const byType = await api.request('GET', '/api/listings?property_type=house&bedrooms=4');
+      assert.deepEqual(byType.body.listings.map((l) => l.title), ['Karen house']);
+    });
+
+    it('pages with limit and offset', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'A', updated_at: '2024-01-03T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'B', updated_at: '2024-01-02T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'C', updated_at: '2024-01-01T00:00:00.000Z' })
+      );
+
+      const res = await api.request('GET', '/api/listings?limit=1&offset=1');
+
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['B']);
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.limit, 1);
+      assert.equal(res.body.offset, 1);
+    });
+
+    it('pages forwards and backwards with cursors and links', async () => {
+      // Two listings share an updated_at so the id tie-breaker is exercised
+      seedListings(
+        listingRow(landlord.id, { title: 'A', updated_at: '2024-01-04T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'B', updated_at: '2024-01-03T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'C', updated_at: '2024-01-03T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'D', updated_at: '2024-01-01T00:00:00.000Z' }),
+        listingRow(landlord.id, { title: 'E', updated_at: '2024-01-01T00:00:00.000Z' })
+      );
+
+      const first = await api.request('GET', '/api/listings?limit=2&county=nairobi');
+      assert.equal(first.body.prev_cursor, null);
+      assert.equal(first.body.links.prev, null);
+      assert.match(first.body.links.next, /^\/api\/listings\?limit=2&county=nairobi&cursor=/);
+
+      const second = await api.request('GET', first.body.links.next);
+      const third = await api.request('GET', second.body.links.next);
+      const titles = [first, second, third].flatMap((page) => page.body.listings.map((l) => l.title));
+      assert.deepEqual([...titles].sort(), ['A', 'B', 'C', 'D', 'E']);
+      assert.equal(third.body.listings.length, 1);
+      assert.equal(third.body.next_cursor, null);
+      assert.equal(third.body.total, 5);
+
+      // A listing inserted at the top does not shift later pages
+      seedListings(listingRow(landlord.id, { title: 'New', updated_at: '2024-02-01T00:00:00.000Z' }));
+      const back = await api.request('GET', third.body.links.prev);
+      assert.deepEqual(back.body.listings, second.body.listings);
+
+      const start = await api.request('GET', back.body.links.prev);
+      assert.deepEqual(start.body.listings, first.body.listings);
+
+      const newest = await api.request('GET', start.body.links.prev);
+      assert.deepEqual(newest.body.listings.map((l) => l.title), ['New']);
+      assert.equal(newest.body.prev_cursor, null);
+    });
+
+    it('sorts by an allowlisted column', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Cheap', price: 9000 }),
+        listingRow(landlord.id, { title: 'Pricey', price: 90000 }),
+        listingRow(landlord.id, { title: 'Middle', price: 30000 })
+      );
+
+      const res = await api.request('GET', '/api/listings?sort=price&order=asc&limit=2');
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['Cheap', 'Middle']);
+
+      const next = await api.request('GET', `/api/listings?cursor=${res.body.next_cursor}`);
+      assert.deepEqual(next.body.listings.map((l) => l.title), ['Pricey']);
+    });
+
+    it('rejects unknown sort columns, bad limits and malformed cursors', async () => {
+      const res = await api.request('GET', '/api/listings?sort=landlord_id&limit=1000&cursor=nope');
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.errors.map((e) => e.field), ['limit', 'sort']);
+
+      const cursor = await api.request('GET', '/api/listings?cursor=nope');
+      assert.equal(cursor.status, 422);
+      assert.equal(cursor.body.errors[0].code, 'invalid_cursor');
+    });
+
+    it('rejects a cursor issued for a different sort', async () => {
+      seedListings(listingRow(landlord.id), listingRow(landlord.id));
+      const first = await api.request('GET', '/api/listings?limit=1');
+
+      const res = await api.request('GET', `/api/listings?sort=price&cursor=${first.body.next_cursor}`);
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.errors[0].code, 'invalid_cursor');
+    });
+
+    it('rejects a cursor naming a column that is not sortable', async () => {
+      seedListings(listingRow(landlord.id));
+      const forged = (payload) => Buffer.from(JSON.stringify({ v: 'x', id: 'y', d: 'next', l: false, ...payload })).toString('base64url');
+
+      const column = await api.request('GET', `/api/listings?cursor=${forged({ s: 'landlord_name', o: 'desc' })}`);
+      const order = await api.request('GET', `/api/listings?cursor=${forged({ s: 'price', o: 'sideways' })}`);
+
+      assert.equal(column.status, 422);
+      assert.equal(column.body.errors[0].code, 'invalid_cursor');
+      assert.equal(order.status, 422);
+    });
+
+    it('omits the total when asked to', async () => {
+      seedListings(listingRow(landlord.id));
+
+      const res = await api.request('GET', '/api/listings?total=none');
+
+      assert.equal(res.body.total, null);
+      assert.equal(res.body.total_type, null);
+    });
+  });
+
+  describe('geographic search', () => {
+    // Yaya Centre, Kilimani
+    const KILIMANI = '-1.2925,36.7875';
+
+    const seedMap = () =>
+      seedListings(
+        listingRow(landlord.id, { title: 'Kilimani', latitude: -1.2921, longitude: 36.7856 }),
+        listingRow(landlord.id, { title: 'Westlands', latitude: -1.2676, longitude: 36.8108 }),
+        listingRow(landlord.id, { title: 'Karen', latitude: -1.3197, longitude: 36.7073 }),
+        listingRow(landlord.id, { title: 'Thika', latitude: -1.0333, longitude: 37.0693 }),
+        listingRow(landlord.id, { title: 'No coordinates', latitude: null, longitude: null })
+      );
+
+    it('filters by radius and returns each distance', async () => {
+      seedMap();
+
+      const res = await api.request('GET', `/api/listings?near=${KILIMANI}&radius_km=5`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title).sort(), ['Kilimani', 'Westlands']);
+      const westlands = res.body.listings.find((l) => l.title === 'Westlands');
+      assert.ok(westlands.distance_km > 3 && westlands.distance_km < 4, `got ${westlands.distance_km}`);
+      assert.equal(res.body.total, 2);
+    });
+
+    it('sorts by distance, nearest first, across cursor pages', async () => {
+      seedMap();
+
+      const first = await api.request('GET', `/api/listings?near=${KILIMANI}&radius_km=50&sort=distance_km&limit=2`);
+      const second = await api.request('GET', first.body.links.next);
+
+      assert.deepEqual(first.body.listings.map((l) => l.title), ['Kilimani', 'Westlands']);
+      assert.deepEqual(second.body.listings.map((l) => l.title), ['Karen', 'Thika']);
+      assert.equal(second.body.next_cursor, null);
+    });
+
+    it('only allows sorting by distance for radius searches', async () => {
+      const res = await api.request('GET', '/api/listings?sort=distance_km');
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.errors[0].field, 'sort');
+    });
+
+    it('filters by bounding box', async () => {
+      seedMap();
+
+      const res = await api.request('GET', '/api/listings?bbox=36.7,-1.33,36.8,-1.28');
+
+      assert.deepEqual(res.body.listings.map((l) => l.title).sort(), ['Karen', 'Kilimani']);
+    });
+
+    it('rejects malformed geo parameters', async () => {
+      const res = await api.request('GET', '/api/listings?near=kilimani&bbox=1,2,3&radius_km=500');
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.errors.map((e) => e.field), ['near', 'bbox']);
+
+      const radius = await api.request('GET', `/api/listings?near=${KILIMANI}&radius_km=500`);
+      assert.equal(radius.body.errors[0].field, 'radius_km');
+    });
+
+    it('accepts geo filters in /search', async () => {
+      seedMap();
+
+      const res = await api.request('POST', '/api/listings/search', {
+        body: { filters: { near: [-1.2925, 36.7875], radius_km: 2 }, sort: 'distance_km' },
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['Kilimani']);
+      assert.ok(res.body.listings[0].distance_km < 1);
+    });
+
+    it('GET /pins clusters nearby listings when zoomed out', async () => {
+      seedMap();
+
+      const zoomedOut = await api.request('GET', '/api/listings/pins?bbox=36.5,-1.5,37.2,-0.9&zoom=8');
+      assert.equal(zoomedOut.status, 200);
+      const cluster = zoomedOut.body.pins.find((p) => p.type === 'cluster');
+      assert.equal(cluster.count, 3);
+      assert.equal(cluster.min_price, 45000);
+      assert.equal(zoomedOut.body.pins.filter((p) => p.type === 'listing').length, 1);
+
+      const zoomedIn = await api.request('GET', '/api/listings/pins?bbox=36.5,-1.5,37.2,-0.9&zoom=14');
+      assert.equal(zoomedIn.body.pins.length, 4);
+      assert.ok(zoomedIn.body.pins.every((p) => p.type === 'listing'));
+    });
+
+    it('GET /pins requires a bounding box', async () => {
+      const res = await api.request('GET', '/api/listings/pins');
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.errors[0].field, 'bbox');
+    });
+
+    it('derives coordinates from the gazetteer, and keeps landlord coordinates', async () => {
+      const derived = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        body: { ...fields, county: 'Nairobi', estate: 'Kilimani' },
+      });
+      const exact = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        body: { ...fields, latitude: -1.2, longitude: 36.9 },
+      });
+
+      const derivedDetail = await api.request('GET', `/api/listings/${derived.body.id}`, { token: landlord.token });
+      assert.equal(derivedDetail.body.coordinates_source, 'estate');
+      assert.equal(derivedDetail.body.latitude, -1.2921);
+
+      await api.request('PATCH', `/api/listings/${derived.body.id}`, { token: landlord.token, body: { estate: 'Unknown', county: 'Kisumu' } });
+      const moved = await api.request('GET', `/api/listings/${derived.body.id}`, { token: landlord.token });
+      assert.equal(moved.body.coordinates_source, 'county');
+      assert.equal(moved.body.latitude, -0.0917);
+
+      await api.request('PATCH', `/api/listings/${exact.body.id}`, { token: landlord.token, body: { county: 'Kisumu' } });
+      const kept = await api.request('GET', `/api/listings/${exact.body.id}`, { token: landlord.token });
+      assert.equal(kept.body.coordinates_source, 'landlord');
+      assert.equal(kept.body.latitude, -1.2);
+    });
+
+    it('requires latitude and longitude together', async () => {
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        body: { ...fields, latitude: -1.2 },
+      });
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.errors[0].field, 'longitude');
+    });
+  });
+
+  describe('POST /api/listings/search', () => {
+    it('matches the query against title, description and location', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Westlands studio', location: 'Westlands' }),
+        listingRow(landlord.id, { title: 'Quiet flat', description: 'Walking distance to Westlands' }),
+        listingRow(landlord.id, { title: 'Kilimani 2BR' })
+      );
+
+      const res = await api.request('POST', '/api/listings/search', { body: { query: 'westlands' } });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title).sort(), ['Quiet flat', 'Westlands studio']);
+      assert.equal(res.body.total, 2);
+    });
+
+    it('ranks title matches above description matches', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Quiet flat', description: 'Short walk to Kileleshwa shops', estate: 'Lavington' }),
+        listingRow(landlord.id, { title: 'Kileleshwa 3BR', estate: 'Kileleshwa' })
+      );
+
+      const res = await api.request('POST', '/api/listings/search', { body: { query: 'kileleshwa' } });
+
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['Kileleshwa 3BR', 'Quiet flat']);
+      assert.ok(res.body.listings[0].relevance > res.body.listings[1].relevance);
+    });
+
+    it('tolerates typos, Swahili terms and place-name variants', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: "Bedsitter in Lang'ata", estate: 'Langata', property_type: 'bedsitter', amenities: ['water'] }),
+        listingRow(landlord.id, { title: 'House in Westlands', estate: 'Westlands', property_type: 'house', amenities: ['security'] })
+      );
+
+      const search = async (query) =>
+        (await api.request('POST', '/api/listings/search', { body: { query } })).body.listings.map((l) => l.title);
+
+      assert.deepEqual(await search('westlnds'), ['House in Westlands']);
+      assert.deepEqual(await search('bed-sitter langata'), ["Bedsitter in Lang'ata"]);
+      assert.deepEqual(await search('nyumba westie'), ['House in Westlands']);
+      assert.deepEqual(await search('maji'), ["Bedsitter in Lang'ata"]);
+      assert.deepEqual(await search('westl'), ['House in Westlands']);
+    });
+
+    it('handles commas and parentheses in the query', async () => {
+      seedListings(listingRow(landlord.id, { title: 'Studio (Kilimani, Nairobi)' }));
+
+      const res = await api.request('POST', '/api/listings/search', { body: { query: 'studio (kilimani, nairobi)' } });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.listings.length, 1);
+    });
+
+    it('returns highlighted, escaped snippets', async () => {
+      seedListings(
+        listingRow(landlord.id, {
+          title: 'Kilimani <b>2BR</b>',
+          description: `${'Lovely unit. '.repeat(20)}Backup generator and borehole water in Kilimani.`,
+        })
+      );
+
+      const res = await api.request('POST', '/api/listings/search', { body: { query: 'kilimani' } });
+      const { highlights } = res.body.listings[0];
+
+      assert.equal(highlights.title, '<mark>Kilimani</mark> &lt;b&gt;2BR&lt;/b&gt;');
+      assert.match(highlights.description, /^….*<mark>Kilimani<\/mark>\.$/);
+    });
+
+    it("counts facets, ignoring each facet's own filter", async () => {
+      seedListings(
+        listingRow(landlord.id, { property_type: 'apartment', bedrooms: 2, county: 'Nairobi', price: 45000, amenities: ['water', 'gym'] }),
+        listingRow(landlord.id, { property_type: 'apartment', bedrooms: 1, county: 'Nairobi', price: 25000, amenities: ['water'] }),
+        listingRow(landlord.id, { property_type: 'bedsitter', bedrooms: 0, county: 'Kiambu', price: 9000, amenities: [] }),
+        listingRow(landlord.id, { property_type: 'house', bedrooms: 3, county: 'Kiambu', price: 80000, furnishing_status: 'furnished' })
+      );
+
+      const res = await api.request('POST', '/api/listings/search', {
+        body: { filters: { property_type: ['apartment'], county: ['Nairobi', 'Kiambu'] } },
+      });
+      const { facets } = res.body;
+
+      assert.equal(res.body.total, 2);
+      assert.deepEqual(facets.property_type, [
+        { value: 'apartment', count: 2 },
+        { value: 'bedsitter', count: 1 },
+        { value: 'house', count: 1 },
+      ]);
+      assert.deepEqual(facets.county, [{ value: 'Nairobi', count: 2 }]);
+      assert.deepEqual(facets.bedrooms, [{ value: 1, count: 1 }, { value: 2, count: 1 }]);
+      assert.deepEqual(facets.amenities, [{ value: 'water', count: 2 }, { value: 'gym', count: 1 }]);
+      assert.deepEqual(facets.furnishing_status, [{ value: 'unfurnished', count: 2 }]);
+      assert.equal(facets.price.find((b) => b.min === 20000).count, 1);
+      assert.equal(facets.price.find((b) => b.min === 35000).count, 1);
+      assert.equal(facets.price.find((b) => b.min === 200000).max, null);
+    });
+
+    it('pages with a cursor in the body', async () => {
+      seedListings(listingRow(landlord.id, { title: 'A' }), listingRow(landlord.id, { title: 'B' }));
+
+      const first = await api.request('POST', '/api/listings/search', { body: { query: 'kilimani', limit: 1 } });
+      assert.equal(first.body.links.next, null);
+
+      const second = await api.request('POST', '/api/listings/search', {
+        body: { query: 'kilimani', limit: 1, cursor: first.body.next_cursor },
+      });
+      assert.equal(second.body.listings.length, 1);
+      assert.notEqual(second.body.listings[0].id, first.body.listings[0].id);
+      assert.equal(second.body.next_cursor, null);
+    });
+
+    it('applies filters', async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'With parking', parking: true, amenities: ['water', 'gym'] }),
+        listingRow(landlord.id, { title: 'No parking', parking: false, amenities: ['water'] }),
+        listingRow(landlord.id, { title: 'Bungalow', property_type: 'bungalow', parking: true, amenities: ['water', 'gym'] })
+      );
+
+      const res = await api.request('POST', '/api/listings/search', {
+        body: { filters: { property_type: ['apartment'], parking: 'true', amenities: ['gym'] } },
+      });
+
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['With parking']);
+    });
+
+    it('counts every match rather than a capped candidate set', async () => {
+      seedListings(...Array.from({ length: 1200 }, (_, i) => listingRow(landlord.id, { title: `Kilimani flat ${i}` })));
+
+      const res = await api.request('POST', '/api/listings/search', { body: { query: 'kilimani', limit: 5 } });
+
+      assert.equal(res.body.total, 1200);
+      assert.equal(res.body.facets.property_type.find((f) => f.value === 'apartment').count, 1200);
+      assert.equal(res.body.listings.length, 5);
+    });
+  });
+
+  describe('GET /api/listings/:id', () => {
+    it('returns the listing with the landlord profile', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+
+      const res = await api.request('GET', `/api/listings/${listing.id}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, listing.id);
+      assert.equal(res.body.description, listing.description);
+      assert.equal(res.body.profiles.full_name, 'Wanjiru Kamau');
+    });
+
+    it('returns 404 for an unknown listing', async () => {
+      const res = await api.request('GET', '/api/listings/does-not-exist');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'NOT_FOUND');
+    });
+
+    it('hides unavailable listings from everyone but the owner', async () => {
+      const [listing] = seedListings(listingRow(landlord.id, { status: 'rented' }));
+
+      const anonymous = await api.request('GET', `/api/listings/${listing.id}`);
+      assert.equal(anonymous.status, 403);
+      assert.equal(anonymous.body.code, 'UNAVAILABLE');
+
+      const owner = await api.request('GET', `/api/listings/${listing.id}`, { token: landlord.token });
+      assert.equal(owner.status, 200);
+    });
+  });
+
+  describe('POST /api/listings', () => {
+    it('requires authentication', async () => {
+      const res = await api.request('POST', '/api/listings', { form: listingForm(fields) });
+
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects users who are not landlords or caretakers', async () => {
+      const res = await api.request('POST', '/api/listings', { token: tenant.token, form: listingForm(fields) });
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'UNAUTHORIZED');
+    });
+
+    it('creates a listing and uploads its images', async () => {
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm(fields, [{ name: 'front.jpg' }, { name: 'kitchen.png', type: 'image/png' }]),
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.title, 'Bedsitter in Ruaka');
+      assert.equal(res.body.price, 9000);
+      assert.equal(res.body.status, 'pending_review');
+      assert.equal(res.body.images.length, 2);
+      assert.match(res.body.images[0].sizes.card.webp, /listing-images\/[0-9a-f]{64}\/card\.webp$/);
+
+      const detail = await api.request('GET', `/api/listings/${res.body.id}`, { token: landlord.token });
+      assert.equal(detail.body.landlord_id, landlord.id);
+      assert.deepEqual(detail.body.amenities, ['water']);
+      assert.equal(detail.body.images.length, 2);
+    });
+
+    it('applies schema defaults for optional fields', async () => {
+      const { title, price, property_type, location, county } = fields;
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm({ title, price, property_type, location, county }),
+      });
+
+      assert.equal(res.status, 201);
+      const detail = await api.request('GET', `/api/listings/${res.body.id}`, { token: landlord.token });
+      assert.equal(detail.body.bedrooms, 0);
+      assert.equal(detail.body.furnishing_status, 'unfurnished');
+      assert.deepEqual(detail.body.amenities, []);
+      assert.equal(detail.body.parking, false);
+    });
+
+    it('returns 422 with field errors for an invalid body', async () => {
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm({
+          ...fields,
+          title: '',
+          price: '45k',
+          property_type: 'castle',
+          amenities: '[water',
+          parking: 'yes',
+        }),
+      });
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(
+        res.body.errors.map(({ field, code }) => [field, code]),
+        [
+          ['title', 'required'],
+          ['price', 'invalid_type'],
+          ['property_type', 'invalid_enum'],
+          ['amenities', 'invalid_type'],
+          ['parking', 'invalid_type'],
+        ]
+      );
+    });
+
+    it('rejects prices outside the allowed range and unknown amenities', async () => {
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm({ ...fields, price: '50', amenities: JSON.stringify(['water', 'helipad']) }),
+      });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        res.body.errors.map(({ field, code }) => [field, code]),
+        [
+          ['price', 'too_small'],
+          ['amenities', 'invalid_items'],
+        ]
+      );
+    });
+
+    it('accepts a JSON body', async () => {
+      const res = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        body: { ...fields, price: 9000, amenities: ['water'], parking: true },
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.price, 9000);
+    });
+  });
+
+  describe('image uploads', () => {
+    const create = (files) => api.request('POST', '/api/listings', { token: landlord.token, form: listingForm(fields, files) });
+
+    it('checks file contents rather than names', async () => {
+      const res = await create([{ name: 'front.jpg', data: Buffer.from('not really a photo') }]);
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.errors[0].field, 'images');
+      assert.equal(res.body.errors[0].code, 'invalid_image');
+    });
+
+    it('strips metadata and stores every size as WebP and JPEG', async () => {
+      const geotagged = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#888' } })
+        .jpeg()
+        .withExif({ IFD0: { Copyright: 'Wanjiru Kamau' }, IFD3: { GPSLatitude: '1/1 17/1 0/1', GPSLatitudeRef: 'S' } })
+        .toBuffer();
+      assert.ok((await sharp(geotagged).metadata()).exif);
+
+      const res = await create([{ name: 'house.png', type: 'image/png', data: geotagged }]);
+
+      assert.equal(res.status, 201);
+      const [image] = res.body.images;
+      assert.deepEqual([image.width, image.height], [2000, 1000]);
+      assert.match(image.placeholder, /^data:image\/webp;base64,/);
+      assert.deepEqual(
+        Object.entries(image.sizes).map(([size, { width, height }]) => [size, width, height]),
+        [['thumbnail', 320, 160], ['card', 800, 400], ['full', 1600, 800]]
+      );
+      for (const file of ['thumbnail.webp', 'card.jpg', 'full.jpg']) {
+        const stored = memory.getStoredObject('listing-images', `${image.hash}/${file}`);
+        assert.equal((await sharp(stored.buffer).metadata()).exif, undefined);
+      }
+    });
+
+    it('de-duplicates photos by content and keeps shared files until unused', async () => {
+      const [photo] = PHOTOS;
+      const first = await create([{ data: photo }, { data: photo }]);
+      assert.equal(first.body.images.length, 1);
+
+      const second = await create([{ data: photo }]);
+      assert.deepEqual(second.body.images, first.body.images);
+
+      const path = `${first.body.images[0].hash}/card.webp`;
+      const afterRestoreWindow = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      await api.request('DELETE', `/api/listings/${first.body.id}`, { token: landlord.token });
+      await purgeDeletedListings(afterRestoreWindow);
+      assert.ok(memory.getStoredObject('listing-images', path));
+
+      await api.request('DELETE', `/api/listings/${second.body.id}`, { token: landlord.token });
+      assert.ok(memory.getStoredObject('listing-images', path));
+      await purgeDeletedListings(afterRestoreWindow);
+      assert.equal(memory.getStoredObject('listing-images', path), null);
+    });
+  });
+
+  describe('PUT /api/listings/:id', () => {
+    it('updates a listing owned by the caller', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+
+      const res = await api.request('PUT', `/api/listings/${listing.id}`, {
+        token: landlord.token,
+        form: listingForm({ ...listing, amenities: JSON.stringify(listing.amenities), price: '50000' }),
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.price, 50000);
+    });
+
+    it('replaces images dropped from existing_images', async () => {
+      const uploaded = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm(fields, [{ name: 'a.jpg' }, { name: 'b.jpg' }]),
+      });
+      const [kept, dropped] = uploaded.body.images;
+
+      const res = await api.request('PUT', `/api/listings/${uploaded.body.id}`, {
+        token: landlord.token,
+        form: listingForm({ ...fields, existing_images: JSON.stringify([kept.hash]) }),
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.images.map((image) => image.hash), [kept.hash]);
+      assert.equal(memory.getStoredObject('listing-images', `${dropped.hash}/full.webp`), null);
+      assert.ok(memory.getStoredObject('listing-images', `${kept.hash}/full.webp`));
+    });
+
+    it('requires every required field instead of clearing missing ones', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+
+      const res = await api.request('PUT', `/api/listings/${listing.id}`, {
+        token: landlord.token,
+        form: listingForm({ price: '50000' }),
+      });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.errors.map((e) => e.field), ['title', 'property_type', 'location', 'county']);
+      const detail = await api.request('GET', `/api/listings/${listing.id}`, { token: landlord.token });
+      assert.equal(detail.body.title, listing.title);
+      assert.equal(detail.body.price, listing.price);
+    });
+
+    it("refuses to update another landlord's listing", async () => {
+      const [listing] = seedListings(listingRow(otherLandlord.id));
+
+      const res = await api.request('PUT', `/api/listings/${listing.id}`, {
+        token: landlord.token,
+        form: listingForm({ title: 'Hijacked' }),
+      });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PATCH /api/listings/:id', () => {
+    it('changes only the fields sent', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+
+      const res = await api.request('PATCH', `/api/listings/${listing.id}`, {
+        token: landlord.token,
+        body: { bedrooms: 3, status: 'draft' },
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'published');
+      assert.equal(res.body.title, listing.title);
+      const detail = await api.request('GET', `/api/listings/${listing.id}`, { token: landlord.token });
+      assert.equal(detail.body.bedrooms, 3);
+      assert.equal(detail.body.county, listing.county);
+      assert.deepEqual(detail.body.amenities, listing.amenities);
+    });
+
+    it('sends a published listing back to review when its title, description, price or photos change', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+      const patch = (body) => api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body });
+
+      assert.equal((await patch({ title: listing.title, price: listing.price })).body.status, 'published');
+      const res = await patch({ price: 30000 });
+
+      assert.equal(res.body.status, 'pending_review');
+      assert.ok(res.body.submitted_at);
+      assert.equal((await api.request('GET', '/api/listings')).body.total, 0);
+    });
+
+    it('validates the fields sent', async () => {
+      const [listing] = seedListings(listingRow(landlord.id));
+
+      const res = await api.request('PATCH', `/api/listings/${listing.id}`, {
+        token: landlord.token,
+        body: { furnishing_status: 'half', bedrooms: -1 },
+      });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        res.body.errors.map(({ field, code }) => [field, code]),
+        [
+          ['bedrooms', 'too_small'],
+          ['furnishing_status', 'invalid_enum'],
+        ]
+      );
+    });
+
+    it("refuses to patch another landlord's listing", async () => {
+      const [listing] = seedListings(listingRow(otherLandlord.id));
+
+      const res = await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { price: 1 } });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('DELETE /api/listings/:id', () => {
+    it('hides the listing and removes its images once the restore window has passed', async () => {
+      const created = await api.request('POST', '/api/listings', {
+        token: landlord.token,
+        form: listingForm(fields, [{ name: 'a.jpg' }]),
+      });
+      const card = `${created.body.images[0].hash}/card.jpg`;
+
+      const res = await api.request('DELETE', `/api/listings/${created.body.id}`, { token: landlord.token });
+
+      assert.equal(res.status, 200);
+      assert.ok(new Date(res.body.restore_until) > new Date());
+      assert.notEqual(memory.getStoredObject('listing-images', card), null);
+      const detail = await api.request('GET', `/api/listings/${created.body.id}`);
+      assert.equal(detail.status, 404);
+
+      assert.equal(await purgeDeletedListings(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)), 1);
+      assert.equal(memory.getStoredObject('listing-images', card), null);
+    });
+
+    it("refuses to delete another landlord's listing", async () => {
+      const [listing] = seedListings(listingRow(otherLandlord.id));
+
+      const res = await api.request('DELETE', `/api/listings/${listing.id}`, { token: landlord.token });
+
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('landlord listings', () => {
+    it("GET /landlord/my-listings returns all of the caller's listings", async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Mine, available' }),
+        listingRow(landlord.id, { title: 'Mine, let out', status: 'rented' }),
+        listingRow(otherLandlord.id, { title: 'Not mine' })
+      );
+
+      const res = await api.request('GET', '/api/listings/landlord/my-listings', { token: landlord.token });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title).sort(), ['Mine, available', 'Mine, let out']);
+    });
+
+    it('GET /landlord/my-listings pages past 50 listings', async () => {
+      seedListings(...Array.from({ length: 60 }, (_, i) => listingRow(landlord.id, { title: `Unit ${i}` })));
+
+      const first = await api.request('GET', '/api/listings/landlord/my-listings?limit=50', { token: landlord.token });
+      const second = await api.request('GET', first.body.links.next, { token: landlord.token });
+
+      assert.equal(first.body.total, 60);
+      assert.equal(first.body.listings.length, 50);
+      assert.equal(second.body.listings.length, 10);
+    });
+
+    it('GET /landlord/my-listings requires authentication', async () => {
+      const res = await api.request('GET', '/api/listings/landlord/my-listings');
+
+      assert.equal(res.status, 401);
+    });
+
+    it("GET /landlord/:landlordId returns the landlord's available listings", async () => {
+      seedListings(
+        listingRow(landlord.id, { title: 'Available' }),
+        listingRow(landlord.id, { title: 'Let out', status: 'rented' })
+      );
+
+      const res = await api.request('GET', `/api/listings/landlord/${landlord.id}`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.title), ['Available']);
+      assert.equal(res.body.total, 1);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, loggedEntries, listingForm, LANDLORD } from './helpers.js';
+import { logger, redact, redactText, runWithContext, timedFetch } from '../services/logger.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('logging', () => {
+  let api;
+  let landlord;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    loggedEntries.length = 0;
+    [landlord] = memory.seed({ users: [LANDLORD] }).users;
+  });
+
+  const entriesFor = (requestId) => loggedEntries.filter((entry) => entry.request_id === requestId);
+
+  it('gives every request an ID, echoed in the header and error responses', async () => {
+    const generated = await api.request('GET', '/api/health');
+    assert.match(generated.headers.get('x-request-id'), UUID);
+
+    const kept = await api.request('GET', '/api/nope', { headers: { 'X-Request-Id': 'edge-42.abc' } });
+    assert.equal(kept.status, 404);
+    assert.equal(kept.headers.get('x-request-id'), 'edge-42.abc');
+    assert.equal(kept.body.request_id, 'edge-42.abc');
+
+    const replaced = await api.request('GET', '/api/favorites', { headers: { 'X-Request-Id': 'x'.repeat(200) } });
+    assert.equal(replaced.status, 401);
+    assert.match(replaced.body.request_id, UUID);
+    assert.equal(replaced.body.request_id, replaced.headers.get('x-request-id'));
+  });
+
+  it('logs each request with its status and timing', async () => {
+    const res = await api.request('GET', '/api/listings?limit=5', { token: landlord.token });
+    const requestId = res.headers.get('x-request-id');
+
+    const [entry] = entriesFor(requestId).filter((candidate) => candidate.msg === 'Request completed');
+    assert.equal(entry.level, 'info');
+    assert.deepEqual([entry.method, entry.url, entry.status], ['GET', '/api/listings?limit=5', 200]);
+    assert.equal(typeof entry.duration_ms, 'number');
+    assert.deepEqual(entry.timings, {});
+    assert.ok(!JSON.stringify(entry).includes(landlord.token));
+
+    await api.request('GET', '/api/nope');
+    assert.equal(loggedEntries.at(-1).level, 'warn');
+  });
+
+  it('keeps secrets in the path out of the access log', async () => {
+    const loggedUrl = (res) =>
+      entriesFor(res.headers.get('x-request-id')).find((entry) => entry.msg === 'Request completed').url;
+
+    const callback = await api.request('POST', '/api/payments/mpesa/stk/callback-secret-1', { body: {} });
+    assert.equal(loggedUrl(callback), '/api/payments/mpesa/stk/[REDACTED]');
+    const shared = await api.request('GET', '/api/favorites/shared/share-token-1?limit=5');
+    assert.equal(loggedUrl(shared), '/api/favorites/shared/[REDACTED]?limit=5');
+  });
+
+  it('ties route logs to the request and keeps uploads and accounts out of them', async () => {
+    const res = await api.request('POST', '/api/listings', {
+      token: landlord.token,
+      form: listingForm(
+        {
+          title: 'Bedsitter in Ruaka',
+          description: `Call ${LANDLORD.profile.phone} or write to ${LANDLORD.email}`,
+          price: '9000',
+          property_type: 'bedsitter',
+          bedrooms: '0',
+          bathrooms: '1',
+          location: 'Ruaka',
+          county: 'Kiambu',
+        },
+        [{ name: 'front.jpg' }]
+      ),
+    });
+    assert.equal(res.status, 201);
+
+    const entries = entriesFor(res.headers.get('x-request-id'));
+    const created = entries.find((entry) => entry.msg === 'Creating listing');
+    assert.equal(created.level, 'debug');
+    assert.ok(created.fields.includes('description'));
+    assert.deepEqual(created.files.map((file) => [file.name, file.type]), [['front.jpg', 'image/jpeg']]);
+
+    const logged = JSON.stringify(entries);
+    assert.ok(!logged.includes(LANDLORD.email));
+    assert.ok(!logged.includes(LANDLORD.profile.phone));
+    assert.ok(!logged.includes(landlord.token));
+  });
+
+  it('redacts credentials, contact details and binary data', () => {
+    const redacted = redact({
+      headers: { authorization: 'Bearer abc', 'x-api-key': 'k' },
+      user: { email: 'wanjiru@example.com', phone: '+254700000001', secret: 'whsec_1' },
+      note: 'Call 0712345678 or amina@example.com',
+      file: { originalname: 'a.jpg', buffer: Buffer.alloc(2048) },
+      error: Object.assign(new Error('Duplicate email otieno@example.com'), { code: '23505' }),
+    });
+
+    assert.deepEqual(redacted.headers, { authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' });
+    assert.deepEqual(redacted.user, { email: 'w***@example.com', phone: '***001', secret: '[REDACTED]' });
+    assert.equal(redacted.note, 'Call ***678 or a***@example.com');
+    assert.equal(
+      redactText('M-Pesa 254712345678, call 0712 345 678, +254 711-222-333 or 0110-123-456; order 20261018 of 1729000000000'),
+      'M-Pesa ***678, call ***678, ***333 or ***456; order 20261018 of 1729000000000'
+    );
+    assert.equal(redacted.file.buffer, '[2048 bytes]');
+    assert.deepEqual([redacted.error.message, redacted.error.code], ['Duplicate email o***@example.com', '23505']);
+  });
+
+  it('honours LOG_LEVEL and adds up time spent in Supabase per request', async () => {
+    process.env.LOG_LEVEL = 'warn';
+    try {
+      logger.info('dropped');
+      logger.warn('kept');
+    } finally {
+      process.env.LOG_LEVEL = 'debug';
+    }
+    assert.deepEqual(loggedEntries.map((entry) => entry.msg), ['kept']);
+
+    const context = { requestId: 'req-1', timings: {} };
+    const fetchRows = timedFetch('supabase', async () => new Response('[]'));
+    await runWithContext(context, async () => {
+      await fetchRows('https://project.supabase.co/rest/v1/listings');
+      await fetchRows('https://project.supabase.co/rest/v1/profiles');
+      logger.info('inside');
+    });
+
+    assert.equal(context.timings.supabase.calls, 2);
+    assert.ok(context.timings.supabase.ms >= 0);
+    assert.equal(loggedEntries.at(-1).request_id, 'req-1');
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, ADMIN, LANDLORD, TENANT } from './helpers.js';
+import { clearStalePriceDrops, PRICE_DROP_DAYS } from '../services/marketRents.js';
+
+// Noon UTC on the 2nd of the month, `back` months ago
+const monthsAgo = (back) => {
+  const date = new Date();
+  date.setUTCMonth(date.getUTCMonth() - back, 2);
+  date.setUTCHours(12, 0, 0, 0);
+  return date.toISOString();
+};
+
+describe('price history and market rents', () => {
+  let api;
+  let admin;
+  let landlord;
+  let tenant;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [admin, landlord, tenant] = memory.seed({ users: [ADMIN, LANDLORD, TENANT] }).users;
+  });
+
+  const seedKilimani = (prices, overrides = {}) =>
+    memory.seed({
+      listings: prices.map((price) =>
+        listingRow(landlord.id, { price, created_at: monthsAgo(2), updated_at: monthsAgo(2), ...overrides })
+      ),
+    }).listings;
+
+  // Price edits send a listing back to review; approve it again
+  const reprice = async (listing, body) => {
+    const res = await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body });
+    await api.request('POST', `/api/moderation/listings/${listing.id}/approve`, { token: admin.token });
+    return res;
+  };
+
+  const rents = (query) => api.request('GET', `/api/market/rents${query}`);
+
+  it('records every price change and flags drops', async () => {
+    const [listing] = seedKilimani([45000]);
+
+    await reprice(listing, { price: 48000 });
+    await reprice(listing, { price: 48000, title: 'Renovated 2BR' });
+    const dropped = await reprice(listing, { price: 42000 });
+    assert.equal(dropped.status, 200);
+
+    const { body } = await api.request('GET', `/api/listings/${listing.id}/price-history`, { token: tenant.token });
+    assert.deepEqual(
+      body.history.map((entry) => [entry.price, entry.previous_price]),
+      [[45000, null], [48000, 45000], [42000, 48000]]
+    );
+    assert.equal(body.history[0].recorded_at, listing.created_at);
+    assert.deepEqual([body.price_dropped, body.previous_price], [true, 48000]);
+
+    const detail = await api.request('GET', `/api/listings/${listing.id}`);
+    assert.deepEqual([detail.body.price_dropped, detail.body.previous_price], [true, 48000]);
+    const browse = await api.request('GET', '/api/listings');
+    assert.equal(browse.body.listings[0].price_dropped, true);
+  });
+
+  it('stops flagging a price drop after PRICE_DROP_DAYS', async () => {
+    const [listing] = seedKilimani([45000]);
+    await reprice(listing, { price: 42000 });
+
+    assert.equal(await clearStalePriceDrops(), 0);
+    // Cached while flagged; clearing the flag invalidates the cached reads
+    assert.equal((await api.request('GET', `/api/listings/${listing.id}`)).body.price_dropped, true);
+    assert.equal((await api.request('GET', '/api/listings')).body.listings[0].price_dropped, true);
+
+    assert.equal(await clearStalePriceDrops(new Date(Date.now() + (PRICE_DROP_DAYS + 1) * 24 * 60 * 60 * 1000)), 1);
+
+    const detail = await api.request('GET', `/api/listings/${listing.id}`);
+    assert.deepEqual([detail.body.price_dropped, detail.body.previous_price], [false, 45000]);
+    assert.equal((await api.request('GET', '/api/listings')).body.listings[0].price_dropped, false);
+  });
+
+  it('reports quartiles per month with the trend of the median', async () => {
+    const [, , , priciest] = seedKilimani([40000, 45000, 50000, 60000]);
+    seedKilimani([90000], { estate: 'Lavington' });
+    seedKilimani([10000], { status: 'draft' });
+
+    await reprice(priciest, { price: 30000 });
+
+    const { status, body } = await rents('?estate=KILIMANI&property_type=apartment&bedrooms=2&periods=3');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.series.map((point) => [point.listings, point.p25, point.median, point.p75]),
+      [
+        [4, 43750, 47500, 52500],
+        [4, 43750, 47500, 52500],
+        [4, 37500, 42500, 46250],
+      ]
+    );
+    assert.equal(body.series[0].period_start, monthsAgo(2).slice(0, 8) + '01');
+    assert.equal(body.current.change_pct, -10.5);
+    assert.deepEqual([body.trend.change_pct, body.trend.direction], [-10.5, 'falling']);
+  });
+
+  it('counts rented listings until they were let and hides small samples', async () => {
+    seedKilimani([40000, 45000]);
+    seedKilimani([50000], { status: 'rented', updated_at: monthsAgo(1) });
+
+    const { body } = await rents('?county=nairobi&period=month&periods=3');
+
+    assert.deepEqual(body.series.map((point) => point.listings), [3, 3, 2]);
+    assert.deepEqual([body.series[1].median, body.current.median], [45000, null]);
+    assert.equal((await rents('?period=year')).status, 422);
+  });
+
+  it('only counts listings in the periods they were published', async () => {
+    seedKilimani([40000, 45000, 50000]);
+    const [archived] = seedKilimani([60000]);
+    const [draft] = seedKilimani([30000], { status: 'draft' });
+
+    // Archived this month, and published for the first time this month
+    await api.request('POST', `/api/listings/${archived.id}/archive`, { token: landlord.token });
+    await api.request('POST', `/api/listings/${draft.id}/submit`, { token: landlord.token });
+    await api.request('POST', `/api/moderation/listings/${draft.id}/approve`, { token: admin.token });
+
+    const { body } = await rents('?estate=kilimani&periods=3');
+    assert.deepEqual(body.series.map((point) => point.listings), [4, 4, 5]);
+  });
+
+  it('compares a listing with similar listings in its estate', async () => {
+    const [cheap] = seedKilimani([35000, 45000, 50000, 55000, 80000]);
+
+    const { body } = await api.request('GET', `/api/listings/${cheap.id}/price-history`);
+
+    assert.deepEqual(
+      [body.market.estate, body.market.median, body.market.position, body.market.difference_pct],
+      ['Kilimani', 50000, 'below', -30]
+    );
+  });
+});
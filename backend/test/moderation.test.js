@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, sentNotifications, listingRow, ADMIN, LANDLORD, TENANT } from './helpers.js';
+
+describe('listing lifecycle and moderation', () => {
+  let api;
+  let admin;
+  let landlord;
+  let tenant;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    sentNotifications.length = 0;
+    [admin, landlord, tenant] = memory.seed({ users: [ADMIN, LANDLORD, TENANT] }).users;
+  });
+
+  const fields = { title: 'Bedsitter in Ruaka', price: 9000, property_type: 'bedsitter', location: 'Ruaka', county: 'Kiambu' };
+
+  const createListing = (body = {}) => api.request('POST', '/api/listings', { token: landlord.token, body: { ...fields, ...body } });
+  const moderate = (id, action, body) => api.request('POST', `/api/moderation/listings/${id}/${action}`, { token: admin.token, body });
+  const act = (id, action) => api.request('POST', `/api/listings/${id}/${action}`, { token: landlord.token });
+
+  it('keeps new listings out of public results until an admin approves them', async () => {
+    const { body: listing } = await createListing();
+    assert.equal(listing.status, 'pending_review');
+
+    const hidden = await api.request('GET', `/api/listings/${listing.id}`, { token: tenant.token });
+    assert.equal(hidden.status, 403);
+    const queue = await api.request('GET', '/api/moderation/listings', { token: admin.token });
+    assert.deepEqual(queue.body.listings.map((l) => [l.id, l.open_reports]), [[listing.id, 0]]);
+
+    const approved = await moderate(listing.id, 'approve');
+    assert.equal(approved.body.status, 'published');
+    assert.equal(approved.body.reviewed_by, admin.id);
+
+    const list = await api.request('GET', '/api/listings');
+    assert.deepEqual(list.body.listings.map((l) => l.id), [listing.id]);
+    const notice = sentNotifications.find((n) => n.channel === 'in_app' && n.to === landlord.id);
+    assert.equal(notice.data.status, 'published');
+  });
+
+  it('rejects with a reason, and the landlord resubmits', async () => {
+    const { body: listing } = await createListing();
+
+    const missing = await moderate(listing.id, 'reject', {});
+    assert.equal(missing.status, 422);
+
+    const rejected = await moderate(listing.id, 'reject', { reason: 'Photos do not match the description' });
+    assert.equal(rejected.body.status, 'rejected');
+    const email = sentNotifications.find((n) => n.channel === 'email');
+    assert.equal(email.to, LANDLORD.email);
+    assert.match(email.text, /Photos do not match the description/);
+
+    const mine = await api.request('GET', '/api/listings/landlord/my-listings?status=rejected', { token: landlord.token });
+    assert.equal(mine.body.listings[0].rejection_reason, 'Photos do not match the description');
+
+    const resubmitted = await act(listing.id, 'submit');
+    assert.equal(resubmitted.body.status, 'pending_review');
+    assert.equal(resubmitted.body.rejection_reason, null);
+  });
+
+  it('saves drafts and moves published listings through rented and back to review', async () => {
+    const { body: draft } = await createListing({ status: 'draft' });
+    assert.equal(draft.status, 'draft');
+    const queue = await api.request('GET', '/api/moderation/listings', { token: admin.token });
+    assert.equal(queue.body.total, 0);
+
+    const early = await act(draft.id, 'mark-rented');
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'INVALID_STATE');
+
+    await act(draft.id, 'submit');
+    await moderate(draft.id, 'approve');
+    const rented = await act(draft.id, 'mark-rented');
+    assert.equal(rented.body.status, 'rented');
+
+    const favorite = await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: draft.id } });
+    assert.equal(favorite.status, 400);
+
+    const relisted = await act(draft.id, 'submit');
+    assert.equal(relisted.body.status, 'pending_review');
+  });
+
+  it('keeps the moderation routes and listing actions to the right people', async () => {
+    const { body: listing } = await createListing();
+
+    const queue = await api.request('GET', '/api/moderation/listings', { token: landlord.token });
+    assert.equal(queue.status, 403);
+    const approve = await api.request('POST', `/api/moderation/listings/${listing.id}/approve`, { token: landlord.token });
+    assert.equal(approve.status, 403);
+    const withdraw = await api.request('POST', `/api/listings/${listing.id}/withdraw`, { token: tenant.token });
+    assert.equal(withdraw.status, 403);
+
+    const adminView = await api.request('GET', `/api/listings/${listing.id}`, { token: admin.token });
+    assert.equal(adminView.status, 200);
+  });
+
+  it('takes reports from users and lets admins resolve them', async () => {
+    const [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+    const report = (body, token = tenant.token) => api.request('POST', `/api/listings/${listing.id}/reports`, { token, body });
+
+    const created = await report({ reason: 'scam', details: 'Asked for a deposit before any viewing' });
+    assert.equal(created.status, 201);
+    assert.equal((await report({ reason: 'duplicate' })).status, 409);
+    assert.equal((await report({ reason: 'already_let' }, landlord.token)).body.code, 'OWN_LISTING');
+    assert.equal((await report({ reason: 'ugly' })).status, 422);
+
+    const queue = await api.request('GET', '/api/moderation/reports', { token: admin.token });
+    assert.equal(queue.body.total, 1);
+    assert.equal(queue.body.reports[0].listing.title, listing.title);
+    const listings = await api.request('GET', '/api/moderation/listings?status=published', { token: admin.token });
+    assert.equal(listings.body.listings[0].open_reports, 1);
+
+    const resolved = await api.request('POST', `/api/moderation/reports/${created.body.id}/resolve`, {
+      token: admin.token,
+      body: { resolution: 'upheld', note: 'Confirmed with the caretaker' },
+    });
+    assert.equal(resolved.body.status, 'upheld');
+    const takedown = await moderate(listing.id, 'reject', { reason: 'Reported as a scam' });
+    assert.equal(takedown.body.status, 'rejected');
+
+    const again = await api.request('POST', `/api/moderation/reports/${created.body.id}/resolve`, {
+      token: admin.token,
+      body: { resolution: 'dismissed' },
+    });
+    assert.equal(again.status, 409);
+    const gone = await api.request('GET', `/api/listings/${listing.id}`);
+    assert.equal(gone.status, 403);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { startServer } from './helpers.js';
+
+const { apiRouters } = await import('../app.js');
+const { default: healthRoutes } = await import('../routes/health.js');
+const { spec } = await import('../openapi/index.js');
+const { createContractValidator } = await import('../middleware/openapi.js');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "POST /api/listings/{id}/submit" for every route of the mounted routers
+const routedOperations = () =>
+  [['/api/health', healthRoutes], ...apiRouters].flatMap(([mountPath, router]) =>
+    router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods)
+          .filter((method) => METHODS.includes(method))
+          .map((method) => {
+            const path = `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`;
+            return `${method.toUpperCase()} ${path.replace(/:(\w+)/g, '{$1}')}`;
+          })
+      )
+  );
+
+const documentedOperations = () =>
+  Object.entries(spec.paths).flatMap(([path, item]) =>
+    Object.keys(item)
+      .filter((method) => METHODS.includes(method))
+      .map((method) => `${method.toUpperCase()} ${path}`)
+  );
+
+// A one-route app checked against a small spec
+const startContractServer = (handler) =>
+  new Promise((resolve) => {
+    const app = express();
+    app.use(express.json());
+    app.use(
+      createContractValidator({
+        paths: {
+          '/things/{id}': {
+            post: {
+              parameters: [
+                { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+                { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } },
+              ],
+              requestBody: {
+                required: true,
+                content: { 'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } } },
+              },
+              responses: {
+                201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Thing' } } } },
+                default: { $ref: '#/components/responses/Error' },
+              },
+            },
+          },
+        },
+        components: {
+          schemas: {
+            Thing: { type: 'object', required: ['id', 'name'], properties: { id: { type: 'string' }, name: { type: 'string' } } },
+          },
+          responses: {
+            Error: { description: 'Error', content: { 'application/json': { schema: { type: 'object', required: ['error'] } } } },
+          },
+        },
+      })
+    );
+    app.post('/things/:id', handler);
+    app.post('/other', (req, res) => res.json({ anything: true }));
+    const server = app.listen(0, () => {
+      const post = async (path, body) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        return { status: res.status, body: await res.json() };
+      };
+      resolve({ post, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+
+describe('OpenAPI', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('documents every route, and only routes that exist', () => {
+    const routed = routedOperations();
+    const documented = documentedOperations();
+
+    assert.deepEqual(routed.filter((operation) => !documented.includes(operation)), []);
+    assert.deepEqual(documented.filter((operation) => !routed.includes(operation)), []);
+  });
+
+  it('serves the document and the interactive docs', async () => {
+    const document = await api.request('GET', '/api/docs/openapi.json');
+    assert.equal(document.status, 200);
+    assert.equal(document.body.openapi, '3.1.0');
+    assert.ok(document.body.paths['/api/listings/search'].post.requestBody);
+    assert.ok(document.body.components.schemas.SearchFilters);
+
+    const ui = await api.request('GET', '/api/docs/');
+    assert.equal(ui.status, 200);
+    assert.match(ui.headers.get('content-type'), /text\/html/);
+    assert.match(ui.text, /swagger-ui/);
+  });
+
+  it('turns responses that drift from the spec into SPEC_MISMATCH errors', async () => {
+    const contract = await startContractServer((req, res) => res.status(201).json({ id: req.params.id, title: req.body.name }));
+    try {
+      const res = await contract.post('/things/1', { name: 'Kettle' });
+
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'SPEC_MISMATCH');
+      assert.deepEqual(res.body.errors.map((error) => [error.field, error.code]), [['response.name', 'required']]);
+    } finally {
+      await contract.close();
+    }
+  });
+
+  it('checks the request a successful response answered', async () => {
+    const contract = await startContractServer((req, res) => res.status(201).json({ id: req.params.id, name: req.body.name ?? 'Unnamed' }));
+    try {
+      assert.equal((await contract.post('/things/1?limit=5', { name: 'Kettle' })).status, 201);
+
+      const res = await contract.post('/things/1?limit=50', {});
+      assert.equal(res.status, 500);
+      assert.deepEqual(res.body.errors.map((error) => [error.field, error.code]).sort(), [
+        ['body.name', 'required'],
+        ['query.limit', 'maximum'],
+      ]);
+
+      // Paths the spec doesn't know are let through
+      assert.equal((await contract.post('/other', {})).status, 200);
+    } finally {
+      await contract.close();
+    }
+  });
+});
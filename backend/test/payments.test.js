@@ -0,0 +1,277 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, sentNotifications, listingRow, LANDLORD, TENANT, ADMIN } from './helpers.js';
+
+const { startDarajaSandbox } = await import('../sandbox/daraja.js');
+const { reconcilePayments, refundDueDeposits } = await import('../services/payments.js');
+const { expireFeaturedListings } = await import('../services/featuredListings.js');
+
+const PHONE = '0712345678';
+// The sandbox picks the outcome from the last four digits
+const CANCELLING_PHONE = '0712341032';
+const LOST_CALLBACK_PHONE = '0712349999';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tomorrow at the given UTC hour
+const at = (hour, minute = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hour, minute, 0, 0);
+  return date.toISOString();
+};
+
+describe('payments routes', () => {
+  let api;
+  let daraja;
+  let landlord;
+  let tenant;
+  let admin;
+  let listing;
+  let keys = 0;
+
+  before(async () => {
+    api = await startServer();
+    daraja = await startDarajaSandbox({ callbackDelayMs: 20 });
+    Object.assign(process.env, {
+      MPESA_BASE_URL: daraja.url,
+      MPESA_CALLBACK_URL: `http://127.0.0.1:${api.server.address().port}`,
+      MPESA_CALLBACK_SECRET: 'callback-secret',
+      MPESA_CONSUMER_KEY: 'key',
+      MPESA_CONSUMER_SECRET: 'secret',
+      MPESA_SHORTCODE: '174379',
+      MPESA_PASSKEY: 'passkey',
+      MPESA_INITIATOR_NAME: 'testapi',
+      MPESA_SECURITY_CREDENTIAL: 'credential',
+    });
+  });
+
+  after(async () => {
+    await daraja.sandbox.settled();
+    await daraja.close();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    memory.reset();
+    sentNotifications.length = 0;
+    [landlord, tenant, admin] = memory.seed({ users: [LANDLORD, TENANT, ADMIN] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const pay = (path, body, { token = landlord.token, key = `key-${(keys += 1)}` } = {}) =>
+    api.request('POST', `/api/payments/${path}`, { token, body, headers: { 'Idempotency-Key': key } });
+
+  const feature = (body = {}, options) => pay('featured-listings', { listing_id: listing.id, plan: 'featured_7d', phone: PHONE, ...body }, options);
+
+  const payment = async (id, token = landlord.token) => (await api.request('GET', `/api/payments/${id}`, { token })).body;
+
+  describe('featured listings', () => {
+    it('features the listing once paid and lists it first', async () => {
+      const [older] = memory.seed({ listings: [listingRow(landlord.id, { title: 'Newer bedsitter' })] }).listings;
+
+      const res = await feature();
+      assert.equal(res.status, 202);
+      assert.equal(res.body.status, 'pending');
+      assert.equal(res.body.amount, 600);
+      assert.equal(res.body.phone, '254712345678');
+      assert.equal(res.body.request_hash, undefined);
+
+      await daraja.sandbox.settled();
+      const paid = await payment(res.body.id);
+      assert.equal(paid.status, 'completed');
+      assert.match(paid.mpesa_receipt, /^SBX/);
+      const until = new Date(paid.featured_until).getTime();
+      assert.ok(Math.abs(until - (Date.now() + 7 * DAY_MS)) < 60 * 1000);
+
+      const browse = await api.request('GET', '/api/listings?sort=created_at&order=desc');
+      assert.deepEqual(browse.body.listings.map((l) => [l.id, l.featured]), [[listing.id, true], [older.id, false]]);
+      const search = await api.request('POST', '/api/listings/search', { body: {} });
+      assert.equal(search.body.listings[0].id, listing.id);
+
+      const ledger = await api.request('GET', '/api/payments/ledger', { token: admin.token });
+      assert.deepEqual(ledger.body.entries.map((e) => [e.payment_id, e.entry, e.amount]), [[paid.id, 'charge', 600]]);
+      assert.ok(sentNotifications.some((n) => n.channel === 'in_app' && n.to === landlord.id && n.data?.payment_id === paid.id));
+    });
+
+    it('replays a repeated Idempotency-Key and refuses it for a different request', async () => {
+      const first = await feature({}, { key: 'pay-once' });
+      const pushes = daraja.sandbox.transactions.size;
+      const again = await feature({}, { key: 'pay-once' });
+      assert.equal(again.status, 200);
+      assert.equal(again.headers.get('idempotent-replayed'), 'true');
+      assert.equal(again.body.id, first.body.id);
+      assert.equal(daraja.sandbox.transactions.size, pushes);
+
+      const different = await feature({ plan: 'boost_3d' }, { key: 'pay-once' });
+      assert.equal(different.status, 409);
+      assert.equal(different.body.code, 'IDEMPOTENCY_CONFLICT');
+
+      const missing = await api.request('POST', '/api/payments/featured-listings', {
+        token: landlord.token,
+        body: { listing_id: listing.id, plan: 'featured_7d', phone: '0812' },
+      });
+      assert.equal(missing.status, 422);
+      assert.deepEqual(missing.body.errors.map((e) => e.field).sort(), ['Idempotency-Key', 'phone']);
+      await daraja.sandbox.settled();
+    });
+
+    it('refuses other users and listings that are not published', async () => {
+      const draft = memory.seed({ listings: [listingRow(landlord.id, { status: 'draft' })] }).listings[0];
+
+      assert.equal((await feature({}, { token: tenant.token })).status, 403);
+      const res = await feature({ listing_id: draft.id });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'INVALID_STATE');
+    });
+
+    it('fails a cancelled prompt and leaves the listing unfeatured', async () => {
+      const res = await feature({ phone: CANCELLING_PHONE });
+      await daraja.sandbox.settled();
+
+      const failed = await payment(res.body.id);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.result_code, 1032);
+      assert.equal((await api.request('GET', `/api/listings/${listing.id}`)).body.featured, false);
+    });
+
+    it('reconciles a payment whose callback was lost', async () => {
+      const res = await feature({ phone: LOST_CALLBACK_PHONE });
+      await daraja.sandbox.settled();
+      assert.equal((await payment(res.body.id)).status, 'pending');
+
+      const settled = await reconcilePayments(new Date(Date.now() + 2 * 60 * 1000));
+      assert.deepEqual(settled.map((p) => p.id), [res.body.id]);
+      assert.equal((await payment(res.body.id)).status, 'completed');
+    });
+
+    it('settles a push whose answer could not be saved from its callback', async () => {
+      const { update } = memory.payments;
+      memory.payments.update = async (id, changes) => {
+        if (changes.checkout_request_id) throw Object.assign(new Error('connection reset'), { code: 'ECONNRESET' });
+        return update(id, changes);
+      };
+      let res;
+      try {
+        res = await feature();
+      } finally {
+        memory.payments.update = update;
+      }
+      assert.equal(res.status, 500);
+
+      const [pending] = await memory.payments.list({ criteria: [], limit: 1 });
+      assert.deepEqual([pending.status, Boolean(pending.checkout_request_id), Boolean(pending.stk_requested_at)], ['pending', false, true]);
+      await daraja.sandbox.settled();
+      const paid = await payment(pending.id);
+      assert.equal(paid.status, 'completed');
+      assert.match(paid.checkout_request_id, /./);
+    });
+
+    it('waits for a push in flight before failing it', async () => {
+      const [other] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+      const created = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+      const [sent, unsent] = await Promise.all(
+        [[listing, created], [other, null]].map(([{ id }, stkRequestedAt], i) =>
+          memory.payments.create({
+            user_id: landlord.id,
+            purpose: 'featured_listing',
+            listing_id: id,
+            plan: 'featured_7d',
+            amount: 600,
+            currency: 'KES',
+            phone: '254712345678',
+            status: 'pending',
+            idempotency_key: `in-flight-${i}`,
+            request_hash: 'hash',
+            stk_requested_at: stkRequestedAt,
+            created_at: created,
+          })
+        )
+      );
+
+      assert.deepEqual((await reconcilePayments()).map((p) => [p.id, p.result_desc]), [
+        [unsent.id, 'The payment request was not sent to M-Pesa'],
+      ]);
+      assert.equal((await payment(sent.id)).status, 'pending');
+      const expired = await reconcilePayments(new Date(Date.now() + 60 * 60 * 1000));
+      assert.deepEqual(expired.map((p) => [p.id, p.result_desc]), [[sent.id, 'No answer from M-Pesa']]);
+    });
+
+    it('stops featuring listings whose time is up', async () => {
+      await feature({ plan: 'boost_3d' });
+      await daraja.sandbox.settled();
+
+      assert.equal(await expireFeaturedListings(), 0);
+      // Cached while featured; expiry invalidates the cached reads
+      const cached = await api.request('GET', '/api/listings');
+      assert.equal(cached.body.listings[0].featured, true);
+      assert.equal((await api.request('GET', `/api/listings/${listing.id}`)).body.featured, true);
+
+      assert.equal(await expireFeaturedListings(new Date(Date.now() + 4 * DAY_MS)), 1);
+      const browse = await api.request('GET', '/api/listings');
+      assert.equal(browse.body.listings[0].featured, false);
+      assert.equal((await api.request('GET', `/api/listings/${listing.id}`)).body.featured, false);
+    });
+  });
+
+  describe('viewing deposits', () => {
+    let viewing;
+
+    beforeEach(async () => {
+      const res = await api.request('POST', '/api/viewings', {
+        token: tenant.token,
+        body: { listing_id: listing.id, starts_at: at(9), ends_at: at(9, 30) },
+      });
+      viewing = res.body;
+    });
+
+    const deposit = async () => {
+      const res = await pay('viewing-deposits', { viewing_id: viewing.id, phone: PHONE }, { token: tenant.token });
+      await daraja.sandbox.settled();
+      return payment(res.body.id, tenant.token);
+    };
+
+    it('refunds the deposit when the viewing is cancelled', async () => {
+      const paid = await deposit();
+      assert.equal(paid.status, 'completed');
+      assert.equal(paid.refund_due_at, new Date(new Date(at(9, 30)).getTime() + DAY_MS).toISOString());
+
+      const again = await pay('viewing-deposits', { viewing_id: viewing.id, phone: PHONE }, { token: tenant.token });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, 'DUPLICATE');
+
+      await api.request('POST', `/api/viewings/${viewing.id}/cancel`, { token: landlord.token, body: {} });
+      await daraja.sandbox.settled();
+
+      const refunded = await payment(paid.id, tenant.token);
+      assert.equal(refunded.status, 'refunded');
+      assert.match(refunded.refund_receipt, /^SBX/);
+      const ledger = await api.request('GET', '/api/payments/ledger?entry=refund', { token: admin.token });
+      assert.deepEqual(ledger.body.entries.map((e) => e.payment_id), [paid.id]);
+    });
+
+    it('lets the landlord keep the deposit of a no-show, and refunds the rest when due', async () => {
+      const paid = await deposit();
+
+      const early = await api.request('POST', `/api/payments/${paid.id}/forfeit`, { token: landlord.token });
+      assert.equal(early.status, 409);
+      assert.equal((await api.request('POST', `/api/payments/${paid.id}/forfeit`, { token: tenant.token })).status, 403);
+
+      const landlordView = await api.request('GET', '/api/payments?role=landlord', { token: landlord.token });
+      assert.deepEqual(landlordView.body.payments.map((p) => p.id), [paid.id]);
+
+      assert.deepEqual(await refundDueDeposits(), []);
+      await memory.viewings.update(viewing.id, { starts_at: new Date(Date.now() - 60 * 1000).toISOString() });
+      const kept = await api.request('POST', `/api/payments/${paid.id}/forfeit`, { token: landlord.token });
+      assert.equal(kept.status, 200);
+      assert.equal(kept.body.status, 'forfeited');
+      assert.equal(kept.body.forfeited_by, landlord.id);
+      assert.deepEqual(await refundDueDeposits(new Date(Date.now() + 3 * DAY_MS)), []);
+    });
+
+    it('refuses callbacks without the secret', async () => {
+      const res = await api.request('POST', '/api/payments/mpesa/stk/wrong-secret', { body: { Body: {} } });
+      assert.equal(res.status, 404);
+    });
+  });
+});
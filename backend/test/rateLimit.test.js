@@ -0,0 +1,104 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, LANDLORD, TENANT } from './helpers.js';
+
+const { default: express } = await import('express');
+const { rateLimiter } = await import('../middleware/rateLimit.js');
+
+// A throwaway app with tiny quotas; each test gets fresh counters
+const limitedServer = (quota) =>
+  new Promise((resolve) => {
+    const app = express();
+    app.set('trust proxy', 1);
+    app.get('/ping', rateLimiter('test', { quota: { windowMs: 60 * 1000, ...quota } }), (req, res) => res.json({ ok: true }));
+    const server = app.listen(0, () => {
+      const url = `http://127.0.0.1:${server.address().port}/ping`;
+      const ping = ({ token, ip } = {}) => {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (ip) headers['X-Forwarded-For'] = ip;
+        return fetch(url, { headers });
+      };
+      resolve({ ping, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+
+describe('rate limiting', () => {
+  let landlord;
+  let tenant;
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, tenant] = memory.seed({ users: [LANDLORD, TENANT] }).users;
+  });
+
+  it('answers over-quota requests with 429, the usual error shape and Retry-After', async () => {
+    const server = await limitedServer({ anonymous: 2, default: 2 });
+    try {
+      await server.ping();
+      await server.ping();
+      const res = await server.ping();
+
+      assert.equal(res.status, 429);
+      assert.ok(Number(res.headers.get('retry-after')) > 0);
+      const body = await res.json();
+      assert.equal(body.code, 'RATE_LIMITED');
+      assert.equal(body.error, 'Too many requests, please try again later');
+      assert.equal(body.retry_after, Number(res.headers.get('retry-after')));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('counts signed-in users by user and anonymous requests by client IP', async () => {
+    const server = await limitedServer({ anonymous: 1, default: 1 });
+    try {
+      assert.equal((await server.ping({ ip: '41.90.1.1' })).status, 200);
+      assert.equal((await server.ping({ ip: '41.90.1.1' })).status, 429);
+
+      // Same office IP, different identities
+      assert.equal((await server.ping({ ip: '41.90.1.1', token: tenant.token })).status, 200);
+      assert.equal((await server.ping({ ip: '41.90.1.1', token: landlord.token })).status, 200);
+      assert.equal((await server.ping({ ip: '41.90.2.2' })).status, 200);
+
+      // The user's count follows them to another network
+      assert.equal((await server.ping({ ip: '41.90.3.3', token: tenant.token })).status, 429);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('applies the limit for the user type, falling back to the default', async () => {
+    const server = await limitedServer({ default: 1, landlord: 3 });
+    try {
+      const statuses = async (token) => {
+        const results = [];
+        for (let i = 0; i < 4; i++) results.push((await server.ping({ token })).status);
+        return results;
+      };
+
+      assert.deepEqual(await statuses(landlord.token), [200, 200, 200, 429]);
+      assert.deepEqual(await statuses(tenant.token), [200, 429, 429, 429]);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('API rate limit headers', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('reports the global quota on every response', async () => {
+    memory.reset();
+    const res = await api.request('GET', '/api/health');
+
+    assert.equal(res.headers.get('ratelimit-limit'), '1000');
+    assert.ok(Number(res.headers.get('ratelimit-remaining')) < 1000);
+  });
+});
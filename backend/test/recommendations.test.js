@@ -0,0 +1,178 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, LANDLORD, TENANT } from './helpers.js';
+
+const { pruneSearchHistory } = await import('../services/recommendations.js');
+const { buildTaste } = await import('../utils/recommendations.js');
+const { listings } = await import('../repositories/index.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('recommendations', () => {
+  let api;
+  let landlord;
+  let tenant;
+  let base;
+  let sameEstate;
+  let sameCounty;
+  let elsewhere;
+  let pricey;
+  let draft;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, tenant] = memory.seed({ users: [LANDLORD, TENANT] }).users;
+    [base, sameEstate, sameCounty, elsewhere, pricey, draft] = memory.seed({
+      listings: [
+        listingRow(landlord.id),
+        listingRow(landlord.id, { title: '2BR in Kilimani near Yaya', price: 47000 }),
+        listingRow(landlord.id, { title: '2BR in Westlands', estate: 'Westlands', location: 'Westlands, Nairobi', price: 44000, amenities: [] }),
+        listingRow(landlord.id, {
+          title: 'Bedsitter in Nyali',
+          estate: 'Nyali',
+          county: 'Mombasa',
+          location: 'Nyali, Mombasa',
+          price: 30000,
+          bedrooms: 1,
+          property_type: 'bedsitter',
+          amenities: [],
+        }),
+        listingRow(landlord.id, { title: 'Penthouse in Kilimani', price: 250000, bedrooms: 4 }),
+        listingRow(landlord.id, { title: 'Draft in Kilimani', status: 'draft' }),
+      ],
+    }).listings;
+  });
+
+  describe('similar listings', () => {
+    it('ranks published listings by area, price, bedrooms, type and amenities', async () => {
+      const res = await api.request('GET', `/api/listings/${base.id}/similar`);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.listings.map((l) => l.id), [sameEstate.id, sameCounty.id, elsewhere.id]);
+      assert.deepEqual(res.body.listings[0].match_reasons, ['estate', 'county', 'price', 'bedrooms', 'property_type', 'amenities']);
+      assert.deepEqual(res.body.listings[1].match_reasons, ['county', 'price', 'bedrooms', 'property_type']);
+      assert.ok(res.body.listings[0].score > res.body.listings[1].score);
+      assert.equal(res.body.listings[0].landlord_id, undefined);
+      assert.ok(!res.body.listings.some((l) => l.id === pricey.id), 'far outside the price band');
+    });
+
+    it('only scores listings sharing an estate, county or about the bedrooms, same estate first', async () => {
+      const [older] = memory.seed({
+        listings: [listingRow(landlord.id, { title: 'Older 2BR in Kilimani', updated_at: new Date(Date.now() - 200 * DAY_MS).toISOString() })],
+      }).listings;
+      const [far] = memory.seed({
+        listings: [listingRow(landlord.id, { title: 'Villa in Nyali', estate: 'Nyali', county: 'Mombasa', bedrooms: 5 })],
+      }).listings;
+
+      const taste = buildTaste([
+        { weight: 1, estate: ['kilimani'], county: [], property_type: [], bedrooms: [], amenities: [], min_price: null, max_price: null },
+      ]);
+      const recommend = (options) =>
+        listings.recommend(taste, { columns: ['id'], excludeIds: [base.id, pricey.id], limit: 10, ...options });
+
+      const rows = await recommend({ candidates: 100 });
+      assert.ok(!rows.some((row) => row.id === far.id));
+      assert.ok(!rows.some((row) => row.id === sameCounty.id), 'another estate');
+      assert.deepEqual((await recommend({ candidates: 2 })).map((row) => row.id).sort(), [sameEstate.id, older.id].sort());
+    });
+
+    it('honours limit and 404s for listings that are not published', async () => {
+      const res = await api.request('GET', `/api/listings/${base.id}/similar?limit=1`);
+      assert.deepEqual(res.body.listings.map((l) => l.id), [sameEstate.id]);
+
+      assert.equal((await api.request('GET', `/api/listings/${draft.id}/similar`)).status, 404);
+      assert.equal((await api.request('GET', `/api/listings/${base.id}/similar?limit=100`)).status, 422);
+    });
+  });
+
+  describe('feed', () => {
+    const feed = () => api.request('GET', '/api/recommendations', { token: tenant.token });
+
+    it('is the freshest listings until there is something to learn from', async () => {
+      const res = await feed();
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.personalized, false);
+      assert.deepEqual(res.body.based_on, { favorites: 0, searches: 0 });
+      assert.equal(res.body.listings.length, 5);
+      assert.equal((await api.request('GET', '/api/recommendations')).status, 401);
+    });
+
+    it('learns from favorites and searches, leaving out saved listings', async () => {
+      await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: elsewhere.id } });
+      await api.request('POST', '/api/listings/search', { token: tenant.token, body: { filters: { county: 'Mombasa', bedrooms: 1 } } });
+      const [other] = memory.seed({
+        listings: [
+          listingRow(landlord.id, {
+            title: 'Bedsitter in Bamburi',
+            estate: 'Bamburi',
+            county: 'Mombasa',
+            location: 'Bamburi, Mombasa',
+            price: 28000,
+            bedrooms: 1,
+            property_type: 'bedsitter',
+          }),
+        ],
+      }).listings;
+
+      const res = await feed();
+
+      assert.equal(res.body.personalized, true);
+      assert.deepEqual(res.body.based_on, { favorites: 1, searches: 1 });
+      assert.equal(res.body.listings[0].id, other.id);
+      assert.deepEqual(res.body.listings[0].match_reasons, ['county', 'price', 'bedrooms', 'property_type']);
+      assert.ok(!res.body.listings.some((l) => l.id === elsewhere.id));
+    });
+
+    it('leaves out dismissed listings until they are restored', async () => {
+      const dismiss = () => api.request('POST', '/api/recommendations/dismissals', { token: tenant.token, body: { listing_id: sameEstate.id } });
+
+      assert.equal((await dismiss()).status, 201);
+      assert.equal((await dismiss()).status, 200);
+      assert.ok(!(await feed()).body.listings.some((l) => l.id === sameEstate.id));
+
+      const list = await api.request('GET', '/api/recommendations/dismissals', { token: tenant.token });
+      assert.deepEqual(list.body.dismissals.map((d) => [d.listing_id, d.listing.title]), [[sameEstate.id, sameEstate.title]]);
+
+      await api.request('DELETE', `/api/recommendations/dismissals/${sameEstate.id}`, { token: tenant.token });
+      assert.ok((await feed()).body.listings.some((l) => l.id === sameEstate.id));
+    });
+  });
+
+  describe('search history', () => {
+    const history = () => api.request('GET', '/api/recommendations/search-history', { token: tenant.token });
+
+    it('keeps the first page of signed-in searches with filters', async () => {
+      await api.request('GET', '/api/listings?county=Nairobi&min_price=40000', { token: tenant.token });
+      await api.request('GET', '/api/listings?county=Nairobi&offset=20', { token: tenant.token });
+      await api.request('GET', '/api/listings', { token: tenant.token });
+      await api.request('POST', '/api/listings/search', { body: { query: 'kilimani' } });
+      await api.request('POST', '/api/listings/search', { token: tenant.token, body: { query: ' kilimani ', filters: { amenities: [] } } });
+
+      const res = await history();
+      assert.deepEqual(
+        res.body.searches.map(({ query, filters }) => ({ query, filters })),
+        [
+          { query: 'kilimani', filters: {} },
+          { query: null, filters: { county: 'Nairobi', min_price: '40000' } },
+        ]
+      );
+    });
+
+    it('can be cleared, and is pruned after 90 days', async () => {
+      await api.request('GET', '/api/listings?county=Nairobi', { token: tenant.token });
+      assert.equal(await pruneSearchHistory(), 0);
+      assert.equal(await pruneSearchHistory(new Date(Date.now() + 91 * DAY_MS)), 1);
+
+      await api.request('GET', '/api/listings?county=Nairobi', { token: tenant.token });
+      assert.equal((await api.request('DELETE', '/api/recommendations/search-history', { token: tenant.token })).status, 200);
+      assert.equal((await history()).body.searches.length, 0);
+    });
+  });
+});
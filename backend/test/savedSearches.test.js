@@ -0,0 +1,240 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, sentNotifications, listingForm, listingRow, ADMIN, LANDLORD, TENANT } from './helpers.js';
+import { processSavedSearchAlerts, sendDueDigests, MAX_ATTEMPTS } from '../services/savedSearchAlerts.js';
+import { registerTransport } from '../services/notifier.js';
+
+describe('saved searches routes', () => {
+  let api;
+  let landlord;
+  let tenant;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    sentNotifications.length = 0;
+    [landlord, tenant, admin] = memory.seed({ users: [LANDLORD, TENANT, ADMIN] }).users;
+  });
+
+  const ruakaBedsitters = {
+    name: 'Ruaka bedsitters',
+    query: 'bedsitter',
+    filters: { county: 'Kiambu', max_price: 10000 },
+    channels: ['email', 'in_app'],
+  };
+
+  const fields = {
+    title: 'Bedsitter in Ruaka',
+    price: '9000',
+    property_type: 'bedsitter',
+    location: 'Ruaka',
+    county: 'Kiambu',
+  };
+
+  // The memory transport, to put back after a test swaps in a failing one
+  const keepSent = async (message) => {
+    sentNotifications.push(message);
+  };
+
+  const saveSearch = (body = ruakaBedsitters) => api.request('POST', '/api/saved-searches', { token: tenant.token, body });
+
+  it('requires authentication', async () => {
+    const res = await api.request('GET', '/api/saved-searches');
+
+    assert.equal(res.status, 401);
+  });
+
+  it('creates, lists, edits and deletes a saved search', async () => {
+    const created = await saveSearch();
+    assert.equal(created.status, 201);
+    assert.equal(created.body.alerts, 'instant');
+    assert.deepEqual(created.body.filters, ruakaBedsitters.filters);
+
+    const list = await api.request('GET', '/api/saved-searches', { token: tenant.token });
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.saved_searches[0].name, 'Ruaka bedsitters');
+
+    const patched = await api.request('PATCH', `/api/saved-searches/${created.body.id}`, {
+      token: tenant.token,
+      body: { alerts: 'daily' },
+    });
+    assert.equal(patched.body.alerts, 'daily');
+    assert.equal(patched.body.query, 'bedsitter');
+
+    const removed = await api.request('DELETE', `/api/saved-searches/${created.body.id}`, { token: tenant.token });
+    assert.equal(removed.status, 200);
+
+    const gone = await api.request('GET', `/api/saved-searches/${created.body.id}`, { token: tenant.token });
+    assert.equal(gone.status, 404);
+  });
+
+  it("hides other users' saved searches", async () => {
+    const created = await saveSearch();
+
+    const res = await api.request('PUT', `/api/saved-searches/${created.body.id}`, { token: landlord.token, body: ruakaBedsitters });
+
+    assert.equal(res.status, 404);
+  });
+
+  it('rejects unknown filters and bad channels', async () => {
+    const res = await saveSearch({ name: 'Bad', filters: { colour: 'blue', near: 'x' }, channels: ['fax'] });
+
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ['channels', 'filters']);
+  });
+
+  it('alerts instantly when a matching listing is published', async () => {
+    const search = await saveSearch();
+
+    const created = await api.request('POST', '/api/listings', { token: landlord.token, form: listingForm(fields) });
+    const pricey = await api.request('POST', '/api/listings', { token: landlord.token, form: listingForm({ ...fields, price: '25000' }) });
+    assert.equal(sentNotifications.length, 0);
+
+    for (const listing of [created, pricey]) {
+      await api.request('POST', `/api/moderation/listings/${listing.body.id}/approve`, { token: admin.token });
+    }
+    assert.equal(sentNotifications.filter((n) => n.data.saved_search_id).length, 0, 'alerts are sent in the background');
+    assert.equal(await processSavedSearchAlerts(), 2);
+    assert.equal(await processSavedSearchAlerts(), 0);
+
+    // The landlord hears about both approvals; the tenant only about the match
+    const alerts = sentNotifications.filter((n) => n.data.saved_search_id);
+    assert.equal(alerts.length, 2);
+    const email = alerts.find((n) => n.channel === 'email');
+    assert.equal(email.to, TENANT.email);
+    assert.match(email.subject, /New listing for "Ruaka bedsitters"/);
+    assert.equal(email.data.saved_search_id, search.body.id);
+
+    const digest = await api.request('GET', '/api/saved-searches/digest', { token: tenant.token });
+    assert.equal(digest.body.total, 1);
+    assert.equal(digest.body.digest[0].matches[0].reason, 'new');
+    assert.equal(digest.body.digest[0].matches[0].listing.title, 'Bedsitter in Ruaka');
+
+    const seen = await api.request('POST', '/api/saved-searches/digest/seen', { token: tenant.token, body: {} });
+    assert.equal(seen.body.updated, 1);
+    const empty = await api.request('GET', '/api/saved-searches/digest', { token: tenant.token });
+    assert.equal(empty.body.total, 0);
+  });
+
+  it('records price drops from updates and sends them in the daily digest', async () => {
+    await saveSearch({ ...ruakaBedsitters, alerts: 'daily' });
+    const [listing] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Bedsitter in Ruaka', property_type: 'bedsitter', county: 'Kiambu', price: 12000 })],
+    }).listings;
+
+    const res = await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, form: listingForm({ price: '9500' }) });
+    assert.equal(res.status, 200);
+    // The edit is reviewed before it goes live, and only then matched
+    assert.equal(await processSavedSearchAlerts(), 0);
+    await api.request('POST', `/api/moderation/listings/${listing.id}/approve`, { token: admin.token });
+    sentNotifications.length = 0;
+    assert.equal(await processSavedSearchAlerts(), 1);
+    assert.equal(sentNotifications.length, 0);
+
+    const digest = await api.request('GET', '/api/saved-searches/digest', { token: tenant.token });
+    assert.deepEqual(
+      (({ reason, price, previous_price }) => ({ reason, price, previous_price }))(digest.body.digest[0].matches[0]),
+      { reason: 'price_drop', price: 9500, previous_price: 12000 }
+    );
+
+    assert.equal(await sendDueDigests(), 1);
+    assert.equal(sentNotifications.length, 2);
+    assert.match(sentNotifications[0].text, /KES 12,000 -> KES 9,500/);
+
+    assert.equal(await sendDueDigests(), 0);
+  });
+
+  it("only matches searches whose filters the listing passes, and not the landlord's own", async () => {
+    await saveSearch({ ...ruakaBedsitters, name: 'Bedsitters', filters: { property_type: ['bedsitter'] } });
+    await saveSearch({ ...ruakaBedsitters, name: 'Houses', filters: { property_type: ['house'] } });
+    await saveSearch({ ...ruakaBedsitters, name: 'Pricier', filters: { min_price: '20000' } });
+    await api.request('POST', '/api/saved-searches', { token: landlord.token, body: { ...ruakaBedsitters, name: 'Mine' } });
+    const [listing] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Bedsitter in Ruaka', property_type: 'bedsitter', county: 'Kiambu', price: 9500 })],
+    }).listings;
+
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, form: listingForm({ price: '9000' }) });
+    await api.request('POST', `/api/moderation/listings/${listing.id}/approve`, { token: admin.token });
+    await processSavedSearchAlerts();
+
+    const digest = await api.request('GET', '/api/saved-searches/digest', { token: tenant.token });
+    assert.deepEqual(digest.body.digest.map((group) => group.saved_search.name), ['Bedsitters']);
+    const own = await api.request('GET', '/api/saved-searches/digest', { token: landlord.token });
+    assert.equal(own.body.total, 0);
+  });
+
+  it('does not alert again when an edited listing is approved at the same price', async () => {
+    await saveSearch();
+    const [listing] = memory.seed({
+      listings: [listingRow(landlord.id, { title: 'Bedsitter in Ruaka', property_type: 'bedsitter', county: 'Kiambu', price: 9000 })],
+    }).listings;
+
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, form: listingForm({ title: 'Bedsitter in Ruaka, new tiles' }) });
+    await api.request('POST', `/api/moderation/listings/${listing.id}/approve`, { token: admin.token });
+
+    assert.equal(await processSavedSearchAlerts(), 0);
+  });
+
+  it('retries a change whose alerts fail without holding up the rest of the queue', async () => {
+    await saveSearch();
+    const first = await api.request('POST', '/api/listings', { token: landlord.token, form: listingForm(fields) });
+    const second = await api.request('POST', '/api/listings', { token: landlord.token, form: listingForm({ ...fields, price: '9500' }) });
+    for (const listing of [first, second]) {
+      await api.request('POST', `/api/moderation/listings/${listing.body.id}/approve`, { token: admin.token });
+    }
+
+    let failing = true;
+    registerTransport('email', async (message) => {
+      if (failing && message.data.listing_id === first.body.id) throw new Error('Mail server unavailable');
+      sentNotifications.push(message);
+    });
+    try {
+      assert.equal(await processSavedSearchAlerts(), 1);
+      const alerted = () => sentNotifications.filter((n) => n.data.saved_search_id).map((n) => `${n.data.listing_id}:${n.channel}`);
+      assert.deepEqual(alerted(), [`${second.body.id}:email`, `${second.body.id}:in_app`]);
+
+      const [queued] = (await memory.savedSearchAlertQueue.list({})).filter((change) => change.listing_id === first.body.id);
+      assert.equal(queued.attempts, 1);
+      assert.equal(queued.processed_at, null);
+      assert.match(queued.last_error, /Mail server unavailable/);
+
+      // The match was recorded on the failed run; the retry still sends it, once
+      failing = false;
+      assert.equal(await processSavedSearchAlerts(), 0, 'not due until the backoff is over');
+      assert.equal(await processSavedSearchAlerts(new Date(Date.now() + 2 * 60 * 1000)), 1);
+      assert.deepEqual(alerted().slice(2), [`${first.body.id}:email`, `${first.body.id}:in_app`]);
+      assert.equal(await processSavedSearchAlerts(new Date(Date.now() + 60 * 60 * 1000)), 0);
+    } finally {
+      registerTransport('email', keepSent);
+    }
+  });
+
+  it('gives up on a change after the last retry', async () => {
+    await saveSearch();
+    const created = await api.request('POST', '/api/listings', { token: landlord.token, form: listingForm(fields) });
+    await api.request('POST', `/api/moderation/listings/${created.body.id}/approve`, { token: admin.token });
+
+    registerTransport('email', async () => {
+      throw new Error('Mail server unavailable');
+    });
+    try {
+      let now = Date.now();
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+        assert.equal(await processSavedSearchAlerts(new Date(now)), 0);
+        now += 24 * 60 * 60 * 1000;
+      }
+      const [queued] = await memory.savedSearchAlertQueue.list({});
+      assert.equal(queued.attempts, MAX_ATTEMPTS);
+      assert.ok(queued.processed_at);
+      assert.equal(await processSavedSearchAlerts(new Date(now)), 0);
+    } finally {
+      registerTransport('email', keepSent);
+    }
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, memory, listingRow, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+
+const OTHER_TENANT = { email: 'baraka@example.com', token: 'other-tenant-token', profile: { user_type: 'tenant', full_name: 'Baraka Mwangi' } };
+
+// Tomorrow at the given UTC hour
+const at = (hour, minute = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 1);
+  date.setUTCHours(hour, minute, 0, 0);
+  return date.toISOString();
+};
+
+describe('viewings routes', () => {
+  let api;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let otherTenant;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    memory.reset();
+    [landlord, otherLandlord, tenant, otherTenant] = memory.seed({ users: [LANDLORD, OTHER_LANDLORD, TENANT, OTHER_TENANT] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const publish = (slots, token = landlord.token) =>
+    api.request('POST', `/api/listings/${listing.id}/viewing-slots`, { token, body: { slots } });
+
+  const book = (body, token = tenant.token) => api.request('POST', '/api/viewings', { token, body: { listing_id: listing.id, ...body } });
+
+  describe('slots', () => {
+    it('lets the owner publish slots and refuses overlaps', async () => {
+      const res = await publish([
+        { starts_at: at(9), ends_at: at(9, 30) },
+        { starts_at: at(10), ends_at: at(10, 30) },
+      ]);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.slots.length, 2);
+
+      const overlap = await publish([{ starts_at: at(10, 15), ends_at: at(11) }]);
+      assert.equal(overlap.status, 409);
+      assert.equal(overlap.body.code, 'SLOT_OVERLAP');
+
+      const list = await api.request('GET', `/api/listings/${listing.id}/viewing-slots`);
+      assert.deepEqual(list.body.slots.map((s) => s.starts_at), [at(9), at(10)]);
+    });
+
+    it("refuses slots on another landlord's listing", async () => {
+      const res = await publish([{ starts_at: at(9), ends_at: at(9, 30) }], otherLandlord.token);
+
+      assert.equal(res.status, 403);
+    });
+
+    it('validates slot times', async () => {
+      const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const res = await publish([
+        { starts_at: hoursAgo(2), ends_at: hoursAgo(1) },
+        { starts_at: at(9), ends_at: at(9, 5) },
+        { starts_at: 'tomorrow', ends_at: at(9) },
+      ]);
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        res.body.errors.map(({ field, code }) => [field, code]),
+        [
+          ['slots[0].starts_at', 'too_small'],
+          ['slots[1].ends_at', 'out_of_range'],
+          ['slots[2].starts_at', 'invalid_type'],
+        ]
+      );
+    });
+  });
+
+  describe('booking', () => {
+    it('confirms a booked slot and prevents double-booking it', async () => {
+      const { body: { slots: [slot] } } = await publish([{ starts_at: at(9), ends_at: at(9, 30) }]);
+
+      const booked = await book({ slot_id: slot.id, note: 'Coming with my sister' });
+      assert.equal(booked.status, 201);
+      assert.equal(booked.body.status, 'confirmed');
+      assert.equal(booked.body.starts_at, at(9));
+      assert.equal(booked.body.listing.title, listing.title);
+
+      const second = await book({ slot_id: slot.id }, otherTenant.token);
+      assert.equal(second.status, 409);
+      assert.equal(second.body.code, 'VIEWING_CONFLICT');
+
+      const publicSlots = await api.request('GET', `/api/listings/${listing.id}/viewing-slots`);
+      assert.equal(publicSlots.body.slots.length, 0);
+      const ownerSlots = await api.request('GET', `/api/listings/${listing.id}/viewing-slots`, { token: landlord.token });
+      assert.equal(ownerSlots.body.slots[0].available, false);
+
+      const withdraw = await api.request('DELETE', `/api/listings/${listing.id}/viewing-slots/${slot.id}`, { token: landlord.token });
+      assert.equal(withdraw.status, 409);
+    });
+
+    it('runs a requested time through confirm, reschedule and cancel', async () => {
+      const requested = await book({ starts_at: at(14), ends_at: at(14, 30) });
+      assert.equal(requested.body.status, 'requested');
+      const path = `/api/viewings/${requested.body.id}`;
+
+      const ownConfirm = await api.request('POST', `${path}/confirm`, { token: tenant.token });
+      assert.equal(ownConfirm.status, 409);
+
+      const confirmed = await api.request('POST', `${path}/confirm`, { token: landlord.token });
+      assert.equal(confirmed.body.status, 'confirmed');
+
+      const moved = await api.request('POST', `${path}/reschedule`, {
+        token: landlord.token,
+        body: { starts_at: at(16), ends_at: at(16, 30) },
+      });
+      assert.equal(moved.body.status, 'requested');
+      assert.equal(moved.body.sequence, 1);
+
+      const accepted = await api.request('POST', `${path}/confirm`, { token: tenant.token });
+      assert.equal(accepted.body.status, 'confirmed');
+      assert.equal(accepted.body.starts_at, at(16));
+
+      const cancelled = await api.request('POST', `${path}/cancel`, { token: tenant.token, body: { reason: 'Found a place' } });
+      assert.equal(cancelled.body.status, 'cancelled');
+      assert.equal(cancelled.body.cancelled_by, tenant.id);
+
+      const again = await api.request('POST', `${path}/confirm`, { token: landlord.token });
+      assert.equal(again.status, 409);
+    });
+
+    it("hides viewings from people who aren't part of them", async () => {
+      const requested = await book({ starts_at: at(14), ends_at: at(14, 30) });
+
+      const res = await api.request('GET', `/api/viewings/${requested.body.id}`, { token: otherTenant.token });
+
+      assert.equal(res.status, 404);
+    });
+
+    it('lets requests overlap but refuses a tenant two overlapping confirmed viewings', async () => {
+      const [other] = memory.seed({ listings: [listingRow(otherLandlord.id, { title: 'Other flat' })] }).listings;
+      const first = await book({ starts_at: at(14), ends_at: at(15) });
+
+      const res = await api.request('POST', '/api/viewings', {
+        token: tenant.token,
+        body: { listing_id: other.id, starts_at: at(14, 30), ends_at: at(15, 30) },
+      });
+      assert.equal(res.status, 201);
+
+      await api.request('POST', `/api/viewings/${first.body.id}/confirm`, { token: landlord.token });
+      const clash = await api.request('POST', `/api/viewings/${res.body.id}/confirm`, { token: otherLandlord.token });
+      assert.equal(clash.status, 409);
+      assert.equal(clash.body.code, 'VIEWING_CONFLICT');
+    });
+
+    it('does not let an unanswered request block the landlord', async () => {
+      await book({ starts_at: at(14), ends_at: at(15) });
+
+      const res = await book({ starts_at: at(14), ends_at: at(15) }, otherTenant.token);
+
+      assert.equal(res.status, 201);
+    });
+  });
+
+  describe('upcoming viewings', () => {
+    it('lists upcoming viewings for each side and exports them as iCalendar', async () => {
+      await book({ starts_at: at(14), ends_at: at(14, 30) });
+      const cancelled = await book({ starts_at: at(9), ends_at: at(9, 30) }, otherTenant.token);
+      await api.request('POST', `/api/viewings/${cancelled.body.id}/cancel`, { token: landlord.token });
+
+      const mine = await api.request('GET', '/api/viewings', { token: tenant.token });
+      assert.equal(mine.body.role, 'tenant');
+      assert.equal(mine.body.total, 1);
+
+      const theirs = await api.request('GET', '/api/viewings', { token: landlord.token });
+      assert.equal(theirs.body.role, 'landlord');
+      assert.deepEqual(theirs.body.viewings.map((v) => v.tenant_id), [tenant.id]);
+
+      const ics = await api.request('GET', '/api/viewings/calendar.ics', { token: landlord.token });
+      assert.equal(ics.status, 200);
+      assert.match(ics.headers.get('content-type'), /^text\/calendar/);
+      assert.match(ics.text, /^BEGIN:VCALENDAR\r\n/);
+      assert.equal(ics.text.match(/BEGIN:VEVENT/g).length, 1);
+      assert.match(ics.text, new RegExp(`DTSTART:${at(14).replace(/[-:]/g, '').replace('.000', '')}\r\n`));
+      assert.match(ics.text, /SUMMARY:House viewing: 2BR apartment in Kilimani\r\n/);
+      assert.match(ics.text, /LOCATION:Kilimani\\, Nairobi\r\n/);
+      assert.match(ics.text, /STATUS:TENTATIVE\r\n/);
+    });
+  });
+});
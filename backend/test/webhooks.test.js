@@ -0,0 +1,199 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { startServer, memory, listingRow, ADMIN, LANDLORD, OTHER_LANDLORD, TENANT } from './helpers.js';
+import { processWebhooks, signPayload, MAX_ATTEMPTS } from '../services/webhooks.js';
+
+// Endpoints in these tests are on the loopback interface
+process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('webhooks', () => {
+  let api;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let respondWith;
+  let admin;
+  let landlord;
+  let otherLandlord;
+  let tenant;
+  let listing;
+
+  before(async () => {
+    api = await startServer();
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+        res.writeHead(respondWith).end('ok');
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  after(async () => {
+    await api.close();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    memory.reset();
+    received = [];
+    respondWith = 200;
+    [admin, landlord, otherLandlord, tenant] = memory.seed({ users: [ADMIN, LANDLORD, OTHER_LANDLORD, TENANT] }).users;
+    [listing] = memory.seed({ listings: [listingRow(landlord.id)] }).listings;
+  });
+
+  const register = (body, token = landlord.token) => api.request('POST', '/api/webhooks', { token, body });
+
+  const deliveries = async (endpointId, query = '') =>
+    (await api.request('GET', `/api/webhooks/${endpointId}/deliveries${query}`, { token: landlord.token })).body.deliveries;
+
+  it('sends signed events for the landlord\'s listings', async () => {
+    const { status, body: endpoint } = await register({
+      url: `${receiverUrl}/hooks`,
+      events: ['listing.updated', 'listing.availability_changed', 'listing.deleted'],
+    });
+    assert.equal(status, 201);
+    assert.match(endpoint.secret, /^whsec_/);
+
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+    await api.request('POST', `/api/listings/${listing.id}/mark-rented`, { token: landlord.token });
+    await api.request('DELETE', `/api/listings/${listing.id}`, { token: landlord.token });
+    await processWebhooks();
+
+    // Deliveries are sent concurrently, in no particular order
+    assert.deepEqual(
+      received.map((request) => request.json.type).sort(),
+      ['listing.availability_changed', 'listing.deleted', 'listing.updated']
+    );
+    const byType = (type) => received.find((request) => request.json.type === type);
+    const [updated, rented] = [byType('listing.updated'), byType('listing.availability_changed')];
+    assert.equal(updated.path, '/hooks');
+    assert.deepEqual([updated.json.data.id, updated.json.data.bedrooms], [listing.id, 3]);
+    assert.deepEqual([rented.json.data.status, rented.json.data.previous_status], ['rented', 'published']);
+
+    const [, timestamp, signature] = updated.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(signature, signPayload(endpoint.secret, updated.body, timestamp));
+    assert.equal(updated.headers['x-webhook-event'], 'listing.updated');
+
+    const log = await deliveries(endpoint.id);
+    assert.deepEqual(log.map((delivery) => [delivery.status, delivery.attempts, delivery.response_status]), [
+      ['delivered', 1, 200],
+      ['delivered', 1, 200],
+      ['delivered', 1, 200],
+    ]);
+    assert.equal(updated.headers['x-webhook-id'], log.find((delivery) => delivery.event_type === 'listing.updated').id);
+    assert.equal((await api.request('GET', `/api/webhooks/${endpoint.id}`, { token: landlord.token })).body.secret, undefined);
+  });
+
+  it('sends listing.updated only for changes the landlord makes', async () => {
+    await register({ url: `${receiverUrl}/hooks`, events: ['listing.updated'] });
+
+    // Bookkeeping such as featured time running out or a price drop going stale
+    await memory.listings.update(listing.id, { featured: false, price_dropped: false, updated_at: new Date().toISOString() }, { columns: ['id'] });
+    await processWebhooks();
+    assert.equal(received.length, 0);
+
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bathrooms: 2 } });
+    await processWebhooks();
+    assert.deepEqual(received.map((request) => [request.json.type, request.json.data.bathrooms]), [['listing.updated', 2]]);
+  });
+
+  it('only sends other landlords\' events to admin endpoints', async () => {
+    const { body: own } = await register({ url: `${receiverUrl}/own`, events: ['listing.created', 'favorite.added'] });
+    await register({ url: `${receiverUrl}/admin`, events: ['favorite.added'] }, admin.token);
+    await register({ url: `${receiverUrl}/other`, events: ['favorite.added'] }, otherLandlord.token);
+
+    await api.request('POST', '/api/favorites', { token: tenant.token, body: { listing_id: listing.id } });
+    await processWebhooks();
+
+    assert.deepEqual(received.map((request) => request.path).sort(), ['/admin', '/own']);
+    const favorite = received.find((request) => request.path === '/own').json;
+    assert.deepEqual([favorite.type, favorite.data.listing.id], ['favorite.added', listing.id]);
+    assert.equal(favorite.data.user_id, undefined);
+    assert.equal((await deliveries(own.id)).length, 1);
+  });
+
+  it('retries failed deliveries with backoff and replays them on request', async () => {
+    const { body: endpoint } = await register({ url: `${receiverUrl}/hooks`, events: ['listing.updated'] });
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+
+    respondWith = 500;
+    const start = Date.now();
+    const [first] = await processWebhooks(new Date(start));
+    assert.deepEqual([first.status, first.attempts, first.error], ['pending', 1, 'HTTP 500']);
+    assert.equal(new Date(first.next_attempt_at).getTime(), start + MINUTE_MS);
+    assert.deepEqual(await processWebhooks(new Date(start + 30 * 1000)), []);
+
+    let now = start;
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      now += 24 * 60 * MINUTE_MS;
+      await processWebhooks(new Date(now));
+    }
+    const [failed] = await deliveries(endpoint.id);
+    assert.deepEqual([failed.status, failed.attempts], ['failed', MAX_ATTEMPTS]);
+    assert.equal(received.length, MAX_ATTEMPTS);
+    assert.equal(new Set(received.map((request) => request.json.id)).size, 1);
+
+    respondWith = 204;
+    const replay = await api.request('POST', `/api/webhooks/${endpoint.id}/deliveries/${failed.id}/replay`, { token: landlord.token });
+    assert.equal(replay.status, 202);
+    await processWebhooks();
+
+    const log = await deliveries(endpoint.id, '?status=delivered');
+    assert.deepEqual([log.length, log[0].replay_of], [1, failed.id]);
+    assert.equal(received.at(-1).json.id, received[0].json.id);
+  });
+
+  it('fails a delivery without sending it when the endpoint no longer resolves to a public address', async () => {
+    // Registered while insecure URLs are allowed; a public name can later point
+    // at the loopback interface in the same way
+    const { body: endpoint } = await register({ url: `${receiverUrl}/hooks`, events: ['listing.updated'] });
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+
+    process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'false';
+    try {
+      await processWebhooks();
+    } finally {
+      process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+    }
+
+    assert.equal(received.length, 0);
+    const [refused] = await deliveries(endpoint.id);
+    assert.deepEqual([refused.status, refused.attempts, refused.response_status], ['failed', 1, null]);
+    assert.match(refused.error, /public address/);
+    assert.equal('response_body' in refused, false);
+  });
+
+  it('validates endpoints and keeps them to their owner', async () => {
+    assert.equal((await register({ url: `${receiverUrl}/hooks`, events: ['listing.created'] }, tenant.token)).status, 403);
+    const invalid = await register({ url: 'ftp://example.com/hooks', events: ['listing.sold'] });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.errors.map((error) => error.field).sort(), ['events', 'url']);
+
+    process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'false';
+    try {
+      assert.equal((await register({ url: 'https://10.0.0.5/hooks', events: ['listing.created'] })).status, 422);
+      assert.equal((await register({ url: 'https://crm.example.com/hooks', events: ['listing.created'] })).status, 201);
+    } finally {
+      process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+    }
+
+    const { body: endpoint } = await register({ url: `${receiverUrl}/hooks`, events: ['listing.updated'] });
+    assert.equal((await api.request('GET', `/api/webhooks/${endpoint.id}`, { token: otherLandlord.token })).status, 404);
+
+    const paused = await api.request('PATCH', `/api/webhooks/${endpoint.id}`, { token: landlord.token, body: { active: false } });
+    assert.equal(paused.body.active, false);
+    await api.request('PATCH', `/api/listings/${listing.id}`, { token: landlord.token, body: { bedrooms: 3 } });
+    await processWebhooks();
+    assert.deepEqual([received.length, (await deliveries(endpoint.id)).length], [0, 0]);
+
+    assert.equal((await api.request('DELETE', `/api/webhooks/${endpoint.id}`, { token: landlord.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/webhooks', { token: landlord.token })).body.endpoints.length, 1);
+  });
+});
@@ -0,0 +1,53 @@
+// Minimal CSV (RFC 4180) reader and writer for listing imports and exports.
+// Fields are comma-separated and quoted with double quotes when they contain a
+// comma, quote or line break; a leading UTF-8 BOM is ignored.
+
+// Rows as arrays of strings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of values) to CSV text, with CRLF line endings and a BOM so
+// spreadsheet apps read it as UTF-8
+export const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(formatField).join(',')).join('\r\n')}\r\n`;
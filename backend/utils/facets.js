@@ -0,0 +1,80 @@
+// Facet filters and counts for /api/listings/search. Each facet is counted over
+// the results filtered by every other facet but not itself, so selecting one
+// option still shows how many results the alternatives would have.
+
+// Monthly rent bands in KES; max is exclusive, null means open-ended
+export const PRICE_BUCKETS = [
+  { min: 0, max: 10000 },
+  { min: 10000, max: 20000 },
+  { min: 20000, max: 35000 },
+  { min: 35000, max: 50000 },
+  { min: 50000, max: 75000 },
+  { min: 75000, max: 100000 },
+  { min: 100000, max: 200000 },
+  { min: 200000, max: null },
+];
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+const equalsAny = (column, values, normalize = (v) => v) => {
+  const wanted = new Set(asList(values).map(normalize));
+  return (row) => wanted.has(normalize(row[column]));
+};
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+// Build a predicate per facet from the search filters. A single string keeps
+// the old substring behaviour for county; arrays select any of the options.
+export const facetPredicates = (filters = {}) => {
+  const predicates = {};
+  const present = (key) => filters[key] !== undefined && filters[key] !== null && filters[key] !== '';
+
+  if (present('property_type')) predicates.property_type = equalsAny('property_type', filters.property_type);
+  if (present('bedrooms')) predicates.bedrooms = equalsAny('bedrooms', filters.bedrooms, (v) => parseInt(v));
+  if (present('furnishing_status')) predicates.furnishing_status = equalsAny('furnishing_status', filters.furnishing_status);
+  if (present('county')) {
+    predicates.county = Array.isArray(filters.county)
+      ? equalsAny('county', filters.county, lower)
+      : (row) => lower(row.county).includes(lower(filters.county));
+  }
+  if (present('min_price') || present('max_price')) {
+    const min = present('min_price') ? parseInt(filters.min_price) : -Infinity;
+    const max = present('max_price') ? parseInt(filters.max_price) : Infinity;
+    predicates.price = (row) => row.price != null && row.price >= min && row.price <= max;
+  }
+  if (Array.isArray(filters.amenities) && filters.amenities.length > 0) {
+    predicates.amenities = (row) => Array.isArray(row.amenities) && filters.amenities.every((a) => row.amenities.includes(a));
+  }
+
+  return predicates;
+};
+
+const countValues = (rows, valuesOf) => {
+  const counts = new Map();
+  rows.forEach((row) => valuesOf(row).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value), undefined, { numeric: true }));
+};
+
+const single = (column) => (row) => (row[column] == null || row[column] === '' ? [] : [row[column]]);
+
+const FACETS = {
+  property_type: (rows) => countValues(rows, single('property_type')),
+  bedrooms: (rows) => countValues(rows, single('bedrooms')),
+  county: (rows) => countValues(rows, single('county')),
+  furnishing_status: (rows) => countValues(rows, single('furnishing_status')),
+  amenities: (rows) => countValues(rows, (row) => (Array.isArray(row.amenities) ? [...new Set(row.amenities)] : [])),
+  price: (rows) =>
+    PRICE_BUCKETS.map(({ min, max }) => ({
+      min,
+      max,
+      count: rows.filter((row) => row.price != null && row.price >= min && (max === null || row.price < max)).length,
+    })),
+};
+
+export const applyPredicates = (rows, predicates, except = null) =>
+  rows.filter((row) => Object.entries(predicates).every(([facet, test]) => facet === except || test(row)));
+
+export const facetCounts = (rows, predicates) =>
+  Object.fromEntries(Object.entries(FACETS).map(([facet, count]) => [facet, count(applyPredicates(rows, predicates, facet))]));
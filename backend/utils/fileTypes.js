@@ -0,0 +1,24 @@
+// Identify uploads by their leading bytes rather than the name or the
+// Content-Type the client sent.
+const SIGNATURES = {
+  jpeg: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  png: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  webp: (buffer) => buffer.length > 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+  pdf: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-',
+  // Also XLSX and other Office Open XML files, which are zip archives
+  zip: (buffer) => buffer.toString('latin1', 0, 4) === 'PK\x03\x04',
+};
+
+export const FILE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  zip: { contentType: 'application/zip', extension: 'zip' },
+};
+
+export const IMAGE_TYPES = ['jpeg', 'png', 'webp'];
+
+// The type among allowed whose signature matches, or null
+export const detectFileType = (buffer, allowed = Object.keys(SIGNATURES)) =>
+  allowed.find((type) => SIGNATURES[type](buffer)) || null;
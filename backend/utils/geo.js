@@ -0,0 +1,117 @@
+import { ValidationError } from '../validation/index.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+export const MAX_RADIUS_KM = 100;
+export const DEFAULT_RADIUS_KM = 10;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance, rounded to 6 decimals (about a millimetre) so cursor
+// values match the listings_nearby() SQL function, which rounds the same way.
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return Math.round(km * 1e6) / 1e6;
+};
+
+export const distanceFrom = (near, { latitude, longitude }) =>
+  latitude == null || longitude == null ? null : haversineKm(near.lat, near.lng, latitude, longitude);
+
+// Accept "a,b" strings (query string) or [a, b] arrays (JSON body)
+const parseNumbers = (value, length) => {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  if (parts.length !== length) return null;
+  const numbers = parts.map((part) => (typeof part === 'number' ? part : Number(String(part).trim())));
+  return numbers.every((n) => Number.isFinite(n)) && parts.every((p) => String(p).trim() !== '') ? numbers : null;
+};
+
+const geoError = (field, code, message) => ({ field, code, message });
+
+// Parse near=lat,lng, radius_km and bbox=minLng,minLat,maxLng,maxLat into
+// repository criteria. Returns { criteria, near, radiusKm, bbox } where near
+// is null unless a radius search was requested and bbox ({ minLng, minLat,
+// maxLng, maxLat }) null unless a box was. Throws ValidationError for
+// malformed values.
+export const parseGeoQuery = ({ near, radius_km, bbox } = {}) => {
+  const errors = [];
+  const criteria = [];
+  let center = null;
+  let radiusKm = null;
+  let area = null;
+
+  if (near !== undefined && near !== '') {
+    const point = parseNumbers(near, 2);
+    if (!point || Math.abs(point[0]) > 90 || Math.abs(point[1]) > 180) {
+      errors.push(geoError('near', 'invalid_type', 'near must be "latitude,longitude"'));
+    } else {
+      const radius = radius_km === undefined || radius_km === '' ? DEFAULT_RADIUS_KM : Number(radius_km);
+      if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+        errors.push(geoError('radius_km', 'out_of_range', `radius_km must be greater than 0 and at most ${MAX_RADIUS_KM}`));
+      } else {
+        center = { lat: point[0], lng: point[1] };
+        radiusKm = radius;
+        criteria.push({ op: 'near', lat: center.lat, lng: center.lng, radiusKm: radius });
+      }
+    }
+  } else if (radius_km !== undefined && radius_km !== '') {
+    errors.push(geoError('near', 'required', 'near is required with radius_km'));
+  }
+
+  if (bbox !== undefined && bbox !== '') {
+    const box = parseNumbers(bbox, 4);
+    if (!box || box[0] > box[2] || box[1] > box[3] || Math.abs(box[1]) > 90 || Math.abs(box[3]) > 90) {
+      errors.push(geoError('bbox', 'invalid_type', 'bbox must be "minLng,minLat,maxLng,maxLat"'));
+    } else {
+      const [minLng, minLat, maxLng, maxLat] = box;
+      area = { minLng, minLat, maxLng, maxLat };
+      criteria.push(
+        { op: 'gte', column: 'latitude', value: minLat },
+        { op: 'lte', column: 'latitude', value: maxLat },
+        { op: 'gte', column: 'longitude', value: minLng },
+        { op: 'lte', column: 'longitude', value: maxLng }
+      );
+    }
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return { criteria, near: center, radiusKm, bbox: area };
+};
+
+// Grid clustering for zoomed-out map views. Cells are a quarter of a web-map
+// tile wide at the given zoom, so pins do not overlap on screen. Cells with a
+// single listing come back as that listing; others as a cluster with a count,
+// centroid, bounds and price range.
+export const clusterPins = (rows, zoom) => {
+  const cellDegrees = 360 / (2 ** zoom * 4);
+  const cells = new Map();
+
+  rows.forEach((row) => {
+    if (row.latitude == null || row.longitude == null) return;
+    const key = `${Math.floor(row.latitude / cellDegrees)}:${Math.floor(row.longitude / cellDegrees)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(row);
+  });
+
+  return [...cells.values()].map((members) => {
+    if (members.length === 1) {
+      const [{ id, price, latitude, longitude }] = members;
+      return { type: 'listing', id, price, latitude, longitude };
+    }
+    const latitudes = members.map((m) => m.latitude);
+    const longitudes = members.map((m) => m.longitude);
+    const prices = members.map((m) => m.price).filter((p) => p != null);
+    const mean = (values) => Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 1e6) / 1e6;
+    return {
+      type: 'cluster',
+      count: members.length,
+      latitude: mean(latitudes),
+      longitude: mean(longitudes),
+      bbox: [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)],
+      min_price: prices.length ? Math.min(...prices) : null,
+      max_price: prices.length ? Math.max(...prices) : null,
+    };
+  });
+};
@@ -0,0 +1,56 @@
+// Minimal iCalendar (RFC 5545) writer for viewing exports. Times are written in
+// UTC, text is escaped and lines are folded at 75 octets.
+
+const PRODUCT_ID = '-//Rental Listings//Viewings//EN';
+
+const formatTime = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) =>
+  String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Continuation lines start with a space, which counts towards their 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// events: [{ uid, sequence, start, end, summary, location, description, status, url }]
+// where status is TENTATIVE, CONFIRMED or CANCELLED
+export const buildCalendar = (events, { name = 'Viewings', now = new Date() } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${escapeText(name)}`];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTAMP:${formatTime(now)}`,
+      `DTSTART:${formatTime(event.start)}`,
+      `DTEND:${formatTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      `STATUS:${event.status}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,151 @@
+import { validate, ValidationError } from '../validation/index.js';
+import { compareRows } from '../repositories/criteria.js';
+
+// Keyset pagination shared by the list endpoints. Cursors are opaque base64url
+// tokens holding the sort column, direction and the (value, id) of the row at
+// the page boundary, so pages stay stable while rows are inserted or updated.
+// A list can also have a lead column: a boolean whose true rows come first
+// whatever the sort (featured listings), its value at the boundary being kept
+// in the cursor too.
+
+export const MAX_LIMIT = 100;
+
+export const paginationSchema = (sortable, defaultSort, defaultOrder = 'desc') => ({
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: 20 },
+  offset: { type: 'integer', min: 0, default: 0 },
+  cursor: { type: 'string', maxLength: 512 },
+  sort: { type: 'string', enum: sortable, default: defaultSort },
+  order: { type: 'string', enum: ['asc', 'desc'], default: defaultOrder },
+  total: { type: 'string', enum: ['exact', 'estimated', 'none'], default: 'exact' },
+});
+
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload && typeof payload === 'object' && ['next', 'prev'].includes(payload.d) && payload.id !== undefined) {
+      return payload;
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+};
+
+const invalidCursor = (message) => new ValidationError([{ field: 'cursor', code: 'invalid_cursor', message }]);
+
+// Validate limit/offset/cursor/sort/order/total from a query string or body.
+// Columns in ascendingSorts (e.g. distance) default to ascending order.
+// Throws ValidationError for bad values or a cursor minted for another sort
+// (or for a column that is not sortable here).
+export const parsePagination = (
+  input,
+  { sortable = ['updated_at'], defaultSort = 'updated_at', ascendingSorts = [], lead = null } = {}
+) => {
+  const defaultOrder = ascendingSorts.includes(input.sort || defaultSort) ? 'asc' : 'desc';
+  const { value, errors } = validate(paginationSchema(sortable, defaultSort, defaultOrder), input);
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  let cursor = null;
+  if (value.cursor) {
+    cursor = decodeCursor(value.cursor);
+    if (!cursor) throw invalidCursor('cursor is malformed');
+    // The sort column ends up in the query, so a cursor only ever names one
+    // the caller could have asked for
+    if (!sortable.includes(cursor.s) || !['asc', 'desc'].includes(cursor.o)) {
+      throw invalidCursor('cursor was issued for a different sort order');
+    }
+    if (lead && typeof cursor.l !== 'boolean') throw invalidCursor('cursor was issued for a different sort order');
+    if (input.sort !== undefined || input.order !== undefined) {
+      if (cursor.s !== value.sort || cursor.o !== value.order) {
+        throw invalidCursor('cursor was issued for a different sort order');
+      }
+    }
+  }
+
+  const sort = cursor ? cursor.s : value.sort;
+  const order = cursor ? cursor.o : value.order;
+  return {
+    limit: value.limit,
+    offset: cursor ? 0 : value.offset,
+    cursor,
+    sort,
+    ascending: order === 'asc',
+    lead,
+    count: value.total === 'none' ? null : value.total,
+  };
+};
+
+// Fetch one page. fetchPage({ keyset, sort, ascending, lead, offset, limit })
+// must return rows that include the sort column, the lead column if any, and
+// id; countRows(type) returns the total for the same filters, ignoring the
+// cursor. lead is { column, ascending }, descending unless paging backwards.
+export const paginate = async ({ fetchPage, countRows }, { limit, offset, cursor, sort, ascending, lead = null, count }) => {
+  const backwards = cursor?.d === 'prev';
+  const pageAscending = backwards ? !ascending : ascending;
+  const leadOrder = lead ? { column: lead, ascending: backwards } : null;
+  const keyset = cursor
+    ? {
+        column: sort,
+        value: cursor.v,
+        id: cursor.id,
+        ascending: pageAscending,
+        ...(leadOrder ? { lead: { ...leadOrder, value: cursor.l } } : {}),
+      }
+    : null;
+
+  const [rows, total] = await Promise.all([
+    fetchPage({ keyset, sort, ascending: pageAscending, lead: leadOrder, offset, limit: limit + 1 }),
+    count ? countRows(count) : null,
+  ]);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const boundary = (row, d) =>
+    encodeCursor({ s: sort, o: ascending ? 'asc' : 'desc', v: row[sort], id: row.id, ...(lead ? { l: Boolean(row[lead]) } : {}), d });
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) || offset > 0;
+
+  return {
+    rows: page,
+    total,
+    nextCursor: hasNext && last ? boundary(last, 'next') : null,
+    prevCursor: hasPrev && first ? boundary(first, 'prev') : null,
+  };
+};
+
+// fetchPage for rows already in memory, such as ranked search results
+export const pageFromArray = (rows) => async ({ keyset, sort, ascending, lead, offset, limit }) => {
+  const compare = compareRows(sort, ascending, lead);
+  const after = keyset
+    ? (row) => compare(row, { [sort]: keyset.value, id: keyset.id, ...(lead ? { [lead.column]: keyset.lead.value } : {}) }) > 0
+    : () => true;
+  return rows.filter(after).sort(compare).slice(offset, offset + limit);
+};
+
+// Response fields shared by every paginated endpoint. Links are only built for
+// GET requests, where the cursor travels in the query string.
+export const pageMeta = (req, { limit, offset, cursor, count }, { total, nextCursor, prevCursor }) => {
+  const link = (pageCursor) => {
+    if (!pageCursor || req.method !== 'GET') return null;
+    const params = new URLSearchParams(req.query);
+    params.delete('offset');
+    params.set('cursor', pageCursor);
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+  };
+
+  return {
+    total: count ? total : null,
+    total_type: count || null,
+    limit,
+    ...(cursor ? {} : { offset }),
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    links: { next: link(nextCursor), prev: link(prevCursor) },
+  };
+};
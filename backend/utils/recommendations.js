@@ -0,0 +1,127 @@
+// Recommendation scoring. A taste is the estates, counties, price range,
+// bedrooms, property types and amenities of some listings and searches, each
+// value weighted by how often it comes up; listings are scored by how well
+// they match it.
+//
+// Scoring itself runs in the database (recommend_listings() in
+// supabase/migrations, with these weights and bounds); keep the two in step.
+// The scoring here is what the memory driver uses.
+
+// Points for a full match on each feature
+export const WEIGHTS = { estate: 3, county: 1.5, price: 2, bedrooms: 2, property_type: 1.5, amenities: 1, freshness: 0.5 };
+
+// What a listing can be recommended for
+export const MATCH_REASONS = ['estate', 'county', 'price', 'bedrooms', 'property_type', 'amenities'];
+
+// A feature counts as a reason for a recommendation from this share of its points
+const REASON_SHARE = 0.5;
+
+// Price score falls to 0 this far (as a fraction) outside the taste's range
+const PRICE_TOLERANCE = 0.3;
+// Candidates are within this fraction below and above the range
+const CANDIDATE_PRICE_BAND = 0.5;
+
+// Listings updated within this many days score a little higher
+const FRESH_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEATURES = ['estate', 'county', 'property_type', 'bedrooms', 'amenities'];
+
+export const lower = (value) => String(value).trim().toLowerCase();
+
+// Combine signals ({ weight, estate, county, property_type, bedrooms,
+// amenities (lists), min_price, max_price }) into a taste: per feature, each
+// value's share of the weight of the signals that say anything about it, and
+// the price range
+export const buildTaste = (signals) => {
+  const taste = { signals: signals.length, price: null };
+  FEATURES.forEach((feature) => {
+    const weights = new Map();
+    let total = 0;
+    signals.forEach((signal) => {
+      if (signal[feature].length === 0) return;
+      total += signal.weight;
+      signal[feature].forEach((value) => weights.set(value, (weights.get(value) || 0) + signal.weight));
+    });
+    taste[feature] = new Map([...weights].map(([value, weight]) => [value, weight / total]));
+  });
+
+  const prices = signals.flatMap((signal) => [signal.min_price, signal.max_price]).filter((price) => price !== null);
+  if (prices.length > 0) taste.price = { low: Math.min(...prices), high: Math.max(...prices) };
+  return taste;
+};
+
+// A taste as recommend_listings() takes it: each feature an object of value
+// to share, and price { low, high } or null
+export const tasteParams = (taste) => ({
+  ...Object.fromEntries(FEATURES.map((feature) => [feature, Object.fromEntries(taste[feature])])),
+  price: taste.price,
+});
+
+const share = (map, value) => (value === null || value === undefined ? 0 : map.get(value) || 0);
+
+// Whether a listing is worth scoring: within the price band, and in one of the
+// taste's estates or counties or within a bedroom of its bedrooms. With none
+// of those in the taste, any listing in the price band is.
+export const isCandidate = (listing, taste) => {
+  if (taste.price) {
+    const low = Math.floor(taste.price.low * (1 - CANDIDATE_PRICE_BAND));
+    const high = Math.ceil(taste.price.high * (1 + CANDIDATE_PRICE_BAND));
+    if (listing.price == null || listing.price < low || listing.price > high) return false;
+  }
+  if (taste.estate.size === 0 && taste.county.size === 0 && taste.bedrooms.size === 0) return true;
+  return (
+    (listing.estate != null && taste.estate.has(lower(listing.estate))) ||
+    (listing.county != null && taste.county.has(lower(listing.county))) ||
+    (listing.bedrooms != null && [-1, 0, 1].some((step) => taste.bedrooms.has(listing.bedrooms + step)))
+  );
+};
+
+// The order candidates are taken in, up to the bound: those in the taste's
+// estates, then its counties, then the most recently updated
+export const candidateOrder = (taste) => {
+  const rank = (listing) =>
+    (listing.estate != null && taste.estate.has(lower(listing.estate)) ? 2 : 0) +
+    (listing.county != null && taste.county.has(lower(listing.county)) ? 1 : 0);
+  return (a, b) => rank(b) - rank(a) || String(b.updated_at).localeCompare(String(a.updated_at)) || (a.id < b.id ? -1 : 1);
+};
+
+const priceScore = (price, range) => {
+  if (!range || price == null) return 0;
+  if (price >= range.low && price <= range.high) return 1;
+  const distance = price < range.low ? (range.low - price) / range.low : (price - range.high) / range.high;
+  return Math.max(0, 1 - distance / PRICE_TOLERANCE);
+};
+
+const amenityScore = (amenities, preferred) => {
+  const wanted = [...preferred.values()].reduce((sum, value) => sum + value, 0);
+  if (wanted === 0) return 0;
+  return Math.min(1, (amenities || []).reduce((sum, amenity) => sum + share(preferred, amenity), 0) / wanted);
+};
+
+const freshness = (listing, now) => Math.max(0, 1 - (now - new Date(listing.updated_at || listing.created_at)) / (FRESH_DAYS * DAY_MS));
+
+// A listing's score against a taste, with the features that earned it
+export const scoreListing = (listing, taste, now = new Date()) => {
+  const parts = {
+    estate: share(taste.estate, listing.estate ? lower(listing.estate) : null),
+    county: share(taste.county, listing.county ? lower(listing.county) : null),
+    price: priceScore(listing.price, taste.price),
+    bedrooms: Math.min(
+      1,
+      share(taste.bedrooms, listing.bedrooms) +
+        (share(taste.bedrooms, listing.bedrooms - 1) + share(taste.bedrooms, listing.bedrooms + 1)) / 2
+    ),
+    property_type: share(taste.property_type, listing.property_type),
+    amenities: amenityScore(listing.amenities, taste.amenities),
+    freshness: freshness(listing, now),
+  };
+  const score = Object.entries(parts).reduce((sum, [feature, part]) => sum + WEIGHTS[feature] * part, 0);
+  const reasons = MATCH_REASONS.filter((feature) => parts[feature] >= REASON_SHARE);
+  return { score: Math.round(score * 1000) / 1000, reasons };
+};
+
+// Best first; ties go to the most recently updated
+export const byScore = (a, b) =>
+  b.score - a.score || String(b.updated_at).localeCompare(String(a.updated_at)) || (a.id < b.id ? -1 : 1);
@@ -0,0 +1,91 @@
+import { parseGeoQuery, distanceFrom } from './geo.js';
+import { facetPredicates, applyPredicates } from './facets.js';
+import { rankRows, tokenizeQuery } from './textSearch.js';
+import { matchesCriterion } from '../repositories/criteria.js';
+import { PUBLISHED } from '../services/listingStatus.js';
+
+// The filters object accepted by POST /api/listings/search and stored on saved
+// searches. Facet filters (see facets.js) are applied in the app; the rest
+// become repository criteria.
+export const SEARCH_FILTER_KEYS = [
+  'location', 'estate', 'county', 'property_type', 'bedrooms', 'bathrooms', 'furnishing_status',
+  'min_price', 'max_price', 'amenities', 'parking', 'garden', 'balcony', 'own_compound', 'electricity',
+  'internet', 'near', 'radius_km', 'bbox',
+];
+
+const BOOLEAN_FILTERS = ['parking', 'garden', 'balcony', 'own_compound', 'electricity', 'internet'];
+
+// Criteria for the non-facet filters. Returns { criteria, near } like
+// parseGeoQuery and throws ValidationError for malformed geo filters.
+export const searchCriteria = (filters = {}) => {
+  const geo = parseGeoQuery(filters);
+  const criteria = [PUBLISHED, ...geo.criteria];
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (key === 'bathrooms') {
+      criteria.push({ op: 'eq', column: 'bathrooms', value: parseInt(value) });
+    } else if (key === 'location' || key === 'estate') {
+      criteria.push({ op: 'ilike', column: key, value: `%${value}%` });
+    } else if (BOOLEAN_FILTERS.includes(key)) {
+      criteria.push({ op: 'eq', column: key, value: value === 'true' || value === true });
+    }
+  });
+
+  return { criteria, near: geo.near };
+};
+
+const present = (value) => value !== undefined && value !== null && value !== '';
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+// Numbers that do not parse are left out, like absent filters
+const toInt = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// A search as the listing_search_matches() database function takes it (see
+// supabase/migrations), and the memory driver evaluates it: the query's terms
+// and the filters with their values parsed. Facet filters keep the keys
+// facets.js reads, with lists for the multi-select ones (county stays a string
+// for a substring match). Throws ValidationError for malformed geo filters.
+export const searchSpec = (query, filters = {}) => {
+  const geo = parseGeoQuery(filters);
+  const spec = {};
+
+  ['location', 'estate'].forEach((key) => {
+    if (present(filters[key])) spec[key] = String(filters[key]);
+  });
+  if (toInt(filters.bathrooms) !== null) spec.bathrooms = toInt(filters.bathrooms);
+  BOOLEAN_FILTERS.forEach((key) => {
+    if (present(filters[key])) spec[key] = filters[key] === 'true' || filters[key] === true;
+  });
+  if (geo.near) spec.near = { lat: geo.near.lat, lng: geo.near.lng, radius_km: geo.radiusKm };
+  if (geo.bbox) {
+    const { minLng, minLat, maxLng, maxLat } = geo.bbox;
+    spec.bbox = { min_lng: minLng, min_lat: minLat, max_lng: maxLng, max_lat: maxLat };
+  }
+
+  ['property_type', 'furnishing_status'].forEach((key) => {
+    if (present(filters[key])) spec[key] = asList(filters[key]).map(String);
+  });
+  const bedrooms = present(filters.bedrooms) ? asList(filters.bedrooms).map(toInt).filter((value) => value !== null) : [];
+  if (bedrooms.length > 0) spec.bedrooms = bedrooms;
+  if (present(filters.county)) spec.county = Array.isArray(filters.county) ? filters.county.map(String) : String(filters.county);
+  ['min_price', 'max_price'].forEach((key) => {
+    if (toInt(filters[key]) !== null) spec[key] = toInt(filters[key]);
+  });
+  if (Array.isArray(filters.amenities) && filters.amenities.length > 0) spec.amenities = filters.amenities.map(String);
+
+  return { terms: tokenizeQuery(query), filters: spec, near: geo.near };
+};
+
+// Whether a single listing would appear in the results of a search
+export const listingMatchesSearch = (listing, { query = '', filters = {} }) => {
+  const { criteria, near } = searchCriteria(filters);
+  const row = near ? { ...listing, distance_km: distanceFrom(near, listing) } : listing;
+  return (
+    criteria.every((criterion) => matchesCriterion(row, criterion)) &&
+    applyPredicates([row], facetPredicates(filters)).length === 1 &&
+    rankRows([row], query).length === 1
+  );
+};
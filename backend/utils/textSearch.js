@@ -0,0 +1,242 @@
+// Relevance search over listing text. Queries and listing fields are tokenized
+// the same way: lowercased, accents and apostrophes stripped (Lang'ata matches
+// Langata), Swahili/English variants folded to one canonical token, and small
+// typos tolerated via edit distance. Every query term must match; listings are
+// ranked by the IDF-weighted quality of their best match per term.
+//
+// Listing search itself runs in the database, which tokenizes listings the
+// same way (listing_search_tokens() in supabase/migrations, with these
+// stopwords, phrases and variants); keep the two in step. The ranking here is
+// what the memory driver and saved-search alerts use.
+
+// Fields searched, with their weight in the score
+export const SEARCH_FIELDS = {
+  title: 3,
+  estate: 2,
+  location: 2,
+  county: 2,
+  property_type: 2,
+  amenities: 1,
+  description: 1,
+};
+
+// Fields returned as highlighted snippets
+const HIGHLIGHT_FIELDS = ['title', 'location', 'description'];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'for', 'in', 'near', 'of', 'on', 'or', 'the', 'to', 'with',
+  'na', 'ya', 'wa', 'kwa', 'katika', 'za', 'la', 'cha', 'karibu',
+]);
+
+// Multi-word spellings folded before tokenizing
+const PHRASES = [
+  [/\bbed[\s-]?sitters?\b/g, 'bedsitter'],
+  [/\bsingle[\s-]rooms?\b/g, 'singleroom'],
+  [/\bongata[\s-]rongai\b/g, 'rongai'],
+  [/\bnairobi[\s-]cbd\b/g, 'cbd'],
+  [/\bathi[\s-]river\b/g, 'athiriver'],
+  [/\bsouth[\s-]b\b/g, 'southb'],
+  [/\bsouth[\s-]c\b/g, 'southc'],
+  [/\bupper[\s-]hill\b/g, 'upperhill'],
+  [/\bswimming[\s-]pool\b/g, 'pool'],
+  [/\bbore[\s-]hole\b/g, 'borehole'],
+];
+
+// Variant -> canonical token. Covers Swahili terms, common abbreviations and
+// alternative spellings of place names.
+const VARIANTS = {
+  nyumba: 'house',
+  houses: 'house',
+  chumba: 'room',
+  vyumba: 'room',
+  rooms: 'room',
+  bedsit: 'bedsitter',
+  bedsitters: 'bedsitter',
+  singleroom: 'single_room',
+  apartments: 'apartment',
+  apt: 'apartment',
+  flat: 'apartment',
+  flats: 'apartment',
+  bungalows: 'bungalow',
+  maisonettes: 'maisonette',
+  mansionette: 'maisonette',
+  townhouses: 'townhouse',
+  studios: 'studio',
+  maji: 'water',
+  umeme: 'electricity',
+  stima: 'electricity',
+  usalama: 'security',
+  ulinzi: 'security',
+  mlinzi: 'security',
+  askari: 'security',
+  pool: 'swimming_pool',
+  lifti: 'lift',
+  generator: 'backup_generator',
+  jenereta: 'backup_generator',
+  internet: 'wifi',
+  nbi: 'nairobi',
+  nrb: 'nairobi',
+  msa: 'mombasa',
+  ksm: 'kisumu',
+  nku: 'nakuru',
+  westie: 'westlands',
+  kile: 'kileleshwa',
+  lavi: 'lavington',
+  lang: 'langata',
+  kitengala: 'kitengela',
+  rongae: 'rongai',
+  githurai45: 'githurai',
+  taveta: 'taitataveta',
+  taita: 'taitataveta',
+};
+
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const normalizeToken = (raw) => {
+  const token = stripAccents(raw.toLowerCase()).replace(/['’`]/g, '');
+  return VARIANTS[token] || token;
+};
+
+// Tokens of a text with their offsets in the original string, for highlighting
+const tokenizeWithOffsets = (text) => {
+  const tokens = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+(?:['’`][\p{L}\p{N}]+)*/gu)) {
+    const token = normalizeToken(match[0]);
+    if (!STOPWORDS.has(token)) tokens.push({ token, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const foldPhrases = (text) => PHRASES.reduce((t, [pattern, replacement]) => t.replace(pattern, replacement), text);
+
+const fieldTokens = (value) => {
+  if (value == null) return [];
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return tokenizeWithOffsets(foldPhrases(stripAccents(text.toLowerCase()).replace(/_/g, ' '))).map((t) => t.token);
+};
+
+export const tokenizeQuery = (query) => [
+  ...new Set(tokenizeWithOffsets(foldPhrases(stripAccents(String(query).toLowerCase()))).map((t) => t.token)),
+];
+
+// Optimal string alignment distance, bounded by max for speed
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well a document token matches a query term: 1 exact, 0.8 prefix of the
+// last term (search-as-you-type), 0.6/0.4 for one/two typos, 0 otherwise
+const matchQuality = (term, token, isLastTerm) => {
+  if (term === token) return 1;
+  if (isLastTerm && term.length >= 3 && token.startsWith(term)) return 0.8;
+  const max = allowedTypos(term);
+  if (max === 0) return 0;
+  const distance = editDistance(term, token, max);
+  if (distance > max) return 0;
+  return distance === 1 ? 0.6 : 0.4;
+};
+
+const indexRow = (row) => Object.fromEntries(Object.keys(SEARCH_FIELDS).map((field) => [field, fieldTokens(row[field])]));
+
+// Score rows against a query's terms (tokenizeQuery). Returns [{ row, score,
+// matched }] for rows that match every term, where matched is the set of
+// document tokens that matched (used for highlighting).
+export const rankTerms = (rows, terms) => {
+  if (terms.length === 0) return rows.map((row) => ({ row, score: 0, matched: new Set() }));
+
+  const indexed = rows.map((row) => ({ row, fields: indexRow(row) }));
+  const perRow = indexed.map(({ row, fields }) => {
+    const termScores = terms.map((term, i) => {
+      let best = 0;
+      const matched = [];
+      Object.entries(fields).forEach(([field, tokens]) => {
+        tokens.forEach((token) => {
+          const quality = matchQuality(term, token, i === terms.length - 1);
+          if (quality > 0) {
+            matched.push(token);
+            best = Math.max(best, quality * SEARCH_FIELDS[field]);
+          }
+        });
+      });
+      return { best, matched };
+    });
+    return { row, termScores };
+  });
+
+  // Inverse document frequency over the candidate set, so rare terms count more
+  const idf = terms.map((_, i) => {
+    const df = perRow.filter(({ termScores }) => termScores[i].best > 0).length;
+    return Math.log(1 + (rows.length - df + 0.5) / (df + 0.5));
+  });
+
+  return perRow
+    .filter(({ termScores }) => termScores.every((t) => t.best > 0))
+    .map(({ row, termScores }) => {
+      const score = termScores.reduce((sum, t, i) => sum + t.best * idf[i], 0);
+      return {
+        row,
+        score: Math.round(score * 1e6) / 1e6,
+        matched: new Set(termScores.flatMap((t) => t.matched)),
+      };
+    });
+};
+
+export const rankRows = (rows, query) => rankTerms(rows, tokenizeQuery(query));
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const SNIPPET_LENGTH = 160;
+
+// Wrap matched words in <mark>; long fields are cut to a window around the
+// first match. Text outside the marks is HTML-escaped.
+const highlightText = (text, matched) => {
+  const hits = tokenizeWithOffsets(text).filter((t) => matched.has(t.token));
+  if (hits.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, hits[0].start - Math.floor(SNIPPET_LENGTH / 4));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  let out = '';
+  let cursor = start;
+  hits
+    .filter((h) => h.start >= start && h.end <= end)
+    .forEach((h) => {
+      out += `${escapeHtml(text.slice(cursor, h.start))}<mark>${escapeHtml(text.slice(h.start, h.end))}</mark>`;
+      cursor = h.end;
+    });
+  out += escapeHtml(text.slice(cursor, end));
+  return `${start > 0 ? '…' : ''}${out}${end < text.length ? '…' : ''}`;
+};
+
+export const highlight = (row, matched) => {
+  const highlights = {};
+  if (matched.size === 0) return highlights;
+  HIGHLIGHT_FIELDS.forEach((field) => {
+    if (typeof row[field] !== 'string') return;
+    const snippet = highlightText(row[field], matched);
+    if (snippet) highlights[field] = snippet;
+  });
+  return highlights;
+};
@@ -0,0 +1,33 @@
+import { isIP } from 'net';
+import { lookup } from 'dns/promises';
+
+// The URL if value is an http(s) URL, otherwise null
+export const httpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+// Loopback and private addresses are refused so URLs users give us cannot
+// probe the internal network. Host names are not resolved first.
+const PRIVATE_HOST = /^(localhost|0\.|10\.|127\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|\[?::1\]?$|\[?f[cd])/i;
+
+export const publicUrl = (url) => !PRIVATE_HOST.test(url.hostname) && (isIP(url.hostname) !== 0 || url.hostname.includes('.'));
+
+const PRIVATE_ADDRESS = /^(0\.|10\.|127\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.|::1?$|::ffff:|f[cd]|fe80)/i;
+
+// Whether every address the URL's host resolves to is public, for fetching a
+// URL we were given; a public name can still point into the internal network
+export const resolvesToPublic = async (url) => {
+  if (!publicUrl(url)) return false;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  try {
+    const addresses = await lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !PRIVATE_ADDRESS.test(address));
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,125 @@
+// Small declarative validator. A schema maps field names to rules:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'datetime' | 'date',
+//     required, default, enum, min, max, minLength, maxLength, items }
+// Multipart forms send every value as a string, so integers, booleans and
+// JSON-encoded arrays and objects are coerced before the rules are checked.
+// Datetimes must be ISO 8601 with a timezone and are normalized to UTC; dates
+// are calendar dates (YYYY-MM-DD).
+
+export class ValidationError extends Error {
+  constructor(errors, message = 'Request body failed validation') {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const coerce = {
+  string: (value) => (typeof value === 'string' ? value.trim() : undefined),
+  integer: (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : undefined;
+    return typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : undefined;
+  },
+  number: (value) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return undefined;
+  },
+  array: (value) => {
+    if (Array.isArray(value)) return value;
+    const parsed = parseJson(value);
+    return Array.isArray(parsed) ? parsed : undefined;
+  },
+  object: (value) => {
+    const parsed = typeof value === 'string' ? parseJson(value) : value;
+    return isPlainObject(parsed) ? parsed : undefined;
+  },
+  datetime: (value) => {
+    if (typeof value !== 'string' || !ISO_DATETIME.test(value.trim())) return undefined;
+    const date = new Date(value.trim());
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  },
+  date: (value) => {
+    if (typeof value !== 'string' || !ISO_DATE.test(value.trim())) return undefined;
+    const date = new Date(`${value.trim()}T00:00:00Z`);
+    // Rejects dates that roll over, such as 2026-02-30
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value.trim()) ? value.trim() : undefined;
+  },
+};
+
+const checkField = (field, rule, raw) => {
+  const value = coerce[rule.type](raw);
+  if (value === undefined) {
+    return { error: { field, code: 'invalid_type', message: `${field} must be a valid ${rule.type}` } };
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: { field, code: 'invalid_enum', message: `${field} must be one of: ${rule.enum.join(', ')}` } };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return { error: { field, code: 'too_small', message: `${field} must be at least ${rule.min}` } };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { error: { field, code: 'too_large', message: `${field} must be at most ${rule.max}` } };
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { error: { field, code: 'too_short', message: `${field} must have at least ${rule.minLength} characters` } };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { error: { field, code: 'too_long', message: `${field} must have at most ${rule.maxLength} characters` } };
+  }
+  if (rule.items) {
+    const unknown = value.filter((item) => !rule.items.includes(item));
+    if (unknown.length > 0) {
+      return { error: { field, code: 'invalid_items', message: `${field} contains unknown values: ${unknown.join(', ')}` } };
+    }
+    return { value: [...new Set(value)] };
+  }
+  return { value };
+};
+
+// Validate input against a schema. Unknown fields are dropped. With partial,
+// only the fields present are checked and no defaults are applied (PATCH).
+// Returns { value, errors }; errors is empty when the input is valid.
+export const validate = (schema, input = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (isBlank(raw)) {
+      if (partial) return;
+      if (rule.required) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        value[field] = structuredClone(rule.default);
+      }
+      return;
+    }
+    const result = checkField(field, rule, raw);
+    if (result.error) errors.push(result.error);
+    else value[field] = result.value;
+  });
+
+  return { value, errors };
+};
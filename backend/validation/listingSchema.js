@@ -0,0 +1,59 @@
+export const PROPERTY_TYPES = [
+  'apartment',
+  'bedsitter',
+  'single_room',
+  'studio',
+  'bungalow',
+  'maisonette',
+  'townhouse',
+  'house',
+  'villa',
+];
+
+export const FURNISHING_STATUSES = ['furnished', 'semi_furnished', 'unfurnished'];
+
+export const AMENITIES = [
+  'water',
+  'borehole',
+  'security',
+  'cctv',
+  'electric_fence',
+  'backup_generator',
+  'lift',
+  'gym',
+  'swimming_pool',
+  'wifi',
+  'dsq',
+  'laundry',
+  'playground',
+  'pet_friendly',
+  'solar_water_heating',
+];
+
+// Monthly rent in KES
+export const PRICE_RANGE = { min: 1000, max: 10000000 };
+
+export const listingSchema = {
+  title: { type: 'string', required: true, minLength: 3, maxLength: 120 },
+  description: { type: 'string', maxLength: 5000 },
+  price: { type: 'integer', required: true, ...PRICE_RANGE },
+  property_type: { type: 'string', required: true, enum: PROPERTY_TYPES },
+  bedrooms: { type: 'integer', min: 0, max: 20, default: 0 },
+  bathrooms: { type: 'integer', min: 0, max: 20, default: 0 },
+  location: { type: 'string', required: true, maxLength: 200 },
+  county: { type: 'string', required: true, maxLength: 100 },
+  estate: { type: 'string', maxLength: 100 },
+  landlord_name: { type: 'string', maxLength: 120 },
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+  amenities: { type: 'array', items: AMENITIES, default: [] },
+  furnishing_status: { type: 'string', enum: FURNISHING_STATUSES, default: 'unfurnished' },
+  parking: { type: 'boolean', default: false },
+  garden: { type: 'boolean', default: false },
+  balcony: { type: 'boolean', default: false },
+  own_compound: { type: 'boolean', default: false },
+  electricity: { type: 'boolean', default: false },
+  internet: { type: 'boolean', default: false },
+  // Keep the landlord's phone and email off the listing until they reply to an inquiry
+  hide_contact: { type: 'boolean', default: false },
+};